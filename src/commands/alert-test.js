@@ -42,8 +42,9 @@ export async function execute(interaction) {
         const result = await sendTestAlert(interaction.user.id, alertKey);
 
         if (result.success) {
+            const where = { dm: 'your DMs', channel: 'your alert channel', shared: 'the alerts channel' }[result.route];
             await interaction.editReply({
-                content: `${EMOJI.SUCCESS} Test alert **${alertKey}** sent to alerts channel!`
+                content: `${EMOJI.SUCCESS} Test alert **${alertKey}** sent to ${where}!${result.fallback ? ' (fallback)' : ''}`
             });
         } else {
             await interaction.editReply({
@@ -0,0 +1,502 @@
+/**
+ * /alerts Command
+ * Per-user alert preferences: toggles, cooldown/threshold overrides, quiet hours, delivery
+ * and custom rules
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, ChannelType, PermissionFlagsBits } from 'discord.js';
+import { getUser } from '../services/userStorage.js';
+import {
+    getAllAlertKeys,
+    getAlertDefinition,
+    getDefaultAlertConfig,
+    getAlertPreferences,
+    setAlertEnabled,
+    setCooldownOverride,
+    setThresholdOverride,
+    setQuietHours,
+    isQuietTime,
+    clearAlertPreferences,
+    getDigestAlerts,
+    getDeliveryRoute,
+    setDeliveryRoute,
+    getPreviousState,
+    getCustomRules,
+    addCustomRule,
+    removeCustomRule,
+    validateRuleExpression,
+    getRuleAlertKey,
+    evaluateExpression,
+    RuleSyntaxError,
+    RULE_FIELDS,
+    SEVERITY
+} from '../services/alerts/index.js';
+import { COLORS, EMOJI } from '../utils/constants.js';
+import { formatMoney } from '../utils/formatters.js';
+import { getUi, applyTemplate } from '../localization/index.js';
+
+export const data = new SlashCommandBuilder()
+    .setName('alerts')
+    .setDescription('Manage your alert preferences')
+    .addSubcommand(sub =>
+        sub.setName('view')
+            .setDescription('Show your alert settings'))
+    .addSubcommand(sub =>
+        sub.setName('toggle')
+            .setDescription('Turn an alert on or off')
+            .addStringOption(option =>
+                option.setName('alert')
+                    .setDescription('Alert to change')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addBooleanOption(option =>
+                option.setName('enabled')
+                    .setDescription('Receive this alert')
+                    .setRequired(true)))
+    .addSubcommand(sub =>
+        sub.setName('cooldown')
+            .setDescription('Override how often an alert can repeat')
+            .addStringOption(option =>
+                option.setName('alert')
+                    .setDescription('Alert to change')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addIntegerOption(option =>
+                option.setName('seconds')
+                    .setDescription('Cooldown in seconds (leave empty for the default)')
+                    .setMinValue(0)
+                    .setMaxValue(86400)))
+    .addSubcommand(sub =>
+        sub.setName('threshold')
+            .setDescription('Override an alert threshold (e.g. cash drop amount)')
+            .addStringOption(option =>
+                option.setName('alert')
+                    .setDescription('Alert to change')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addIntegerOption(option =>
+                option.setName('value')
+                    .setDescription('New threshold (leave empty for the default)')
+                    .setMinValue(0)))
+    .addSubcommand(sub =>
+        sub.setName('quiet')
+            .setDescription('Set quiet hours in Torn time (leave empty to disable)')
+            .addIntegerOption(option =>
+                option.setName('start')
+                    .setDescription('Hour quiet hours start (0-23 TCT)')
+                    .setMinValue(0)
+                    .setMaxValue(23))
+            .addIntegerOption(option =>
+                option.setName('end')
+                    .setDescription('Hour quiet hours end (0-23 TCT)')
+                    .setMinValue(0)
+                    .setMaxValue(23)))
+    .addSubcommand(sub =>
+        sub.setName('delivery')
+            .setDescription('Choose where your alerts are sent')
+            .addStringOption(option =>
+                option.setName('route')
+                    .setDescription('Where to send alerts')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Direct message', value: 'dm' },
+                        { name: 'My own channel', value: 'channel' },
+                        { name: 'Shared alert channel (mention)', value: 'shared' }
+                    ))
+            .addStringOption(option =>
+                option.setName('severity')
+                    .setDescription('Only change this severity (default: all)')
+                    .addChoices(
+                        { name: 'Action', value: SEVERITY.ACTION },
+                        { name: 'Info', value: SEVERITY.INFO },
+                        { name: 'Warning', value: SEVERITY.WARNING }
+                    ))
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Your alert channel (for the "My own channel" route)')
+                    .addChannelTypes(ChannelType.GuildText)))
+    .addSubcommand(sub =>
+        sub.setName('reset')
+            .setDescription('Restore all alert defaults'))
+    .addSubcommandGroup(group =>
+        group.setName('rule')
+            .setDescription('Your own alert rules')
+            .addSubcommand(sub =>
+                sub.setName('add')
+                    .setDescription('Add a rule, e.g. energy.current >= 150 && cooldowns.drug == 0')
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Alert title')
+                            .setRequired(true)
+                            .setMaxLength(60))
+                    .addStringOption(option =>
+                        option.setName('expression')
+                            .setDescription('Condition, e.g. money_onhand > 5000000 && status.state == "Okay"')
+                            .setRequired(true)
+                            .setMaxLength(300))
+                    .addStringOption(option =>
+                        option.setName('severity')
+                            .setDescription('Severity (default: info)')
+                            .addChoices(
+                                { name: 'Action', value: SEVERITY.ACTION },
+                                { name: 'Info', value: SEVERITY.INFO },
+                                { name: 'Warning', value: SEVERITY.WARNING }
+                            ))
+                    .addIntegerOption(option =>
+                        option.setName('cooldown')
+                            .setDescription('Seconds before it can fire again (default 600)')
+                            .setMinValue(0)
+                            .setMaxValue(86400)))
+            .addSubcommand(sub =>
+                sub.setName('remove')
+                    .setDescription('Remove one of your rules')
+                    .addIntegerOption(option =>
+                        option.setName('id')
+                            .setDescription('Rule ID (see /alerts rule list)')
+                            .setRequired(true)
+                            .setMinValue(1)))
+            .addSubcommand(sub =>
+                sub.setName('list')
+                    .setDescription('List your rules and the fields you can use')));
+
+export async function execute(interaction) {
+    const userId = interaction.user.id;
+    const user = getUser(userId);
+
+    if (!user || !user.apiKey) {
+        await interaction.reply({
+            content: getUi('register_first'),
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+        if (interaction.options.getSubcommandGroup(false) === 'rule') {
+            await handleRule(interaction, userId, subcommand);
+            return;
+        }
+
+        switch (subcommand) {
+            case 'view':
+                await interaction.reply({ embeds: [buildPreferencesEmbed(userId)], ephemeral: true });
+                return;
+            case 'toggle':
+                await handleToggle(interaction, userId);
+                return;
+            case 'cooldown':
+                await handleCooldown(interaction, userId);
+                return;
+            case 'threshold':
+                await handleThreshold(interaction, userId);
+                return;
+            case 'quiet':
+                await handleQuiet(interaction, userId);
+                return;
+            case 'delivery':
+                await handleDelivery(interaction, userId);
+                return;
+            case 'reset':
+                clearAlertPreferences(userId);
+                await interaction.reply({
+                    content: `${EMOJI.SUCCESS} ${getUi('alert_prefs_reset')}`,
+                    ephemeral: true
+                });
+                return;
+        }
+    } catch (error) {
+        console.error('Alerts command error:', error);
+        await interaction.reply({
+            content: `${EMOJI.ERROR} ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+/**
+ * Resolve the alert option to a definition (replies on failure)
+ */
+async function resolveAlert(interaction) {
+    const alertKey = interaction.options.getString('alert').toUpperCase();
+    const alert = getAlertDefinition(alertKey);
+
+    if (!alert) {
+        await interaction.reply({
+            content: `${EMOJI.ERROR} ${applyTemplate('unknown_alert', { alert: alertKey })}`,
+            ephemeral: true
+        });
+        return null;
+    }
+    return alert;
+}
+
+async function handleToggle(interaction, userId) {
+    const alert = await resolveAlert(interaction);
+    if (!alert) return;
+
+    const enabled = interaction.options.getBoolean('enabled');
+    setAlertEnabled(userId, alert.key, enabled);
+
+    await interaction.reply({
+        content: enabled
+            ? `${alert.emoji} ${applyTemplate('alert_enabled', { alert: alert.key })}`
+            : `${alert.emoji} ${applyTemplate('alert_disabled', { alert: alert.key })}`,
+        ephemeral: true
+    });
+}
+
+async function handleCooldown(interaction, userId) {
+    const alert = await resolveAlert(interaction);
+    if (!alert) return;
+
+    const seconds = interaction.options.getInteger('seconds');
+    setCooldownOverride(userId, alert.key, seconds);
+
+    await interaction.reply({
+        content: seconds === null
+            ? `${alert.emoji} ${applyTemplate('cooldown_reset', { alert: alert.key, time: formatSeconds(alert.cooldown) })}`
+            : `${alert.emoji} ${applyTemplate('cooldown_set', { alert: alert.key, time: formatSeconds(seconds) })}`,
+        ephemeral: true
+    });
+}
+
+async function handleThreshold(interaction, userId) {
+    const alert = await resolveAlert(interaction);
+    if (!alert) return;
+
+    if (!alert.threshold) {
+        await interaction.reply({
+            content: `${EMOJI.WARNING} ${applyTemplate('no_threshold', { alert: alert.key })}`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    const value = interaction.options.getInteger('value');
+    setThresholdOverride(userId, alert.threshold.config, value);
+
+    const shown = value ?? getDefaultAlertConfig()[alert.threshold.config];
+    await interaction.reply({
+        content: `${alert.emoji} **${alert.key}** — ${getUi(alert.threshold.labelKey)}: **${formatMoney(shown)}**${value === null ? ` (${getUi('default')})` : ''}.`,
+        ephemeral: true
+    });
+}
+
+async function handleQuiet(interaction, userId) {
+    const start = interaction.options.getInteger('start');
+    const end = interaction.options.getInteger('end');
+
+    if (start === null && end === null) {
+        setQuietHours(userId, null);
+        await interaction.reply({
+            content: `${EMOJI.SUCCESS} ${getUi('quiet_hours_disabled')}`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    if (start === null || end === null || start === end) {
+        await interaction.reply({
+            content: `${EMOJI.ERROR} ${getUi('quiet_hours_invalid')}`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    setQuietHours(userId, start, end);
+
+    await interaction.reply({
+        content: `🌙 ${applyTemplate('quiet_hours_set', { start: formatHour(start), end: formatHour(end) })}`,
+        ephemeral: true
+    });
+}
+
+async function handleDelivery(interaction, userId) {
+    const route = interaction.options.getString('route');
+    const severity = interaction.options.getString('severity');
+    const channel = interaction.options.getChannel('channel');
+
+    if (route === 'channel') {
+        const channelId = channel?.id || getAlertPreferences(userId).delivery.channelId;
+        if (!channelId) {
+            await interaction.reply({
+                content: `${EMOJI.ERROR} ${getUi('delivery_pick_channel')}`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        const permissions = channel?.permissionsFor?.(interaction.client.user);
+        if (channel && permissions && !permissions.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages])) {
+            await interaction.reply({
+                content: `${EMOJI.ERROR} ${applyTemplate('cannot_send_in', { channel: `<#${channel.id}>` })}`,
+                ephemeral: true
+            });
+            return;
+        }
+    }
+
+    setDeliveryRoute(userId, route, severity, channel?.id || null);
+
+    const target = route === 'channel'
+        ? `<#${getDeliveryRoute(userId, severity || SEVERITY.INFO).channelId}>`
+        : { dm: getUi('delivery_your_dms'), shared: getUi('delivery_shared_channel') }[route];
+    const note = route === 'dm'
+        ? `\n${getUi('delivery_dm_fallback')}`
+        : '';
+    const message = severity
+        ? applyTemplate('delivery_set_severity', { severity, target })
+        : applyTemplate('delivery_set_all', { target });
+
+    await interaction.reply({
+        content: `📨 ${message}${note}`,
+        ephemeral: true
+    });
+}
+
+async function handleRule(interaction, userId, subcommand) {
+    if (subcommand === 'add') {
+        try {
+            const rule = addCustomRule(userId, {
+                name: interaction.options.getString('name'),
+                expression: interaction.options.getString('expression'),
+                severity: interaction.options.getString('severity') || SEVERITY.INFO,
+                cooldown: interaction.options.getInteger('cooldown') ?? undefined
+            });
+
+            // Evaluate against the last polled data so the user sees it working
+            const compiled = validateRuleExpression(rule.expression);
+            const current = evaluateExpression(compiled, getPreviousState(userId));
+
+            await interaction.reply({
+                content: `🧩 ${applyTemplate('rule_saved', { id: rule.id, name: rule.name, severity: rule.severity, cooldown: formatSeconds(rule.cooldown) })}\n` +
+                    applyTemplate('rule_current', { expression: rule.expression, value: current }),
+                ephemeral: true
+            });
+        } catch (error) {
+            if (!(error instanceof RuleSyntaxError)) throw error;
+            await interaction.reply({
+                content: `${EMOJI.ERROR} ${applyTemplate('invalid_rule', { error: error.message })}`,
+                ephemeral: true
+            });
+        }
+        return;
+    }
+
+    if (subcommand === 'remove') {
+        const id = interaction.options.getInteger('id');
+        const removed = removeCustomRule(userId, id);
+        await interaction.reply({
+            content: removed
+                ? `${EMOJI.SUCCESS} ${applyTemplate('rule_removed', { id })}`
+                : `${EMOJI.WARNING} ${applyTemplate('no_such_rule', { id })}`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    const prefs = getAlertPreferences(userId);
+    const rules = getCustomRules(userId);
+    const ruleLines = rules.map(rule => {
+        const state = prefs.disabled.includes(getRuleAlertKey(rule.id)) ? '❌' : '✅';
+        return `${state} **#${rule.id} ${rule.name}** • ${rule.severity} • ${formatSeconds(rule.cooldown)}\n\`${rule.expression}\``;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`🧩 ${getUi('custom_alert_rules')}`)
+        .setDescription(ruleLines.join('\n') || getUi('no_rules'))
+        .addFields(
+            { name: getUi('rule_fields'), value: `\`\`\`${Object.keys(RULE_FIELDS).join(', ')}\`\`\``, inline: false },
+            { name: getUi('rule_operators'), value: '```== != > >= < <= && || ! + - * / % ( )```', inline: false }
+        )
+        .setFooter({ text: getUi('rule_nested_fields') })
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Build the preferences overview
+ */
+function buildPreferencesEmbed(userId) {
+    const prefs = getAlertPreferences(userId);
+    const config = getDefaultAlertConfig();
+
+    const alertLines = getAllAlertKeys().map(key => {
+        const alert = getAlertDefinition(key);
+        const state = prefs.disabled.includes(key) ? '❌' : '✅';
+        const override = prefs.cooldowns[key];
+        const cooldown = override !== undefined
+            ? `${formatSeconds(override)}*`
+            : formatSeconds(alert.cooldown);
+        return `${state} ${key.padEnd(22)} ${cooldown}`;
+    });
+
+    const thresholdLines = getAllAlertKeys()
+        .map(getAlertDefinition)
+        .filter(alert => alert.threshold)
+        .map(alert => {
+            const override = prefs.thresholds[alert.threshold.config];
+            const value = override ?? config[alert.threshold.config];
+            return `${getUi(alert.threshold.labelKey)}: ${formatMoney(value)}${override !== undefined ? '*' : ''}`;
+        });
+
+    const quiet = prefs.quietHours
+        ? `${formatHour(prefs.quietHours.start)}–${formatHour(prefs.quietHours.end)} TCT${isQuietTime(userId) ? ` (${getUi('quiet_now_active')})` : ''}`
+        : getUi('off');
+    const queued = getDigestAlerts(userId).length;
+
+    const routeNames = { dm: getUi('route_dm'), channel: getUi('route_own_channel'), shared: getUi('route_shared_channel') };
+    const deliveryLines = Object.values(SEVERITY).map(severity =>
+        `${severity.padEnd(8)} ${routeNames[getDeliveryRoute(userId, severity).type]}`
+    );
+    if (prefs.delivery.channelId) {
+        deliveryLines.push(`channel  #${prefs.delivery.channelId}`);
+    }
+
+    return new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`🔔 ${getUi('alert_preferences')}`)
+        .addFields(
+            { name: getUi('alerts_cooldown'), value: `\`\`\`${alertLines.join('\n')}\`\`\``, inline: false },
+            { name: getUi('thresholds'), value: `\`\`\`${thresholdLines.join('\n') || getUi('none')}\`\`\``, inline: false },
+            { name: `🌙 ${getUi('quiet_hours')}`, value: `\`\`\`${quiet}\`\`\``, inline: true },
+            { name: `📥 ${getUi('queued')}`, value: `\`\`\`${applyTemplate('n_alerts', { n: queued })}\`\`\``, inline: true },
+            { name: `📨 ${getUi('delivery')}`, value: `\`\`\`${deliveryLines.join('\n')}\`\`\``, inline: false }
+        )
+        .setFooter({ text: getUi('alert_prefs_footer') })
+        .setTimestamp();
+}
+
+function formatSeconds(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    return `${+(seconds / 3600).toFixed(1)}h`;
+}
+
+function formatHour(hour) {
+    return `${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * Handle Autocomplete
+ */
+export async function autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== 'alert') return;
+
+    const query = focused.value.toUpperCase();
+    const thresholdOnly = interaction.options.getSubcommand(false) === 'threshold';
+
+    const choices = getAllAlertKeys()
+        .map(getAlertDefinition)
+        .filter(alert => !thresholdOnly || alert.threshold)
+        .filter(alert => alert.key.includes(query) || alert.title.toUpperCase().includes(query))
+        .slice(0, 25)
+        .map(alert => ({ name: `${alert.emoji} ${alert.title} (${alert.key})`, value: alert.key }));
+
+    await interaction.respond(choices);
+}
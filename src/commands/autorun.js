@@ -0,0 +1,275 @@
+/**
+ * /autorun Command
+ * Manage auto-run channels at runtime (owner only)
+ * Bindings, pauses and interval overrides are stored in runtime state
+ * and restored on startup, so no .env edit or restart is needed
+ */
+
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import {
+    AUTO_RUNNERS,
+    getRunner,
+    getRunnerInterval,
+    getRunnerChannelId,
+    getRunnerSettings,
+    setRunnerSettings,
+    getRunnerState,
+    setRunnerEnabled,
+    setChannelId,
+    setMessageId,
+    setUserChannelId,
+    getActiveSchedulers,
+    getSchedulerHealth,
+    startScheduler,
+    stopScheduler,
+    restartScheduler,
+    triggerTick
+} from '../services/autorun/index.js';
+import { getUser } from '../services/userStorage.js';
+import { formatTimeShort } from '../utils/formatters.js';
+import { EMOJI, COLORS } from '../utils/constants.js';
+import { getUi, applyTemplate } from '../localization/index.js';
+
+const MIN_INTERVAL = 10;            // seconds
+const MAX_INTERVAL = 24 * 60 * 60;  // 1 day
+
+const runnerOption = option => option
+    .setName('runner')
+    .setDescription('Auto-runner')
+    .setRequired(true)
+    .setAutocomplete(true);
+
+export const data = new SlashCommandBuilder()
+    .setName('autorun')
+    .setDescription('Manage auto-run channels (owner only)')
+    .addSubcommand(sub => sub
+        .setName('list')
+        .setDescription('List runners with status and health'))
+    .addSubcommand(sub => sub
+        .setName('bind')
+        .setDescription('Post a runner in this channel')
+        .addStringOption(runnerOption)
+        .addUserOption(option => option
+            .setName('user')
+            .setDescription('Only this user\'s message (per-user runners)')))
+    .addSubcommand(sub => sub
+        .setName('pause')
+        .setDescription('Pause a runner')
+        .addStringOption(runnerOption))
+    .addSubcommand(sub => sub
+        .setName('resume')
+        .setDescription('Resume a paused runner')
+        .addStringOption(runnerOption))
+    .addSubcommand(sub => sub
+        .setName('interval')
+        .setDescription('Change how often a runner updates')
+        .addStringOption(runnerOption)
+        .addIntegerOption(option => option
+            .setName('seconds')
+            .setDescription(`Seconds between updates (${MIN_INTERVAL}-${MAX_INTERVAL}, 0 = default)`)
+            .setRequired(true)
+            .setMinValue(0)
+            .setMaxValue(MAX_INTERVAL)))
+    .addSubcommand(sub => sub
+        .setName('tick')
+        .setDescription('Run a runner once now')
+        .addStringOption(runnerOption));
+
+export async function execute(interaction) {
+    // Owner only
+    if (interaction.user.id !== process.env.OWNER_ID) {
+        await interaction.reply({
+            content: getUi('only_owner'),
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'list') {
+        await handleList(interaction);
+        return;
+    }
+
+    const runner = getRunner(interaction.options.getString('runner'));
+    if (!runner) {
+        await interaction.reply({ content: `${EMOJI.ERROR} ${getUi('unknown_runner')}`, ephemeral: true });
+        return;
+    }
+
+    // Starting a runner runs its first tick, which can take a while
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        switch (subcommand) {
+            case 'bind':
+                await handleBind(interaction, runner);
+                break;
+            case 'pause':
+                await handlePause(interaction, runner);
+                break;
+            case 'resume':
+                await handleResume(interaction, runner);
+                break;
+            case 'interval':
+                await handleInterval(interaction, runner);
+                break;
+            case 'tick':
+                await handleTick(interaction, runner);
+                break;
+        }
+    } catch (error) {
+        console.error(`/autorun ${subcommand} error:`, error);
+        await interaction.editReply(`${EMOJI.ERROR} ${error.message}`);
+    }
+}
+
+export async function autocomplete(interaction) {
+    const query = interaction.options.getFocused().toLowerCase();
+
+    const choices = Object.values(AUTO_RUNNERS)
+        .filter(r => r.key.toLowerCase().includes(query) || r.name.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(r => ({ name: `${r.emoji} ${r.name} (${r.key})`.slice(0, 100), value: r.key }));
+
+    await interaction.respond(choices);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SUBCOMMANDS
+// ═══════════════════════════════════════════════════════════════════
+
+async function handleList(interaction) {
+    const active = new Set(getActiveSchedulers());
+    const health = getSchedulerHealth();
+
+    const lines = Object.values(AUTO_RUNNERS).filter(r => r.enabled).map(runner => {
+        const settings = getRunnerSettings(runner.key);
+        const state = getRunnerState(runner.key);
+        const channelId = getRunnerChannelId(runner);
+
+        let status = '⚪';
+        if (settings.paused) status = '⏸️';
+        else if (active.has(runner.key)) status = health[runner.key]?.healthy === false ? '🔴' : '🟢';
+
+        const interval = `${formatTimeShort(getRunnerInterval(runner))}${settings.interval ? '*' : ''}`;
+        const where = channelId ? `<#${channelId}>` : (runner.perUser ? getUi('user_channels') : getUi('unbound'));
+        const lastRun = state?.lastRun ? ` • <t:${Math.floor(state.lastRun / 1000)}:R>` : '';
+        const errors = health[runner.key]?.errorCount ? ` • ⚠️ ${applyTemplate('n_errors', { n: health[runner.key].errorCount })}` : '';
+
+        return `${status} ${runner.emoji} \`${runner.key}\` • ${interval} • ${where}${lastRun}${errors}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`⚙️ ${getUi('autorun_channels')}`)
+        .setDescription(lines.join('\n').slice(0, 4096))
+        .setFooter({ text: getUi('autorun_legend') })
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleBind(interaction, runner) {
+    const channelId = interaction.channelId;
+
+    const target = interaction.options.getUser('user');
+    if (target) {
+        await handleUserBind(interaction, runner, target, channelId);
+        return;
+    }
+
+    setRunnerSettings(runner.key, { channelId });
+    setChannelId(runner.key, channelId);
+    setMessageId(runner.key, null); // Old message lives in the old channel
+
+    if (getRunnerSettings(runner.key).paused) {
+        await interaction.editReply(`${EMOJI.SUCCESS} ${applyTemplate('runner_bound_paused', { runner: runner.name, channel: `<#${channelId}>` })}`);
+        return;
+    }
+
+    setRunnerEnabled(runner.key, true);
+    await restartScheduler(runner.key, channelId);
+    await interaction.editReply(`${EMOJI.SUCCESS} ${applyTemplate('runner_bound', { runner: runner.name, channel: `<#${channelId}>` })}`);
+}
+
+/**
+ * Bind one user's message of a per-user runner to a channel
+ * (other users keep posting to the runner's channel)
+ */
+async function handleUserBind(interaction, runner, target, channelId) {
+    if (!runner.perUser) {
+        await interaction.editReply(`${EMOJI.ERROR} ${applyTemplate('runner_not_per_user', { runner: runner.name })}`);
+        return;
+    }
+    if (!getUser(target.id)?.apiKey) {
+        await interaction.editReply(`${EMOJI.ERROR} ${applyTemplate('user_not_registered', { user: `<@${target.id}>` })}`);
+        return;
+    }
+
+    setUserChannelId(runner.key, target.id, channelId);
+
+    if (getRunnerSettings(runner.key).paused) {
+        await interaction.editReply(`${EMOJI.SUCCESS} ${applyTemplate('runner_user_bound_paused', { runner: runner.name, user: `<@${target.id}>`, channel: `<#${channelId}>` })}`);
+        return;
+    }
+
+    // A running scheduler picks the binding up on its next tick
+    if (!getActiveSchedulers().includes(runner.key)) {
+        setRunnerEnabled(runner.key, true);
+        await startScheduler(runner.key, getRunnerChannelId(runner));
+    }
+    await interaction.editReply(`${EMOJI.SUCCESS} ${applyTemplate('runner_user_bound', { runner: runner.name, user: `<@${target.id}>`, channel: `<#${channelId}>` })}`);
+}
+
+async function handlePause(interaction, runner) {
+    setRunnerSettings(runner.key, { paused: true });
+    setRunnerEnabled(runner.key, false);
+    stopScheduler(runner.key);
+
+    await interaction.editReply(`⏸️ ${applyTemplate('runner_paused', { runner: runner.name })}`);
+}
+
+async function handleResume(interaction, runner) {
+    const channelId = getRunnerChannelId(runner);
+    if (!channelId && !runner.perUser) {
+        await interaction.editReply(`${EMOJI.ERROR} ${applyTemplate('runner_no_channel', { runner: runner.name })}`);
+        return;
+    }
+
+    setRunnerSettings(runner.key, { paused: false });
+    setRunnerEnabled(runner.key, true);
+    await startScheduler(runner.key, channelId);
+
+    await interaction.editReply(`▶️ ${applyTemplate('runner_resumed', { runner: runner.name })}`);
+}
+
+async function handleInterval(interaction, runner) {
+    const seconds = interaction.options.getInteger('seconds');
+    if (seconds !== 0 && seconds < MIN_INTERVAL) {
+        await interaction.editReply(`${EMOJI.ERROR} ${applyTemplate('interval_too_short', { min: MIN_INTERVAL })}`);
+        return;
+    }
+
+    setRunnerSettings(runner.key, { interval: seconds === 0 ? null : seconds * 1000 });
+
+    // Running schedulers pick up the new interval on restart
+    if (getActiveSchedulers().includes(runner.key)) {
+        await restartScheduler(runner.key, getRunnerChannelId(runner));
+    }
+
+    const interval = formatTimeShort(getRunnerInterval(runner));
+    const message = seconds === 0
+        ? applyTemplate('runner_interval_default', { runner: runner.name, interval })
+        : applyTemplate('runner_interval', { runner: runner.name, interval });
+    await interaction.editReply(`${EMOJI.SUCCESS} ${message}`);
+}
+
+async function handleTick(interaction, runner) {
+    const ran = await triggerTick(runner.key);
+
+    await interaction.editReply(ran
+        ? `${EMOJI.SUCCESS} ${applyTemplate('runner_ticked', { runner: runner.name })}`
+        : `${EMOJI.ERROR} ${applyTemplate('runner_not_running', { runner: runner.name })}`);
+}
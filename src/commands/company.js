@@ -0,0 +1,59 @@
+/**
+ * /company Command
+ * Director dashboard: income trend, wages against income, and every employee
+ * with effectiveness, working stats, wage, tenure, last action and flags
+ */
+
+import { SlashCommandBuilder } from 'discord.js';
+import { getUser } from '../services/userStorage.js';
+import { getCompanyDashboard, CompanyDashboardError } from '../services/analytics/companyDashboard.js';
+import { buildCompanyDashboardEmbeds } from '../services/autorun/handlers/companyDirectorHandler.js';
+import { EMOJI } from '../utils/constants.js';
+import { getUi } from '../localization/index.js';
+
+export const data = new SlashCommandBuilder()
+    .setName('company')
+    .setDescription('Company director dashboard')
+    .addSubcommand(sub => sub
+        .setName('overview')
+        .setDescription('Income, trend, wages and flagged staff'))
+    .addSubcommand(sub => sub
+        .setName('employees')
+        .setDescription('Every employee with effectiveness, wage and last action')
+        .addBooleanOption(option => option
+            .setName('flagged')
+            .setDescription('Only inactive or under-performing staff')));
+
+export async function execute(interaction) {
+    const user = getUser(interaction.user.id);
+
+    if (!user || !user.apiKey) {
+        await interaction.reply({
+            content: getUi('register_first'),
+            ephemeral: true
+        });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+        const dashboard = await getCompanyDashboard(user);
+        const [overview, staff] = buildCompanyDashboardEmbeds(dashboard, {
+            flaggedOnly: interaction.options.getBoolean('flagged') || false
+        });
+
+        const embeds = subcommand === 'overview'
+            ? [overview]
+            : [staff || overview];
+
+        await interaction.editReply({ embeds });
+    } catch (error) {
+        if (!(error instanceof CompanyDashboardError)) {
+            console.error(`/company ${subcommand} error:`, error);
+        }
+        await interaction.editReply(`${EMOJI.ERROR} ${error.userMessage || error.message}`);
+    }
+}
@@ -9,6 +9,7 @@ import { getUser } from '../services/userStorage.js';
 import { REFRESH_INTERVALS } from '../utils/constants.js';
 import { formatNumber, discordTimestamp } from '../utils/formatters.js';
 import { getEnergyPerClick, updateFromApiLogs } from '../services/analytics/gymTrainingStorage.js';
+import { recordGymProgress } from '../services/analytics/gymPlanner.js';
 import { getUi, getStat, fromDictionary, applyTemplate } from '../localization/index.js';
 
 // Gym names by ID (English names are fine as they are proper nouns)
@@ -61,7 +62,7 @@ export async function execute(interaction, client) {
 
     if (!user || !user.apiKey) {
         await interaction.reply({
-            content: '⚠️ You need to configure your API Key in `.env` file first!',
+            content: '⚠️ You need to register your API Key first with `/register`!',
             ephemeral: true
         });
         return;
@@ -107,6 +108,8 @@ async function sendGymEmbed(interaction, apiKey, existingMessage) {
             updateFromApiLogs(data.log);
         }
 
+        recordGymProgress(interaction.user.id, data, data.active_gym);
+
         const embed = buildGymEmbed(data);
 
         if (existingMessage) {
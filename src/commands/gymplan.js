@@ -0,0 +1,329 @@
+/**
+ * /gymplan Command
+ * Training plan toward a target stat ratio: what to train next and where,
+ * how today's energy splits across stats, days to a total-stats goal, and
+ * progress against the plan
+ */
+
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { get } from '../services/tornApi.js';
+import { getUser } from '../services/userStorage.js';
+import {
+    STATS,
+    PRESETS,
+    getGyms,
+    getUnlockedGyms,
+    getBestGym,
+    gainPerTrain,
+    totalStats,
+    simulateSession,
+    getDailyEnergy,
+    projectGoal,
+    buildRatio,
+    getGymPlan,
+    setGymPlan,
+    clearGymPlan,
+    recordGymProgress,
+    getPlanProgress,
+    GymPlanError
+} from '../services/analytics/gymPlanner.js';
+import { formatNumber, formatCompact, formatDays } from '../utils/formatters.js';
+import { EMOJI, COLORS } from '../utils/constants.js';
+import { getUi, getStat, applyTemplate } from '../localization/index.js';
+
+const STAT_LABELS = { strength: 'STR', defense: 'DEF', speed: 'SPD', dexterity: 'DEX' };
+const STAT_CHOICES = STATS.map(stat => ({ name: stat, value: stat }));
+
+export const data = new SlashCommandBuilder()
+    .setName('gymplan')
+    .setDescription('Gym training plan toward a stat ratio')
+    .addSubcommand(sub => sub
+        .setName('set')
+        .setDescription('Set your target ratio and goal')
+        .addStringOption(option => option
+            .setName('preset')
+            .setDescription('Target stat ratio')
+            .setRequired(true)
+            .addChoices(...Object.entries(PRESETS).map(([value, name]) => ({ name, value }))))
+        .addStringOption(option => option
+            .setName('primary')
+            .setDescription("Hank's: highest stat (default strength)")
+            .addChoices(...STAT_CHOICES))
+        .addStringOption(option => option
+            .setName('dump')
+            .setDescription("Hank's: lowest stat (default dexterity)")
+            .addChoices(...STAT_CHOICES))
+        .addStringOption(option => option
+            .setName('ratio')
+            .setDescription('Custom: str/def/spd/dex, e.g. 40/30/20/10'))
+        .addIntegerOption(option => option
+            .setName('goal')
+            .setDescription('Target total battle stats')
+            .setMinValue(1))
+        .addIntegerOption(option => option
+            .setName('xanax')
+            .setDescription('Xanax taken per day (default 0)')
+            .setMinValue(0)
+            .setMaxValue(4))
+        .addBooleanOption(option => option
+            .setName('refill')
+            .setDescription('Daily points energy refill (default no)')))
+    .addSubcommand(sub => sub
+        .setName('next')
+        .setDescription('What to train with your current energy'))
+    .addSubcommand(sub => sub
+        .setName('status')
+        .setDescription('Progress, ratio and goal projection'))
+    .addSubcommand(sub => sub
+        .setName('clear')
+        .setDescription('Remove your gym plan'));
+
+export async function execute(interaction) {
+    const user = getUser(interaction.user.id);
+
+    if (!user || !user.apiKey) {
+        await interaction.reply({
+            content: getUi('register_first'),
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'clear') {
+        clearGymPlan(interaction.user.id);
+        await interaction.reply({ content: `${EMOJI.SUCCESS} ${getUi('gym_plan_removed')}`, ephemeral: true });
+        return;
+    }
+
+    if (subcommand !== 'set' && !getGymPlan(interaction.user.id)) {
+        await interaction.reply({
+            content: `${EMOJI.WARNING} ${getUi('no_gym_plan')}`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        const [player, gyms] = await Promise.all([
+            get(user.apiKey, 'user', 'gym,battlestats,bars'),
+            getGyms(user.apiKey)
+        ]);
+
+        switch (subcommand) {
+            case 'set':
+                await handleSet(interaction, player, gyms);
+                break;
+            case 'next':
+                await handleNext(interaction, player, gyms);
+                break;
+            case 'status':
+                await handleStatus(interaction, player, gyms);
+                break;
+        }
+    } catch (error) {
+        if (!(error instanceof GymPlanError)) {
+            console.error(`/gymplan ${subcommand} error:`, error);
+        }
+        await interaction.editReply(`${EMOJI.ERROR} ${error.message}`);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════
+
+function formatRatio(ratio) {
+    return STATS.map(stat => `${STAT_LABELS[stat]} ${Math.round(ratio[stat] * 100)}%`).join(' • ');
+}
+
+function presetName(preset) {
+    return getUi(`gym_preset_${preset}`);
+}
+
+/**
+ * Projection for a plan from the current stats
+ */
+function project(plan, player, unlockedGyms) {
+    const energy = getDailyEnergy(player.energy, plan);
+    const projection = plan.goal
+        ? projectGoal({
+            stats: player,
+            goal: plan.goal,
+            dailyEnergy: energy.total,
+            happy: player.happy?.maximum || 0,
+            ratio: plan.ratio,
+            unlockedGyms
+        })
+        : null;
+
+    return { energy, projection };
+}
+
+function energyLine(energy) {
+    const parts = [applyTemplate('energy_regen', { n: formatNumber(energy.regen) })];
+    if (energy.xanax) parts.push(applyTemplate('energy_xanax', { n: formatNumber(energy.xanax) }));
+    if (energy.refill) parts.push(applyTemplate('energy_refill', { n: formatNumber(energy.refill) }));
+    return applyTemplate('energy_per_day', { total: formatNumber(energy.total), parts: parts.join(' + ') });
+}
+
+function projectionLine(plan, projection) {
+    const goal = formatCompact(plan.goal);
+    if (!projection) return getUi('no_goal_set');
+    if (!projection.reached) return applyTemplate('goal_unreachable', { goal });
+    if (projection.days === 0) return `${EMOJI.SUCCESS} ${applyTemplate('goal_reached', { goal })}`;
+
+    const date = Math.floor((Date.now() + projection.days * 86400000) / 1000);
+    return applyTemplate('goal_eta', { goal, time: formatDays(projection.days), date: `<t:${date}:D>` });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SUBCOMMANDS
+// ═══════════════════════════════════════════════════════════════════
+
+async function handleSet(interaction, player, gyms) {
+    const preset = interaction.options.getString('preset');
+    const ratio = buildRatio(preset, {
+        primary: interaction.options.getString('primary') || 'strength',
+        dump: interaction.options.getString('dump') || 'dexterity',
+        ratio: interaction.options.getString('ratio')
+    });
+
+    const plan = setGymPlan(interaction.user.id, {
+        preset,
+        ratio,
+        goal: interaction.options.getInteger('goal'),
+        xanaxPerDay: interaction.options.getInteger('xanax') || 0,
+        refill: interaction.options.getBoolean('refill') || false,
+        stats: player,
+        activeGym: player.active_gym
+    });
+
+    const { energy, projection } = project(plan, player, getUnlockedGyms(gyms, plan.gymsSeen));
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.SUCCESS)
+        .setTitle(`🏋️ ${getUi('gym_plan_set')}`)
+        .addFields(
+            { name: presetName(preset), value: formatRatio(ratio), inline: false },
+            { name: `⚡ ${getUi('energy')}`, value: energyLine(energy), inline: false },
+            { name: `🎯 ${getUi('goal')}`, value: projectionLine(plan, projection), inline: false }
+        )
+        .setFooter({ text: getUi('gymplan_next_hint') })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleNext(interaction, player, gyms) {
+    const plan = recordGymProgress(interaction.user.id, player, player.active_gym);
+    const unlockedGyms = getUnlockedGyms(gyms, plan.gymsSeen);
+    const happy = player.happy?.current || 0;
+
+    const session = simulateSession({
+        stats: player,
+        energy: player.energy?.current || 0,
+        happy,
+        ratio: plan.ratio,
+        unlockedGyms
+    });
+
+    // The stat furthest behind its target share is trained first
+    const total = totalStats(player) || 1;
+    const nextStat = STATS
+        .filter(stat => plan.ratio[stat] > 0)
+        .sort((a, b) => (plan.ratio[b] - player[b] / total) - (plan.ratio[a] - player[a] / total))[0];
+    const nextGym = getBestGym(unlockedGyms, nextStat);
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`🏋️ ${getUi('next_training_session')}`)
+        .setTimestamp();
+
+    if (nextGym) {
+        const perTrain = gainPerTrain(nextStat, player[nextStat], happy, nextGym);
+        const switchNote = nextGym.id !== player.active_gym
+            ? `\n↪️ ${applyTemplate('switch_gym', { gym: gyms[player.active_gym]?.name || player.active_gym })}`
+            : '';
+        embed.setDescription(
+            applyTemplate('train_stat_at', { stat: getStat(nextStat), gym: nextGym.name, dots: nextGym.dots[nextStat], energy: nextGym.energy }) + '\n' +
+            applyTemplate('per_train_at_happy', { gain: formatNumber(Math.round(perTrain)), happy: formatNumber(happy) }) + switchNote
+        );
+    }
+
+    const trainLines = STATS
+        .filter(stat => session.trains[stat])
+        .map(stat => {
+            const t = session.trains[stat];
+            return applyTemplate('train_line', {
+                stat: STAT_LABELS[stat],
+                count: t.count,
+                gym: t.gym.name,
+                energy: formatNumber(t.energy),
+                gain: formatNumber(Math.round(t.gain))
+            });
+        });
+
+    embed.addFields({
+        name: `⚡ ${applyTemplate('n_energy', { n: formatNumber(player.energy?.current || 0) })}`,
+        value: trainLines.join('\n') || getUi('not_enough_energy'),
+        inline: false
+    });
+
+    if (session.gain > 0) {
+        embed.setFooter({ text: applyTemplate('estimated_gain', { gain: formatNumber(Math.round(session.gain)) }) });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleStatus(interaction, player, gyms) {
+    const plan = recordGymProgress(interaction.user.id, player, player.active_gym);
+    const unlockedGyms = getUnlockedGyms(gyms, plan.gymsSeen);
+    const progress = getPlanProgress(plan, player);
+    const { energy, projection } = project(plan, player, unlockedGyms);
+
+    const ratioLines = STATS.map(stat => {
+        const share = progress.shares[stat];
+        const diff = Math.round(share.diff * 1000) / 10;
+        const icon = Math.abs(diff) < 1 ? '🟢' : diff < 0 ? '🔻' : '🔺';
+        return `${icon} **${STAT_LABELS[stat]}** ${formatCompact(player[stat] || 0)} • ${(share.current * 100).toFixed(1)}% / ${(share.target * 100).toFixed(1)}%`;
+    });
+
+    const progressLines = [
+        applyTemplate('gained_in', {
+            gained: formatCompact(progress.gained),
+            time: formatDays(progress.days),
+            from: formatCompact(plan.start.total),
+            to: formatCompact(totalStats(player))
+        })
+    ];
+    if (progress.goalProgress !== null) {
+        progressLines.push(applyTemplate('goal_progress', { percent: (progress.goalProgress * 100).toFixed(1), goal: formatCompact(plan.goal) }));
+    }
+    if (progress.avgDaily !== null && projection?.dailyGain) {
+        const pace = progress.avgDaily / projection.dailyGain;
+        const icon = pace >= 0.9 ? '🟢' : pace >= 0.6 ? '🟡' : '🔴';
+        progressLines.push(`${icon} ${applyTemplate('actual_vs_planned', {
+            actual: formatCompact(Math.round(progress.avgDaily)),
+            planned: formatCompact(Math.round(projection.dailyGain))
+        })}`);
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`🏋️ ${getUi('gym_plan')} • ${presetName(plan.preset)}`)
+        .addFields(
+            { name: `📊 ${getUi('ratio_current_target')}`, value: ratioLines.join('\n'), inline: false },
+            { name: `📈 ${getUi('progress')}`, value: progressLines.join('\n'), inline: false },
+            { name: `⚡ ${getUi('energy')}`, value: energyLine(energy), inline: false },
+            { name: `🎯 ${getUi('goal')}`, value: projectionLine(plan, projection), inline: false }
+        )
+        .setFooter({ text: applyTemplate('gyms_unlocked', { n: unlockedGyms.length }) })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
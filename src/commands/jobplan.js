@@ -0,0 +1,323 @@
+/**
+ * /jobplan Command
+ * Working stats progression: gains per day (chart), when the next position's
+ * requirements will be met, and job points toward each company's specials
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } from 'discord.js';
+import { get } from '../services/tornApi.js';
+import { getUser } from '../services/userStorage.js';
+import {
+    WORK_STATS,
+    recordWorkProgress,
+    getWorkHistory,
+    getGainRates,
+    getCompanyTypes,
+    getNextPosition,
+    projectRequirement,
+    getPerkProgress,
+    getJobTarget,
+    setJobTarget,
+    WorkProgressError
+} from '../services/analytics/workProgress.js';
+import { buildWorkStatsChart, CHART_PERIODS } from '../services/charts/workStatsChart.js';
+import { formatNumber, formatCompact, formatDays } from '../utils/formatters.js';
+import { EMOJI, COLORS } from '../utils/constants.js';
+import { getUi, applyTemplate } from '../localization/index.js';
+
+const STAT_LABELS = { manual_labor: 'MAN', intelligence: 'INT', endurance: 'END' };
+const MAX_PERK_COMPANIES = 6;
+
+export const data = new SlashCommandBuilder()
+    .setName('jobplan')
+    .setDescription('Working stats progression, next position and job point specials')
+    .addSubcommand(sub => sub
+        .setName('progress')
+        .setDescription('Working stat gains per day')
+        .addIntegerOption(option => option
+            .setName('days')
+            .setDescription('Period (default 30 days)')
+            .addChoices(...CHART_PERIODS.map(days => ({ name: `${days} days`, value: days })))))
+    .addSubcommand(sub => sub
+        .setName('position')
+        .setDescription('When you will meet the next position\'s requirements'))
+    .addSubcommand(sub => sub
+        .setName('perks')
+        .setDescription('Job points toward each company\'s specials'))
+    .addSubcommand(sub => sub
+        .setName('target')
+        .setDescription('Target stats for a city job rank (no values clears it)')
+        .addStringOption(option => option
+            .setName('name')
+            .setDescription('Rank name, e.g. Sergeant'))
+        .addIntegerOption(option => option
+            .setName('manual')
+            .setDescription('Manual labor required')
+            .setMinValue(0))
+        .addIntegerOption(option => option
+            .setName('intelligence')
+            .setDescription('Intelligence required')
+            .setMinValue(0))
+        .addIntegerOption(option => option
+            .setName('endurance')
+            .setDescription('Endurance required')
+            .setMinValue(0)));
+
+export async function execute(interaction) {
+    const user = getUser(interaction.user.id);
+
+    if (!user || !user.apiKey) {
+        await interaction.reply({
+            content: getUi('register_first'),
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        switch (subcommand) {
+            case 'progress':
+                await handleProgress(interaction, user);
+                break;
+            case 'position':
+                await handlePosition(interaction, user);
+                break;
+            case 'perks':
+                await handlePerks(interaction, user);
+                break;
+            case 'target':
+                await handleTarget(interaction);
+                break;
+        }
+    } catch (error) {
+        if (!(error instanceof WorkProgressError)) {
+            console.error(`/jobplan ${subcommand} error:`, error);
+        }
+        await interaction.editReply(`${EMOJI.ERROR} ${error.userMessage || error.message}`);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════
+
+function statLines(stats, rates) {
+    return WORK_STATS.map(stat => {
+        const rate = rates[stat] ? ` (${applyTemplate('gain_per_day', { n: formatNumber(Math.round(rates[stat])) })})` : '';
+        return `**${STAT_LABELS[stat]}** ${formatNumber(stats[stat] || 0)}${rate}`;
+    }).join('\n');
+}
+
+/**
+ * Requirement lines and projection for a target
+ */
+function requirementField(name, required, stats, rates) {
+    const projection = projectRequirement(stats, required, rates);
+
+    const lines = WORK_STATS
+        .filter(stat => required[stat] > 0)
+        .map(stat => {
+            const icon = (stats[stat] || 0) >= required[stat] ? '✅' : '🔸';
+            return `${icon} **${STAT_LABELS[stat]}** ${formatNumber(stats[stat] || 0)} / ${formatNumber(required[stat])}`;
+        });
+
+    if (projection.met) {
+        lines.push(`${EMOJI.SUCCESS} ${getUi('requirements_met')}`);
+    } else if (projection.days !== null) {
+        const date = Math.floor((Date.now() + projection.days * 86400000) / 1000);
+        lines.push(`⏳ ~${formatDays(projection.days)} (<t:${date}:D>)`);
+    } else {
+        const stuck = Object.keys(projection.missing).filter(stat => !rates[stat]).map(stat => STAT_LABELS[stat]);
+        lines.push(`⏳ ${applyTemplate('not_reached_no_gains', { stats: stuck.join('/') })}`);
+    }
+
+    return { name: `🎯 ${name}`, value: lines.join('\n'), inline: false };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SUBCOMMANDS
+// ═══════════════════════════════════════════════════════════════════
+
+async function handleProgress(interaction, user) {
+    const days = interaction.options.getInteger('days') || 30;
+
+    const data = await get(user.apiKey, 'user', 'workstats,jobpoints');
+    const history = recordWorkProgress(interaction.user.id, data);
+    const rates = getGainRates(history);
+    const chart = buildWorkStatsChart(interaction.user.id, { days });
+
+    const period = getWorkHistory(interaction.user.id, days);
+    const first = period[0];
+    const gainedLines = WORK_STATS
+        .filter(stat => first?.[stat] !== undefined)
+        .map(stat => `**${STAT_LABELS[stat]}** +${formatNumber((data[stat] || 0) - first[stat])}`);
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`💼 ${getUi('working_stats_progress')}`)
+        .addFields(
+            { name: `📊 ${getUi('current')}`, value: statLines(data, rates.stats), inline: true },
+            { name: `📈 ${applyTemplate('since_date', { date: first?.date || getUi('today') })}`, value: gainedLines.join('\n') || getUi('no_history'), inline: true }
+        )
+        .setFooter({ text: applyTemplate('work_history_footer', { recorded: history.length, days: rates.days || 0 }) })
+        .setTimestamp();
+
+    if (!chart) {
+        embed.setDescription(getUi('work_chart_needs_history'));
+        await interaction.editReply({ embeds: [embed] });
+        return;
+    }
+
+    embed.setImage(`attachment://${chart.name}`);
+    await interaction.editReply({
+        embeds: [embed],
+        files: [new AttachmentBuilder(chart.buffer, { name: chart.name })]
+    });
+}
+
+async function handlePosition(interaction, user) {
+    const data = await get(user.apiKey, 'user', 'profile,workstats');
+    const history = recordWorkProgress(interaction.user.id, data);
+    const rates = getGainRates(history);
+    const job = data.job || {};
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`💼 ${getUi('next_position')}`)
+        .setTimestamp();
+
+    let projectionRates = rates.stats;
+    let source = rates.days > 0 ? applyTemplate('gains_over_days', { n: rates.days }) : null;
+
+    if (job.company_id) {
+        const companyTypes = await getCompanyTypes(user.apiKey);
+        const companyType = companyTypes[job.company_type];
+        if (!companyType) throw new WorkProgressError(getUi('company_positions_unavailable'));
+
+        const { current, next } = getNextPosition(companyType, job.position, data);
+
+        // Until there is history, a day's work gains what the position gives
+        if (rates.days === 0 && current) {
+            projectionRates = current.gains;
+            source = applyTemplate('position_daily_gains', { position: current.name });
+        }
+
+        embed.setDescription(applyTemplate('position_at_company', {
+            position: job.position || getUi('employee'),
+            company: job.company_name || companyType.name,
+            type: companyType.name
+        }));
+        embed.addFields({ name: `📊 ${getUi('working_stats')}`, value: statLines(data, projectionRates), inline: false });
+
+        if (next) {
+            embed.addFields(requirementField(next.name, next.required, data, projectionRates));
+            if (next.special) embed.addFields({ name: `✨ ${getUi('ability')}`, value: next.special, inline: false });
+        } else {
+            embed.addFields({ name: `🎯 ${getUi('next_position')}`, value: `${EMOJI.SUCCESS} ${getUi('all_positions_met')}`, inline: false });
+        }
+    } else {
+        const target = getJobTarget(interaction.user.id);
+
+        embed.setDescription(job.job && job.job !== 'None'
+            ? `**${job.position || job.job}** (${job.job})`
+            : getUi('no_job'));
+        embed.addFields({ name: `📊 ${getUi('working_stats')}`, value: statLines(data, projectionRates), inline: false });
+
+        if (target) {
+            embed.addFields(requirementField(target.label || getUi('target'), target, data, projectionRates));
+        } else {
+            embed.addFields({
+                name: `🎯 ${getUi('next_rank')}`,
+                value: getUi('city_job_requirements'),
+                inline: false
+            });
+        }
+    }
+
+    embed.setFooter({ text: source ? applyTemplate('projected_from', { source }) : getUi('no_history_projection') });
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handlePerks(interaction, user) {
+    const [data, companyTypes] = await Promise.all([
+        get(user.apiKey, 'user', 'jobpoints'),
+        getCompanyTypes(user.apiKey)
+    ]);
+    const history = recordWorkProgress(interaction.user.id, data);
+    const rates = getGainRates(history);
+    const progress = getPerkProgress(companyTypes, data.jobpoints, rates.companies);
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`💼 ${getUi('job_points_specials')}`)
+        .setTimestamp();
+
+    if (progress.length === 0) {
+        embed.setDescription(getUi('no_company_jp'));
+    }
+
+    for (const company of progress.slice(0, MAX_PERK_COMPANIES)) {
+        const lines = company.specials.map(special => special.affordable
+            ? `✅ ${special.name} (${formatNumber(special.cost)})`
+            : `🔒 ${special.name} ${formatNumber(company.points)} / ${formatNumber(special.cost)}`);
+
+        if (company.next && company.daysToNext !== null) {
+            lines.push(`⏳ ${applyTemplate('special_in', { special: company.next.name, time: formatDays(company.daysToNext) })}`);
+        }
+
+        const perDay = company.perDay ? ` (${applyTemplate('gain_per_day', { n: formatNumber(Math.round(company.perDay)) })})` : '';
+        embed.addFields({
+            name: `🏢 ${company.name} • ${formatNumber(company.points)} JP${perDay}`,
+            value: (lines.join('\n') || getUi('no_jp_specials')).slice(0, 1024),
+            inline: false
+        });
+    }
+
+    const cityJobs = Object.entries(data.jobpoints?.jobs || {}).filter(([, points]) => points > 0);
+    if (cityJobs.length > 0) {
+        embed.addFields({
+            name: `🏛️ ${getUi('city_jobs')}`,
+            value: cityJobs.map(([name, points]) => `**${name}** ${formatCompact(points)} JP`).join(' • '),
+            inline: false
+        });
+    }
+
+    if (progress.length > MAX_PERK_COMPANIES) {
+        embed.setFooter({ text: applyTemplate('more_jp_companies', { n: progress.length - MAX_PERK_COMPANIES }) });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleTarget(interaction) {
+    const values = {
+        manual_labor: interaction.options.getInteger('manual') || 0,
+        intelligence: interaction.options.getInteger('intelligence') || 0,
+        endurance: interaction.options.getInteger('endurance') || 0
+    };
+
+    if (WORK_STATS.every(stat => !values[stat])) {
+        setJobTarget(interaction.user.id, null);
+        await interaction.editReply(`${EMOJI.SUCCESS} ${getUi('target_removed')}`);
+        return;
+    }
+
+    const target = setJobTarget(interaction.user.id, {
+        label: interaction.options.getString('name') || null,
+        ...values
+    });
+
+    const summary = WORK_STATS
+        .filter(stat => target[stat])
+        .map(stat => `${STAT_LABELS[stat]} ${formatNumber(target[stat])}`)
+        .join(' • ');
+    const message = target.label
+        ? applyTemplate('named_target_set', { name: target.label, summary })
+        : applyTemplate('target_set', { summary });
+    await interaction.editReply(`${EMOJI.SUCCESS} ${message}`);
+}
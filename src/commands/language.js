@@ -0,0 +1,118 @@
+/**
+ * /language Command
+ * Choose the language the bot uses for you or for a channel
+ * (your setting wins over the channel's, which wins over the bot default)
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } from 'discord.js';
+import {
+    getLocales,
+    getDefaultLocale,
+    getUserLocale,
+    setUserLocale,
+    getChannelLocale,
+    setChannelLocale,
+    resolveLocale,
+    getUi,
+    applyTemplate
+} from '../localization/index.js';
+import { COLORS, EMOJI } from '../utils/constants.js';
+
+const languageOption = option => option
+    .setName('language')
+    .setDescription('Language (Default removes the setting)')
+    .setRequired(true)
+    .addChoices(
+        ...getLocales().map(({ code, name }) => ({ name, value: code })),
+        { name: 'Default', value: 'default' }
+    );
+
+export const data = new SlashCommandBuilder()
+    .setName('language')
+    .setDescription('Bot language for you or this channel')
+    .addSubcommand(sub => sub
+        .setName('show')
+        .setDescription('Show your language, this channel\'s and the bot default'))
+    .addSubcommand(sub => sub
+        .setName('set')
+        .setDescription('Set your language')
+        .addStringOption(languageOption))
+    .addSubcommand(sub => sub
+        .setName('channel')
+        .setDescription('Set this channel\'s language (Manage Channels)')
+        .addStringOption(languageOption));
+
+function localeName(code) {
+    return getLocales().find(locale => locale.code === code)?.name || code;
+}
+
+export async function execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+        case 'show':
+            await handleShow(interaction);
+            break;
+        case 'set':
+            await handleSet(interaction);
+            break;
+        case 'channel':
+            await handleChannel(interaction);
+            break;
+    }
+}
+
+async function handleShow(interaction) {
+    const userLocale = getUserLocale(interaction.user.id);
+    const channelLocale = getChannelLocale(interaction.channelId);
+    const notSet = getUi('language_not_set');
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`🌐 ${getUi('language')}`)
+        .addFields(
+            { name: getUi('language_yours'), value: userLocale ? localeName(userLocale) : notSet, inline: true },
+            { name: getUi('language_channel'), value: channelLocale ? localeName(channelLocale) : notSet, inline: true },
+            { name: getUi('language_default'), value: localeName(getDefaultLocale()), inline: true },
+            { name: getUi('language_available'), value: getLocales().map(({ code, name }) => `\`${code}\` ${name}`).join('\n'), inline: false }
+        );
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleSet(interaction) {
+    const language = interaction.options.getString('language');
+    const locale = language === 'default' ? null : language;
+
+    setUserLocale(interaction.user.id, locale);
+
+    // Confirm in the language that applies from now on
+    const effective = resolveLocale({ userId: interaction.user.id, channelId: interaction.channelId });
+    const content = locale
+        ? applyTemplate('language_set', { language: localeName(locale) }, effective)
+        : getUi('language_reset', effective);
+
+    await interaction.reply({ content: `${EMOJI.SUCCESS} ${content}`, ephemeral: true });
+}
+
+async function handleChannel(interaction) {
+    const allowed = interaction.user.id === process.env.OWNER_ID ||
+        interaction.memberPermissions?.has(PermissionFlagsBits.ManageChannels);
+
+    if (!allowed) {
+        await interaction.reply({ content: `${EMOJI.ERROR} ${getUi('language_manage_channels')}`, ephemeral: true });
+        return;
+    }
+
+    const language = interaction.options.getString('language');
+    const locale = language === 'default' ? null : language;
+
+    setChannelLocale(interaction.channelId, locale);
+
+    const effective = locale || getDefaultLocale();
+    const content = locale
+        ? applyTemplate('language_channel_set', { language: localeName(locale) }, effective)
+        : getUi('language_channel_reset', effective);
+
+    await interaction.reply({ content: `${EMOJI.SUCCESS} ${content}` });
+}
@@ -0,0 +1,205 @@
+/**
+ * /logtypes Command
+ * Manage how Torn log types are booked into the profit engine (owner only):
+ * list the classification, add or change a type, remove one, and report
+ * log types seen recently that have no rule yet
+ */
+
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import {
+    DIRECTIONS,
+    CATEGORIES,
+    getRule,
+    getRules,
+    setRule,
+    removeRule,
+    getUnclassified,
+    LogClassificationError
+} from '../services/analytics/logClassification.js';
+import { formatNumber } from '../utils/formatters.js';
+import { EMOJI, COLORS } from '../utils/constants.js';
+import { getUi, applyTemplate } from '../localization/index.js';
+
+const DIRECTION_ICONS = { income: '📥', expense: '📤', ignore: '⏭️' };
+const ALL_CATEGORIES = [...new Set([...CATEGORIES.income, ...CATEGORIES.expense])];
+
+const typeOption = option => option
+    .setName('type')
+    .setDescription('Log type ID')
+    .setRequired(true)
+    .setMinValue(1)
+    .setAutocomplete(true);
+
+export const data = new SlashCommandBuilder()
+    .setName('logtypes')
+    .setDescription('Log type classification for profit tracking (owner only)')
+    .addSubcommand(sub => sub
+        .setName('list')
+        .setDescription('List classified log types'))
+    .addSubcommand(sub => sub
+        .setName('set')
+        .setDescription('Add or change a log type')
+        .addIntegerOption(typeOption)
+        .addStringOption(option => option
+            .setName('direction')
+            .setDescription('Income, expense, or ignore')
+            .setRequired(true)
+            .addChoices(...DIRECTIONS.map(d => ({ name: d, value: d }))))
+        .addStringOption(option => option
+            .setName('category')
+            .setDescription('Profit category (income or expense)')
+            .addChoices(...ALL_CATEGORIES.map(c => ({ name: c, value: c }))))
+        .addStringOption(option => option
+            .setName('amount_field')
+            .setDescription('Log data field with the cash amount (e.g. money)'))
+        .addStringOption(option => option
+            .setName('item_field')
+            .setDescription('Log data field with items to value at market price (e.g. items)'))
+        .addStringOption(option => option
+            .setName('qty_field')
+            .setDescription('Quantity field for a single item ID (default quantity)'))
+        .addStringOption(option => option
+            .setName('description')
+            .setDescription('Name shown in logs (default: the log title)')))
+    .addSubcommand(sub => sub
+        .setName('remove')
+        .setDescription('Remove a rule (custom rules revert to the default)')
+        .addIntegerOption(typeOption))
+    .addSubcommand(sub => sub
+        .setName('unclassified')
+        .setDescription('Log types seen recently without a rule')
+        .addIntegerOption(option => option
+            .setName('days')
+            .setDescription('Look back this many days (default 7)')
+            .setMinValue(1)
+            .setMaxValue(90)));
+
+export async function execute(interaction) {
+    // Owner only
+    if (interaction.user.id !== process.env.OWNER_ID) {
+        await interaction.reply({
+            content: getUi('only_owner'),
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+        switch (subcommand) {
+            case 'list':
+                await handleList(interaction);
+                break;
+            case 'set':
+                await handleSet(interaction);
+                break;
+            case 'remove':
+                await handleRemove(interaction);
+                break;
+            case 'unclassified':
+                await handleUnclassified(interaction);
+                break;
+        }
+    } catch (error) {
+        if (!(error instanceof LogClassificationError)) {
+            console.error(`/logtypes ${subcommand} error:`, error);
+        }
+        await interaction.reply({ content: `${EMOJI.ERROR} ${error.message}`, ephemeral: true });
+    }
+}
+
+export async function autocomplete(interaction) {
+    const query = String(interaction.options.getFocused()).toLowerCase();
+    const subcommand = interaction.options.getSubcommand();
+
+    // Unclassified types first when adding, only existing rules when removing
+    const candidates = [
+        ...(subcommand === 'set' ? getUnclassified(30).map(t => ({ type: t.type, label: `❔ ${t.title || getUi('unknown')} (${t.count}×)` })) : []),
+        ...getRules().map(r => ({ type: r.type, label: `${DIRECTION_ICONS[r.direction]} ${r.desc}` }))
+    ];
+
+    const choices = candidates
+        .filter(c => String(c.type).includes(query) || c.label.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(c => ({ name: `${c.type} • ${c.label}`.slice(0, 100), value: c.type }));
+
+    await interaction.respond(choices);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SUBCOMMANDS
+// ═══════════════════════════════════════════════════════════════════
+
+function describeRule(rule) {
+    if (rule.direction === 'ignore') return getUi('log_type_ignored');
+
+    const parts = [`${rule.direction}/${rule.category}`];
+    if (rule.amountField) parts.push(`\`${rule.amountField}\``);
+    if (rule.valuation) parts.push(`${getUi('log_rule_items')} \`${rule.valuation.itemField}\``);
+    return parts.join(' • ');
+}
+
+async function handleList(interaction) {
+    const lines = getRules().map(rule =>
+        `${DIRECTION_ICONS[rule.direction]} \`${rule.type}\` ${rule.desc} • ${describeRule(rule)}${rule.source === 'custom' ? ' *' : ''}`
+    );
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`🏷️ ${getUi('log_type_classification')}`)
+        .setDescription((lines.join('\n') || getUi('no_log_types_classified')).slice(0, 4096))
+        .setFooter({ text: applyTemplate('log_types_footer', { n: lines.length }) })
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleSet(interaction) {
+    const type = interaction.options.getInteger('type');
+    const itemField = interaction.options.getString('item_field');
+
+    const rule = setRule(type, {
+        direction: interaction.options.getString('direction'),
+        category: interaction.options.getString('category'),
+        amountField: interaction.options.getString('amount_field'),
+        valuation: itemField ? { itemField, qtyField: interaction.options.getString('qty_field') } : null,
+        desc: interaction.options.getString('description')
+    });
+
+    await interaction.reply({
+        content: `${EMOJI.SUCCESS} ${applyTemplate('log_type_set', { type, desc: rule.desc, rule: describeRule(rule) })}`,
+        ephemeral: true
+    });
+}
+
+async function handleRemove(interaction) {
+    const type = interaction.options.getInteger('type');
+    const result = removeRule(type);
+    const fallback = getRule(type);
+
+    const content = result === 'reverted'
+        ? `${EMOJI.SUCCESS} ${applyTemplate('log_type_reverted', { type, rule: describeRule(fallback) })}`
+        : `${EMOJI.SUCCESS} ${applyTemplate('log_type_removed', { type })}`;
+
+    await interaction.reply({ content, ephemeral: true });
+}
+
+async function handleUnclassified(interaction) {
+    const days = interaction.options.getInteger('days') || 7;
+    const types = getUnclassified(days);
+
+    const lines = types.slice(0, 30).map(t => {
+        const fields = t.fields.length > 0 ? `\n   ${getUi('fields')}: ${t.fields.map(f => `\`${f}\``).join(', ')}` : '';
+        return `❔ \`${t.type}\` ${t.title || getUi('unknown')}${t.category ? ` (${t.category})` : ''} • ${formatNumber(t.count)}× • <t:${t.lastSeen}:R>${fields}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`❔ ${getUi('unclassified_log_types')} • ${applyTemplate('n_days', { n: days })}`)
+        .setDescription((lines.join('\n') || getUi('all_log_types_classified')).slice(0, 4096))
+        .setFooter({ text: applyTemplate('unclassified_footer', { n: types.length }) })
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
@@ -11,7 +11,7 @@ import { formatMoney, formatNumber } from '../utils/formatters.js';
 import { logTrade } from '../services/analytics/travelAnalyticsService.js';
 import { COUNTRIES as COUNTRIES_MAP } from '../services/autorun/handlers/foreignMarketHandler.js';
 import { getAllCountriesData } from '../services/yataGlobalCache.js';
-import { getUi, translate } from '../localization/index.js';
+import { getUi, getAction, translate } from '../localization/index.js';
 import { addAlert, removeAlert, getUserAlerts } from '../services/market/marketAlertStorage.js';
 
 // Cache for items data (24h refresh)
@@ -129,7 +129,7 @@ export async function execute(interaction, client) {
     const user = getUser(interaction.user.id);
     if (!user || !user.apiKey) {
         await interaction.reply({
-            content: '⚠️ You need to configure your API Key in `.env` file first!',
+            content: '⚠️ You need to register your API Key first with `/register`!',
             ephemeral: true
         });
         return;
@@ -390,11 +390,11 @@ async function handleTradeLog(interaction, type, apiKey) {
 
     try {
         // Log it directly (logic remains same)
-        const entry = logTrade(type, itemName, qty, price, country);
+        const entry = logTrade(interaction.user.id, type, itemName, qty, price, country);
 
         const emoji = type === 'buy' ? '💸' : '💰';
         const profitText = entry.profit ? `\n📈 **${getUi('profit')}:** ${formatMoney(entry.profit)}` : '';
-        const tradeLoggedText = type === 'buy' ? getUi('you_bought') : getUi('you_sold');
+        const tradeLoggedText = getAction(type === 'buy' ? 'you_bought' : 'you_sold');
 
         const embed = new EmbedBuilder()
             .setColor(type === 'buy' ? 0xE74C3C : 0x2ECC71)
@@ -0,0 +1,77 @@
+/**
+ * /networth Command
+ * Networth history as a PNG chart: the total, or stacked by category
+ * (liquid, inventory, market listings, other assets, liabilities)
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } from 'discord.js';
+import { get } from '../services/tornApi.js';
+import { getUser } from '../services/userStorage.js';
+import { buildNetworthChart, CHART_PERIODS } from '../services/charts/networthChart.js';
+import { createSnapshot } from '../services/analytics/networthSnapshotStorage.js';
+import { COLORS, EMOJI } from '../utils/constants.js';
+import { getUi, applyTemplate } from '../localization/index.js';
+
+export const data = new SlashCommandBuilder()
+    .setName('networth')
+    .setDescription('Networth history')
+    .addSubcommand(sub => sub
+        .setName('chart')
+        .setDescription('Networth chart over 7, 30 or 90 days')
+        .addIntegerOption(option => option
+            .setName('days')
+            .setDescription('Period (default 30 days)')
+            .addChoices(...CHART_PERIODS.map(days => ({ name: `${days} days`, value: days }))))
+        .addStringOption(option => option
+            .setName('type')
+            .setDescription('Total only, or stacked by category (default total)')
+            .addChoices(
+                { name: 'Total', value: 'total' },
+                { name: 'By category', value: 'stack' }
+            )));
+
+export async function execute(interaction) {
+    const user = getUser(interaction.user.id);
+
+    if (!user || !user.apiKey) {
+        await interaction.reply({
+            content: getUi('register_first'),
+            ephemeral: true
+        });
+        return;
+    }
+
+    const days = interaction.options.getInteger('days') || 30;
+    const type = interaction.options.getString('type') || 'total';
+
+    await interaction.deferReply();
+
+    try {
+        // Live networth as the newest point
+        let current = null;
+        try {
+            const response = await get(user.apiKey, 'user', 'networth');
+            if (response.networth) current = createSnapshot(response.networth);
+        } catch (error) {
+            console.error('/networth live fetch error:', error.message);
+        }
+
+        const chart = buildNetworthChart(interaction.user.id, { type, days, current });
+        if (!chart) {
+            await interaction.editReply(`${EMOJI.WARNING} ${getUi('networth_history_short')}`);
+            return;
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.INFO)
+            .setTitle(`📈 ${getUi('networth')} • ${applyTemplate('n_days', { n: days })}`)
+            .setImage(`attachment://${chart.name}`)
+            .setFooter({ text: applyTemplate('n_snapshots', { n: chart.points }) })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed], files: [new AttachmentBuilder(chart.buffer, { name: chart.name })] });
+    } catch (error) {
+        console.error('/networth chart error:', error);
+        await interaction.editReply(`${EMOJI.ERROR} ${getUi('chart_failed')}`);
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * /profit Command
+ * P&L reports over a week, the month so far or a custom date range,
+ * built from the profit engine's archived days (WIB calendar days)
+ */
+
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { getUser } from '../services/userStorage.js';
+import { buildProfitReport, getPeriodRange, isValidDate, countDays } from '../services/analytics/profitReports.js';
+import { getTodayDate } from '../services/analytics/profitEngineStorage.js';
+import { formatMoney } from '../utils/formatters.js';
+import { getUi, applyTemplate } from '../localization/index.js';
+import { EMOJI } from '../utils/constants.js';
+
+const MAX_RANGE_DAYS = 366;
+const MAX_DAY_LINES = 31;
+
+export const data = new SlashCommandBuilder()
+    .setName('profit')
+    .setDescription('Profit & loss reports')
+    .addSubcommand(sub => sub
+        .setName('week')
+        .setDescription('Last 7 days'))
+    .addSubcommand(sub => sub
+        .setName('month')
+        .setDescription('This month so far'))
+    .addSubcommand(sub => sub
+        .setName('range')
+        .setDescription('Custom date range')
+        .addStringOption(option => option
+            .setName('from')
+            .setDescription('First day, WIB (YYYY-MM-DD)')
+            .setRequired(true))
+        .addStringOption(option => option
+            .setName('to')
+            .setDescription('Last day, WIB (YYYY-MM-DD, default today)')));
+
+export async function execute(interaction) {
+    const user = getUser(interaction.user.id);
+
+    if (!user || !user.apiKey) {
+        await interaction.reply({
+            content: getUi('register_first'),
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    let range;
+
+    if (subcommand === 'range') {
+        range = {
+            from: interaction.options.getString('from').trim(),
+            to: (interaction.options.getString('to') || getTodayDate()).trim()
+        };
+
+        const error = validateRange(range);
+        if (error) {
+            await interaction.reply({ content: `${EMOJI.ERROR} ${error}`, ephemeral: true });
+            return;
+        }
+    } else {
+        range = getPeriodRange(subcommand);
+    }
+
+    try {
+        const report = buildProfitReport(interaction.user.id, range.from, range.to);
+        await interaction.reply({ embeds: [buildReportEmbed(report, subcommand)] });
+    } catch (error) {
+        console.error('/profit error:', error);
+        await interaction.reply({ content: `${EMOJI.ERROR} ${getUi('profit_report_failed')}`, ephemeral: true });
+    }
+}
+
+/**
+ * @returns {string|null} Error message
+ */
+function validateRange({ from, to }) {
+    if (!isValidDate(from)) return applyTemplate('invalid_start_date', { date: from });
+    if (!isValidDate(to)) return applyTemplate('invalid_end_date', { date: to });
+    if (from > to) return getUi('start_after_end');
+    if (countDays(from, to) > MAX_RANGE_DAYS) return applyTemplate('range_limited', { n: MAX_RANGE_DAYS });
+    return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// EMBED
+// ═══════════════════════════════════════════════════════════════════
+
+function signed(amount) {
+    return `${amount >= 0 ? '+' : '-'}${formatMoney(Math.abs(Math.round(amount)))}`;
+}
+
+function breakdownLines(values, prefix, sign) {
+    return Object.entries(values)
+        .filter(([, value]) => value > 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, value]) => `• ${getUi(`${prefix}_${key}`).padEnd(20)} ${sign}${formatMoney(Math.round(value))}`);
+}
+
+/**
+ * Split lines into field values of at most `size` characters
+ */
+function chunkLines(lines, size) {
+    const chunks = [];
+    let current = '';
+    for (const line of lines) {
+        if (current && current.length + line.length + 1 > size) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${line}` : line;
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+function buildReportEmbed(report, period) {
+    const titles = { week: getUi('last_7_days'), month: getUi('this_month'), range: getUi('custom_range') };
+    const icon = report.net >= 0 ? '🟢' : '🔴';
+
+    const embed = new EmbedBuilder()
+        .setColor(report.net >= 0 ? 0x2ECC71 : 0xE74C3C)
+        .setTitle(`🧮 ${getUi('pnl')} • ${titles[period]}`)
+        .setFooter({ text: applyTemplate('profit_report_footer', { from: report.from, to: report.to, recorded: report.days.length, total: report.dayCount }) })
+        .setTimestamp();
+
+    if (report.days.length === 0) {
+        embed.setDescription(getUi('no_profit_data'));
+        return embed;
+    }
+
+    const description = [`**💰 ${getUi('net_pnl')}:** ${icon} ${signed(report.net)}`];
+    description.push(`**${getUi('avg_per_day')}:** ${signed(report.avgNet)}`);
+    if (report.previous) {
+        const diff = report.net - report.previous.net;
+        const label = applyTemplate('vs_previous_days', { n: report.dayCount });
+        const was = applyTemplate('was_amount', { amount: signed(report.previous.net) });
+        description.push(`**${label}:** ${diff >= 0 ? '📈' : '📉'} ${signed(diff)} (${was})`);
+    }
+    embed.setDescription(description.join('\n'));
+
+    const incomeLines = breakdownLines(report.income, 'source', '+');
+    const expenseLines = breakdownLines(report.expense, 'expense', '-');
+    embed.addFields(
+        {
+            name: `📥 ${getUi('income')} • ${formatMoney(Math.round(report.totalIncome))}`,
+            value: '```\n' + (incomeLines.join('\n') || getUi('no_income')) + '\n```'
+        },
+        {
+            name: `📤 ${getUi('expenses')} • ${formatMoney(Math.round(report.totalExpense))}`,
+            value: '```\n' + (expenseLines.join('\n') || getUi('no_expenses')) + '\n```'
+        }
+    );
+
+    if (report.bestDay) {
+        const extremes = [`🏆 **${getUi('best_day')}:** ${report.bestDay.date} ${signed(report.bestDay.net)}`];
+        if (report.worstDay) extremes.push(`💀 **${getUi('worst_day')}:** ${report.worstDay.date} ${signed(report.worstDay.net)}`);
+        embed.addFields({ name: `📊 ${getUi('days')}`, value: extremes.join('\n'), inline: false });
+    }
+
+    // Daily lines with day-over-day change (newest last)
+    const lines = report.days.slice(-MAX_DAY_LINES).map(day => {
+        const change = day.change === null ? '' : ` (${day.change >= 0 ? '▲' : '▼'} ${formatMoney(Math.abs(Math.round(day.change)))})`;
+        return `${day.date.slice(5)} ${day.net >= 0 ? '🟢' : '🔴'} ${signed(day.net)}${change}`;
+    });
+    const hidden = report.days.length - lines.length;
+    chunkLines(lines, 1024).forEach((chunk, i) => {
+        embed.addFields({
+            name: i === 0 ? `📅 ${getUi('day_by_day')}${hidden > 0 ? ` (${applyTemplate('last_n', { n: lines.length })})` : ''}` : '\u200b',
+            value: chunk
+        });
+    });
+
+    embed.addFields({
+        name: `📈 ${getUi('activity')}`,
+        value: [
+            `**${getUi('trips')}:** ${report.stats.tripCount || 0}`,
+            `**${getUi('crimes')}:** ${report.stats.crimeCount || 0}`,
+            `**${getUi('xanax_used')}:** ${report.stats.xanaxUsed || 0}`
+        ].join(' • ')
+    });
+
+    return embed;
+}
@@ -0,0 +1,109 @@
+/**
+ * /register Command
+ * Register your own Torn API key (stored encrypted)
+ */
+
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { get, verifyApiKey, clearApiCache } from '../services/tornApi.js';
+import { getUser, setUser, getRegisteredUsers } from '../services/userStorage.js';
+import { hasEncryptionSecret } from '../utils/keyCrypto.js';
+import { COLORS, EMOJI } from '../utils/constants.js';
+
+// Torn access levels: 1 Public, 2 Minimal, 3 Limited, 4 Full
+const MIN_ACCESS_LEVEL = 3;
+
+export const data = new SlashCommandBuilder()
+    .setName('register')
+    .setDescription('Register your Torn API key (Limited Access or higher)')
+    .addStringOption(option =>
+        option
+            .setName('key')
+            .setDescription('Your 16-character Torn API key')
+            .setRequired(true)
+            .setMinLength(16)
+            .setMaxLength(16)
+    );
+
+export async function execute(interaction) {
+    const apiKey = interaction.options.getString('key').trim();
+    const discordId = interaction.user.id;
+
+    // Keys are only stored encrypted
+    if (!hasEncryptionSecret()) {
+        await interaction.reply({
+            content: `${EMOJI.ERROR} Registration is disabled: the bot owner has not set \`KEY_ENCRYPTION_SECRET\`, so your key can't be stored encrypted.`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        // Validate key and read its access level
+        const [profile, keyInfo] = await Promise.all([
+            verifyApiKey(apiKey),
+            get(apiKey, 'key', 'info')
+        ]);
+
+        const accessLevel = keyInfo.access_level || 0;
+        if (accessLevel < MIN_ACCESS_LEVEL) {
+            await interaction.editReply({
+                content: `${EMOJI.ERROR} This key has **${keyInfo.access_type || 'unknown'}** access. Please create a key with **Limited Access** or higher.`
+            });
+            return;
+        }
+
+        // One Torn account per Discord user
+        const linked = getRegisteredUsers().find(u => u.tornId === profile.player_id && u.discordId !== discordId);
+        if (linked) {
+            await interaction.editReply({
+                content: `${EMOJI.ERROR} ${profile.name} [${profile.player_id}] is already registered by another Discord user.`
+            });
+            return;
+        }
+
+        const existing = getUser(discordId);
+        if (existing?.apiKey && existing.apiKey !== apiKey) {
+            clearApiCache(existing.apiKey);
+        }
+
+        setUser(discordId, {
+            apiKey,
+            tornId: profile.player_id,
+            tornName: profile.name,
+            accessLevel,
+            accessType: keyInfo.access_type,
+            registeredAt: existing?.registeredAt || new Date().toISOString(),
+            source: 'command'
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.SUCCESS)
+            .setTitle(`${EMOJI.SUCCESS} Registered`)
+            .setDescription(`Linked to **${profile.name}** [${profile.player_id}]`)
+            .addFields(
+                { name: 'Access', value: `\`\`\`${keyInfo.access_type}\`\`\``, inline: true },
+                { name: 'Storage', value: '```Encrypted```', inline: true }
+            )
+            .setFooter({ text: 'Use /unregister to delete your key and data' })
+            .setTimestamp();
+
+        // The env key always wins for the owner
+        if (discordId === process.env.OWNER_ID && process.env.TORN_API_KEY) {
+            embed.addFields({
+                name: `${EMOJI.WARNING} Note`,
+                value: 'TORN_API_KEY in `.env` overrides this key for the bot owner.'
+            });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+        console.log(`🔑 ${profile.name} [${profile.player_id}] registered by ${discordId}`);
+
+    } catch (error) {
+        console.error('Register error:', error);
+        await interaction.editReply({
+            content: `${EMOJI.ERROR} ${error.userMessage || error.message}`
+        });
+    }
+}
@@ -0,0 +1,570 @@
+/**
+ * /trades Command
+ * Page through the trade ledger with filters, view open lots with their
+ * cost basis, export a period as CSV and correct mis-detected trades
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } from 'discord.js';
+import { getUser } from '../services/userStorage.js';
+import { getLedger, summarizeLedger, getLedgerItems, getOpenLots, parseLedgerDate, ledgerToCsv } from '../services/trade/tradeLedger.js';
+import { editTrade, splitTrade, mergeTrades, deleteTrade, getCorrectionLog, TradeCorrectionError } from '../services/trade/tradeCorrections.js';
+import { getAllCountriesData } from '../services/yataGlobalCache.js';
+import { COUNTRIES, getCountryCodeByName } from '../services/autorun/handlers/foreignMarketHandler.js';
+import { formatMoney, formatNumber } from '../utils/formatters.js';
+import { EMOJI, COLORS } from '../utils/constants.js';
+import { getUi, applyTemplate } from '../localization/index.js';
+
+const PAGE_SIZE = 10;
+const MAX_LOTS_SHOWN = 15;
+
+const COUNTRY_CHOICES = Object.values(COUNTRIES).map(c => ({ name: c.name, value: c.name }));
+
+/**
+ * Ledger filter options shared by `ledger` and `export`
+ */
+function addFilterOptions(sub) {
+    return sub
+        .addStringOption(option => option
+            .setName('item')
+            .setDescription('Only this item')
+            .setAutocomplete(true))
+        .addStringOption(option => option
+            .setName('country')
+            .setDescription('Only trades bought in this country')
+            .addChoices(...COUNTRY_CHOICES))
+        .addStringOption(option => option
+            .setName('from')
+            .setDescription('Start date, TCT (YYYY-MM-DD)'))
+        .addStringOption(option => option
+            .setName('to')
+            .setDescription('End date inclusive, TCT (YYYY-MM-DD)'))
+        .addStringOption(option => option
+            .setName('outcome')
+            .setDescription('Only profitable or losing sells')
+            .addChoices(
+                { name: 'Profit', value: 'profit' },
+                { name: 'Loss', value: 'loss' }
+            ));
+}
+
+const tradeOption = (name, description, required = true) => option => option
+    .setName(name)
+    .setDescription(description)
+    .setRequired(required)
+    .setAutocomplete(true);
+
+const reasonOption = option => option
+    .setName('reason')
+    .setDescription('Why (kept in the correction log)')
+    .setMaxLength(200);
+
+export const data = new SlashCommandBuilder()
+    .setName('trades')
+    .setDescription('Browse your trade ledger')
+    .addSubcommand(sub => addFilterOptions(sub
+        .setName('ledger')
+        .setDescription('Page through your buys and sells'))
+        .addIntegerOption(option => option
+            .setName('page')
+            .setDescription('Page number')
+            .setMinValue(1)))
+    .addSubcommand(sub => sub
+        .setName('lots')
+        .setDescription('Items bought but not sold yet, with cost basis')
+        .addStringOption(option => option
+            .setName('item')
+            .setDescription('Only this item')
+            .setAutocomplete(true)))
+    .addSubcommand(sub => addFilterOptions(sub
+        .setName('export')
+        .setDescription('Download the ledger as CSV')))
+    .addSubcommand(sub => sub
+        .setName('edit')
+        .setDescription('Fix the item, quantity, price or country of a trade')
+        .addStringOption(tradeOption('trade', 'Trade to edit'))
+        .addStringOption(option => option
+            .setName('item')
+            .setDescription('Correct item')
+            .setAutocomplete(true))
+        .addIntegerOption(option => option
+            .setName('qty')
+            .setDescription('Correct quantity')
+            .setMinValue(1))
+        .addIntegerOption(option => option
+            .setName('price')
+            .setDescription('Correct unit price')
+            .setMinValue(0))
+        .addStringOption(option => option
+            .setName('country')
+            .setDescription('Correct country (buys only)')
+            .addChoices(...COUNTRY_CHOICES))
+        .addStringOption(reasonOption))
+    .addSubcommand(sub => sub
+        .setName('split')
+        .setDescription('Move part of a trade into a new trade')
+        .addStringOption(tradeOption('trade', 'Trade to split'))
+        .addIntegerOption(option => option
+            .setName('qty')
+            .setDescription('Quantity moved to the new trade')
+            .setRequired(true)
+            .setMinValue(1))
+        .addStringOption(option => option
+            .setName('item')
+            .setDescription('Item of the new trade (default: same item)')
+            .setAutocomplete(true))
+        .addIntegerOption(option => option
+            .setName('price')
+            .setDescription('Unit price of the new trade (default: same price)')
+            .setMinValue(0))
+        .addStringOption(option => option
+            .setName('country')
+            .setDescription('Country of the new trade (buys only)')
+            .addChoices(...COUNTRY_CHOICES))
+        .addStringOption(reasonOption))
+    .addSubcommand(sub => sub
+        .setName('merge')
+        .setDescription('Merge trades of the same item into one')
+        .addStringOption(tradeOption('trade', 'First trade'))
+        .addStringOption(tradeOption('with', 'Trade to merge into it'))
+        .addStringOption(tradeOption('and', 'Another trade to merge', false))
+        .addStringOption(reasonOption))
+    .addSubcommand(sub => sub
+        .setName('delete')
+        .setDescription('Delete a trade that never happened')
+        .addStringOption(tradeOption('trade', 'Trade to delete'))
+        .addStringOption(reasonOption))
+    .addSubcommand(sub => sub
+        .setName('corrections')
+        .setDescription('Show the correction log'));
+
+export async function execute(interaction) {
+    const user = getUser(interaction.user.id);
+
+    if (!user || !user.apiKey) {
+        await interaction.reply({
+            content: getUi('register_first'),
+            ephemeral: true
+        });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+        switch (subcommand) {
+            case 'ledger':
+                await handleLedger(interaction);
+                break;
+            case 'lots':
+                await handleLots(interaction);
+                break;
+            case 'export':
+                await handleExport(interaction);
+                break;
+            case 'edit':
+            case 'split':
+            case 'merge':
+            case 'delete':
+                await handleCorrection(interaction, subcommand);
+                break;
+            case 'corrections':
+                await handleCorrectionLog(interaction);
+                break;
+        }
+    } catch (error) {
+        if (!(error instanceof TradeCorrectionError)) console.error(`/trades ${subcommand} error:`, error);
+        await interaction.reply({ content: `${EMOJI.ERROR} ${error.message}`, ephemeral: true });
+    }
+}
+
+export async function autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    const query = focused.value.toLowerCase();
+    const subcommand = interaction.options.getSubcommand(false);
+
+    let choices;
+    if (focused.name === 'item') {
+        // Corrections can move a trade to any foreign item, filters only need traded ones
+        const items = ['edit', 'split'].includes(subcommand)
+            ? getCorrectableItems(interaction.user.id)
+            : getLedgerItems(interaction.user.id);
+
+        choices = items
+            .filter(item => item.itemName.toLowerCase().includes(query))
+            .slice(0, 25)
+            .map(item => ({ name: item.itemName.slice(0, 100), value: String(item.itemId) }));
+    } else {
+        choices = getLedger(interaction.user.id)
+            .filter(entry => entry.id.includes(query) || entry.itemName.toLowerCase().includes(query))
+            .slice(0, 25)
+            .map(entry => ({ name: describeTradeChoice(entry).slice(0, 100), value: entry.id }));
+    }
+
+    await interaction.respond(choices);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// FILTERS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Read filters from the command options
+ * Dates are kept as typed so they can be carried on page buttons
+ * @returns {object} { item, country, from, to, outcome }
+ */
+function readFilterOptions(interaction) {
+    return {
+        item: interaction.options.getString('item') || '',
+        country: interaction.options.getString('country') || '',
+        from: interaction.options.getString('from') || '',
+        to: interaction.options.getString('to') || '',
+        outcome: interaction.options.getString('outcome') || ''
+    };
+}
+
+/**
+ * Convert raw filters to ledger filters
+ * @returns {object} { filters } or { error }
+ */
+function resolveFilters(raw) {
+    const filters = {};
+
+    if (raw.item) {
+        filters.itemId = parseInt(raw.item);
+        if (isNaN(filters.itemId)) return { error: getUi('pick_item_from_list') };
+    }
+    if (raw.country) filters.country = raw.country;
+    if (raw.outcome) filters.outcome = raw.outcome;
+
+    if (raw.from) {
+        filters.from = parseLedgerDate(raw.from);
+        if (filters.from === null) return { error: applyTemplate('invalid_start_date', { date: raw.from }) };
+    }
+    if (raw.to) {
+        filters.to = parseLedgerDate(raw.to, true);
+        if (filters.to === null) return { error: applyTemplate('invalid_end_date', { date: raw.to }) };
+    }
+    if (filters.from && filters.to && filters.from >= filters.to) {
+        return { error: getUi('start_before_end') };
+    }
+
+    return { filters };
+}
+
+/**
+ * One-line description of active filters
+ */
+function describeFilters(raw, entries) {
+    const parts = [];
+    if (raw.item) parts.push(entries[0]?.itemName || applyTemplate('item_number', { id: raw.item }));
+    if (raw.country) parts.push(raw.country);
+    if (raw.from || raw.to) parts.push(`${raw.from || '…'} → ${raw.to || '…'}`);
+    if (raw.outcome === 'profit') parts.push(getUi('profitable_sells'));
+    if (raw.outcome === 'loss') parts.push(getUi('losing_sells'));
+    return parts.length > 0 ? parts.join(' • ') : getUi('all_trades');
+}
+
+/**
+ * Filters as a customId fragment (country stored by code to stay short)
+ */
+function encodeFilters(raw) {
+    const country = raw.country ? getCountryCodeByName(raw.country) || '' : '';
+    return [raw.item, country, raw.from, raw.to, raw.outcome].join(':');
+}
+
+function decodeFilters(params) {
+    const [item = '', countryCode = '', from = '', to = '', outcome = ''] = params;
+    const country = Object.values(COUNTRIES).find(c => c.code === countryCode)?.name || '';
+    return { item, country, from, to, outcome };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SUBCOMMANDS
+// ═══════════════════════════════════════════════════════════════════
+
+async function handleLedger(interaction) {
+    const raw = readFilterOptions(interaction);
+    const { filters, error } = resolveFilters(raw);
+    if (error) {
+        await interaction.reply({ content: `${EMOJI.ERROR} ${error}`, ephemeral: true });
+        return;
+    }
+
+    const page = (interaction.options.getInteger('page') || 1) - 1;
+    await interaction.reply(buildLedgerPage(interaction.user.id, raw, filters, page));
+}
+
+/**
+ * Handle ledger page buttons
+ * customId: trades_page:<page>:<userId>:<item>:<country>:<from>:<to>:<outcome>
+ */
+export async function handlePage(interaction, params) {
+    const [pageParam, ownerId, ...filterParams] = params;
+
+    if (interaction.user.id !== ownerId) {
+        await interaction.reply({ content: `${EMOJI.ERROR} ${getUi('ledger_not_yours')}`, ephemeral: true });
+        return;
+    }
+
+    const raw = decodeFilters(filterParams);
+    const { filters, error } = resolveFilters(raw);
+    if (error) {
+        await interaction.reply({ content: `${EMOJI.ERROR} ${error}`, ephemeral: true });
+        return;
+    }
+
+    await interaction.update(buildLedgerPage(ownerId, raw, filters, parseInt(pageParam) || 0));
+}
+
+/**
+ * Build a ledger page message
+ */
+function buildLedgerPage(userId, raw, filters, page) {
+    const entries = getLedger(userId, filters);
+    const totalPages = Math.max(1, Math.ceil(entries.length / PAGE_SIZE));
+    const current = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageEntries = entries.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+    const summary = summarizeLedger(entries);
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`📒 ${getUi('trade_ledger')}`)
+        .setFooter({ text: `${describeFilters(raw, entries)} • ${applyTemplate('page_of', { page: current + 1, total: totalPages })}` })
+        .setTimestamp();
+
+    if (entries.length === 0) {
+        embed.setDescription(getUi('no_matching_trades'));
+        return { embeds: [embed], components: [] };
+    }
+
+    embed.setDescription(pageEntries.map(formatEntry).join('\n'));
+    embed.addFields(
+        { name: `🛒 ${getUi('bought')}`, value: `${summary.buys} • ${formatMoney(summary.spent)}`, inline: true },
+        { name: `💵 ${getUi('sold')}`, value: `${summary.sells} • ${formatMoney(summary.revenue)}`, inline: true },
+        {
+            name: `${summary.profit >= 0 ? '📈' : '📉'} ${getUi('realized')}`,
+            value: `${formatMoney(summary.profit)}${summary.unmatchedSells ? `\n${applyTemplate('n_sells_without_basis', { n: summary.unmatchedSells })}` : ''}`,
+            inline: true
+        }
+    );
+
+    const base = `trades_page:%PAGE%:${userId}:${encodeFilters(raw)}`;
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(base.replace('%PAGE%', current - 1))
+            .setLabel(`◀ ${getUi('prev')}`)
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(current === 0),
+        new ButtonBuilder()
+            .setCustomId(base.replace('%PAGE%', current + 1))
+            .setLabel(`${getUi('next')} ▶`)
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(current >= totalPages - 1)
+    );
+
+    return { embeds: [embed], components: [row] };
+}
+
+/**
+ * One ledger line
+ */
+function formatEntry(entry) {
+    const when = `<t:${entry.timestamp}:d>`;
+    const where = entry.countries.length > 0 ? ` • ${entry.countries.join('/')}` : '';
+
+    if (entry.type === 'BUY') {
+        const open = entry.openQty > 0 ? ` • ${applyTemplate('n_open', { n: formatNumber(entry.openQty) })}` : '';
+        return `🛒 ${when} **${entry.itemName}** ×${formatNumber(entry.qty)} @ ${formatMoney(entry.unitPrice)}${where}${open}`;
+    }
+
+    const result = entry.profit === null
+        ? `❔ ${getUi('no_cost_basis')}`
+        : `${entry.profit >= 0 ? '🟢' : '🔴'} ${formatMoney(entry.profit)}`;
+    return `💵 ${when} **${entry.itemName}** ×${formatNumber(entry.qty)} @ ${formatMoney(entry.unitPrice)}${where} • ${result}`;
+}
+
+async function handleLots(interaction) {
+    const item = interaction.options.getString('item');
+    const itemId = item ? parseInt(item) : null;
+    if (item && isNaN(itemId)) {
+        await interaction.reply({ content: `${EMOJI.ERROR} ${getUi('pick_item_from_list')}`, ephemeral: true });
+        return;
+    }
+
+    const groups = getOpenLots(interaction.user.id, itemId);
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`📦 ${getUi('open_lots')}`)
+        .setTimestamp();
+
+    if (groups.length === 0) {
+        embed.setDescription(getUi('no_open_lots'));
+        await interaction.reply({ embeds: [embed] });
+        return;
+    }
+
+    const totalQty = groups.reduce((sum, g) => sum + g.openQty, 0);
+    const totalCost = groups.reduce((sum, g) => sum + g.costBasis, 0);
+    embed.setDescription(applyTemplate('open_lots_summary', { qty: formatNumber(totalQty), cost: formatMoney(totalCost) }));
+
+    for (const group of groups.slice(0, 25)) {
+        const lots = group.lots.slice(0, MAX_LOTS_SHOWN).map(lot =>
+            `<t:${lot.timestamp}:d> ×${formatNumber(lot.openQty)} @ ${formatMoney(lot.unitPrice)} • ${lot.country}`
+        );
+        if (group.lots.length > MAX_LOTS_SHOWN) lots.push(`…${applyTemplate('and_n_more', { n: group.lots.length - MAX_LOTS_SHOWN })}`);
+
+        embed.addFields({
+            name: `${group.itemName} ×${formatNumber(group.openQty)} • ${getUi('avg')} ${formatMoney(group.avgCost)} • ${formatMoney(group.costBasis)}`.slice(0, 256),
+            value: lots.join('\n').slice(0, 1024)
+        });
+    }
+
+    await interaction.reply({ embeds: [embed] });
+}
+
+async function handleExport(interaction) {
+    const raw = readFilterOptions(interaction);
+    const { filters, error } = resolveFilters(raw);
+    if (error) {
+        await interaction.reply({ content: `${EMOJI.ERROR} ${error}`, ephemeral: true });
+        return;
+    }
+
+    const entries = getLedger(interaction.user.id, filters);
+    if (entries.length === 0) {
+        await interaction.reply({ content: `${EMOJI.ERROR} ${getUi('no_matching_trades')}`, ephemeral: true });
+        return;
+    }
+
+    const period = `${raw.from || 'start'}_${raw.to || 'now'}`;
+    const file = new AttachmentBuilder(Buffer.from(ledgerToCsv(entries), 'utf8'), { name: `trades_${period}.csv` });
+    const summary = summarizeLedger(entries);
+
+    await interaction.reply({
+        content: `${EMOJI.SUCCESS} ${applyTemplate('trades_exported', { n: entries.length, filters: describeFilters(raw, entries), profit: formatMoney(summary.profit) })}`,
+        files: [file],
+        ephemeral: true
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CORRECTIONS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Items a trade can be corrected to: traded items plus everything sold abroad
+ * @returns {Array<{itemId: number, itemName: string}>}
+ */
+function getCorrectableItems(userId) {
+    const items = new Map(getLedgerItems(userId).map(item => [item.itemId, item.itemName]));
+
+    const { countries } = getAllCountriesData();
+    for (const countryItems of Object.values(countries || {})) {
+        for (const item of countryItems || []) {
+            if (!items.has(item.id)) items.set(item.id, item.name);
+        }
+    }
+
+    return [...items].map(([itemId, itemName]) => ({ itemId, itemName }));
+}
+
+/**
+ * Resolve an `item` option value (item ID from autocomplete)
+ * @returns {object|null} { itemId, itemName } or null if not given
+ * @throws {TradeCorrectionError} If the value isn't a known item
+ */
+function resolveItemOption(interaction) {
+    const value = interaction.options.getString('item');
+    if (!value) return null;
+
+    const item = getCorrectableItems(interaction.user.id).find(i => String(i.itemId) === value);
+    if (!item) throw new TradeCorrectionError(getUi('pick_item_from_list'));
+    return item;
+}
+
+function describeTradeChoice(entry) {
+    const date = new Date(entry.timestamp * 1000).toISOString().slice(0, 16).replace('T', ' ');
+    const where = entry.countries.length > 0 ? ` • ${entry.countries.join('/')}` : '';
+    return `${entry.type} ${entry.itemName} ×${entry.qty} @ ${formatMoney(entry.unitPrice)}${where} • ${date}`;
+}
+
+function describeRecord(record) {
+    const where = record.country ? ` • ${record.country}` : '';
+    return `\`${record.id}\` ${record.type} **${record.itemName}** ×${formatNumber(record.qty)} @ ${formatMoney(record.unitPrice)}${where}`;
+}
+
+async function handleCorrection(interaction, subcommand) {
+    const userId = interaction.user.id;
+    const tradeId = interaction.options.getString('trade');
+    const meta = { editorId: userId, reason: interaction.options.getString('reason') };
+
+    const item = resolveItemOption(interaction);
+    const changes = {};
+    if (item) Object.assign(changes, item);
+    if (interaction.options.getInteger('price') !== null) changes.unitPrice = interaction.options.getInteger('price');
+    if (interaction.options.getString('country')) changes.country = interaction.options.getString('country');
+
+    let result;
+    let title;
+    switch (subcommand) {
+        case 'edit': {
+            const qty = interaction.options.getInteger('qty');
+            if (qty !== null) changes.qty = qty;
+            if (Object.keys(changes).length === 0) {
+                throw new TradeCorrectionError(getUi('nothing_to_change'));
+            }
+            result = editTrade(userId, tradeId, changes, meta);
+            title = getUi('trade_edited');
+            break;
+        }
+        case 'split':
+            result = splitTrade(userId, tradeId, interaction.options.getInteger('qty'), changes, meta);
+            title = getUi('trade_split');
+            break;
+        case 'merge': {
+            const ids = [tradeId, interaction.options.getString('with'), interaction.options.getString('and')].filter(Boolean);
+            result = mergeTrades(userId, ids, meta);
+            title = getUi('trades_merged');
+            break;
+        }
+        case 'delete':
+            result = deleteTrade(userId, tradeId, meta);
+            title = getUi('trade_deleted');
+            break;
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`✏️ ${title}`)
+        .addFields(
+            { name: getUi('before'), value: result.before.map(describeRecord).join('\n').slice(0, 1024) },
+            { name: getUi('after'), value: (result.after.map(describeRecord).join('\n') || `*${getUi('removed')}*`).slice(0, 1024) }
+        )
+        .setFooter({ text: applyTemplate('n_sells_rematched', { n: result.rematched }) })
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleCorrectionLog(interaction) {
+    const log = getCorrectionLog(interaction.user.id, 15);
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(`🧾 ${getUi('trade_correction_log')}`)
+        .setTimestamp();
+
+    if (log.length === 0) {
+        embed.setDescription(getUi('no_corrections'));
+    } else {
+        embed.setDescription(log.map(entry => {
+            const ids = entry.before.map(r => `\`${r.id}\``).join(', ');
+            const item = entry.before[0]?.itemName || '';
+            const reason = entry.reason ? ` • _${entry.reason}_` : '';
+            return `<t:${entry.timestamp}:f> **${entry.action}** ${item} ${ids} ${applyTemplate('by_user', { user: `<@${entry.editorId}>` })}${reason}`;
+        }).join('\n').slice(0, 4096));
+    }
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
@@ -1,10 +1,13 @@
 /**
  * /travel Command
- * Personal travel analytics and insights
+ * Personal travel analytics, insights and trip planning
  */
 
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
-import { getStatus, resetDailyStatsManual } from '../services/analytics/travelAnalyticsService.js';
+import { getStatus, resetDailyStatsManual, getCapacity } from '../services/analytics/travelAnalyticsService.js';
+import { planRoutes, describeLocation, normalizeMethod, TRAVEL_METHODS } from '../services/market/travelPlanner.js';
+import { get } from '../services/tornApi.js';
+import { getUser } from '../services/userStorage.js';
 import { formatMoney, formatTime } from '../utils/formatters.js';
 import { getUi } from '../localization/index.js';
 
@@ -27,6 +30,22 @@ export const data = new SlashCommandBuilder()
                     .setMaxValue(10)
             )
     )
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('plan')
+            .setDescription('Best round trips for you right now (profit per hour, stock on landing)')
+            .addStringOption(option =>
+                option.setName('method')
+                    .setDescription('Flight method (default: your last flight)')
+                    .addChoices(...TRAVEL_METHODS.map(m => ({ name: m[0].toUpperCase() + m.slice(1), value: m })))
+            )
+            .addIntegerOption(option =>
+                option.setName('capacity')
+                    .setDescription('Items you can carry (default: detected capacity)')
+                    .setMinValue(1)
+                    .setMaxValue(100)
+            )
+    )
     .addSubcommand(subcommand =>
         subcommand
             .setName('reset-today')
@@ -40,13 +59,15 @@ export async function execute(interaction, client) {
         await handleSummary(interaction);
     } else if (subcommand === 'history') {
         await handleHistory(interaction);
+    } else if (subcommand === 'plan') {
+        await handlePlan(interaction);
     } else if (subcommand === 'reset-today') {
         await handleReset(interaction);
     }
 }
 
 async function handleSummary(interaction) {
-    const status = getStatus();
+    const status = getStatus(interaction.user.id);
     const { daily } = status;
 
     const embed = new EmbedBuilder()
@@ -73,8 +94,8 @@ async function handleSummary(interaction) {
 
 async function handleHistory(interaction) {
     const limit = interaction.options.getInteger('limit') || 5;
-    const status = getStatus();
-    const history = status.lastTrades.slice(0, limit);
+    const status = getStatus(interaction.user.id, limit);
+    const history = status.lastTrades;
 
     if (history.length === 0) {
         await interaction.reply('📭 No trade history found.');
@@ -104,7 +125,69 @@ async function handleHistory(interaction) {
     await interaction.reply({ embeds: [embed] });
 }
 
+const LOCATION_LABELS = {
+    torn: 'In Torn',
+    abroad: 'Abroad',
+    outbound: 'Flying out',
+    returning: 'Flying back to Torn'
+};
+
+async function handlePlan(interaction) {
+    const user = getUser(interaction.user.id);
+    if (!user || !user.apiKey) {
+        await interaction.reply({
+            content: '⚠️ You need to register your API Key first with `/register`!',
+            ephemeral: true
+        });
+        return;
+    }
+
+    await interaction.deferReply();
+
+    try {
+        const { travel } = await get(user.apiKey, 'user', 'travel');
+        const location = describeLocation(travel);
+        const method = interaction.options.getString('method') || normalizeMethod(travel?.method) || 'standard';
+        const capacity = interaction.options.getInteger('capacity') || getCapacity(interaction.user.id) || 5;
+
+        const routes = await planRoutes({ apiKey: user.apiKey, capacity, method, location });
+
+        const where = location.state === 'torn'
+            ? LOCATION_LABELS.torn
+            : `${LOCATION_LABELS[location.state]}${travel.destination !== 'Torn' ? ` (${travel.destination})` : ''}`;
+
+        const embed = new EmbedBuilder()
+            .setColor(0x1ABC9C)
+            .setTitle('🧭 Travel Plan')
+            .setDescription(`📍 ${where} • ✈️ ${method} • 🎒 ${capacity} items`)
+            .setTimestamp()
+            .setFooter({ text: 'Stock on landing is projected from recent sales and restocks' });
+
+        if (routes.length === 0) {
+            embed.setDescription(`${embed.data.description}\n\nNo profitable routes found right now.`);
+        }
+
+        for (const route of routes) {
+            const restockNote = route.restocked ? ' (after restock)' : '';
+            embed.addFields({
+                name: `${route.emoji} ${route.country} — ${route.name}`,
+                value: [
+                    `> **${formatMoney(Math.round(route.profitPerHour))}/hour** • ${formatMoney(route.tripProfit)} per trip (${route.buyQty} × ${formatMoney(route.profitPerItem)})`,
+                    `> Lands <t:${Math.floor(route.landingAt / 1000)}:R> • ${formatTime(Math.round(route.tripMinutes * 60))} trip`,
+                    `> Stock: ${route.stockNow} now → ~${route.stockOnLanding} on landing${restockNote}`
+                ].join('\n'),
+                inline: false
+            });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+        console.error('Travel plan error:', error);
+        await interaction.editReply(`❌ Failed to plan routes: ${error.userMessage || error.message}`);
+    }
+}
+
 async function handleReset(interaction) {
-    resetDailyStatsManual();
+    resetDailyStatsManual(interaction.user.id);
     await interaction.reply('🔄 Daily travel stats have been reset.');
 }
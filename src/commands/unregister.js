@@ -0,0 +1,57 @@
+/**
+ * /unregister Command
+ * Delete your API key and all data derived from it
+ */
+
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { hasUser } from '../services/userStorage.js';
+import { purgeUserData } from '../services/userDataPurge.js';
+import { COLORS, EMOJI } from '../utils/constants.js';
+
+export const data = new SlashCommandBuilder()
+    .setName('unregister')
+    .setDescription('Delete your API key and all your tracked data')
+    .addBooleanOption(option =>
+        option
+            .setName('confirm')
+            .setDescription('Confirm permanent deletion of your key, trades, alerts and snapshots')
+            .setRequired(true)
+    );
+
+export async function execute(interaction) {
+    const discordId = interaction.user.id;
+
+    if (!interaction.options.getBoolean('confirm')) {
+        await interaction.reply({
+            content: `${EMOJI.WARNING} Nothing deleted. Run \`/unregister confirm:True\` to delete your data.`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    if (!hasUser(discordId)) {
+        await interaction.reply({
+            content: `${EMOJI.WARNING} You are not registered.`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    const purged = purgeUserData(discordId);
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.WARNING)
+        .setTitle('🗑️ Unregistered')
+        .setDescription('Your API key and tracked data have been deleted.')
+        .addFields({ name: 'Removed', value: `\`\`\`${purged.join('\n')}\`\`\`` })
+        .setTimestamp();
+
+    if (discordId === process.env.OWNER_ID && process.env.TORN_API_KEY) {
+        embed.addFields({
+            name: `${EMOJI.WARNING} Note`,
+            value: 'TORN_API_KEY in `.env` keeps the owner registered until it is removed.'
+        });
+    }
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
@@ -19,7 +19,7 @@ export async function execute(interaction, client) {
 
     if (!user || !user.apiKey) {
         await interaction.reply({
-            content: `${EMOJI.WARNING} You need to configure your API Key in \`.env\` file first!`,
+            content: `${EMOJI.WARNING} You need to register your API Key first with \`/register\`!`,
             ephemeral: true
         });
         return;
@@ -63,7 +63,7 @@ export async function execute(interaction, client) {
 
     if (!user || !user.apiKey) {
         await interaction.reply({
-            content: '⚠️ You need to configure your API Key in `.env` file first!',
+            content: '⚠️ You need to register your API Key first with `/register`!',
             ephemeral: true
         });
         return;
@@ -3,10 +3,23 @@
  * Handles all Discord interactions (slash commands, buttons, etc.)
  */
 
+import { runWithPriority } from '../services/tornApiQueue.js';
+import { runWithLocale, resolveLocale } from '../localization/index.js';
+
 export const name = 'interactionCreate';
 export const once = false;
 
 export async function execute(interaction, client) {
+    // Someone is waiting on the reply, so API calls jump ahead of auto-runners
+    // Replies render in the user's language (or the channel's)
+    const locale = resolveLocale({ userId: interaction.user?.id, channelId: interaction.channelId });
+    return runWithLocale(locale, () => runWithPriority('high', () => routeInteraction(interaction, client)));
+}
+
+/**
+ * Route an interaction to its handler
+ */
+async function routeInteraction(interaction, client) {
     // Handle slash commands
     if (interaction.isChatInputCommand()) {
         await handleSlashCommand(interaction, client);
@@ -103,6 +116,13 @@ async function handleButton(interaction, client) {
                 await handleActivityLogPagination(interaction, client, action, params);
                 break;
 
+            case 'trades_page':
+                const tradesCommand = client.commands.get('trades');
+                if (tradesCommand && tradesCommand.handlePage) {
+                    await tradesCommand.handlePage(interaction, params);
+                }
+                break;
+
             default:
                 console.warn(`⚠️ Unknown button action: ${action}`);
         }
@@ -155,9 +175,16 @@ async function handleActivityLogPagination(interaction, client, action, params)
     try {
         // Import handler
         const { getActivityLogPage } = await import('../services/autorun/handlers/activityLogHandler.js');
+        const { getUser, getLegacyOwnerId } = await import('../services/userStorage.js');
+
+        // Buttons created before multi-user support carry no user ID
+        const ownerId = params[1] || getLegacyOwnerId();
+        const owner = getUser(ownerId);
 
         // Get new page
-        const result = await getActivityLogPage(client, newPage);
+        const result = owner
+            ? await getActivityLogPage(client, { ...owner, discordId: ownerId }, newPage)
+            : null;
 
         if (result) {
             // Update message with new page
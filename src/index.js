@@ -10,9 +10,12 @@ import { readdirSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { startDailySummary } from './services/dailySummary.js';
+import { startNetworthSampler, stopNetworthSampler } from './services/analytics/networthSampler.js';
 import { startAlertScheduler, stopAlertScheduler } from './services/alerts/index.js';
 import { startupBootstrap, stopAllSchedulers, forceSaveRuntimeState, getActiveSchedulers, getSchedulerHealth } from './services/autorun/index.js';
 import { getAllRunnerStates } from './services/autorun/runtimeStateManager.js';
+import { closeStorage } from './services/storage/index.js';
+import { hasEncryptionSecret } from './utils/keyCrypto.js';
 
 // Load environment variables
 config();
@@ -191,6 +194,9 @@ client.once('ready', async () => {
     // Start daily summary scheduler
     startDailySummary(client);
 
+    // Start hourly networth sampling
+    startNetworthSampler();
+
     // Start alert notification scheduler
     startAlertScheduler(client);
 
@@ -241,9 +247,13 @@ process.on('SIGINT', () => {
     // Stop alert scheduler
     stopAlertScheduler();
 
+    // Stop networth sampling
+    stopNetworthSampler();
+
     // Stop auto-run schedulers
     stopAllSchedulers();
     forceSaveRuntimeState();
+    closeStorage();
 
     // Clear all active intervals
     client.activeIntervals.forEach((interval, key) => {
@@ -262,6 +272,10 @@ process.on('unhandledRejection', (error) => {
 
 // Start the bot
 async function start() {
+    if (!hasEncryptionSecret()) {
+        console.warn('⚠️ KEY_ENCRYPTION_SECRET is not set: /register is disabled and existing API keys stay in plain text. Set it in .env to encrypt stored keys.');
+    }
+
     try {
         await loadCommands();
         await loadEvents();
@@ -4,6 +4,16 @@
  */
 
 export {
+    SOURCE_LOCALE,
+    loadDictionaries,
+    getDictionary,
+    saveDictionaryEntry,
+    getLocales,
+    isSupportedLocale,
+    getDefaultLocale,
+    runWithLocale,
+    getCurrentLocale,
+    getIntlLocale,
     translate,
     fromDictionary,
     getTemplate,
@@ -21,7 +31,20 @@ export {
 export {
     getCached,
     setCached,
+    getCachedEntries,
+    getCachedEntry,
+    updateCached,
+    removeCached,
     getCacheStats,
     recordAiCall,
     clearCache
 } from './translationCache.js';
+
+export {
+    getUserLocale,
+    setUserLocale,
+    getChannelLocale,
+    setChannelLocale,
+    clearUserLocale,
+    resolveLocale
+} from './localeSettings.js';
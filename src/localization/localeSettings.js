@@ -0,0 +1,81 @@
+/**
+ * Locale Settings
+ * Per-user and per-channel language choices
+ *
+ * Resolution: user setting > channel setting > DEFAULT_LOCALE
+ */
+
+import { getCollection } from '../services/storage/index.js';
+import { isSupportedLocale, getDefaultLocale } from './localizationResolver.js';
+
+/**
+ * Settings collection ('user:<discordId>' | 'channel:<channelId>' -> locale)
+ */
+function getStore() {
+    return getCollection('locale-settings');
+}
+
+function setLocale(key, locale) {
+    if (locale === null) {
+        getStore().delete(key);
+        return;
+    }
+    if (!isSupportedLocale(locale)) {
+        throw new Error(`Unsupported locale: ${locale}`);
+    }
+    getStore().set(key, locale);
+}
+
+/**
+ * A user's locale, or null when unset
+ */
+export function getUserLocale(userId) {
+    return userId ? getStore().get(`user:${userId}`) || null : null;
+}
+
+/**
+ * Set a user's locale (null clears it)
+ */
+export function setUserLocale(userId, locale) {
+    setLocale(`user:${userId}`, locale);
+}
+
+/**
+ * A channel's locale, or null when unset
+ */
+export function getChannelLocale(channelId) {
+    return channelId ? getStore().get(`channel:${channelId}`) || null : null;
+}
+
+/**
+ * Set a channel's locale (null clears it)
+ */
+export function setChannelLocale(channelId, locale) {
+    setLocale(`channel:${channelId}`, locale);
+}
+
+/**
+ * Remove a user's locale (used on /unregister)
+ */
+export function clearUserLocale(userId) {
+    getStore().delete(`user:${userId}`);
+}
+
+/**
+ * Locale for a user and/or channel
+ * @param {Object} target - { userId, channelId }
+ * @returns {string} Locale code
+ */
+export function resolveLocale({ userId = null, channelId = null } = {}) {
+    const locale = getUserLocale(userId) || getChannelLocale(channelId);
+    return isSupportedLocale(locale) ? locale : getDefaultLocale();
+}
+
+export default {
+    getUserLocale,
+    setUserLocale,
+    getChannelLocale,
+    setChannelLocale,
+    clearUserLocale,
+    resolveLocale
+};
@@ -3,54 +3,167 @@
  * Main entry point for translation
  * 
  * Resolution Priority:
- * 1. Static Dictionary (authoritative)
+ * 1. Static Dictionary (authoritative) in the current locale
  * 2. Translation Cache (AI/manual results)
  * 3. Groq AI (fallback)
- * 4. English Fallback (if AI unavailable)
+ * 4. English Fallback (dictionary.en.json, then the source text)
+ *
+ * Dictionaries are loaded from every dictionary.<locale>.json in this folder,
+ * so adding a language is adding a file. The locale comes from the caller's
+ * context (runWithLocale, set per interaction and per auto-run target) or an
+ * explicit `locale` argument, falling back to DEFAULT_LOCALE.
  */
 
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, readdirSync, writeFileSync } from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
 import { getCached, setCached, recordAiCall } from './translationCache.js';
 
-// Load static dictionary
-const DICTIONARY_PATH = './src/localization/dictionary.id.json';
-let dictionary = {};
+const DICTIONARY_DIR = './src/localization';
+const DICTIONARY_FILE = /^dictionary\.([a-z]{2}(?:-[A-Z]{2})?)\.json$/;
 
-function loadDictionary() {
-    if (existsSync(DICTIONARY_PATH)) {
+// Canonical dictionary: every key exists here, other locales fall back to it
+export const SOURCE_LOCALE = 'en';
+
+const dictionaries = {};
+const localeContext = new AsyncLocalStorage();
+
+/**
+ * (Re)load every dictionary file
+ */
+export function loadDictionaries() {
+    let files = [];
+    try {
+        files = readdirSync(DICTIONARY_DIR).filter(file => DICTIONARY_FILE.test(file));
+    } catch (e) {
+        console.error('❌ Error reading dictionaries:', e.message);
+    }
+
+    for (const file of files) {
+        const locale = file.match(DICTIONARY_FILE)[1];
         try {
-            dictionary = JSON.parse(readFileSync(DICTIONARY_PATH, 'utf8'));
-            console.log('📖 Localization dictionary loaded');
+            dictionaries[locale] = JSON.parse(readFileSync(`${DICTIONARY_DIR}/${file}`, 'utf8'));
         } catch (e) {
-            console.error('❌ Error loading dictionary:', e.message);
-            dictionary = {};
+            console.error(`❌ Error loading dictionary ${file}:`, e.message);
         }
     }
+
+    console.log(`📖 Localization dictionaries loaded: ${Object.keys(dictionaries).join(', ') || 'none'}`);
 }
 
 // Load on import
-loadDictionary();
+loadDictionaries();
+
+/**
+ * Copy of a locale's dictionary (null if the locale doesn't exist)
+ */
+export function getDictionary(locale) {
+    return dictionaries[locale] ? structuredClone(dictionaries[locale]) : null;
+}
+
+/**
+ * Write one entry into a locale's dictionary file
+ * @param {string} locale - Existing locale
+ * @param {string} category - Dictionary category (created if missing)
+ * @param {string} key - Key within category
+ * @param {string} text - Translation
+ */
+export function saveDictionaryEntry(locale, category, key, text) {
+    const dictionary = dictionaries[locale];
+    if (!dictionary) throw new Error(`Unknown locale: ${locale}`);
+
+    dictionary[category] = dictionary[category] || {};
+    dictionary[category][key] = text;
+
+    writeFileSync(`${DICTIONARY_DIR}/dictionary.${locale}.json`, JSON.stringify(dictionary, null, 4));
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// LOCALES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Available locales
+ * @returns {Array<{code: string, name: string}>}
+ */
+export function getLocales() {
+    return Object.entries(dictionaries).map(([code, dictionary]) => ({
+        code,
+        name: dictionary._meta?.name || code
+    }));
+}
+
+/**
+ * Whether a dictionary exists for a locale
+ */
+export function isSupportedLocale(locale) {
+    return Boolean(locale && dictionaries[locale]);
+}
+
+/**
+ * Bot-wide default locale (DEFAULT_LOCALE, Indonesian unless set)
+ */
+export function getDefaultLocale() {
+    const locale = process.env.DEFAULT_LOCALE || 'id';
+    return isSupportedLocale(locale) ? locale : SOURCE_LOCALE;
+}
+
+/**
+ * Run a function with a locale for every lookup in its call chain
+ * @param {string|null} locale - Locale code (unsupported or null = default)
+ * @param {Function} fn
+ */
+export function runWithLocale(locale, fn) {
+    return localeContext.run(isSupportedLocale(locale) ? locale : getDefaultLocale(), fn);
+}
+
+/**
+ * Locale of the current call chain
+ */
+export function getCurrentLocale() {
+    return localeContext.getStore() || getDefaultLocale();
+}
+
+/**
+ * BCP 47 tag for dates and numbers in a locale (dictionary _meta.intl)
+ * @param {string} [locale] - Locale (default: current locale)
+ */
+export function getIntlLocale(locale = getCurrentLocale()) {
+    return dictionaries[locale]?._meta?.intl || locale;
+}
+
+/**
+ * Dictionary entry in a locale, falling back to the source dictionary
+ * @returns {string|null}
+ */
+function lookup(category, key, locale = getCurrentLocale()) {
+    return dictionaries[locale]?.[category]?.[key]
+        || dictionaries[SOURCE_LOCALE]?.[category]?.[key]
+        || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// LOOKUPS
+// ═══════════════════════════════════════════════════════════════════
 
 /**
  * Get translation from static dictionary
  * @param {string} category - Dictionary category (stats, gym, travel, etc)
  * @param {string} key - Key within category
+ * @param {string} [locale] - Locale (default: current locale)
  * @returns {string|null}
  */
-export function fromDictionary(category, key) {
-    if (dictionary[category] && dictionary[category][key]) {
-        return dictionary[category][key];
-    }
-    return null;
+export function fromDictionary(category, key, locale) {
+    return lookup(category, key, locale);
 }
 
 /**
  * Get template from dictionary
  * @param {string} templateKey - Template key
+ * @param {string} [locale] - Locale (default: current locale)
  * @returns {string|null}
  */
-export function getTemplate(templateKey) {
-    return dictionary.templates?.[templateKey] || null;
+export function getTemplate(templateKey, locale) {
+    return lookup('templates', templateKey, locale);
 }
 
 /**
@@ -64,17 +177,22 @@ export async function translate(text, options = {}) {
         category = null,
         key = null,
         useAi = false, // Default: no AI, use cache/dictionary only
-        lang = 'id'
+        lang = getCurrentLocale()
     } = options;
 
     // 1. Try static dictionary first (if category/key provided)
     if (category && key) {
-        const dictResult = fromDictionary(category, key);
+        const dictResult = fromDictionary(category, key, lang);
         if (dictResult) {
             return { text: dictResult, confidence: 'dictionary' };
         }
     }
 
+    // Source text is already English
+    if (lang === SOURCE_LOCALE) {
+        return { text, confidence: 'source' };
+    }
+
     // 2. Try cache
     const cached = getCached(text, lang);
     if (cached) {
@@ -87,7 +205,7 @@ export async function translate(text, options = {}) {
             const translated = await translateWithGroq(text, lang);
             if (translated) {
                 // MANDATORY: Store in cache
-                setCached(text, translated, lang, 'ai');
+                setCached(text, translated, lang, 'ai', { category, key });
                 recordAiCall();
                 return { text: translated, confidence: 'ai' };
             }
@@ -110,8 +228,9 @@ async function translateWithGroq(text, lang) {
     const apiKey = process.env.GROQ_API_KEY;
     if (!apiKey) return null;
 
+    const language = dictionaries[lang]?._meta?.name || lang;
     const systemPrompt = `You are a localization engine.
-Translate to Indonesian.
+Translate to ${language}.
 Do not translate variables, numbers, IDs, or code.
 Keep wording neutral and concise.
 Preserve placeholders like {energy}, {stat}, {time} exactly as-is.
@@ -172,10 +291,11 @@ function validatePlaceholders(source, translated) {
  * Apply template with variables
  * @param {string} templateKey - Template key from dictionary
  * @param {Object} vars - Variables to substitute
+ * @param {string} [locale] - Locale (default: current locale)
  * @returns {string}
  */
-export function applyTemplate(templateKey, vars = {}) {
-    let template = getTemplate(templateKey);
+export function applyTemplate(templateKey, vars = {}, locale) {
+    let template = getTemplate(templateKey, locale);
 
     if (!template) {
         // Fallback: return vars as string
@@ -196,99 +316,116 @@ export function applyTemplate(templateKey, vars = {}) {
  * Translate error message
  * @param {string} errorKey - Error key from dictionary
  * @param {string} fallback - Fallback text
+ * @param {string} [locale] - Locale (default: current locale)
  * @returns {string}
  */
-export function translateError(errorKey, fallback = '') {
-    const translated = dictionary.errors?.[errorKey];
+export function translateError(errorKey, fallback = '', locale) {
+    const translated = lookup('errors', errorKey, locale);
     return translated || fallback || errorKey;
 }
 
 /**
  * Get localized action phrase
  * @param {string} actionKey - Action key (you_trained, you_bought, etc)
+ * @param {string} [locale] - Locale (default: current locale)
  * @returns {string}
  */
-export function getAction(actionKey) {
-    return dictionary.actions?.[actionKey] || actionKey;
+export function getAction(actionKey, locale) {
+    return lookup('actions', actionKey, locale) || actionKey;
 }
 
 /**
  * Get localized location name
  * @param {string} location - English location name
+ * @param {string} [locale] - Locale (default: current locale)
  * @returns {string}
  */
-export function getLocation(location) {
-    return dictionary.locations?.[location] || location;
+export function getLocation(location, locale) {
+    return lookup('locations', location, locale) || location;
 }
 
 /**
  * Get localized stat name
  * @param {string} stat - Stat key (strength, defense, etc)
+ * @param {string} [locale] - Locale (default: current locale)
  * @returns {string}
  */
-export function getStat(stat) {
-    return dictionary.stats?.[stat] || stat;
+export function getStat(stat, locale) {
+    return lookup('stats', stat, locale) || stat;
 }
 
 /**
  * Get localized UI text
  * @param {string} uiKey - UI key
+ * @param {string} [locale] - Locale (default: current locale)
  * @returns {string}
  */
-export function getUi(uiKey) {
-    return dictionary.ui?.[uiKey] || uiKey;
+export function getUi(uiKey, locale) {
+    return lookup('ui', uiKey, locale) || uiKey;
 }
 
 /**
  * Get localized time phrase
  * @param {string} timeKey - Time key (minutes, hours, ago, etc)
+ * @param {string} [locale] - Locale (default: current locale)
  * @returns {string}
  */
-export function getTime(timeKey) {
-    return dictionary.time?.[timeKey] || timeKey;
+export function getTime(timeKey, locale) {
+    return lookup('time', timeKey, locale) || timeKey;
 }
 
 /**
- * Format relative time in Indonesian
+ * Format a duration in the current locale
  * @param {number} seconds - Time in seconds
+ * @param {string} [locale] - Locale (default: current locale)
  * @returns {string}
  */
-export function formatTimeId(seconds) {
-    if (!seconds) return 'tidak diketahui';
+export function formatTimeId(seconds, locale) {
+    if (!seconds) return getTime('unknown', locale);
 
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
 
-    const jamText = dictionary.time?.hours || 'jam';
-    const menitText = dictionary.time?.minutes || 'menit';
+    const hoursText = getTime('hours', locale);
+    const minutesText = getTime('minutes', locale);
 
-    if (hours > 0 && minutes > 0) return `${hours} ${jamText} ${minutes} ${menitText}`;
-    if (hours > 0) return `${hours} ${jamText}`;
-    return `${minutes} ${menitText}`;
+    if (hours > 0 && minutes > 0) return `${hours} ${hoursText} ${minutes} ${minutesText}`;
+    if (hours > 0) return `${hours} ${hoursText}`;
+    return `${minutes} ${minutesText}`;
 }
 
 /**
- * Format relative time ago in Indonesian
+ * Format relative time ago in the current locale
  * @param {number} timestamp - Unix timestamp
+ * @param {string} [locale] - Locale (default: current locale)
  * @returns {string}
  */
-export function formatTimeAgoId(timestamp) {
+export function formatTimeAgoId(timestamp, locale) {
     const now = Math.floor(Date.now() / 1000);
     const diff = now - timestamp;
 
-    const baruSaja = dictionary.time?.just_now || 'baru saja';
-    const yangLalu = dictionary.time?.ago || 'yang lalu';
-    const menitText = dictionary.time?.minutes || 'menit';
-    const jamText = dictionary.time?.hours || 'jam';
-    const hariText = dictionary.time?.days || 'hari';
+    const ago = getTime('ago', locale);
+    const minutesText = getTime('minutes', locale);
+    const hoursText = getTime('hours', locale);
+    const daysText = getTime('days', locale);
 
-    if (diff < 60) return baruSaja;
-    if (diff < 3600) return `${Math.floor(diff / 60)} ${menitText} ${yangLalu}`;
-    if (diff < 86400) return `${Math.floor(diff / 3600)} ${jamText} ${yangLalu}`;
-    return `${Math.floor(diff / 86400)} ${hariText} ${yangLalu}`;
+    if (diff < 60) return getTime('just_now', locale);
+    if (diff < 3600) return `${Math.floor(diff / 60)} ${minutesText} ${ago}`;
+    if (diff < 86400) return `${Math.floor(diff / 3600)} ${hoursText} ${ago}`;
+    return `${Math.floor(diff / 86400)} ${daysText} ${ago}`;
 }
 
 export default {
+    SOURCE_LOCALE,
+    loadDictionaries,
+    getDictionary,
+    saveDictionaryEntry,
+    getLocales,
+    isSupportedLocale,
+    getDefaultLocale,
+    runWithLocale,
+    getCurrentLocale,
+    getIntlLocale,
     translate,
     fromDictionary,
     getTemplate,
@@ -102,8 +102,9 @@ export function getCached(sourceText, lang = 'id') {
  * @param {string} translatedText - Translated text
  * @param {string} lang - Target language
  * @param {string} confidence - 'ai' | 'manual'
+ * @param {Object} source - { category, key } the text belongs to in the dictionary (optional)
  */
-export function setCached(sourceText, translatedText, lang = 'id', confidence = 'ai') {
+export function setCached(sourceText, translatedText, lang = 'id', confidence = 'ai', source = {}) {
     const key = generateKey(sourceText, lang);
 
     cache[key] = {
@@ -111,6 +112,8 @@ export function setCached(sourceText, translatedText, lang = 'id', confidence =
         translatedText,
         lang,
         confidence,
+        category: source.category ?? null,
+        key: source.key ?? null,
         createdAt: Date.now(),
         lastUsed: Date.now()
     };
@@ -122,6 +125,48 @@ export function setCached(sourceText, translatedText, lang = 'id', confidence =
     saveCache();
 }
 
+/**
+ * All cached translations, oldest first
+ * @returns {Array<Object>} Entries with their cache `id`
+ */
+export function getCachedEntries() {
+    return Object.entries(cache)
+        .map(([id, entry]) => ({ id, ...entry }))
+        .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Cached translation by cache ID
+ * @returns {Object|null} Entry with its `id`
+ */
+export function getCachedEntry(id) {
+    return cache[id] ? { id, ...cache[id] } : null;
+}
+
+/**
+ * Change a cached translation (e.g. after manual review)
+ * @param {string} id - Cache ID
+ * @param {Object} fields - { translatedText, confidence }
+ * @returns {boolean} False if the entry doesn't exist
+ */
+export function updateCached(id, fields) {
+    if (!cache[id]) return false;
+    Object.assign(cache[id], fields);
+    saveCache();
+    return true;
+}
+
+/**
+ * Remove a cached translation
+ * @returns {boolean} False if the entry doesn't exist
+ */
+export function removeCached(id) {
+    if (!cache[id]) return false;
+    delete cache[id];
+    saveCache();
+    return true;
+}
+
 /**
  * Cleanup expired entries
  */
@@ -200,6 +245,10 @@ initCache();
 export default {
     getCached,
     setCached,
+    getCachedEntries,
+    getCachedEntry,
+    updateCached,
+    removeCached,
     getCacheStats,
     recordAiCall,
     clearCache
@@ -0,0 +1,200 @@
+/**
+ * Translation Review
+ * Offline maintenance of the dictionaries: review AI translations from the
+ * cache (approve into the static dictionary, edit, or reject) and report which
+ * keys used in the source are missing from each language file.
+ * Nothing here calls the network
+ */
+
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join, relative } from 'path';
+import {
+    SOURCE_LOCALE,
+    getLocales,
+    getDictionary,
+    saveDictionaryEntry,
+    isSupportedLocale
+} from './localizationResolver.js';
+import { getCachedEntries, getCachedEntry, updateCached, removeCached } from './translationCache.js';
+
+const SOURCE_ROOT = './src';
+
+// Resolver calls with a literal key -> dictionary category
+const KEY_CALLS = {
+    getUi: 'ui',
+    getStat: 'stats',
+    getAction: 'actions',
+    getLocation: 'locations',
+    getTime: 'time',
+    translateError: 'errors',
+    applyTemplate: 'templates',
+    getTemplate: 'templates'
+};
+
+export class TranslationReviewError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TranslationReviewError';
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REVIEW
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Cached translations awaiting review
+ * @param {Object} filter - { lang, confidence } (confidence defaults to 'ai', null for all)
+ * @returns {Array<Object>} Cache entries with their `id`, oldest first
+ */
+export function listTranslations({ lang = null, confidence = 'ai' } = {}) {
+    return getCachedEntries().filter(entry =>
+        (!lang || entry.lang === lang) &&
+        (!confidence || entry.confidence === confidence)
+    );
+}
+
+/**
+ * Approve a cached translation
+ * With a dictionary category/key (given, or recorded when it was translated)
+ * the text is written into dictionary.<lang>.json, the English source into
+ * dictionary.en.json if missing there, and the cache entry is dropped since
+ * the dictionary now wins. Without one, the cache entry is kept as 'manual'
+ * @param {string} id - Cache ID
+ * @param {Object} options - { text, category, key } (text defaults to the cached translation)
+ * @returns {Object} { promoted, category, key, lang, text }
+ * @throws {TranslationReviewError}
+ */
+export function approveTranslation(id, { text = null, category = null, key = null } = {}) {
+    const entry = getCachedEntry(id);
+    if (!entry) throw new TranslationReviewError(`No cached translation with ID ${id}.`);
+
+    const translated = text || entry.translatedText;
+    const targetCategory = category || entry.category;
+    const targetKey = key ?? entry.key;
+
+    if (!targetCategory || targetKey === null || targetKey === undefined) {
+        updateCached(id, { translatedText: translated, confidence: 'manual' });
+        return { promoted: false, category: null, key: null, lang: entry.lang, text: translated };
+    }
+
+    if (!isSupportedLocale(entry.lang)) {
+        throw new TranslationReviewError(`No dictionary for language \`${entry.lang}\`.`);
+    }
+
+    saveDictionaryEntry(entry.lang, targetCategory, String(targetKey), translated);
+
+    const source = getDictionary(SOURCE_LOCALE);
+    if (entry.lang !== SOURCE_LOCALE && !source?.[targetCategory]?.[targetKey]) {
+        saveDictionaryEntry(SOURCE_LOCALE, targetCategory, String(targetKey), entry.sourceText);
+    }
+
+    removeCached(id);
+    return { promoted: true, category: targetCategory, key: String(targetKey), lang: entry.lang, text: translated };
+}
+
+/**
+ * Reject a cached translation (it will be translated again when next needed)
+ * @throws {TranslationReviewError}
+ */
+export function rejectTranslation(id) {
+    if (!removeCached(id)) throw new TranslationReviewError(`No cached translation with ID ${id}.`);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// COVERAGE
+// ═══════════════════════════════════════════════════════════════════
+
+function listSourceFiles(dir) {
+    const files = [];
+    for (const name of readdirSync(dir)) {
+        const path = join(dir, name);
+        if (statSync(path).isDirectory()) files.push(...listSourceFiles(path));
+        else if (name.endsWith('.js')) files.push(path);
+    }
+    return files;
+}
+
+/**
+ * Dictionary keys referenced with literal arguments in the source
+ * @param {string} root - Source folder
+ * @returns {Object} { keys: Map<'category.key', { category, key, locations }>, dynamic }
+ *          dynamic = calls whose key isn't a string literal (can't be checked)
+ */
+export function findUsedKeys(root = SOURCE_ROOT) {
+    const keys = new Map();
+    let dynamic = 0;
+
+    const callPattern = new RegExp(`\\b(${Object.keys(KEY_CALLS).join('|')}|fromDictionary)\\(\\s*([^,)]*)(?:,\\s*([^,)]*))?`, 'g');
+    const literal = value => value?.trim().match(/^(['"])([^'"]+)\1$/)?.[2] ?? null;
+
+    for (const file of listSourceFiles(root)) {
+        // The localization module defines these functions, scripts only exercise them
+        if (file.includes(join('src', 'localization')) || file.includes(join('src', 'scripts'))) continue;
+
+        const lines = readFileSync(file, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (/^\s*(\/\/|\*)/.test(line)) return;
+
+            for (const match of line.matchAll(callPattern)) {
+                const [, fn, first, second] = match;
+                const category = fn === 'fromDictionary' ? literal(first) : KEY_CALLS[fn];
+                const key = literal(fn === 'fromDictionary' ? second : first);
+
+                if (!category || !key) {
+                    dynamic++;
+                    continue;
+                }
+
+                const id = `${category}.${key}`;
+                if (!keys.has(id)) keys.set(id, { category, key, locations: [] });
+                keys.get(id).locations.push(`${relative('.', file)}:${index + 1}`);
+            }
+        });
+    }
+
+    return { keys, dynamic };
+}
+
+/**
+ * Keys missing per language
+ * @param {string} root - Source folder
+ * @returns {Object} { used, dynamic, locales: { code: { name, missing, untranslated } } }
+ *          missing = used in the source but not in the file (source keys fall back to English,
+ *          English misses show the raw key); untranslated = in the English dictionary but not
+ *          in this one
+ */
+export function getCoverageReport(root = SOURCE_ROOT) {
+    const { keys, dynamic } = findUsedKeys(root);
+    const source = getDictionary(SOURCE_LOCALE) || {};
+    const locales = {};
+
+    for (const { code, name } of getLocales()) {
+        const dictionary = getDictionary(code);
+        const has = (category, key) => Boolean(dictionary[category]?.[key]);
+
+        const missing = [...keys.values()].filter(({ category, key }) => !has(category, key));
+
+        const untranslated = [];
+        if (code !== SOURCE_LOCALE) {
+            for (const [category, entries] of Object.entries(source)) {
+                if (category === '_meta') continue;
+                for (const key of Object.keys(entries)) {
+                    if (!has(category, key)) untranslated.push({ category, key });
+                }
+            }
+        }
+
+        locales[code] = { name, missing, untranslated };
+    }
+
+    return { used: keys.size, dynamic, locales };
+}
+
+export default {
+    listTranslations,
+    approveTranslation,
+    rejectTranslation,
+    findUsedKeys,
+    getCoverageReport
+};
@@ -5,18 +5,11 @@
  * Usage: node src/scripts/system_health_check.js
  */
 
-import { readFileSync, existsSync } from 'fs';
 import { config } from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { getCollection, closeStorage } from '../services/storage/index.js';
 
 config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const ROOT_DIR = join(__dirname, '..', '..');
-const RUNTIME_STATE_FILE = join(ROOT_DIR, 'data', 'runtime-state.json');
-
 // Expected runners
 const EXPECTED_RUNNERS = [
     { key: 'wallet', interval: 60000, name: 'Wallet' },
@@ -44,6 +37,8 @@ const EXPECTED_RUNNERS = [
     { key: 'companyInfo', interval: 1800000, name: 'Company Info' },
     { key: 'jobOverview', interval: 900000, name: 'Job Overview' },
     { key: 'workPerformance', interval: 3600000, name: 'Work Perf' },
+    { key: 'companyDirector', interval: 3600000, name: 'Company Director' },
+    { key: 'companyStock', interval: 1800000, name: 'Company Stock' },
     { key: 'bazaarCheck', interval: 300000, name: 'Bazaar' },
     { key: 'itemMarketListings', interval: 300000, name: 'Item Market' },
     { key: 'networthTrend', interval: 86400000, name: 'NW Trend' },
@@ -61,22 +56,24 @@ function formatDuration(ms) {
     return `${(ms / 86400000).toFixed(1)}d`;
 }
 
-function loadJson(filepath) {
-    if (!existsSync(filepath)) return null;
+function loadRuntimeState() {
     try {
-        return JSON.parse(readFileSync(filepath, 'utf8'));
+        const state = getCollection('runtime-state').all();
+        return Object.keys(state).length > 0 ? state : null;
     } catch (e) {
         return null;
+    } finally {
+        closeStorage();
     }
 }
 
 console.log('\n=== TORN SENTINEL HEALTH CHECK ===');
 console.log(`Time: ${new Date().toISOString()}\n`);
 
-const state = loadJson(RUNTIME_STATE_FILE);
+const state = loadRuntimeState();
 
 if (!state) {
-    console.log('ERROR: runtime-state.json not found!');
+    console.log('ERROR: runtime state not found!');
     process.exit(1);
 }
 
@@ -97,6 +94,12 @@ for (const runner of EXPECTED_RUNNERS) {
         continue;
     }
 
+    // Paused with /autorun - not expected to update
+    if (r.settings?.paused) {
+        results.healthy.push({ name: runner.name + ' (paused)', ago: 'N/A' });
+        continue;
+    }
+
     // For noEmbed runners (like tradeHandler), messageId being null is expected
     if (!r.messageId && !runner.noEmbed && r.enabled) {
         results.never.push(runner.name);
@@ -109,7 +112,7 @@ for (const runner of EXPECTED_RUNNERS) {
     }
 
     const ago = now - r.lastRun;
-    const maxExpected = runner.interval * 10;
+    const maxExpected = (r.settings?.interval || runner.interval) * 10;
 
     if (ago > maxExpected) {
         results.stale.push({ name: runner.name, ago: formatDuration(ago) });
@@ -1,5 +1,5 @@
 
-import { getUi, getStat, getAction, fromDictionary, applyTemplate } from '../localization/index.js';
+import { getUi, getStat, getAction, fromDictionary, applyTemplate, getLocales, runWithLocale, SOURCE_LOCALE } from '../localization/index.js';
 
 console.log('🔍 Starting Localization Verification...');
 
@@ -97,6 +97,23 @@ if (templateTest.includes('{stat}')) {
     console.log('✅ Template substitution passed');
 }
 
+// 5. Test every locale renders through the resolver
+console.log('\n--- 5. Testing Locales ---');
+for (const { code, name } of getLocales()) {
+    const title = runWithLocale(code, () => getUi('activity_log'));
+    if (title === 'activity_log') {
+        console.error(`❌ ${code}: activity_log missing`);
+        failed++;
+    } else {
+        console.log(`✅ ${code} (${name}): ${title}`);
+    }
+}
+
+if (runWithLocale(SOURCE_LOCALE, () => getUi('bot_status')) !== 'Bot Status') {
+    console.error('❌ English dictionary not used inside runWithLocale');
+    failed++;
+}
+
 // Summary
 console.log('\n--- Summary ---');
 if (failed === 0) {
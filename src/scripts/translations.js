@@ -0,0 +1,130 @@
+/**
+ * Translation Maintenance Script
+ * Review AI translations from the cache and check dictionary coverage (offline)
+ *
+ * Usage:
+ *   node src/scripts/translations.js pending [lang] [--all]
+ *   node src/scripts/translations.js approve <id> [--category <category>] [--key <key>] [--text "<translation>"]
+ *   node src/scripts/translations.js reject <id>
+ *   node src/scripts/translations.js coverage [--strict]
+ *
+ * `coverage` exits with 1 when English misses a key used in the source
+ * (with --strict: when any language does)
+ */
+
+import {
+    listTranslations,
+    approveTranslation,
+    rejectTranslation,
+    getCoverageReport,
+    TranslationReviewError
+} from '../localization/translationReview.js';
+import { SOURCE_LOCALE } from '../localization/index.js';
+
+const [command, ...rest] = process.argv.slice(2);
+
+// Positional arguments and --flag values
+const positional = [];
+const flags = {};
+for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+        const name = rest[i].slice(2);
+        const next = rest[i + 1];
+        flags[name] = next === undefined || next.startsWith('--') ? true : rest[++i];
+    } else {
+        positional.push(rest[i]);
+    }
+}
+
+function truncate(text, length = 100) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function showPending() {
+    const entries = listTranslations({ lang: positional[0] || null, confidence: flags.all ? null : 'ai' });
+
+    if (entries.length === 0) {
+        console.log('✅ No translations waiting for review');
+        return;
+    }
+
+    for (const entry of entries) {
+        const target = entry.category ? `${entry.category}.${entry.key}` : 'no dictionary key';
+        console.log(`\n🆔 ${entry.id} [${entry.lang}, ${entry.confidence}] → ${target}`);
+        console.log(`   EN: ${truncate(entry.sourceText)}`);
+        console.log(`   ${entry.lang.toUpperCase()}: ${truncate(entry.translatedText)}`);
+    }
+
+    console.log(`\n📋 ${entries.length} translation(s). Approve with: approve <id> [--category c --key k] [--text "..."]`);
+}
+
+function approve() {
+    const [id] = positional;
+    if (!id) throw new TranslationReviewError('Usage: approve <id> [--category <category>] [--key <key>] [--text "<translation>"]');
+
+    const result = approveTranslation(id, {
+        text: typeof flags.text === 'string' ? flags.text : null,
+        category: typeof flags.category === 'string' ? flags.category : null,
+        key: typeof flags.key === 'string' ? flags.key : null
+    });
+
+    if (result.promoted) {
+        console.log(`✅ Added ${result.category}.${result.key} to dictionary.${result.lang}.json: ${truncate(result.text)}`);
+    } else {
+        console.log(`✅ Marked ${id} as reviewed (manual). Pass --category and --key to move it into the dictionary.`);
+    }
+}
+
+function reject() {
+    const [id] = positional;
+    if (!id) throw new TranslationReviewError('Usage: reject <id>');
+
+    rejectTranslation(id);
+    console.log(`🗑️ Removed ${id} from the translation cache`);
+}
+
+function showCoverage() {
+    const report = getCoverageReport();
+    let failed = false;
+
+    console.log(`🔍 ${report.used} dictionary keys used in the source (${report.dynamic} dynamic lookups not checked)`);
+
+    for (const [code, { name, missing, untranslated }] of Object.entries(report.locales)) {
+        const icon = missing.length === 0 && untranslated.length === 0 ? '✅' : '⚠️';
+        console.log(`\n${icon} ${code} (${name}): ${missing.length} missing, ${untranslated.length} not translated from ${SOURCE_LOCALE}`);
+
+        for (const { category, key, locations } of missing) {
+            console.log(`   ❌ ${category}.${key}  (${locations[0]}${locations.length > 1 ? ` +${locations.length - 1}` : ''})`);
+        }
+        for (const { category, key } of untranslated) {
+            console.log(`   ➖ ${category}.${key}`);
+        }
+
+        if (missing.length > 0 && (code === SOURCE_LOCALE || flags.strict)) failed = true;
+    }
+
+    if (failed) process.exit(1);
+}
+
+try {
+    switch (command) {
+        case 'pending':
+            showPending();
+            break;
+        case 'approve':
+            approve();
+            break;
+        case 'reject':
+            reject();
+            break;
+        case 'coverage':
+            showCoverage();
+            break;
+        default:
+            console.log('Usage: node src/scripts/translations.js <pending|approve|reject|coverage> (see file header)');
+            process.exit(command ? 1 : 0);
+    }
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
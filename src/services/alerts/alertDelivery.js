@@ -0,0 +1,84 @@
+/**
+ * Alert Delivery - Per-User Routing
+ * Sends an alert to the user's DMs, their own channel or the shared
+ * alert channel (with a mention), chosen per user and per severity.
+ * DMs and personal channels fall back to the shared channel on failure.
+ */
+
+import { getDeliveryRoute } from './alertPreferences.js';
+
+export const DELIVERY_ROUTES = {
+    DM: 'dm',
+    CHANNEL: 'channel',
+    SHARED: 'shared',
+};
+
+// Discord: "Cannot send messages to this user" (DMs closed / no shared server)
+const DM_CLOSED_CODE = 50007;
+
+/**
+ * Shared alert channel (from env)
+ */
+function getSharedChannelId() {
+    return process.env.ALERT_CHANNEL_ID || null;
+}
+
+/**
+ * Send to a user's DMs
+ */
+async function sendDirect(client, userId, payload) {
+    const user = await client.users.fetch(userId);
+    await user.send(payload);
+}
+
+/**
+ * Send to a channel, mentioning the user
+ */
+async function sendToChannel(client, channelId, userId, payload) {
+    const channel = await client.channels.fetch(channelId);
+    if (!channel?.isTextBased()) {
+        throw new Error(`Channel not found: ${channelId}`);
+    }
+
+    await channel.send({
+        ...payload,
+        content: [`<@${userId}>`, payload.content].filter(Boolean).join(' ')
+    });
+}
+
+/**
+ * Deliver an alert to a user
+ * @param {Client} client - Discord client
+ * @param {string} userId - Discord user ID
+ * @param {string} severity - Alert severity (action/info/warning)
+ * @param {object} payload - Message payload ({ embeds, content })
+ * @returns {Promise<{route: string, fallback: boolean}>} Where it was delivered
+ */
+export async function deliverAlert(client, userId, severity, payload) {
+    const route = getDeliveryRoute(userId, severity);
+
+    if (route.type === DELIVERY_ROUTES.DM) {
+        try {
+            await sendDirect(client, userId, payload);
+            return { route: DELIVERY_ROUTES.DM, fallback: false };
+        } catch (error) {
+            const reason = error.code === DM_CLOSED_CODE ? 'DMs closed' : error.message;
+            console.warn(`⚠️ DM to ${userId} failed (${reason}), using alert channel`);
+        }
+    } else if (route.type === DELIVERY_ROUTES.CHANNEL && route.channelId) {
+        try {
+            await sendToChannel(client, route.channelId, userId, payload);
+            return { route: DELIVERY_ROUTES.CHANNEL, fallback: false };
+        } catch (error) {
+            console.warn(`⚠️ Personal alert channel for ${userId} failed (${error.message}), using alert channel`);
+        }
+    }
+
+    const sharedChannelId = getSharedChannelId();
+    if (!sharedChannelId) {
+        throw new Error('ALERT_CHANNEL_ID is not set');
+    }
+
+    await sendToChannel(client, sharedChannelId, userId, payload);
+    return { route: DELIVERY_ROUTES.SHARED, fallback: route.type !== DELIVERY_ROUTES.SHARED };
+}
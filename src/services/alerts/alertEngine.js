@@ -4,7 +4,7 @@
  */
 
 import { EmbedBuilder } from 'discord.js';
-import { ALERTS } from './alertRegistry.js';
+import { ALERTS, SEVERITY } from './alertRegistry.js';
 import { COMPOUND_ALERTS } from './alertEvaluator.js';
 import {
     getPreviousState,
@@ -14,13 +14,21 @@ import {
     isOnCooldown,
     setLastAlertTime,
     isRateLimited,
-    recordAlertSent
+    recordAlertSent,
+    queueDigestAlert,
+    getDigestAlerts,
+    takeDigestAlerts
 } from './alertState.js';
+import {
+    isAlertEnabled,
+    getAlertCooldown,
+    getAlertConfig,
+    isQuietTime
+} from './alertPreferences.js';
+import { deliverAlert } from './alertDelivery.js';
+import { getCustomRuleAlerts } from './customRules.js';
 import { discordTimestamp } from '../../utils/formatters.js';
 
-// Alert channel ID (from env)
-const ALERT_CHANNEL_ID = process.env.ALERT_CHANNEL_ID || '1455105643206676567';
-
 // Config defaults
 const CONFIG = {
     CASH_DROP_THRESHOLD: parseInt(process.env.ALERT_CASH_DROP_THRESHOLD) || 500000,
@@ -50,6 +58,12 @@ export async function processAlerts(userId, currentState, apiGroup) {
 
     try {
         const prevState = getPreviousState(userId);
+        const config = getAlertConfig(userId, CONFIG);
+
+        // Quiet hours are over - deliver what was queued
+        if (!isQuietTime(userId) && getDigestAlerts(userId).length > 0) {
+            await sendDigest(userId);
+        }
 
         // Combine all alerts (regular + compound)
         const allAlerts = [
@@ -57,11 +71,21 @@ export async function processAlerts(userId, currentState, apiGroup) {
             ...Object.values(COMPOUND_ALERTS)
         ];
 
-        // Filter to alerts that match this API group
-        const relevantAlerts = allAlerts.filter(a => a.apiGroup === apiGroup);
+        // Filter to alerts that match this API group and the user wants
+        const relevantAlerts = allAlerts.filter(a => a.apiGroup === apiGroup && isAlertEnabled(userId, a.key));
 
         for (const alert of relevantAlerts) {
-            await processAlert(userId, alert, prevState, currentState);
+            await processAlert(userId, alert, prevState, currentState, config);
+        }
+
+        // User rules that read fields from this API group, evaluated on the merged state
+        const mergedState = { ...prevState, ...currentState };
+        const customAlerts = getCustomRuleAlerts(userId).filter(a =>
+            isAlertEnabled(userId, a.key) && a.fields.some(f => f.split('.')[0] in currentState)
+        );
+
+        for (const alert of customAlerts) {
+            await processAlert(userId, alert, prevState, mergedState, config);
         }
 
         // Update stored state
@@ -76,17 +100,17 @@ export async function processAlerts(userId, currentState, apiGroup) {
 /**
  * Process a single alert
  */
-async function processAlert(userId, alert, prevState, currentState) {
+async function processAlert(userId, alert, prevState, currentState, config) {
     try {
         // 1. Check if condition is met
-        const conditionMet = alert.checkCondition(prevState, currentState, CONFIG);
+        const conditionMet = alert.checkCondition(prevState, currentState, config);
 
         // 2. Check if flag is already set (alert was sent)
         const flagSet = getFlag(userId, alert.key);
 
         // 3. Check reset condition
         if (flagSet) {
-            const shouldReset = alert.resetCondition(prevState, currentState, CONFIG);
+            const shouldReset = alert.resetCondition(prevState, currentState, config);
             if (shouldReset) {
                 setFlag(userId, alert.key, false);
                 // Continue to check if we should re-trigger
@@ -98,23 +122,35 @@ async function processAlert(userId, alert, prevState, currentState) {
 
         if (conditionMet && !currentFlagSet) {
             // 5. Check cooldown
-            if (isOnCooldown(userId, alert.key, alert.cooldown)) {
+            if (isOnCooldown(userId, alert.key, getAlertCooldown(userId, alert))) {
                 return; // Still on cooldown, skip
             }
 
-            // 6. Check rate limit
-            if (isRateLimited(userId, CONFIG.MAX_ALERTS_PER_10MIN)) {
-                console.log(`⚠️ Rate limited: ${alert.key} for user ${userId}`);
-                return;
+            if (alert.severity !== SEVERITY.WARNING && isQuietTime(userId)) {
+                // 6. Quiet hours: hold for the digest (warnings always go through)
+                queueDigestAlert(userId, {
+                    key: alert.key,
+                    emoji: alert.emoji,
+                    title: alert.title,
+                    lines: alert.getMessage(currentState, prevState, config),
+                    timestamp: Date.now()
+                });
+                console.log(`🌙 Alert queued for digest: ${alert.key} for user ${userId}`);
+            } else {
+                // 7. Check rate limit
+                if (isRateLimited(userId, CONFIG.MAX_ALERTS_PER_10MIN)) {
+                    console.log(`⚠️ Rate limited: ${alert.key} for user ${userId}`);
+                    return;
+                }
+
+                // 8. Send alert!
+                await sendAlert(userId, alert, currentState, prevState, config);
+                recordAlertSent(userId);
             }
 
-            // 7. Send alert!
-            await sendAlert(userId, alert, currentState, prevState);
-
-            // 8. Set flag and record
+            // 9. Set flag and cooldown
             setFlag(userId, alert.key, true);
             setLastAlertTime(userId, alert.key);
-            recordAlertSent(userId);
         }
 
     } catch (error) {
@@ -124,31 +160,22 @@ async function processAlert(userId, alert, prevState, currentState) {
 }
 
 /**
- * Send alert to channel
+ * Send alert through the user's delivery route
  */
-async function sendAlert(userId, alert, currentState, prevState) {
+async function sendAlert(userId, alert, currentState, prevState, config) {
     if (!discordClient) {
         console.error('Discord client not set');
         return;
     }
 
     try {
-        const channel = await discordClient.channels.fetch(ALERT_CHANNEL_ID);
-        if (!channel) {
-            console.error(`Alert channel not found: ${ALERT_CHANNEL_ID}`);
-            return;
-        }
-
         // Build embed
-        const embed = buildAlertEmbed(userId, alert, currentState, prevState);
+        const embed = buildAlertEmbed(userId, alert, currentState, prevState, config);
 
-        // Send message
-        await channel.send({
-            content: `<@${userId}>`, // Mention user
-            embeds: [embed]
-        });
+        // Send message (DM, personal channel or shared channel)
+        const { route } = await deliverAlert(discordClient, userId, alert.severity, { embeds: [embed] });
 
-        console.log(`🔔 Alert sent: ${alert.key} for user ${userId}`);
+        console.log(`🔔 Alert sent: ${alert.key} for user ${userId} (${route})`);
 
     } catch (error) {
         console.error(`Failed to send alert ${alert.key}:`, error.message);
@@ -159,7 +186,7 @@ async function sendAlert(userId, alert, currentState, prevState) {
 /**
  * Build alert embed
  */
-function buildAlertEmbed(userId, alert, currentState, prevState) {
+function buildAlertEmbed(userId, alert, currentState, prevState, config) {
     const now = Math.floor(Date.now() / 1000);
 
     // Get color based on severity
@@ -171,7 +198,7 @@ function buildAlertEmbed(userId, alert, currentState, prevState) {
     const color = colors[alert.severity] || colors.info;
 
     // Get message bullets
-    const messages = alert.getMessage(currentState, prevState, CONFIG);
+    const messages = alert.getMessage(currentState, prevState, config);
     const bulletPoints = messages.map(m => `• ${m}`).join('\n');
 
     const embed = new EmbedBuilder()
@@ -184,6 +211,54 @@ function buildAlertEmbed(userId, alert, currentState, prevState) {
     return embed;
 }
 
+/**
+ * Send the quiet hours digest for a user
+ */
+async function sendDigest(userId) {
+    if (!discordClient) return;
+
+    try {
+        const items = getDigestAlerts(userId);
+
+        await deliverAlert(discordClient, userId, SEVERITY.INFO, {
+            embeds: [buildDigestEmbed(items)]
+        });
+
+        takeDigestAlerts(userId);
+        console.log(`🌙 Digest sent: ${items.length} alerts for user ${userId}`);
+
+    } catch (error) {
+        console.error(`Failed to send digest for user ${userId}:`, error.message);
+    }
+}
+
+/**
+ * Build digest embed (repeats of the same alert are grouped)
+ */
+function buildDigestEmbed(items) {
+    const groups = new Map();
+    for (const item of items) {
+        const group = groups.get(item.key) || { ...item, count: 0 };
+        group.count++;
+        group.lines = item.lines;
+        group.timestamp = item.timestamp;
+        groups.set(item.key, group);
+    }
+
+    const lines = [...groups.values()].map(g => {
+        const count = g.count > 1 ? ` ×${g.count}` : '';
+        const when = discordTimestamp(Math.floor(g.timestamp / 1000), 'R');
+        return `${g.emoji} **${g.title}**${count} • ${when}\n└ ${g.lines[0] || ''}`;
+    });
+
+    return new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('🌙 Quiet Hours Digest')
+        .setDescription(lines.join('\n').slice(0, 4000))
+        .setTimestamp()
+        .setFooter({ text: `Torn Sentinel • ${items.length} alerts while you were away` });
+}
+
 /**
  * Test alert (for /alert-test command)
  */
@@ -194,9 +269,6 @@ export async function sendTestAlert(userId, alertKey) {
     if (!alert) return { success: false, error: 'Alert not found' };
 
     try {
-        const channel = await discordClient.channels.fetch(ALERT_CHANNEL_ID);
-        if (!channel) return { success: false, error: 'Channel not found' };
-
         const embed = new EmbedBuilder()
             .setColor(0x5865F2)
             .setTitle(`${alert.emoji} [TEST] ${alert.title}`)
@@ -204,24 +276,38 @@ export async function sendTestAlert(userId, alertKey) {
             .setTimestamp()
             .setFooter({ text: 'Torn Sentinel • Test Mode' });
 
-        await channel.send({
-            content: `<@${userId}> (Test Alert)`,
+        const { route, fallback } = await deliverAlert(discordClient, userId, alert.severity, {
+            content: '(Test Alert)',
             embeds: [embed]
         });
 
-        return { success: true };
+        return { success: true, route, fallback };
 
     } catch (error) {
         return { success: false, error: error.message };
     }
 }
 
+/**
+ * Get an alert definition by key
+ */
+export function getAlertDefinition(alertKey) {
+    return ALERTS[alertKey] || COMPOUND_ALERTS[alertKey] || null;
+}
+
+/**
+ * Get global alert config (defaults for threshold overrides)
+ */
+export function getDefaultAlertConfig() {
+    return { ...CONFIG };
+}
+
 /**
  * Get all alert keys for autocomplete
  */
 export function getAllAlertKeys() {
-    return [
+    return [...new Set([
         ...Object.keys(ALERTS),
         ...Object.keys(COMPOUND_ALERTS)
-    ];
+    ])];
 }
@@ -0,0 +1,202 @@
+/**
+ * Alert Preferences - Per-User Settings
+ * Disabled alerts, cooldown/threshold overrides, quiet hours and delivery routes
+ * Quiet hours are in Torn time (UTC); non-warning alerts fired inside
+ * them are queued and delivered as one digest when they end
+ */
+
+import { getCollection } from '../storage/index.js';
+
+const MAX_COOLDOWN = 24 * 60 * 60; // 1 day
+
+/**
+ * Preferences collection (Discord ID -> preferences)
+ */
+function getStore() {
+    return getCollection('alert-preferences');
+}
+
+/**
+ * Default preferences
+ */
+function createDefaultPreferences() {
+    return {
+        disabled: [],
+        cooldowns: {},
+        thresholds: {},
+        quietHours: null,
+        delivery: {
+            default: 'shared',   // dm | channel | shared
+            bySeverity: {},      // severity -> route
+            channelId: null      // Personal channel for the 'channel' route
+        }
+    };
+}
+
+/**
+ * Get a user's alert preferences
+ * @param {string} userId - Discord user ID
+ */
+export function getAlertPreferences(userId) {
+    return { ...createDefaultPreferences(), ...getStore().get(userId) };
+}
+
+/**
+ * Apply a change to a user's preferences and persist it
+ */
+function updatePreferences(userId, mutate) {
+    const prefs = getAlertPreferences(userId);
+    mutate(prefs);
+    getStore().set(userId, prefs);
+    return prefs;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TOGGLES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Check if a user wants an alert
+ */
+export function isAlertEnabled(userId, alertKey) {
+    return !getAlertPreferences(userId).disabled.includes(alertKey);
+}
+
+/**
+ * Enable or disable an alert for a user
+ */
+export function setAlertEnabled(userId, alertKey, enabled) {
+    return updatePreferences(userId, prefs => {
+        prefs.disabled = prefs.disabled.filter(k => k !== alertKey);
+        if (!enabled) prefs.disabled.push(alertKey);
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// OVERRIDES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Cooldown (seconds) for an alert, honoring the user's override
+ * @param {string} userId
+ * @param {object} alert - Alert definition
+ */
+export function getAlertCooldown(userId, alert) {
+    return getAlertPreferences(userId).cooldowns[alert.key] ?? alert.cooldown;
+}
+
+/**
+ * Override an alert's cooldown (null restores the default)
+ * @param {number|null} seconds
+ */
+export function setCooldownOverride(userId, alertKey, seconds) {
+    return updatePreferences(userId, prefs => {
+        if (seconds === null) {
+            delete prefs.cooldowns[alertKey];
+        } else {
+            prefs.cooldowns[alertKey] = Math.min(Math.max(0, seconds), MAX_COOLDOWN);
+        }
+    });
+}
+
+/**
+ * Override an alert threshold (null restores the default)
+ * @param {string} configKey - Threshold config key (e.g. CASH_DROP_THRESHOLD)
+ * @param {number|null} value
+ */
+export function setThresholdOverride(userId, configKey, value) {
+    return updatePreferences(userId, prefs => {
+        if (value === null) {
+            delete prefs.thresholds[configKey];
+        } else {
+            prefs.thresholds[configKey] = Math.max(0, value);
+        }
+    });
+}
+
+/**
+ * Alert config for a user (global config + the user's threshold overrides)
+ * @param {string} userId
+ * @param {object} baseConfig - Global config from env
+ */
+export function getAlertConfig(userId, baseConfig) {
+    return { ...baseConfig, ...getAlertPreferences(userId).thresholds };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// QUIET HOURS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Set quiet hours in Torn time (null disables them)
+ * @param {number|null} start - Hour quiet hours begin (0-23)
+ * @param {number} end - Hour they end (0-23, may wrap past midnight)
+ */
+export function setQuietHours(userId, start, end) {
+    return updatePreferences(userId, prefs => {
+        prefs.quietHours = start === null ? null : { start, end };
+    });
+}
+
+/**
+ * Check if a user is inside their quiet hours
+ * @param {string} userId
+ * @param {Date} date - Time to check (default now)
+ */
+export function isQuietTime(userId, date = new Date()) {
+    const quiet = getAlertPreferences(userId).quietHours;
+    if (!quiet || quiet.start === quiet.end) return false;
+
+    const hour = date.getUTCHours();
+    return quiet.start < quiet.end
+        ? hour >= quiet.start && hour < quiet.end
+        : hour >= quiet.start || hour < quiet.end;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// DELIVERY
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Where a user's alerts of a severity should go
+ * @returns {{type: string, channelId: string|null}}
+ */
+export function getDeliveryRoute(userId, severity) {
+    const { delivery } = getAlertPreferences(userId);
+    return {
+        type: delivery.bySeverity[severity] || delivery.default,
+        channelId: delivery.channelId
+    };
+}
+
+/**
+ * Set a delivery route
+ * @param {string} userId
+ * @param {string} type - dm | channel | shared
+ * @param {string|null} severity - Only this severity (null = all severities)
+ * @param {string|null} channelId - Personal channel (kept if not given)
+ */
+export function setDeliveryRoute(userId, type, severity = null, channelId = null) {
+    return updatePreferences(userId, prefs => {
+        if (severity) {
+            prefs.delivery.bySeverity[severity] = type;
+        } else {
+            prefs.delivery.default = type;
+            prefs.delivery.bySeverity = {};
+        }
+        if (channelId) {
+            prefs.delivery.channelId = channelId;
+        }
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// UTILITY
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Remove a user's preferences (back to defaults)
+ */
+export function clearAlertPreferences(userId) {
+    getStore().delete(userId);
+}
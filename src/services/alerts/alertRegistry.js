@@ -20,6 +20,7 @@ export const API_GROUPS = {
     FINANCIAL: 'money',                // v1: money_onhand
     MESSAGES: 'messages',              // New messages
     EVENTS: 'events',                  // New events
+    COMPANY: 'company',                // Director's company stock (fed by the Company Stock runner, not polled here)
 };
 
 // Poll intervals in milliseconds
@@ -42,6 +43,9 @@ export const POLL_INTERVALS = {
  * - checkCondition: (prev, curr) => boolean - fires when returns true
  * - resetCondition: (prev, curr) => boolean - resets flag when returns true
  * - getMessage: (state) => string[] - bullet points for alert
+ * Optional:
+ * - threshold: { config, labelKey } - config value users may override via /alerts
+ *   (labelKey is its ui dictionary key)
  */
 export const ALERTS = {
     // ═══════════════════════════════════════════════════════════════════
@@ -319,6 +323,81 @@ export const ALERTS = {
         }
     },
 
+    // ═══════════════════════════════════════════════════════════════════
+    // 🏭 COMPANY ALERTS (directors, from the Company Stock runner)
+    // ═══════════════════════════════════════════════════════════════════
+
+    COMPANY_STOCK_RUNOUT: {
+        key: 'COMPANY_STOCK_RUNOUT',
+        emoji: '📦',
+        title: 'Company Stock Running Out!',
+        cooldown: 3600, // 1 hour
+        severity: SEVERITY.WARNING,
+        apiGroup: API_GROUPS.COMPANY,
+        pollInterval: null,
+        checkCondition: (prev, curr) => {
+            // Trigger when a product newly runs out before its next delivery
+            const atRisk = Object.keys(curr.companyStock?.atRisk || {});
+            const prevAtRisk = prev.companyStock?.atRisk || {};
+            return atRisk.some(product => !(product in prevAtRisk));
+        },
+        resetCondition: () => true, // Each product alerts once until it recovers
+        getMessage: (state) => {
+            const atRisk = Object.entries(state.companyStock?.atRisk || {});
+            const lines = atRisk.slice(0, 5).map(([product, p]) => {
+                const order = p.onOrder > 0 ? `${p.onOrder.toLocaleString()} on order` : 'nothing on order';
+                return `**${product}**: ${p.inStock.toLocaleString()} left (~${Math.round(p.hoursLeft)}h), ${order}, delivery ~${Math.round(p.deliveryHours)}h`;
+            });
+            if (atRisk.length > 5) lines.push(`*+${atRisk.length - 5} more products*`);
+            lines.push('Order more stock before it sells out!');
+            return lines;
+        }
+    },
+
+    COMPANY_TRAINS_CHANGED: {
+        key: 'COMPANY_TRAINS_CHANGED',
+        emoji: '🏋️',
+        title: 'Company Trains Changed',
+        cooldown: 3600, // 1 hour
+        severity: SEVERITY.INFO,
+        apiGroup: API_GROUPS.COMPANY,
+        pollInterval: null,
+        checkCondition: (prev, curr) => {
+            const before = prev.companyStock;
+            const now = curr.companyStock;
+            return Boolean(before && now) && before.companyId === now.companyId &&
+                before.trains !== null && now.trains !== null && before.trains !== now.trains;
+        },
+        resetCondition: () => true,
+        getMessage: (state, prev) => [
+            `Trains available: **${prev.companyStock?.trains}** → **${state.companyStock?.trains}**`,
+            state.companyStock?.trains > (prev.companyStock?.trains || 0)
+                ? 'New trains to give to your employees.'
+                : 'Trains were used.'
+        ]
+    },
+
+    COMPANY_ADVERTISING_CHANGED: {
+        key: 'COMPANY_ADVERTISING_CHANGED',
+        emoji: '📣',
+        title: 'Advertising Budget Changed',
+        cooldown: 600, // 10 min
+        severity: SEVERITY.INFO,
+        apiGroup: API_GROUPS.COMPANY,
+        pollInterval: null,
+        checkCondition: (prev, curr) => {
+            const before = prev.companyStock;
+            const now = curr.companyStock;
+            return Boolean(before && now) && before.companyId === now.companyId &&
+                before.advertisingBudget !== null && now.advertisingBudget !== null &&
+                before.advertisingBudget !== now.advertisingBudget;
+        },
+        resetCondition: () => true,
+        getMessage: (state, prev) => [
+            `Advertising budget: **$${(prev.companyStock?.advertisingBudget || 0).toLocaleString()}** → **$${(state.companyStock?.advertisingBudget || 0).toLocaleString()}** per day`
+        ]
+    },
+
     // ═══════════════════════════════════════════════════════════════════
     // 🏥 STATUS ALERTS
     // ═══════════════════════════════════════════════════════════════════
@@ -356,6 +435,7 @@ export const ALERTS = {
         title: 'Cash Drop Alert!',
         cooldown: 600, // 10 min
         severity: SEVERITY.WARNING,
+        threshold: { config: 'CASH_DROP_THRESHOLD', labelKey: 'threshold_cash_drop' },
         apiGroup: API_GROUPS.FINANCIAL,
         pollInterval: POLL_INTERVALS.MEDIUM,
         checkCondition: (prev, curr, config) => {
@@ -381,6 +461,7 @@ export const ALERTS = {
         title: 'Unpaid Fees Alert!',
         cooldown: 600, // 10 min
         severity: SEVERITY.WARNING,
+        threshold: { config: 'UNPAID_FEES_DELTA_MIN', labelKey: 'threshold_unpaid_fees' },
         apiGroup: API_GROUPS.FINANCIAL,
         pollInterval: POLL_INTERVALS.MEDIUM,
         checkCondition: (prev, curr, config) => {
@@ -1,13 +1,10 @@
 /**
  * Alert State Storage - Persistence Layer
  * Stores user states, flags, and last alert times for edge detection
- * Uses JSON file for persistence across restarts
+ * Persisted through the storage layer (one entry per user)
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
-
-const STATE_FILE = './data/alert-state.json';
+import { getCollection } from '../storage/index.js';
 
 // In-memory cache
 let stateCache = {};
@@ -19,22 +16,8 @@ const SAVE_DEBOUNCE = 5000; // 5 seconds debounce for saves
  */
 export function initAlertState() {
     try {
-        // Ensure data directory exists
-        const dir = dirname(STATE_FILE);
-        if (!existsSync(dir)) {
-            mkdirSync(dir, { recursive: true });
-        }
-
-        // Load existing state
-        if (existsSync(STATE_FILE)) {
-            const data = readFileSync(STATE_FILE, 'utf8');
-            stateCache = JSON.parse(data);
-            console.log(`📊 Alert state loaded: ${Object.keys(stateCache).length} users`);
-        } else {
-            stateCache = {};
-            saveState();
-            console.log('📊 Alert state initialized (empty)');
-        }
+        stateCache = getCollection('alert-state').all();
+        console.log(`📊 Alert state loaded: ${Object.keys(stateCache).length} users`);
     } catch (error) {
         console.error('❌ Failed to load alert state:', error.message);
         stateCache = {};
@@ -42,7 +25,7 @@ export function initAlertState() {
 }
 
 /**
- * Save state to file (with debounce)
+ * Save state to storage (with debounce)
  */
 function saveState(force = false) {
     const now = Date.now();
@@ -53,7 +36,7 @@ function saveState(force = false) {
     }
 
     try {
-        writeFileSync(STATE_FILE, JSON.stringify(stateCache, null, 2));
+        getCollection('alert-state').replaceAll(stateCache);
         lastSaveTime = now;
     } catch (error) {
         console.error('❌ Failed to save alert state:', error.message);
@@ -257,6 +240,48 @@ export function recordAlertSent(userId) {
     saveState();
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// QUIET HOURS DIGEST
+// ═══════════════════════════════════════════════════════════════════
+
+const MAX_DIGEST_ITEMS = 50;
+
+/**
+ * Queue an alert for the user's quiet hours digest
+ * @param {string} userId
+ * @param {object} item - { key, emoji, title, lines, timestamp }
+ */
+export function queueDigestAlert(userId, item) {
+    const entry = getUserEntry(userId);
+
+    if (!entry.digest) {
+        entry.digest = [];
+    }
+
+    entry.digest.push(item);
+    entry.digest = entry.digest.slice(-MAX_DIGEST_ITEMS);
+    saveState(true);
+}
+
+/**
+ * Get queued digest alerts without removing them
+ */
+export function getDigestAlerts(userId) {
+    return stateCache[userId]?.digest || [];
+}
+
+/**
+ * Remove and return queued digest alerts
+ */
+export function takeDigestAlerts(userId) {
+    const items = getDigestAlerts(userId);
+    if (items.length > 0) {
+        delete stateCache[userId].digest;
+        saveState(true);
+    }
+    return items;
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // UTILITY
 // ═══════════════════════════════════════════════════════════════════
@@ -273,7 +298,7 @@ export function getTrackedUsers() {
  */
 export function removeUser(userId) {
     delete stateCache[userId];
-    saveState();
+    saveState(true);
 }
 
 /**
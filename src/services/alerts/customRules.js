@@ -0,0 +1,179 @@
+/**
+ * Custom Alert Rules - User-Defined Alerts
+ * Rules are written in the rule expression language, validated on save and
+ * turned into alert definitions that go through the normal alert engine
+ * (edge detection, cooldown, rate limit, quiet hours and delivery)
+ */
+
+import { getCollection } from '../storage/index.js';
+import { SEVERITY } from './alertRegistry.js';
+import { compileExpression, evaluateExpression, readField, RuleSyntaxError } from './ruleExpression.js';
+
+const MAX_RULES_PER_USER = 10;
+const DEFAULT_COOLDOWN = 600; // 10 min
+
+// Top-level fields available from the polled API groups
+export const RULE_FIELDS = {
+    energy: 'bars', nerve: 'bars', happy: 'bars', life: 'bars', chain: 'bars',
+    cooldowns: 'cooldowns',
+    travel: 'travel',
+    education_current: 'education', education_timeleft: 'education',
+    jobpoints: 'jobpoints',
+    status: 'basic', level: 'basic',
+    money_onhand: 'money', points: 'money', vault_amount: 'money', city_bank: 'money',
+    cayman_bank: 'money', company_funds: 'money', daily_networth: 'money', unpaidfees: 'money',
+};
+
+// Compiled expressions by source text
+const compiledCache = new Map();
+
+/**
+ * Rules collection (Discord ID -> [rules])
+ */
+function getStore() {
+    return getCollection('alert-rules');
+}
+
+/**
+ * Last rule ID issued per user (Discord ID -> number)
+ * IDs are never reused, so a new rule can't inherit a removed rule's flag,
+ * cooldown or preferences (all keyed by CUSTOM_<id>)
+ */
+function getIdStore() {
+    return getCollection('alert-rule-ids');
+}
+
+/**
+ * Next rule ID for a user
+ */
+function nextRuleId(userId, rules) {
+    const last = Math.max(getIdStore().get(userId) || 0, ...rules.map(r => r.id));
+    getIdStore().set(userId, last + 1);
+    return last + 1;
+}
+
+/**
+ * Compile (cached) and check that every field is one we poll
+ * @throws {RuleSyntaxError}
+ */
+export function validateRuleExpression(expression) {
+    const compiled = compiledCache.get(expression) || compileExpression(expression);
+
+    const unknown = compiled.fields.filter(f => !RULE_FIELDS[f.split('.')[0]]);
+    if (unknown.length > 0) {
+        throw new RuleSyntaxError(`Unknown field ${unknown.map(f => `"${f}"`).join(', ')}. Available: ${Object.keys(RULE_FIELDS).join(', ')}`);
+    }
+
+    compiledCache.set(compiled.source, compiled);
+    return compiled;
+}
+
+/**
+ * Get a user's rules
+ * @param {string} userId - Discord user ID
+ */
+export function getCustomRules(userId) {
+    return getStore().get(userId) || [];
+}
+
+/**
+ * Validate and save a rule
+ * @param {string} userId
+ * @param {object} rule - { name, expression, severity, cooldown }
+ * @returns {object} Saved rule
+ * @throws {RuleSyntaxError} If the expression is invalid or the user is at the limit
+ */
+export function addCustomRule(userId, { name, expression, severity = SEVERITY.INFO, cooldown = DEFAULT_COOLDOWN }) {
+    const rules = getCustomRules(userId);
+    if (rules.length >= MAX_RULES_PER_USER) {
+        throw new RuleSyntaxError(`You already have ${MAX_RULES_PER_USER} rules. Remove one first.`);
+    }
+
+    const compiled = validateRuleExpression(expression);
+    const id = nextRuleId(userId, rules);
+
+    const rule = {
+        id,
+        name: String(name).slice(0, 60),
+        expression: compiled.source,
+        severity: Object.values(SEVERITY).includes(severity) ? severity : SEVERITY.INFO,
+        cooldown,
+        createdAt: Date.now()
+    };
+
+    getStore().set(userId, [...rules, rule]);
+    return rule;
+}
+
+/**
+ * Remove a rule
+ * @returns {boolean} True if a rule was removed
+ */
+export function removeCustomRule(userId, ruleId) {
+    const rules = getCustomRules(userId);
+    const remaining = rules.filter(r => r.id !== ruleId);
+    if (remaining.length === rules.length) return false;
+
+    getStore().set(userId, remaining);
+    return true;
+}
+
+/**
+ * Remove all of a user's rules
+ */
+export function clearCustomRules(userId) {
+    getStore().delete(userId);
+    getIdStore().delete(userId);
+}
+
+/**
+ * Alert key for a rule (flags and cooldowns are tracked per key)
+ */
+export function getRuleAlertKey(ruleId) {
+    return `CUSTOM_${ruleId}`;
+}
+
+/**
+ * Build alert definitions for a user's rules
+ * State passed to the conditions is the user's merged state across API groups,
+ * so a rule can combine fields from different groups
+ * @param {string} userId
+ * @returns {Array<object>} Alert definitions with an extra `fields` list
+ */
+export function getCustomRuleAlerts(userId) {
+    const alerts = [];
+
+    for (const rule of getCustomRules(userId)) {
+        let compiled;
+        try {
+            compiled = validateRuleExpression(rule.expression);
+        } catch (error) {
+            console.error(`Invalid custom rule ${rule.id} for user ${userId}:`, error.message);
+            continue;
+        }
+
+        alerts.push({
+            key: getRuleAlertKey(rule.id),
+            emoji: '🧩',
+            title: rule.name,
+            cooldown: rule.cooldown,
+            severity: rule.severity,
+            fields: compiled.fields,
+            checkCondition: (prev, curr) => evaluateExpression(compiled, curr),
+            resetCondition: (prev, curr) => !evaluateExpression(compiled, curr),
+            getMessage: (state) => [
+                `\`${compiled.source}\``,
+                ...compiled.fields.slice(0, 5).map(f => `${f}: **${formatValue(readField(state, f))}**`)
+            ]
+        });
+    }
+
+    return alerts;
+}
+
+function formatValue(value) {
+    if (value === undefined) return 'n/a';
+    if (typeof value === 'number') return value.toLocaleString();
+    if (typeof value === 'object') return JSON.stringify(value).slice(0, 50);
+    return String(value);
+}
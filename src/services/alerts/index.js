@@ -3,7 +3,29 @@
  */
 
 export { startAlertScheduler, stopAlertScheduler, getSchedulerStatus } from './alertScheduler.js';
-export { sendTestAlert, getAllAlertKeys } from './alertEngine.js';
-export { initAlertState, forceSaveState } from './alertState.js';
+export { processAlerts, sendTestAlert, getAllAlertKeys, getAlertDefinition, getDefaultAlertConfig } from './alertEngine.js';
+export { initAlertState, forceSaveState, getDigestAlerts, getPreviousState } from './alertState.js';
+export {
+    getAlertPreferences,
+    setAlertEnabled,
+    setCooldownOverride,
+    setThresholdOverride,
+    setQuietHours,
+    isQuietTime,
+    clearAlertPreferences,
+    getDeliveryRoute,
+    setDeliveryRoute
+} from './alertPreferences.js';
+export { deliverAlert, DELIVERY_ROUTES } from './alertDelivery.js';
+export {
+    getCustomRules,
+    addCustomRule,
+    removeCustomRule,
+    clearCustomRules,
+    validateRuleExpression,
+    getRuleAlertKey,
+    RULE_FIELDS
+} from './customRules.js';
+export { evaluateExpression, RuleSyntaxError } from './ruleExpression.js';
 export { ALERTS, API_GROUPS, POLL_INTERVALS, SEVERITY } from './alertRegistry.js';
 export { COMPOUND_ALERTS } from './alertEvaluator.js';
@@ -0,0 +1,311 @@
+/**
+ * Rule Expression Language
+ * Small, safe expression language for user-defined alert rules
+ *
+ *   energy.current >= 150 && cooldowns.drug == 0
+ *   money_onhand > 5000000 && status.state == "Okay"
+ *
+ * Supports: field paths, numbers, "strings", true/false/null,
+ * + - * / %, == != > >= < <=, && || !, and parentheses.
+ * Expressions are parsed into an AST once and evaluated without eval().
+ */
+
+const MAX_LENGTH = 300;
+const MAX_NODES = 60;
+
+export class RuleSyntaxError extends Error {
+    constructor(message, position) {
+        super(position !== undefined ? `${message} (at character ${position + 1})` : message);
+        this.name = 'RuleSyntaxError';
+        this.position = position;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TOKENIZER
+// ═══════════════════════════════════════════════════════════════════
+
+const OPERATORS = ['&&', '||', '==', '!=', '>=', '<=', '>', '<', '!', '+', '-', '*', '/', '%', '(', ')', '.'];
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        // Numbers (5000000, 1.5, 5_000_000)
+        if (/[0-9]/.test(char)) {
+            const match = source.slice(i).match(/^[0-9][0-9_]*(\.[0-9]+)?/);
+            tokens.push({ type: 'number', value: Number(match[0].replace(/_/g, '')), pos: i });
+            i += match[0].length;
+            continue;
+        }
+
+        // Strings ("Okay" or 'Okay')
+        if (char === '"' || char === "'") {
+            const end = source.indexOf(char, i + 1);
+            if (end === -1) throw new RuleSyntaxError('Unterminated string', i);
+            tokens.push({ type: 'string', value: source.slice(i + 1, end), pos: i });
+            i = end + 1;
+            continue;
+        }
+
+        // Identifiers and keywords
+        if (/[A-Za-z_]/.test(char)) {
+            const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+            const word = match[0];
+            if (word === 'true' || word === 'false') {
+                tokens.push({ type: 'literal', value: word === 'true', pos: i });
+            } else if (word === 'null') {
+                tokens.push({ type: 'literal', value: null, pos: i });
+            } else {
+                tokens.push({ type: 'ident', value: word, pos: i });
+            }
+            i += word.length;
+            continue;
+        }
+
+        const op = OPERATORS.find(o => source.startsWith(o, i));
+        if (!op) throw new RuleSyntaxError(`Unexpected character "${char}"`, i);
+        tokens.push({ type: 'op', value: op, pos: i });
+        i += op.length;
+    }
+
+    tokens.push({ type: 'end', pos: source.length });
+    return tokens;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PARSER (recursive descent)
+// ═══════════════════════════════════════════════════════════════════
+
+const COMPARISON_OPS = ['==', '!=', '>=', '<=', '>', '<'];
+
+/**
+ * Parse tokens into an AST
+ */
+function parse(tokens) {
+    let index = 0;
+    let nodeCount = 0;
+
+    const peek = () => tokens[index];
+    const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().value);
+
+    function node(value) {
+        if (++nodeCount > MAX_NODES) {
+            throw new RuleSyntaxError(`Expression too complex (max ${MAX_NODES} parts)`);
+        }
+        return value;
+    }
+
+    function expect(op) {
+        if (!isOp(op)) throw new RuleSyntaxError(`Expected "${op}"`, peek().pos);
+        index++;
+    }
+
+    function parseOr() {
+        let left = parseAnd();
+        while (isOp('||')) {
+            index++;
+            left = node({ type: 'logical', op: '||', left, right: parseAnd() });
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        while (isOp('&&')) {
+            index++;
+            left = node({ type: 'logical', op: '&&', left, right: parseNot() });
+        }
+        return left;
+    }
+
+    function parseNot() {
+        if (isOp('!')) {
+            index++;
+            return node({ type: 'not', operand: parseNot() });
+        }
+        return parseComparison();
+    }
+
+    function parseComparison() {
+        const left = parseAdditive();
+        if (isOp(...COMPARISON_OPS)) {
+            const op = tokens[index++].value;
+            return node({ type: 'compare', op, left, right: parseAdditive() });
+        }
+        return left;
+    }
+
+    function parseAdditive() {
+        let left = parseMultiplicative();
+        while (isOp('+', '-')) {
+            const op = tokens[index++].value;
+            left = node({ type: 'arith', op, left, right: parseMultiplicative() });
+        }
+        return left;
+    }
+
+    function parseMultiplicative() {
+        let left = parseUnary();
+        while (isOp('*', '/', '%')) {
+            const op = tokens[index++].value;
+            left = node({ type: 'arith', op, left, right: parseUnary() });
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (isOp('-')) {
+            index++;
+            return node({ type: 'negate', operand: parseUnary() });
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+
+        if (token.type === 'number' || token.type === 'string' || token.type === 'literal') {
+            index++;
+            return node({ type: 'value', value: token.value });
+        }
+
+        if (token.type === 'ident') {
+            const path = [tokens[index++].value];
+            while (isOp('.')) {
+                index++;
+                if (peek().type !== 'ident') throw new RuleSyntaxError('Expected field name after "."', peek().pos);
+                path.push(tokens[index++].value);
+            }
+            return node({ type: 'field', path });
+        }
+
+        if (isOp('(')) {
+            index++;
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+
+        if (token.type === 'end') throw new RuleSyntaxError('Unexpected end of expression', token.pos);
+        throw new RuleSyntaxError(`Unexpected "${token.value}"`, token.pos);
+    }
+
+    const ast = parseOr();
+    if (peek().type !== 'end') {
+        throw new RuleSyntaxError(`Unexpected "${peek().value}"`, peek().pos);
+    }
+    return ast;
+}
+
+/**
+ * Collect field paths used by an AST
+ */
+function collectFields(ast, fields = new Set()) {
+    if (ast.type === 'field') fields.add(ast.path.join('.'));
+    for (const child of [ast.left, ast.right, ast.operand]) {
+        if (child) collectFields(child, fields);
+    }
+    return fields;
+}
+
+/**
+ * Compile an expression
+ * @param {string} source - Expression text
+ * @returns {{source: string, ast: object, fields: string[]}}
+ * @throws {RuleSyntaxError} If the expression is invalid
+ */
+export function compileExpression(source) {
+    const text = String(source || '').trim();
+    if (!text) throw new RuleSyntaxError('Expression is empty');
+    if (text.length > MAX_LENGTH) throw new RuleSyntaxError(`Expression too long (max ${MAX_LENGTH} characters)`);
+
+    const ast = parse(tokenize(text));
+    return { source: text, ast, fields: [...collectFields(ast)] };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// EVALUATOR
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Read a dotted path from state (undefined if missing)
+ */
+export function readField(state, path) {
+    let value = state;
+    for (const key of Array.isArray(path) ? path : path.split('.')) {
+        if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+function evaluateNode(ast, state) {
+    switch (ast.type) {
+        case 'value':
+            return ast.value;
+        case 'field':
+            return readField(state, ast.path);
+        case 'not':
+            return !evaluateNode(ast.operand, state);
+        case 'negate':
+            return -evaluateNode(ast.operand, state);
+        case 'logical': {
+            const left = evaluateNode(ast.left, state);
+            if (ast.op === '&&') return !!left && !!evaluateNode(ast.right, state);
+            return !!left || !!evaluateNode(ast.right, state);
+        }
+        case 'arith': {
+            const left = Number(evaluateNode(ast.left, state));
+            const right = Number(evaluateNode(ast.right, state));
+            switch (ast.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return right === 0 ? NaN : left / right;
+                case '%': return right === 0 ? NaN : left % right;
+            }
+            return NaN;
+        }
+        case 'compare': {
+            const left = evaluateNode(ast.left, state);
+            const right = evaluateNode(ast.right, state);
+            switch (ast.op) {
+                case '==': return (left ?? null) === (right ?? null);
+                case '!=': return (left ?? null) !== (right ?? null);
+            }
+            // Ordering only between two numbers or two strings; missing data is never true
+            if (left === undefined || right === undefined || left === null || right === null) return false;
+            if (typeof left !== typeof right) return false;
+            switch (ast.op) {
+                case '>': return left > right;
+                case '>=': return left >= right;
+                case '<': return left < right;
+                case '<=': return left <= right;
+            }
+            return false;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Evaluate a compiled expression against API state
+ * @param {object} compiled - Result of compileExpression()
+ * @param {object} state - API data
+ * @returns {boolean}
+ */
+export function evaluateExpression(compiled, state) {
+    return !!evaluateNode(compiled.ast, state || {});
+}
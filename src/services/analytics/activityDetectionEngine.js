@@ -4,17 +4,9 @@
  * This is the "event backbone" for Torn Sentinel
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { getCollection } from '../storage/index.js';
 
 const DATA_DIR = './data';
-const SNAPSHOT_FILE = `${DATA_DIR}/activity_snapshot.json`;
-const EVENTS_FILE = `${DATA_DIR}/activity_events.json`;
-const COOLDOWN_FILE = `${DATA_DIR}/activity_cooldowns.json`;
 
 // Anti-spam cooldowns per event type (ms)
 const EVENT_COOLDOWNS = {
@@ -44,100 +36,92 @@ const THRESHOLDS = {
 // In-memory state
 let lastSnapshot = null;
 let eventLog = [];
-let lastEventTimes = {}; // Track last event time per type - persisted to file
+let lastEventTimes = {}; // Track last event time per type - persisted to storage
 
 /**
- * Ensure data directory exists
+ * Activity collection (snapshot, events, cooldowns)
  */
-function ensureDataDir() {
-    if (!existsSync(DATA_DIR)) {
-        mkdirSync(DATA_DIR, { recursive: true });
-    }
+function getStore() {
+    return getCollection('activity', {
+        legacyKeys: {
+            snapshot: `${DATA_DIR}/activity_snapshot.json`,
+            events: `${DATA_DIR}/activity_events.json`,
+            cooldowns: `${DATA_DIR}/activity_cooldowns.json`
+        }
+    });
 }
 
 /**
- * Load last snapshot from disk
+ * Load last snapshot from storage
  */
 export function loadSnapshot() {
-    ensureDataDir();
-    if (existsSync(SNAPSHOT_FILE)) {
-        try {
-            lastSnapshot = JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8'));
-        } catch (e) {
-            console.error('❌ Error loading activity snapshot:', e.message);
-            lastSnapshot = null;
-        }
+    try {
+        lastSnapshot = getStore().get('snapshot');
+    } catch (e) {
+        console.error('❌ Error loading activity snapshot:', e.message);
+        lastSnapshot = null;
     }
     return lastSnapshot;
 }
 
 /**
- * Save snapshot to disk
+ * Save snapshot to storage
  */
 function saveSnapshot(snapshot) {
-    ensureDataDir();
-    writeFileSync(SNAPSHOT_FILE, JSON.stringify(snapshot, null, 2));
+    getStore().set('snapshot', snapshot);
     lastSnapshot = snapshot;
 }
 
 /**
- * Load event log from disk
+ * Load event log from storage
  */
 export function loadEventLog() {
-    ensureDataDir();
-    if (existsSync(EVENTS_FILE)) {
-        try {
-            eventLog = JSON.parse(readFileSync(EVENTS_FILE, 'utf8'));
-            // Trim to last 72 hours
-            const cutoff = Date.now() - (72 * 60 * 60 * 1000);
-            eventLog = eventLog.filter(e => e.timestamp > cutoff);
-        } catch (e) {
-            console.error('❌ Error loading activity events:', e.message);
-            eventLog = [];
-        }
+    try {
+        eventLog = getStore().get('events') || [];
+        // Trim to last 72 hours
+        const cutoff = Date.now() - (72 * 60 * 60 * 1000);
+        eventLog = eventLog.filter(e => e.timestamp > cutoff);
+    } catch (e) {
+        console.error('❌ Error loading activity events:', e.message);
+        eventLog = [];
     }
     return eventLog;
 }
 
 /**
- * Load cooldown times from disk
+ * Load cooldown times from storage
  */
 export function loadCooldowns() {
-    ensureDataDir();
-    if (existsSync(COOLDOWN_FILE)) {
-        try {
-            lastEventTimes = JSON.parse(readFileSync(COOLDOWN_FILE, 'utf8'));
-            console.log(`⏱️ Activity cooldowns loaded: ${Object.keys(lastEventTimes).length} types`);
-        } catch (e) {
-            console.error('❌ Error loading activity cooldowns:', e.message);
-            lastEventTimes = {};
-        }
+    try {
+        lastEventTimes = getStore().get('cooldowns') || {};
+        console.log(`⏱️ Activity cooldowns loaded: ${Object.keys(lastEventTimes).length} types`);
+    } catch (e) {
+        console.error('❌ Error loading activity cooldowns:', e.message);
+        lastEventTimes = {};
     }
     return lastEventTimes;
 }
 
 /**
- * Save cooldown times to disk
+ * Save cooldown times to storage
  */
 function saveCooldowns() {
-    ensureDataDir();
     try {
-        writeFileSync(COOLDOWN_FILE, JSON.stringify(lastEventTimes, null, 2));
+        getStore().set('cooldowns', lastEventTimes);
     } catch (e) {
         console.error('❌ Error saving activity cooldowns:', e.message);
     }
 }
 
 /**
- * Save event log to disk
+ * Save event log to storage
  */
 function saveEventLog() {
-    ensureDataDir();
     // Keep max 500 events
     if (eventLog.length > 500) {
         eventLog = eventLog.slice(0, 500);
     }
-    writeFileSync(EVENTS_FILE, JSON.stringify(eventLog, null, 2));
+    getStore().set('events', eventLog);
 }
 
 /**
@@ -0,0 +1,230 @@
+/**
+ * Company Dashboard
+ * Director view of a company: every employee with effectiveness, working
+ * stats, wage, tenure and last action, flags for inactive or under-performing
+ * staff, daily/weekly income history, and an estimate of how much of the
+ * company's income each employee's wage buys back.
+ *
+ * Torn doesn't attribute income to employees, so each employee's share of the
+ * daily income is estimated from their share of total effectiveness.
+ * Wage and effectiveness are only returned to the director's API key.
+ */
+
+import { get } from '../tornApi.js';
+import { getCollection } from '../storage/index.js';
+import { getUi } from '../../localization/index.js';
+
+const INACTIVE_HOURS = 48;
+const LOW_EFFECTIVENESS_RATIO = 0.8;   // Below this share of the company median
+const MAX_HISTORY = 365;
+
+export const TREND_DAYS = 7;
+
+export const FLAGS = {
+    inactive: '💤',
+    lowEffectiveness: '📉',
+    addiction: '💊',
+    unprofitable: '💸'
+};
+
+export class CompanyDashboardError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CompanyDashboardError';
+    }
+}
+
+/**
+ * Income history collection (company ID -> [{ date, dailyIncome, weeklyIncome, dailyCustomers, employees, rating }])
+ */
+function getStore() {
+    return getCollection('company-income');
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// EMPLOYEES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Employee rows with flags and estimated wage return
+ * @param {Object} employees - company_employees from the API (keyed by Torn ID)
+ * @param {number} dailyIncome - Company daily income
+ * @param {number} now - Current time in ms
+ * @returns {Array<Object>} Rows sorted by effectiveness, highest first
+ */
+export function buildEmployeeRows(employees = {}, dailyIncome = 0, now = Date.now()) {
+    const rows = Object.entries(employees).map(([id, e]) => {
+        const effectiveness = e.effectiveness || {};
+        const lastActionAt = e.last_action?.timestamp ? e.last_action.timestamp * 1000 : null;
+
+        return {
+            id: Number(id),
+            name: e.name,
+            position: e.position,
+            daysInCompany: e.days_in_company || 0,
+            wage: e.wage || 0,
+            workingStats: (e.manual_labor || 0) + (e.intelligence || 0) + (e.endurance || 0),
+            effectiveness: effectiveness.total || 0,
+            penalties: {
+                addiction: effectiveness.addiction || 0,
+                inactivity: effectiveness.inactivity || 0
+            },
+            lastAction: {
+                status: e.last_action?.status || 'Offline',
+                relative: e.last_action?.relative || null,
+                timestamp: lastActionAt
+            },
+            hoursInactive: lastActionAt ? (now - lastActionAt) / 3600000 : null
+        };
+    });
+
+    const totalEffectiveness = rows.reduce((sum, row) => sum + Math.max(row.effectiveness, 0), 0);
+    const medianEffectiveness = median(rows.map(row => row.effectiveness).filter(value => value > 0));
+
+    for (const row of rows) {
+        row.incomeShare = totalEffectiveness > 0
+            ? dailyIncome * Math.max(row.effectiveness, 0) / totalEffectiveness
+            : 0;
+        row.wageReturn = row.wage > 0 ? row.incomeShare / row.wage : null;
+
+        row.flags = [];
+        if (row.penalties.inactivity < 0 || (row.hoursInactive !== null && row.hoursInactive >= INACTIVE_HOURS)) {
+            row.flags.push('inactive');
+        }
+        if (medianEffectiveness > 0 && row.effectiveness < medianEffectiveness * LOW_EFFECTIVENESS_RATIO) {
+            row.flags.push('lowEffectiveness');
+        }
+        if (row.penalties.addiction < 0) row.flags.push('addiction');
+        if (row.wageReturn !== null && row.wageReturn < 1) row.flags.push('unprofitable');
+    }
+
+    return rows.sort((a, b) => b.effectiveness - a.effectiveness);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// INCOME HISTORY
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Store today's income figures (one entry per UTC day, later runs overwrite it)
+ * @returns {Array<Object>} History, oldest first
+ */
+export function recordCompanyIncome(companyId, company, now = Date.now()) {
+    const store = getStore();
+    const history = store.get(String(companyId)) || [];
+    const date = new Date(now).toISOString().slice(0, 10);
+
+    const entry = {
+        date,
+        dailyIncome: company.daily_income || 0,
+        weeklyIncome: company.weekly_income || 0,
+        dailyCustomers: company.daily_customers || 0,
+        employees: company.employees_hired || 0,
+        rating: company.rating || 0
+    };
+
+    if (history.length > 0 && history[history.length - 1].date === date) {
+        history[history.length - 1] = entry;
+    } else {
+        history.push(entry);
+    }
+
+    const trimmed = history.slice(-MAX_HISTORY);
+    store.set(String(companyId), trimmed);
+    return trimmed;
+}
+
+/**
+ * Stored income history for a company
+ */
+export function getCompanyIncomeHistory(companyId) {
+    return getStore().get(String(companyId)) || [];
+}
+
+/**
+ * Compare the last week with the one before
+ * @param {Array<Object>} history - Income history, oldest first
+ * @returns {Object} { days, dailyAverage, previousDailyAverage, dailyChange, weeklyIncome, previousWeeklyIncome, weeklyChange }
+ *          Averages/changes are null until enough days are recorded
+ */
+export function getIncomeTrend(history) {
+    const recent = history.slice(-TREND_DAYS);
+    const previous = history.slice(-TREND_DAYS * 2, -TREND_DAYS);
+    const average = entries => entries.length
+        ? entries.reduce((sum, entry) => sum + entry.dailyIncome, 0) / entries.length
+        : null;
+    const change = (current, before) => current !== null && before ? (current - before) / before : null;
+
+    const dailyAverage = average(recent);
+    const previousDailyAverage = average(previous);
+
+    const latest = history[history.length - 1] || null;
+    const weekAgo = history.length > TREND_DAYS ? history[history.length - 1 - TREND_DAYS] : null;
+
+    return {
+        days: history.length,
+        dailyAverage,
+        previousDailyAverage,
+        dailyChange: change(dailyAverage, previousDailyAverage),
+        weeklyIncome: latest?.weeklyIncome ?? null,
+        previousWeeklyIncome: weekAgo?.weeklyIncome ?? null,
+        weeklyChange: change(latest?.weeklyIncome ?? null, weekAgo?.weeklyIncome)
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// DASHBOARD
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Fetch the director's company and build the dashboard
+ * @param {Object} user - { apiKey, tornId }
+ * @returns {Promise<Object>} { company, employees, history, trend, totals }
+ * @throws {CompanyDashboardError} When the user isn't a company director
+ */
+export async function getCompanyDashboard(user) {
+    const data = await get(user.apiKey, 'company', 'profile,employees');
+    const company = data.company;
+
+    if (!company?.ID) {
+        throw new CompanyDashboardError(getUi('not_in_company'));
+    }
+    if (Number(company.director) !== Number(user.tornId)) {
+        throw new CompanyDashboardError(getUi('director_only'));
+    }
+
+    const employees = buildEmployeeRows(data.company_employees, company.daily_income || 0);
+    const history = recordCompanyIncome(company.ID, company);
+
+    const wages = employees.reduce((sum, row) => sum + row.wage, 0);
+
+    return {
+        company,
+        employees,
+        history,
+        trend: getIncomeTrend(history),
+        totals: {
+            wages,
+            effectiveness: employees.reduce((sum, row) => sum + row.effectiveness, 0),
+            wageReturn: wages > 0 ? (company.daily_income || 0) / wages : null,
+            flagged: employees.filter(row => row.flags.length > 0).length
+        }
+    };
+}
+
+export default {
+    FLAGS,
+    TREND_DAYS,
+    buildEmployeeRows,
+    recordCompanyIncome,
+    getCompanyIncomeHistory,
+    getIncomeTrend,
+    getCompanyDashboard
+};
@@ -0,0 +1,182 @@
+/**
+ * Company Stock
+ * Tracks a director's company stock: units sold per day for each product,
+ * how long the stock on hand lasts at that pace, and whether it runs out
+ * before the next delivery arrives.
+ *
+ * Torn doesn't say when an order will be delivered, so the lead time is
+ * measured from orders seen being placed and delivered; until one has been
+ * observed DEFAULT_LEAD_HOURS is assumed. Sales per day are averaged over the
+ * last SALES_DAYS days recorded (sold_amount is the last day's sales).
+ */
+
+import { get } from '../tornApi.js';
+import { getCollection } from '../storage/index.js';
+
+const SALES_DAYS = 7;
+const MAX_SALES_HISTORY = 30;
+const MAX_LEAD_TIMES = 10;
+const DEFAULT_LEAD_HOURS = 24;
+
+/**
+ * Stock collection (company ID -> { sales: [{ date, sold: { product: amount } }], orders: { product: { onOrder, orderedAt } }, leadTimes: [hours] })
+ */
+function getStore() {
+    return getCollection('company-stock');
+}
+
+function average(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TRACKING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Record today's sales and order changes for a company
+ * An order is seen when on_order goes up from 0, and delivered when it drops back to 0
+ * @param {number} companyId - Company ID
+ * @param {Object} stock - company_stock from the API (product name -> { in_stock, on_order, sold_amount, ... })
+ * @param {number} now - Current time in ms
+ * @returns {Object} Stored record
+ */
+export function recordStock(companyId, stock = {}, now = Date.now()) {
+    const store = getStore();
+    const record = store.get(String(companyId)) || { sales: [], orders: {}, leadTimes: [] };
+    const date = new Date(now).toISOString().slice(0, 10);
+
+    const sold = Object.fromEntries(
+        Object.entries(stock).map(([product, item]) => [product, item.sold_amount || 0])
+    );
+    const last = record.sales[record.sales.length - 1];
+    if (last?.date === date) {
+        last.sold = sold;
+    } else {
+        record.sales.push({ date, sold });
+    }
+    record.sales = record.sales.slice(-MAX_SALES_HISTORY);
+
+    for (const [product, item] of Object.entries(stock)) {
+        const onOrder = item.on_order || 0;
+        const previous = record.orders[product];
+
+        if (onOrder > 0 && !previous?.onOrder) {
+            // New order (orderedAt unknown when the order was already there on the first look)
+            record.orders[product] = { onOrder, orderedAt: previous ? now : null };
+        } else if (onOrder === 0 && previous?.onOrder > 0) {
+            if (previous.orderedAt) {
+                record.leadTimes = [...record.leadTimes, (now - previous.orderedAt) / 3600000].slice(-MAX_LEAD_TIMES);
+            }
+            record.orders[product] = { onOrder: 0, orderedAt: null };
+        } else {
+            record.orders[product] = { ...previous, onOrder };
+        }
+    }
+
+    store.set(String(companyId), record);
+    return record;
+}
+
+/**
+ * Measured delivery lead time in hours (DEFAULT_LEAD_HOURS until one is seen)
+ */
+export function getLeadTimeHours(record) {
+    return record.leadTimes?.length ? average(record.leadTimes) : DEFAULT_LEAD_HOURS;
+}
+
+/**
+ * Forecast for each product
+ * @param {Object} stock - company_stock from the API
+ * @param {Object} record - From recordStock()
+ * @param {number} now - Current time in ms
+ * @returns {Array<Object>} { name, inStock, onOrder, soldPerDay, hoursLeft, deliveryHours, runsOutFirst, price, soldWorth }
+ *          hoursLeft is null when nothing sells; deliveryHours is when stock ordered now (or the open order) arrives
+ */
+export function forecastStock(stock = {}, record, now = Date.now()) {
+    const leadHours = getLeadTimeHours(record);
+    const recentSales = record.sales.slice(-SALES_DAYS);
+
+    return Object.entries(stock).map(([name, item]) => {
+        const history = recentSales.map(day => day.sold[name]).filter(amount => amount !== undefined);
+        const soldPerDay = history.length ? average(history) : item.sold_amount || 0;
+        const inStock = item.in_stock || 0;
+        const onOrder = item.on_order || 0;
+
+        const order = record.orders[name];
+        const deliveryHours = onOrder > 0 && order?.orderedAt
+            ? Math.max(leadHours - (now - order.orderedAt) / 3600000, 0)
+            : leadHours;
+
+        const hoursLeft = soldPerDay > 0 ? inStock / soldPerDay * 24 : null;
+
+        return {
+            name,
+            inStock,
+            onOrder,
+            soldPerDay,
+            hoursLeft,
+            deliveryHours,
+            runsOutFirst: hoursLeft !== null && hoursLeft < deliveryHours,
+            price: item.price || 0,
+            soldWorth: item.sold_worth || 0
+        };
+    }).sort((a, b) => (a.hoursLeft ?? Infinity) - (b.hoursLeft ?? Infinity));
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SNAPSHOT
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Fetch, record and forecast a director's company stock
+ * @param {Object} user - { apiKey, tornId }
+ * @returns {Promise<Object|null>} { company, detailed, products, leadHours, measuredLeadTime }
+ *          null when the user doesn't direct a company
+ */
+export async function getCompanyStock(user) {
+    const profile = await get(user.apiKey, 'company', 'profile');
+    const company = profile.company;
+    if (!company?.ID || Number(company.director) !== Number(user.tornId)) return null;
+
+    const data = await get(user.apiKey, 'company', 'stock,detailed');
+    const stock = data.company_stock || {};
+    const record = recordStock(company.ID, stock);
+
+    return {
+        company,
+        detailed: data.company_detailed || {},
+        products: forecastStock(stock, record),
+        leadHours: getLeadTimeHours(record),
+        measuredLeadTime: record.leadTimes.length > 0
+    };
+}
+
+/**
+ * Alert state for the alert engine (compared run to run)
+ */
+export function toAlertState(snapshot) {
+    return {
+        companyStock: {
+            companyId: snapshot.company.ID,
+            trains: snapshot.detailed.trains_available ?? null,
+            advertisingBudget: snapshot.detailed.advertising_budget ?? null,
+            atRisk: Object.fromEntries(snapshot.products
+                .filter(product => product.runsOutFirst)
+                .map(product => [product.name, {
+                    inStock: product.inStock,
+                    onOrder: product.onOrder,
+                    hoursLeft: product.hoursLeft,
+                    deliveryHours: product.deliveryHours
+                }]))
+        }
+    };
+}
+
+export default {
+    recordStock,
+    getLeadTimeHours,
+    forecastStock,
+    getCompanyStock,
+    toAlertState
+};
@@ -0,0 +1,402 @@
+/**
+ * Gym Planner
+ * Plans battle stat training toward a target stat ratio: which stat to train
+ * next, the unlocked gym with the best gains per energy for it, how a session's
+ * energy splits across stats, and how many days a total-stats goal takes with
+ * natural regen plus the Xanax and refills the user plans to use.
+ *
+ * Gains use the community (Vladar) gym formula. Gym-gain perks from faction,
+ * property, education and merits are not known from the API and are left out,
+ * so projections are on the conservative side.
+ */
+
+import { get } from '../tornApi.js';
+import { getCollection } from '../storage/index.js';
+import { getEnergyPerClick } from './gymTrainingStorage.js';
+import { getUi, applyTemplate } from '../../localization/index.js';
+
+export const STATS = ['strength', 'defense', 'speed', 'dexterity'];
+
+// Per-stat constants of the gym formula
+const STAT_CONSTANTS = {
+    strength: { a: 1600, b: 1700 },
+    speed: { a: 1600, b: 2000 },
+    dexterity: { a: 1800, b: 1500 },
+    defense: { a: 2100, b: -600 }
+};
+
+const STAT_CAP = 50000000;          // Stats above this train as if at the cap
+const XANAX_ENERGY = 250;
+const HAPPY_LOSS_PER_ENERGY = 0.5;  // Happy lost per energy trained (average)
+const JAIL_GYM = 32;
+const SPECIALIST_GYMS = [25, 26, 27, 28, 29, 30, 31];
+const GYMS_TTL = 24 * 60 * 60 * 1000;
+const MAX_PROJECTION_DAYS = 365;     // Simulated train by train on the main thread: keep it short
+const MAX_HISTORY = 365;
+
+export const PRESETS = {
+    balanced: 'Balanced (equal stats)',
+    hanks: "Hank's ratio (1 : 0.8 : 0.8 : 0.25)",
+    custom: 'Custom ratio'
+};
+
+export class GymPlanError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GymPlanError';
+    }
+}
+
+let gymsCache = null;
+let gymsCacheTime = 0;
+
+/**
+ * Plan collection (Discord ID -> { preset, ratio, goal, xanaxPerDay, refill, createdAt, start, gymsSeen, history })
+ */
+function getStore() {
+    return getCollection('gym-plans');
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// GYMS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * All gyms with their energy per train and dots per stat (torn/gyms, cached)
+ * The API stores dots x10 (e.g. 73 = 7.3 dots)
+ * @returns {Promise<Object>} Gym ID -> { id, name, stage, energy, dots: { strength, ... } }
+ */
+export async function getGyms(apiKey) {
+    const now = Date.now();
+    if (gymsCache && now - gymsCacheTime < GYMS_TTL) return gymsCache;
+
+    const data = await get(apiKey, 'torn', 'gyms');
+    const gyms = {};
+
+    for (const [id, gym] of Object.entries(data.gyms || {})) {
+        const gymId = Number(id);
+        gyms[gymId] = {
+            id: gymId,
+            name: gym.name,
+            stage: gym.stage,
+            energy: gym.energy || getEnergyPerClick(gymId).energyPerClick,
+            dots: Object.fromEntries(STATS.map(stat => [stat, (gym[stat] || 0) / 10]))
+        };
+    }
+
+    gymsCache = gyms;
+    gymsCacheTime = now;
+    return gyms;
+}
+
+/**
+ * Gyms the user can train in
+ * Regular gyms unlock in order, so every gym up to the highest one seen is
+ * unlocked; specialist gyms count once the user has been seen in them
+ * @param {Object} gyms - From getGyms
+ * @param {Array<number>} gymsSeen - Gym IDs the user has been active in
+ * @returns {Array<Object>} Gyms
+ */
+export function getUnlockedGyms(gyms, gymsSeen = []) {
+    const highestRegular = Math.max(1, ...gymsSeen.filter(id => id < SPECIALIST_GYMS[0]));
+
+    return Object.values(gyms).filter(gym =>
+        gym.id !== JAIL_GYM &&
+        (gym.id <= highestRegular || (SPECIALIST_GYMS.includes(gym.id) && gymsSeen.includes(gym.id)))
+    );
+}
+
+/**
+ * Unlocked gym with the most dots for a stat (gains per energy scale with dots)
+ * @returns {Object|null} Gym
+ */
+export function getBestGym(unlockedGyms, stat) {
+    return unlockedGyms
+        .filter(gym => gym.dots[stat] > 0)
+        .sort((a, b) => b.dots[stat] - a.dots[stat] || a.energy - b.energy)[0] || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// GAINS
+// ═══════════════════════════════════════════════════════════════════
+
+function round4(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Stat gain of one train
+ * @param {string} stat - Stat name
+ * @param {number} value - Current stat value
+ * @param {number} happy - Current happy
+ * @param {Object} gym - { energy, dots }
+ * @returns {number}
+ */
+export function gainPerTrain(stat, value, happy, gym) {
+    const { a, b } = STAT_CONSTANTS[stat];
+    const s = Math.min(value, STAT_CAP);
+    const multiplier = round4(1 + 0.07 * round4(Math.log(1 + happy / 250)));
+
+    const base = s * multiplier + 8 * Math.pow(happy, 1.05) + (1 - Math.pow(happy / 99999, 2)) * a + b;
+    return Math.max(0, base * (1 / 200000) * gym.dots[stat] * gym.energy);
+}
+
+/**
+ * Total of a stats object
+ */
+export function totalStats(stats) {
+    return STATS.reduce((sum, stat) => sum + (stats[stat] || 0), 0);
+}
+
+/**
+ * Stat furthest below its target share
+ * @returns {string|null} Stat name
+ */
+function pickStat(stats, ratio, trainable) {
+    const total = totalStats(stats) || 1;
+    let best = null;
+    let bestGap = -Infinity;
+
+    for (const stat of trainable) {
+        const gap = ratio[stat] - stats[stat] / total;
+        if (gap > bestGap) {
+            bestGap = gap;
+            best = stat;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Split energy across stats, one train at a time, always training the stat
+ * furthest below its target share at its best gym
+ * @param {Object} options - { stats, energy, happy, ratio, unlockedGyms }
+ * @returns {Object} { stats, energyLeft, happy, gain, trains: { stat: { count, energy, gain, gym } } }
+ */
+export function simulateSession({ stats, energy, happy, ratio, unlockedGyms }) {
+    const current = { ...stats };
+    const bestGyms = Object.fromEntries(STATS.map(stat => [stat, getBestGym(unlockedGyms, stat)]));
+    const trainable = STATS.filter(stat => ratio[stat] > 0 && bestGyms[stat]);
+    const trains = {};
+    let gain = 0;
+
+    while (trainable.length > 0) {
+        const stat = pickStat(current, ratio, trainable);
+        const gym = bestGyms[stat];
+        if (energy < gym.energy) break;
+
+        const statGain = gainPerTrain(stat, current[stat], happy, gym);
+        current[stat] += statGain;
+        gain += statGain;
+        energy -= gym.energy;
+        happy = Math.max(0, happy - gym.energy * HAPPY_LOSS_PER_ENERGY);
+
+        trains[stat] = trains[stat] || { count: 0, energy: 0, gain: 0, gym };
+        trains[stat].count++;
+        trains[stat].energy += gym.energy;
+        trains[stat].gain += statGain;
+    }
+
+    return { stats: current, energyLeft: energy, happy, gain, trains };
+}
+
+/**
+ * Energy available per day
+ * @param {Object} energyBar - bars.energy ({ maximum, increment, interval })
+ * @param {Object} plan - { xanaxPerDay, refill }
+ * @returns {Object} { regen, xanax, refill, total }
+ */
+export function getDailyEnergy(energyBar = {}, { xanaxPerDay = 0, refill = false } = {}) {
+    const increment = energyBar.increment || 5;
+    const interval = energyBar.interval || 900;
+    const regen = Math.floor(increment * (86400 / interval));
+    const xanax = xanaxPerDay * XANAX_ENERGY;
+    const refillEnergy = refill ? (energyBar.maximum || 100) : 0;
+
+    return { regen, xanax, refill: refillEnergy, total: regen + xanax + refillEnergy };
+}
+
+/**
+ * Days until total stats reach the goal, training all daily energy at full happy
+ * @param {Object} options - { stats, goal, dailyEnergy, happy, ratio, unlockedGyms }
+ * @returns {Object} { reached, days, stats, dailyGain } (dailyGain = first day's gain;
+ *          not reached when the goal is more than MAX_PROJECTION_DAYS away)
+ */
+export function projectGoal({ stats, goal, dailyEnergy, happy, ratio, unlockedGyms }) {
+    let current = { ...stats };
+    let carry = 0;
+    let dailyGain = 0;
+
+    if (totalStats(current) >= goal) return { reached: true, days: 0, stats: current, dailyGain: 0 };
+
+    for (let day = 1; day <= MAX_PROJECTION_DAYS; day++) {
+        const session = simulateSession({ stats: current, energy: dailyEnergy + carry, happy, ratio, unlockedGyms });
+        if (session.gain <= 0) break;
+
+        if (day === 1) dailyGain = session.gain;
+        current = session.stats;
+        carry = session.energyLeft;
+
+        if (totalStats(current) >= goal) return { reached: true, days: day, stats: current, dailyGain };
+    }
+
+    return { reached: false, days: null, stats: current, dailyGain };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PLANS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Target shares (sum 1) for a preset
+ * @param {string} preset - 'balanced', 'hanks' or 'custom'
+ * @param {Object} options - { primary, dump } for hanks, { ratio: 'str/def/spd/dex' } for custom
+ * @returns {Object} stat -> share
+ * @throws {GymPlanError}
+ */
+export function buildRatio(preset, { primary = 'strength', dump = 'dexterity', ratio = null } = {}) {
+    let weights;
+
+    if (preset === 'balanced') {
+        weights = { strength: 1, defense: 1, speed: 1, dexterity: 1 };
+    } else if (preset === 'hanks') {
+        if (primary === dump) throw new GymPlanError(getUi('primary_dump_differ'));
+        weights = Object.fromEntries(STATS.map(stat => [stat, stat === primary ? 1 : stat === dump ? 0.25 : 0.8]));
+    } else if (preset === 'custom') {
+        const parts = String(ratio || '').split(/[\/:,\s]+/).filter(Boolean).map(Number);
+        if (parts.length !== 4 || parts.some(n => !Number.isFinite(n) || n < 0) || parts.every(n => n === 0)) {
+            throw new GymPlanError(getUi('custom_ratio_invalid'));
+        }
+        weights = Object.fromEntries(STATS.map((stat, i) => [stat, parts[i]]));
+    } else {
+        throw new GymPlanError(applyTemplate('unknown_preset', { preset }));
+    }
+
+    const sum = Object.values(weights).reduce((a, b) => a + b, 0);
+    return Object.fromEntries(STATS.map(stat => [stat, weights[stat] / sum]));
+}
+
+/**
+ * A user's plan
+ * @returns {Object|null}
+ */
+export function getGymPlan(userId) {
+    return getStore().get(userId) || null;
+}
+
+/**
+ * Create or replace a plan, starting progress from the current stats
+ * @param {string} userId - Discord user ID
+ * @param {Object} options - { preset, ratio, goal, xanaxPerDay, refill, stats, activeGym }
+ * @returns {Object} Plan
+ */
+export function setGymPlan(userId, { preset, ratio, goal = null, xanaxPerDay = 0, refill = false, stats, activeGym }) {
+    const previous = getGymPlan(userId);
+    const plan = {
+        preset,
+        ratio,
+        goal,
+        xanaxPerDay,
+        refill,
+        createdAt: Date.now(),
+        start: { date: today(), stats: pickStats(stats), total: totalStats(stats) },
+        gymsSeen: [...new Set([...(previous?.gymsSeen || []), activeGym].filter(Boolean))],
+        history: []
+    };
+
+    getStore().set(userId, plan);
+    console.log(`🏋️ Gym plan set for ${userId}: ${preset}${goal ? `, goal ${goal}` : ''}`);
+    return recordGymProgress(userId, stats, activeGym) || plan;
+}
+
+/**
+ * Remove a user's plan
+ */
+export function clearGymPlan(userId) {
+    getStore().delete(userId);
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function pickStats(stats) {
+    return Object.fromEntries(STATS.map(stat => [stat, Number(stats[stat]) || 0]));
+}
+
+/**
+ * Record today's stats and the active gym for a user with a plan
+ * (one history entry per UTC day, the latest reading wins)
+ * @param {string} userId - Discord user ID
+ * @param {Object} stats - Battle stats
+ * @param {number} activeGym - Active gym ID
+ * @returns {Object|null} Updated plan, or null without a plan
+ */
+export function recordGymProgress(userId, stats, activeGym) {
+    const plan = getGymPlan(userId);
+    if (!plan) return null;
+
+    const entry = { date: today(), stats: pickStats(stats), total: totalStats(pickStats(stats)) };
+    const history = (plan.history || []).filter(h => h.date !== entry.date);
+    history.push(entry);
+
+    plan.history = history.slice(-MAX_HISTORY);
+    if (activeGym && !plan.gymsSeen.includes(activeGym)) plan.gymsSeen.push(activeGym);
+
+    getStore().set(userId, plan);
+    return plan;
+}
+
+/**
+ * Progress against the plan
+ * @param {Object} plan - Gym plan
+ * @param {Object} stats - Current battle stats
+ * @returns {Object} { gained, days, avgDaily, goalProgress, shares: { stat: { current, target, diff } } }
+ *          avgDaily is over the last 7 recorded days (null with fewer than two)
+ */
+export function getPlanProgress(plan, stats) {
+    const current = pickStats(stats);
+    const total = totalStats(current);
+    const gained = total - plan.start.total;
+    const days = Math.max(1, Math.round((Date.now() - plan.createdAt) / 86400000));
+
+    const recent = (plan.history || []).slice(-8);
+    let avgDaily = null;
+    if (recent.length >= 2) {
+        const first = recent[0];
+        const last = recent[recent.length - 1];
+        const span = Math.max(1, Math.round((new Date(last.date) - new Date(first.date)) / 86400000));
+        avgDaily = (last.total - first.total) / span;
+    }
+
+    const goalProgress = plan.goal && plan.goal > plan.start.total
+        ? Math.min(1, Math.max(0, gained / (plan.goal - plan.start.total)))
+        : null;
+
+    const shares = Object.fromEntries(STATS.map(stat => {
+        const share = total > 0 ? current[stat] / total : 0;
+        return [stat, { current: share, target: plan.ratio[stat], diff: share - plan.ratio[stat] }];
+    }));
+
+    return { gained, days, avgDaily, goalProgress, shares };
+}
+
+export default {
+    STATS,
+    PRESETS,
+    getGyms,
+    getUnlockedGyms,
+    getBestGym,
+    gainPerTrain,
+    totalStats,
+    simulateSession,
+    getDailyEnergy,
+    projectGoal,
+    buildRatio,
+    getGymPlan,
+    setGymPlan,
+    clearGymPlan,
+    recordGymProgress,
+    getPlanProgress
+};
@@ -6,10 +6,9 @@
  * we use energy delta detection to infer energy-per-click.
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
+import { getCollection } from '../storage/index.js';
 
-const STORAGE_FILE = './data/gym-training-profiles.json';
+const LEGACY_FILE = './data/gym-training-profiles.json';
 
 // Known gym energy costs - Default to 10E per click
 // Will be overridden by actual training log data when available
@@ -21,8 +20,8 @@ const DEFAULT_GYM_ENERGY = {
     25: 10, 26: 10, 27: 10, 28: 10, 29: 10, 30: 10, 31: 10, 32: 10
 };
 
-// In-memory cache
-let gymProfiles = {};
+// In-memory cache (loaded on first use)
+let gymProfiles = null;
 let lastTrainedStat = null;
 
 // Stat mapping (English/Indonesian to normalized key)
@@ -34,45 +33,44 @@ const STAT_KEYWORDS = {
 };
 
 /**
- * Initialize storage
+ * Gym training collection (profiles: { gymId: profile }, lastTrainedStat)
  */
-function initStorage() {
-    const dir = dirname(STORAGE_FILE);
-    if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
-    }
+function getStore() {
+    return getCollection('gym-training', {
+        legacyFile: LEGACY_FILE,
+        // Old files held the profiles at the top level
+        fromLegacy: data => (data.profiles
+            ? { profiles: data.profiles, lastTrainedStat: data.lastTrainedStat || null }
+            : { profiles: data, lastTrainedStat: null })
+    });
+}
 
-    if (existsSync(STORAGE_FILE)) {
-        try {
-            const data = JSON.parse(readFileSync(STORAGE_FILE, 'utf8'));
-            if (data.profiles) {
-                gymProfiles = data.profiles;
-                lastTrainedStat = data.lastTrainedStat || null;
-            } else {
-                // Migration from old format
-                gymProfiles = data;
-                lastTrainedStat = null;
-            }
-            console.log(`🏋️ Gym profiles loaded: ${Object.keys(gymProfiles).length} gyms tracked`);
-        } catch (e) {
-            console.error('❌ Error loading gym profiles:', e.message);
-            gymProfiles = {};
-        }
+/**
+ * Load profiles from storage (once)
+ */
+function loadProfiles() {
+    if (gymProfiles) return;
+
+    try {
+        const store = getStore();
+        gymProfiles = store.get('profiles') || {};
+        lastTrainedStat = store.get('lastTrainedStat');
+        console.log(`🏋️ Gym profiles loaded: ${Object.keys(gymProfiles).length} gyms tracked`);
+    } catch (e) {
+        console.error('❌ Error loading gym profiles:', e.message);
+        gymProfiles = {};
     }
 }
 
 /**
- * Save profiles to disk
+ * Save profiles to storage
  */
 function saveProfiles() {
-    const dir = dirname(STORAGE_FILE);
-    if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
+    try {
+        getStore().setMany({ profiles: gymProfiles, lastTrainedStat });
+    } catch (e) {
+        console.error('❌ Error saving gym profiles:', e.message);
     }
-    writeFileSync(STORAGE_FILE, JSON.stringify({
-        profiles: gymProfiles,
-        lastTrainedStat
-    }, null, 2));
 }
 
 /**
@@ -81,6 +79,7 @@ function saveProfiles() {
  * @returns {Object} { energyPerClick, confidence, source }
  */
 export function getEnergyPerClick(gymId) {
+    loadProfiles();
     // Check if we have a learned/confirmed value
     if (gymProfiles[gymId] && gymProfiles[gymId].energyPerClick) {
         return {
@@ -110,6 +109,7 @@ export function getEnergyPerClick(gymId) {
  * @param {number} clicks - Number of training clicks (if known)
  */
 export function updateGymProfile(gymId, energyUsed, clicks = null) {
+    loadProfiles();
     if (!gymProfiles[gymId]) {
         gymProfiles[gymId] = {};
     }
@@ -163,6 +163,7 @@ export function updateGymProfile(gymId, energyUsed, clicks = null) {
  * @param {number} energyPerClick - Energy per click
  */
 export function setEnergyPerClick(gymId, energyPerClick) {
+    loadProfiles();
     gymProfiles[gymId] = {
         energyPerClick,
         confidence: 'manual',
@@ -177,6 +178,7 @@ export function setEnergyPerClick(gymId, energyPerClick) {
  * Get all gym profiles
  */
 export function getAllProfiles() {
+    loadProfiles();
     return { ...gymProfiles };
 }
 
@@ -184,13 +186,11 @@ export function getAllProfiles() {
  * Reset gym profile
  */
 export function resetGymProfile(gymId) {
+    loadProfiles();
     delete gymProfiles[gymId];
     saveProfiles();
 }
 
-// Initialize on import
-initStorage();
-
 /**
  * Parse gym training logs from API response
  * Log type 5300 = Gym training
@@ -261,6 +261,7 @@ export function updateFromApiLogs(logData) {
     }
 
     const { gymId, energyUsed, trains, energyPerClick } = trainingInfo;
+    loadProfiles();
 
     // Update gym profile with confirmed data from actual log
     if (!gymProfiles[gymId]) {
@@ -291,6 +292,7 @@ export function updateFromApiLogs(logData) {
 }
 
 export function getLastTrainedStat() {
+    loadProfiles();
     return lastTrainedStat;
 }
 
@@ -0,0 +1,300 @@
+/**
+ * Log Classification
+ * Data-driven mapping of Torn log type IDs to profit engine categories.
+ * Defaults ship in logTypes.json; owner overrides (added, changed or removed
+ * types) are stored separately and win over the defaults. Types seen in a
+ * user's log without a rule are tracked for the unclassified report
+ *
+ * Rule: { direction, category, amountField, valuation, desc }
+ *   direction   - 'income', 'expense' or 'ignore' (known, but booked elsewhere or worthless)
+ *   amountField - log data field holding the cash amount
+ *   valuation   - { itemField, qtyField } to add the market value of items in the entry
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { get } from '../tornApi.js';
+import { getCollection } from '../storage/index.js';
+import { getUi, applyTemplate } from '../../localization/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULTS_PATH = join(__dirname, 'logTypes.json');
+const ITEM_VALUES_TTL = 24 * 60 * 60 * 1000;
+const MAX_UNCLASSIFIED = 500;
+
+export const DIRECTIONS = ['income', 'expense', 'ignore'];
+
+// Categories match profitEngineStorage's day state
+export const CATEGORIES = {
+    income: ['travel', 'crime', 'job', 'other'],
+    expense: ['property', 'xanax', 'travel_buy', 'tax', 'other']
+};
+
+export class LogClassificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LogClassificationError';
+    }
+}
+
+let defaults = null;
+let itemValues = null;
+let itemValuesTime = 0;
+
+/**
+ * Owner overrides (type ID -> rule, or null for a removed default)
+ */
+function getOverrideStore() {
+    return getCollection('log-classification');
+}
+
+/**
+ * Unclassified types seen (type ID -> { type, title, category, count, firstSeen, lastSeen, fields })
+ */
+function getUnclassifiedStore() {
+    return getCollection('log-types-unclassified');
+}
+
+function loadDefaults() {
+    if (defaults) return defaults;
+
+    defaults = {};
+    try {
+        if (existsSync(DEFAULTS_PATH)) {
+            defaults = JSON.parse(readFileSync(DEFAULTS_PATH, 'utf8')).types || {};
+        } else {
+            console.error(`❌ Log classification defaults not found: ${DEFAULTS_PATH} (every log type is unclassified)`);
+        }
+    } catch (error) {
+        console.error('❌ Failed to load log classification defaults:', error.message);
+    }
+
+    return defaults;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RULES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Rule for a log type, if it is classified
+ * @param {number|string} type - Log type ID
+ * @returns {Object|null} Rule with `source` ('default' or 'custom')
+ */
+export function getRule(type) {
+    const key = String(type);
+    const overrides = getOverrideStore();
+
+    if (overrides.has(key)) {
+        const rule = overrides.get(key);
+        return rule ? { ...rule, source: 'custom' } : null;
+    }
+
+    const rule = loadDefaults()[key];
+    return rule ? { ...rule, source: 'default' } : null;
+}
+
+/**
+ * All classified log types, sorted by type ID
+ * @returns {Array<Object>} { type, ...rule, source }
+ */
+export function getRules() {
+    const types = new Set([...Object.keys(loadDefaults()), ...getOverrideStore().keys()]);
+
+    return [...types]
+        .map(type => ({ type: Number(type), rule: getRule(type) }))
+        .filter(({ rule }) => rule)
+        .map(({ type, rule }) => ({ type, ...rule }))
+        .sort((a, b) => a.type - b.type);
+}
+
+/**
+ * Add or replace a rule
+ * @param {number} type - Log type ID
+ * @param {Object} rule - { direction, category, amountField, valuation, desc }
+ * @returns {Object} Saved rule
+ * @throws {LogClassificationError}
+ */
+export function setRule(type, { direction, category, amountField, valuation, desc }) {
+    if (!Number.isInteger(type) || type <= 0) {
+        throw new LogClassificationError(getUi('log_type_invalid'));
+    }
+    if (!DIRECTIONS.includes(direction)) {
+        throw new LogClassificationError(applyTemplate('direction_must_be', { options: DIRECTIONS.join(', ') }));
+    }
+
+    const rule = { direction, desc: desc || getUnclassifiedStore().get(String(type))?.title || `Log ${type}` };
+
+    if (direction !== 'ignore') {
+        if (!CATEGORIES[direction].includes(category)) {
+            throw new LogClassificationError(applyTemplate('category_must_be', { direction, options: CATEGORIES[direction].join(', ') }));
+        }
+        if (!amountField && !valuation?.itemField) {
+            throw new LogClassificationError(getUi('log_rule_needs_amount'));
+        }
+
+        rule.category = category;
+        if (amountField) rule.amountField = amountField;
+        if (valuation?.itemField) {
+            rule.valuation = { itemField: valuation.itemField };
+            if (valuation.qtyField) rule.valuation.qtyField = valuation.qtyField;
+        }
+    }
+
+    getOverrideStore().set(String(type), rule);
+    getUnclassifiedStore().delete(String(type));
+    console.log(`🏷️ Log type ${type} classified as ${direction}${rule.category ? `/${rule.category}` : ''}`);
+
+    return rule;
+}
+
+/**
+ * Remove a rule (custom rules revert to the default, defaults are switched off)
+ * @param {number} type - Log type ID
+ * @returns {string} 'reverted', 'removed'
+ * @throws {LogClassificationError}
+ */
+export function removeRule(type) {
+    const key = String(type);
+    const overrides = getOverrideStore();
+    const hasDefault = Boolean(loadDefaults()[key]);
+
+    if (overrides.has(key) && overrides.get(key)) {
+        overrides.delete(key);
+        return hasDefault ? 'reverted' : 'removed';
+    }
+
+    if (hasDefault && !overrides.has(key)) {
+        overrides.set(key, null);
+        return 'removed';
+    }
+
+    throw new LogClassificationError(applyTemplate('log_type_no_rule', { type }));
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// AMOUNTS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Item market values by ID (torn/items, cached)
+ */
+async function getItemValues(apiKey) {
+    const now = Date.now();
+    if (itemValues && now - itemValuesTime < ITEM_VALUES_TTL) return itemValues;
+
+    try {
+        const data = await get(apiKey, 'torn', 'items');
+        itemValues = {};
+        for (const [id, item] of Object.entries(data.items || {})) {
+            itemValues[id] = item.market_value || 0;
+        }
+        itemValuesTime = now;
+    } catch (error) {
+        console.error('❌ Failed to load item values for log classification:', error.message);
+        itemValues = itemValues || {};
+    }
+
+    return itemValues;
+}
+
+/**
+ * Items named by a valuation rule
+ * The item field holds either `[{ id, qty }]` or a single item ID
+ * @returns {Array<{itemId: number, qty: number}>}
+ */
+function extractValuedItems(data, { itemField, qtyField }) {
+    const value = data[itemField];
+
+    if (Array.isArray(value)) {
+        return value
+            .map(i => typeof i === 'object'
+                ? { itemId: Number(i.id ?? i.item), qty: Number(i.qty ?? i.quantity ?? i.amount ?? 1) }
+                : { itemId: Number(i), qty: 1 })
+            .filter(i => i.itemId && i.qty > 0);
+    }
+
+    if (value) {
+        return [{ itemId: Number(value), qty: Number(data[qtyField || 'quantity'] ?? 1) }];
+    }
+
+    return [];
+}
+
+/**
+ * Amount of a log entry under its rule: the cash field plus the market value of valued items
+ * @param {Object} entry - Normalized log entry
+ * @param {Object} rule - Classification rule
+ * @param {string} apiKey - Key used to load item values (only when the rule values items)
+ * @returns {Promise<number>}
+ */
+export async function getAmount(entry, rule, apiKey) {
+    const data = entry.data || {};
+    let amount = 0;
+
+    if (rule.amountField) {
+        const value = Number(data[rule.amountField]);
+        if (Number.isFinite(value)) amount += Math.abs(value);
+    }
+
+    if (rule.valuation?.itemField) {
+        const items = extractValuedItems(data, rule.valuation);
+        if (items.length > 0) {
+            const values = await getItemValues(apiKey);
+            amount += items.reduce((sum, i) => sum + (values[i.itemId] || 0) * i.qty, 0);
+        }
+    }
+
+    return Math.round(amount);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// UNCLASSIFIED REPORT
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Note a log entry whose type has no rule
+ * @param {Object} entry - Normalized log entry
+ */
+export function recordUnclassified(entry) {
+    if (entry.type === undefined || entry.type === null) return;
+
+    const store = getUnclassifiedStore();
+    const key = String(entry.type);
+    const seen = store.get(key);
+    const fields = Object.keys(entry.data || {});
+
+    store.set(key, {
+        type: Number(entry.type),
+        title: entry.title || seen?.title || null,
+        category: entry.category || seen?.category || null,
+        count: (seen?.count || 0) + 1,
+        firstSeen: seen?.firstSeen || entry.timestamp,
+        lastSeen: Math.max(seen?.lastSeen || 0, entry.timestamp),
+        fields: [...new Set([...(seen?.fields || []), ...fields])]
+    });
+
+    // Keep the most recently seen types
+    if (!seen && store.keys().length > MAX_UNCLASSIFIED) {
+        const oldest = Object.entries(store.all())
+            .sort((a, b) => a[1].lastSeen - b[1].lastSeen)
+            .slice(0, store.keys().length - MAX_UNCLASSIFIED);
+        for (const [oldKey] of oldest) store.delete(oldKey);
+    }
+}
+
+/**
+ * Unclassified types seen recently, most frequent first
+ * @param {number} days - Look-back window
+ * @returns {Array<Object>} { type, title, category, count, firstSeen, lastSeen, fields }
+ */
+export function getUnclassified(days = 7) {
+    const since = Math.floor(Date.now() / 1000) - days * 24 * 60 * 60;
+
+    return Object.values(getUnclassifiedStore().all())
+        .filter(seen => seen.lastSeen >= since && !getRule(seen.type))
+        .sort((a, b) => b.count - a.count || b.lastSeen - a.lastSeen);
+}
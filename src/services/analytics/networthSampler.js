@@ -0,0 +1,64 @@
+/**
+ * Networth Sampler
+ * Takes an hourly networth sample for every registered user, so intraday
+ * swings show up in deltas and charts before the next daily snapshot.
+ * Daily and weekly snapshots are saved from the same sample when they are due
+ */
+
+import cron from 'node-cron';
+import { getCombinedStats } from '../tornApi.js';
+import { getRegisteredUsers } from '../userStorage.js';
+import { createSnapshot, recordSnapshot } from './networthSnapshotStorage.js';
+
+let task = null;
+
+/**
+ * Start the hourly sampler (disable with NETWORTH_SAMPLING_ENABLED=false)
+ */
+export function startNetworthSampler() {
+    if (process.env.NETWORTH_SAMPLING_ENABLED === 'false') {
+        console.log('💾 Networth sampling is disabled');
+        return;
+    }
+
+    // Minute 5 of every hour, clear of the top-of-hour API rush
+    task = cron.schedule('5 * * * *', async () => {
+        await sampleAllUsers();
+    }, {
+        timezone: 'UTC'
+    });
+
+    console.log('💾 Networth sampler started (hourly)');
+}
+
+/**
+ * Stop the hourly sampler
+ */
+export function stopNetworthSampler() {
+    if (task) {
+        task.stop();
+        task = null;
+    }
+}
+
+/**
+ * Sample every registered user once
+ * @returns {Promise<number>} Users sampled
+ */
+export async function sampleAllUsers() {
+    let sampled = 0;
+
+    for (const user of getRegisteredUsers()) {
+        try {
+            const data = await getCombinedStats(user.apiKey, 'networth');
+            if (!data.networth) continue;
+
+            recordSnapshot(user.discordId, createSnapshot(data.networth));
+            sampled++;
+        } catch (error) {
+            console.error(`❌ Networth sample failed for ${user.discordId}:`, error.message);
+        }
+    }
+
+    return sampled;
+}
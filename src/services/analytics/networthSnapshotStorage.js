@@ -1,46 +1,119 @@
 /**
  * Networth Snapshot Storage
- * Persistent storage for networth snapshots with history
+ * Persistent storage for networth snapshots with history, kept per Discord user.
+ * Snapshots are kept at three resolutions, each sampled at its own interval and
+ * trimmed by its own retention: hourly (7 days), daily (1 year), weekly (forever).
+ * Retention is configurable with NETWORTH_RETENTION_HOURLY_DAYS,
+ * NETWORTH_RETENTION_DAILY_DAYS and NETWORTH_RETENTION_WEEKLY_DAYS (0 = keep all)
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { getUi } from '../../localization/index.js';
+import { getLegacyOwnerId } from '../userStorage.js';
+import { getCollection } from '../storage/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const DATA_DIR = join(__dirname, '../../data');
-const SNAPSHOT_FILE = join(DATA_DIR, 'networth_snapshots.json');
+// Pre-storage location (src/data)
+const LEGACY_FILE = join(__dirname, '../../data/networth_snapshots.json');
 
-// Maximum snapshots to keep (90 days)
-const MAX_SNAPSHOTS = 90;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
 
 /**
- * Ensure data directory and file exist
+ * Snapshot resolutions
+ * interval: minimum time between two snapshots (a little under the nominal period,
+ *           so a sampler running on schedule never skips one)
+ * retention: default days kept
  */
-function ensureDataFile() {
-    if (!existsSync(DATA_DIR)) {
-        mkdirSync(DATA_DIR, { recursive: true });
+export const RESOLUTIONS = {
+    hourly: { interval: 55 * 60 * 1000, period: HOUR_MS, retentionEnv: 'NETWORTH_RETENTION_HOURLY_DAYS', retention: 7 },
+    daily: { interval: 23 * HOUR_MS, period: DAY_MS, retentionEnv: 'NETWORTH_RETENTION_DAILY_DAYS', retention: 365 },
+    weekly: { interval: 7 * DAY_MS - HOUR_MS, period: 7 * DAY_MS, retentionEnv: 'NETWORTH_RETENTION_WEEKLY_DAYS', retention: 0 }
+};
+
+/**
+ * Days a resolution is kept (0 = forever)
+ */
+export function getRetentionDays(resolution) {
+    const { retentionEnv, retention } = RESOLUTIONS[resolution];
+    const configured = parseInt(process.env[retentionEnv], 10);
+    return Number.isNaN(configured) || configured < 0 ? retention : configured;
+}
+
+/**
+ * Finest resolution that still covers the last X days
+ */
+export function getResolutionFor(days) {
+    for (const resolution of ['hourly', 'daily']) {
+        if (days <= getRetentionDays(resolution)) return resolution;
     }
+    return 'weekly';
+}
 
-    if (!existsSync(SNAPSHOT_FILE)) {
-        writeFileSync(SNAPSHOT_FILE, JSON.stringify({ snapshots: [] }, null, 2));
+/**
+ * Snapshot collection (Discord ID -> [snapshots])
+ * Daily snapshots keep the original collection; other resolutions get their own
+ */
+function getStore(resolution = 'daily') {
+    if (resolution !== 'daily') {
+        return getCollection(`networth-snapshots-${resolution}`);
     }
+
+    return getCollection('networth-snapshots', {
+        legacyFile: LEGACY_FILE,
+        fromLegacy: data => {
+            // Single-user files hold one snapshot list for the owner
+            if (Array.isArray(data.snapshots)) {
+                return { [getLegacyOwnerId()]: data.snapshots };
+            }
+            return data.users || {};
+        }
+    });
 }
 
 /**
- * Load all snapshots
- * @returns {Array} Array of snapshots sorted by timestamp (newest first)
+ * Build a snapshot from the networth selection
+ * @param {Object} nw - `networth` from the user API
+ * @returns {Object} { total, breakdown }
  */
-export function loadSnapshots() {
-    ensureDataFile();
+export function createSnapshot(nw) {
+    return {
+        total: nw.total || 0,
+        breakdown: {
+            wallet: nw.wallet || 0,
+            bank: nw.bank || 0,
+            points: nw.points || 0,
+            items: nw.items || 0,
+            bazaar: nw.bazaar || 0,
+            displaycase: nw.displaycase || 0,
+            properties: nw.properties || 0,
+            stockmarket: nw.stockmarket || 0,
+            itemmarket: nw.itemmarket || 0,
+            auctionhouse: nw.auctionhouse || 0,
+            company: nw.company || 0,
+            bookie: nw.bookie || 0,
+            loan: nw.loan || 0,
+            unpaidfees: nw.unpaidfees || 0,
+            piggybank: nw.piggybank || 0,
+            cayman: nw.cayman || 0,
+            vault: nw.vault || 0,
+            trade: nw.trade || 0
+        }
+    };
+}
 
+/**
+ * Load all snapshots for a user
+ * @param {string} userId - Discord user ID
+ * @param {string} resolution - 'hourly', 'daily' or 'weekly'
+ * @returns {Array} Array of snapshots sorted by timestamp (newest first)
+ */
+export function loadSnapshots(userId, resolution = 'daily') {
     try {
-        const data = readFileSync(SNAPSHOT_FILE, 'utf8');
-        const parsed = JSON.parse(data);
-        return parsed.snapshots || [];
+        return getStore(resolution).get(userId) || [];
     } catch (error) {
         console.error('❌ Error loading networth snapshots:', error);
         return [];
@@ -49,47 +122,87 @@ export function loadSnapshots() {
 
 /**
  * Save snapshot to storage
+ * @param {string} userId - Discord user ID
  * @param {Object} snapshot - Snapshot data
+ * @param {string} resolution - 'hourly', 'daily' or 'weekly'
  */
-export function saveSnapshot(snapshot) {
-    ensureDataFile();
-
+export function saveSnapshot(userId, snapshot, resolution = 'daily') {
     try {
-        const snapshots = loadSnapshots();
+        const store = getStore(resolution);
+        const snapshots = store.get(userId) || [];
 
         // Add new snapshot at the beginning
         snapshots.unshift({
             ...snapshot,
-            timestamp: Date.now()
+            timestamp: snapshot.timestamp || Date.now()
         });
 
-        // Trim to max size
-        const trimmed = snapshots.slice(0, MAX_SNAPSHOTS);
-
-        writeFileSync(SNAPSHOT_FILE, JSON.stringify({ snapshots: trimmed }, null, 2));
-        console.log('💾 Networth snapshot saved');
+        // Trim to the resolution's retention
+        const retentionDays = getRetentionDays(resolution);
+        const cutoff = retentionDays > 0 ? Date.now() - retentionDays * DAY_MS : 0;
+        store.set(userId, snapshots.filter(s => s.timestamp >= cutoff));
+        console.log(`💾 Networth snapshot saved (${resolution})`);
     } catch (error) {
         console.error('❌ Error saving networth snapshot:', error);
     }
 }
 
+/**
+ * Save a snapshot at every resolution that is due
+ * @param {string} userId - Discord user ID
+ * @param {Object} snapshot - Snapshot data
+ * @returns {Array<string>} Resolutions saved
+ */
+export function recordSnapshot(userId, snapshot) {
+    const timestamp = Date.now();
+    const saved = [];
+
+    for (const resolution of Object.keys(RESOLUTIONS)) {
+        if (shouldTakeSnapshot(userId, resolution)) {
+            saveSnapshot(userId, { ...snapshot, timestamp }, resolution);
+            saved.push(resolution);
+        }
+    }
+
+    return saved;
+}
+
+/**
+ * Remove all snapshots for a user
+ * @param {string} userId - Discord user ID
+ */
+export function clearUserSnapshots(userId) {
+    try {
+        for (const resolution of Object.keys(RESOLUTIONS)) {
+            getStore(resolution).delete(userId);
+        }
+    } catch (error) {
+        console.error('❌ Error clearing networth snapshots:', error);
+    }
+}
+
 /**
  * Get latest snapshot
+ * @param {string} userId - Discord user ID
+ * @param {string} resolution - 'hourly', 'daily' or 'weekly'
  * @returns {Object|null} Latest snapshot or null
  */
-export function getLatestSnapshot() {
-    const snapshots = loadSnapshots();
+export function getLatestSnapshot(userId, resolution = 'daily') {
+    const snapshots = loadSnapshots(userId, resolution);
     return snapshots[0] || null;
 }
 
 /**
- * Get snapshot from X days ago
- * @param {number} daysAgo - Number of days ago
+ * Get the snapshot closest to a time in the past
+ * Only matches within half the resolution's period of the target
+ * @param {string} userId - Discord user ID
+ * @param {number} msAgo - Milliseconds ago
+ * @param {string} resolution - 'hourly', 'daily' or 'weekly'
  * @returns {Object|null} Snapshot or null
  */
-export function getSnapshotDaysAgo(daysAgo) {
-    const snapshots = loadSnapshots();
-    const targetTime = Date.now() - (daysAgo * 24 * 60 * 60 * 1000);
+export function getSnapshotAgo(userId, msAgo, resolution = 'daily') {
+    const snapshots = loadSnapshots(userId, resolution);
+    const targetTime = Date.now() - msAgo;
 
     // Find closest snapshot to target time
     let closest = null;
@@ -103,8 +216,7 @@ export function getSnapshotDaysAgo(daysAgo) {
         }
     }
 
-    // Only return if within 12 hours of target
-    if (closestDiff > 12 * 60 * 60 * 1000) {
+    if (closestDiff > RESOLUTIONS[resolution].period / 2) {
         return null;
     }
 
@@ -112,17 +224,52 @@ export function getSnapshotDaysAgo(daysAgo) {
 }
 
 /**
- * Calculate delta between two snapshots
+ * Get snapshot from X days ago
+ * @param {string} userId - Discord user ID
+ * @param {number} daysAgo - Number of days ago
+ * @returns {Object|null} Snapshot or null
+ */
+export function getSnapshotDaysAgo(userId, daysAgo) {
+    return getSnapshotAgo(userId, daysAgo * DAY_MS, 'daily');
+}
+
+/**
+ * Get snapshot from X hours ago (hourly samples)
+ * @param {string} userId - Discord user ID
+ * @param {number} hoursAgo - Number of hours ago
+ * @returns {Object|null} Snapshot or null
+ */
+export function getSnapshotHoursAgo(userId, hoursAgo) {
+    return getSnapshotAgo(userId, hoursAgo * HOUR_MS, 'hourly');
+}
+
+/**
+ * Snapshots from the last X days, oldest first (for charts)
+ * @param {string} userId - Discord user ID
+ * @param {number} days - Number of days back
+ * @param {string} resolution - Defaults to the finest resolution covering the period
+ * @returns {Array} Snapshots sorted by timestamp (oldest first)
+ */
+export function getSnapshotsSince(userId, days, resolution = getResolutionFor(days)) {
+    const since = Date.now() - (days * DAY_MS);
+    return loadSnapshots(userId, resolution)
+        .filter(snapshot => snapshot.timestamp >= since)
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Calculate delta between two snapshots (of any resolution)
  * @param {Object} current - Current snapshot
  * @param {Object} previous - Previous snapshot
- * @returns {Object} Delta breakdown
+ * @returns {Object} Delta breakdown, with `period` (ms between the snapshots) when both are timestamped
  */
 export function calculateDelta(current, previous) {
     if (!current || !previous) return null;
 
     const delta = {
         total: current.total - previous.total,
-        breakdown: {}
+        breakdown: {},
+        period: current.timestamp && previous.timestamp ? current.timestamp - previous.timestamp : null
     };
 
     // Calculate breakdown deltas
@@ -142,33 +289,51 @@ export function calculateDelta(current, previous) {
     return delta;
 }
 
+/**
+ * Delta from the snapshot closest to X ms ago to the latest one, at one resolution
+ * @param {string} userId - Discord user ID
+ * @param {number} msAgo - Milliseconds ago
+ * @param {string} resolution - 'hourly', 'daily' or 'weekly'
+ * @param {Object} current - Live snapshot to compare instead of the latest stored one
+ * @returns {Object|null} Delta (see calculateDelta)
+ */
+export function getDeltaOver(userId, msAgo, resolution = 'daily', current = null) {
+    const latest = current ? { ...current, timestamp: current.timestamp || Date.now() } : getLatestSnapshot(userId, resolution);
+    return calculateDelta(latest, getSnapshotAgo(userId, msAgo, resolution));
+}
+
 /**
  * Calculate trend indicator
- * @param {number} delta24h - 24h delta
- * @param {number} delta7d - 7d delta
+ * Thresholds (±100k mild, ±1M strong) are per 7 days and scale with the window,
+ * so hourly deltas over a day and weekly deltas over a quarter read the same way
+ * @param {number} delta24h - Short-window delta (unused in the rating, kept for callers)
+ * @param {number} delta7d - Delta over `window`
+ * @param {Object} options - { window: ms covered by delta7d, default 7 days }
  * @returns {Object} Trend info
  */
-export function calculateTrend(delta24h, delta7d) {
+export function calculateTrend(delta24h, delta7d, { window = 7 * DAY_MS } = {}) {
     let icon = '▬';
     let label = getUi('trend_stable');
     let color = 0x95A5A6; // Gray
 
-    const daily = delta24h || 0;
-    const weekly = delta7d || 0;
+    const change = delta7d || 0;
+    const factor = window / (7 * DAY_MS);
+    const strong = 1000000 * factor;
+    const mild = 100000 * factor;
 
-    if (weekly > 1000000) {
+    if (change > strong) {
         icon = '▲▲';
         label = getUi('trend_strong_growth');
         color = 0x2ECC71;
-    } else if (weekly > 100000) {
+    } else if (change > mild) {
         icon = '▲';
         label = getUi('trend_mild_growth');
         color = 0x27AE60;
-    } else if (weekly < -1000000) {
+    } else if (change < -strong) {
         icon = '▼▼';
         label = getUi('trend_sharp_decline');
         color = 0xE74C3C;
-    } else if (weekly < -100000) {
+    } else if (change < -mild) {
         icon = '▼';
         label = getUi('trend_mild_decline');
         color = 0xE67E22;
@@ -178,23 +343,34 @@ export function calculateTrend(delta24h, delta7d) {
 }
 
 /**
- * Check if we should take a new snapshot (once per day)
+ * Check if a resolution is due for a new snapshot
+ * @param {string} userId - Discord user ID
+ * @param {string} resolution - 'hourly', 'daily' (default) or 'weekly'
  * @returns {boolean} True if should snapshot
  */
-export function shouldTakeSnapshot() {
-    const latest = getLatestSnapshot();
+export function shouldTakeSnapshot(userId, resolution = 'daily') {
+    const latest = getLatestSnapshot(userId, resolution);
     if (!latest) return true;
 
-    const hoursSinceLastSnapshot = (Date.now() - latest.timestamp) / (1000 * 60 * 60);
-    return hoursSinceLastSnapshot >= 23; // At least 23 hours between snapshots
+    return Date.now() - latest.timestamp >= RESOLUTIONS[resolution].interval;
 }
 
 export default {
+    RESOLUTIONS,
+    getRetentionDays,
+    getResolutionFor,
+    createSnapshot,
     loadSnapshots,
     saveSnapshot,
+    recordSnapshot,
+    clearUserSnapshots,
     getLatestSnapshot,
+    getSnapshotAgo,
     getSnapshotDaysAgo,
+    getSnapshotHoursAgo,
+    getSnapshotsSince,
     calculateDelta,
+    getDeltaOver,
     calculateTrend,
     shouldTakeSnapshot
 };
@@ -1,17 +1,18 @@
 /**
  * Profit Engine Storage
- * Daily profit/loss aggregation and persistence
+ * Daily profit/loss aggregation and persistence, kept per Discord user
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { getLegacyOwnerId } from '../userStorage.js';
+import { getCollection } from '../storage/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const DATA_DIR = join(__dirname, '../../data');
-const DAILY_STATE_FILE = join(DATA_DIR, 'profit_engine_state.json');
+// Pre-storage location (src/data)
+const LEGACY_FILE = join(__dirname, '../../data/profit_engine_state.json');
 
 // Default daily state structure
 function createEmptyDayState(date) {
@@ -36,138 +37,294 @@ function createEmptyDayState(date) {
             xanaxUsed: 0,
             hoursActive: 0
         },
+        booked: [],
         lastUpdate: Date.now()
     };
 }
 
-// In-memory state
-let dailyState = null;
+// Closed days kept per user for /profit reports
+const MAX_ARCHIVED_DAYS = 400;
+
+// In-memory state (Discord ID -> day state)
+let dailyStates = null;
 
 /**
- * Ensure data directory exists
+ * Day state collection (Discord ID -> day state)
  */
-function ensureDataDir() {
-    if (!existsSync(DATA_DIR)) {
-        mkdirSync(DATA_DIR, { recursive: true });
-    }
+function getStore() {
+    return getCollection('profit-engine-state', {
+        legacyFile: LEGACY_FILE,
+        // Single-user files hold one day state for the owner
+        fromLegacy: data => ('date' in data ? { [getLegacyOwnerId()]: data } : data)
+    });
+}
+
+/**
+ * Closed day collection (Discord ID -> { 'YYYY-MM-DD': { income, expense, stats } })
+ */
+function getHistoryStore() {
+    return getCollection('profit-engine-history');
 }
 
 /**
  * Get today's date string (WIB timezone)
  */
-function getTodayDate() {
+export function getTodayDate() {
     return new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' }); // YYYY-MM-DD
 }
 
 /**
- * Load daily state from disk
+ * Date (WIB) of a unix timestamp in seconds
  */
-export function loadProfitState() {
-    ensureDataDir();
-    const today = getTodayDate();
+export function getDateOf(timestamp) {
+    return new Date(timestamp * 1000).toLocaleDateString('en-CA', { timeZone: 'Asia/Jakarta' }); // YYYY-MM-DD
+}
 
-    if (existsSync(DAILY_STATE_FILE)) {
-        try {
-            dailyState = JSON.parse(readFileSync(DAILY_STATE_FILE, 'utf8'));
-
-            // Check if it's a new day
-            if (dailyState.date !== today) {
-                console.log(`🧮 New day detected, resetting profit engine state`);
-                dailyState = createEmptyDayState(today);
-                saveProfitState();
-            }
-        } catch (e) {
-            console.error('❌ Error loading profit state:', e.message);
-            dailyState = createEmptyDayState(today);
-        }
-    } else {
-        dailyState = createEmptyDayState(today);
-        saveProfitState();
+/**
+ * Start of today (WIB) in unix seconds
+ */
+export function getTodayStart() {
+    return Math.floor(new Date(getTodayDate() + 'T00:00:00+07:00').getTime() / 1000);
+}
+
+/**
+ * Load daily states from storage
+ */
+export function loadProfitState() {
+    try {
+        dailyStates = getStore().all();
+    } catch (e) {
+        console.error('❌ Error loading profit state:', e.message);
+        dailyStates = {};
     }
 
-    return dailyState;
+    return dailyStates;
 }
 
 /**
- * Save daily state to disk
+ * Save daily states to storage
+ * @param {string} [userId] - Only save this user's state
  */
-export function saveProfitState() {
-    ensureDataDir();
-    if (dailyState) {
-        dailyState.lastUpdate = Date.now();
-        writeFileSync(DAILY_STATE_FILE, JSON.stringify(dailyState, null, 2));
+export function saveProfitState(userId) {
+    if (!dailyStates) return;
+
+    if (userId) {
+        getStore().set(userId, dailyStates[userId]);
+    } else {
+        getStore().replaceAll(dailyStates);
     }
 }
 
 /**
- * Get current daily state
+ * Get a user's current daily state
+ * @param {string} userId - Discord user ID
  */
-export function getProfitState() {
-    if (!dailyState) {
+export function getProfitState(userId) {
+    if (!dailyStates) {
         loadProfitState();
     }
 
-    // Check for day rollover
+    // Create on first use and check for day rollover
     const today = getTodayDate();
-    if (dailyState.date !== today) {
-        dailyState = createEmptyDayState(today);
-        saveProfitState();
+    if (dailyStates[userId]?.date !== today) {
+        if (dailyStates[userId]) {
+            console.log(`🧮 New day detected, resetting profit engine state for ${userId}`);
+            archiveDay(userId, dailyStates[userId]);
+        }
+        dailyStates[userId] = createEmptyDayState(today);
+        saveProfitState(userId);
+    }
+
+    return dailyStates[userId];
+}
+
+/**
+ * Claim a log entry for a day state so replaying it changes nothing
+ * @param {Object} state - Day state
+ * @param {string} kind - 'income', 'expense' or a stat name
+ * @param {string|null} entryId - Log entry ID (null = always book)
+ * @returns {boolean} False if the entry was already booked
+ */
+function claimEntry(state, kind, entryId) {
+    if (!entryId) return true;
+
+    const key = `${kind}:${entryId}`;
+    state.booked = state.booked || [];
+    if (state.booked.includes(key)) return false;
+
+    state.booked.push(key);
+    return true;
+}
+
+/**
+ * Save a user's closed days, dropping the oldest past MAX_ARCHIVED_DAYS
+ * Booked entry IDs stay until pruneBookedEntries() says they can't be replayed
+ */
+function saveArchivedDays(userId, days) {
+    const dates = Object.keys(days).sort();
+    for (const date of dates.slice(0, Math.max(0, dates.length - MAX_ARCHIVED_DAYS))) {
+        delete days[date];
     }
 
-    return dailyState;
+    getHistoryStore().set(userId, days);
+}
+
+/**
+ * Drop booked entry IDs from closed days before a date
+ * (called with the financial log cursor's date: earlier entries are never read again)
+ * @param {string} userId - Discord user ID
+ * @param {string} beforeDate - YYYY-MM-DD (exclusive)
+ */
+export function pruneBookedEntries(userId, beforeDate) {
+    const days = getHistoryStore().get(userId);
+    if (!days) return;
+
+    const stale = Object.keys(days).filter(date => date < beforeDate && days[date].booked);
+    if (stale.length === 0) return;
+
+    for (const date of stale) delete days[date].booked;
+    getHistoryStore().set(userId, days);
+}
+
+/**
+ * Keep a closed day's totals
+ * @param {string} userId - Discord user ID
+ * @param {Object} state - Day state being replaced
+ */
+function archiveDay(userId, state) {
+    try {
+        const days = getHistoryStore().get(userId) || {};
+        days[state.date] = { income: state.income, expense: state.expense, stats: state.stats, booked: state.booked || [] };
+        saveArchivedDays(userId, days);
+    } catch (e) {
+        console.error(`❌ Error archiving profit day ${state.date} for ${userId}:`, e.message);
+    }
+}
+
+/**
+ * Day state an entry is booked into: today's live state, or the closed day
+ * of its date (created when the bot was down all that day)
+ * @param {string} userId - Discord user ID
+ * @param {number|null} timestamp - Entry time in unix seconds (null = now)
+ * @returns {{ state: Object, save: Function }}
+ */
+function openDay(userId, timestamp) {
+    const today = getProfitState(userId);
+    const date = timestamp ? getDateOf(timestamp) : today.date;
+
+    if (date >= today.date) {
+        return { state: today, save: () => touchState(userId, today) };
+    }
+
+    const days = getHistoryStore().get(userId) || {};
+    const { income, expense, stats, booked } = createEmptyDayState(date);
+    const state = days[date] || { income, expense, stats, booked };
+
+    return {
+        state,
+        save: () => {
+            days[date] = state;
+            saveArchivedDays(userId, days);
+        }
+    };
+}
+
+/**
+ * A user's day totals in a date range, oldest first (today's live state included)
+ * @param {string} userId - Discord user ID
+ * @param {string} fromDate - YYYY-MM-DD (inclusive)
+ * @param {string} toDate - YYYY-MM-DD (inclusive)
+ * @returns {Array<Object>} { date, income, expense, stats }
+ */
+export function getDailyHistory(userId, fromDate, toDate) {
+    const days = { ...(getHistoryStore().get(userId) || {}) };
+
+    const today = getProfitState(userId);
+    days[today.date] = { income: today.income, expense: today.expense, stats: today.stats };
+
+    return Object.keys(days)
+        .filter(date => date >= fromDate && date <= toDate)
+        .sort()
+        .map(date => ({ date, income: days[date].income, expense: days[date].expense, stats: days[date].stats }));
+}
+
+/**
+ * Stamp and persist a user's day state
+ */
+function touchState(userId, state) {
+    state.lastUpdate = Date.now();
+    saveProfitState(userId);
 }
 
 /**
  * Add income to daily state
+ * @param {string} userId - Discord user ID
  * @param {string} category - 'travel', 'crime', 'job', 'other'
  * @param {number} amount - Amount in dollars
+ * @param {string} [entryId] - Log entry ID, booked at most once
+ * @param {number} [timestamp] - Entry time in unix seconds; earlier days go to their closed day
+ * @returns {boolean} False if the entry was already booked
  */
-export function addIncome(category, amount) {
-    const state = getProfitState();
+export function addIncome(userId, category, amount, entryId = null, timestamp = null) {
+    const { state, save } = openDay(userId, timestamp);
+    if (!claimEntry(state, 'income', entryId)) return false;
+
     if (state.income[category] !== undefined) {
         state.income[category] += amount;
     } else {
         state.income.other += amount;
     }
-    saveProfitState();
+    save();
     console.log(`🧮 Income added: ${category} +$${amount.toLocaleString()}`);
+    return true;
 }
 
 /**
  * Add expense to daily state
+ * @param {string} userId - Discord user ID
  * @param {string} category - 'property', 'xanax', 'travel_buy', 'tax', 'other'
  * @param {number} amount - Amount in dollars (positive)
+ * @param {string} [entryId] - Log entry ID, booked at most once
+ * @param {number} [timestamp] - Entry time in unix seconds; earlier days go to their closed day
+ * @returns {boolean} False if the entry was already booked
  */
-export function addExpense(category, amount) {
-    const state = getProfitState();
+export function addExpense(userId, category, amount, entryId = null, timestamp = null) {
+    const { state, save } = openDay(userId, timestamp);
+    if (!claimEntry(state, 'expense', entryId)) return false;
+
     if (state.expense[category] !== undefined) {
         state.expense[category] += Math.abs(amount);
     } else {
         state.expense.other += Math.abs(amount);
     }
-    saveProfitState();
+    save();
     console.log(`🧮 Expense added: ${category} -$${Math.abs(amount).toLocaleString()}`);
+    return true;
 }
 
 /**
  * Increment a daily stat counter
+ * @param {string} userId - Discord user ID
  * @param {string} statName - 'tripCount', 'crimeCount', 'xanaxUsed'
  * @param {number} value - Increment value (default 1)
+ * @param {string} [entryId] - Log entry ID, counted at most once
+ * @param {number} [timestamp] - Entry time in unix seconds; earlier days go to their closed day
  */
-export function incrementStat(statName, value = 1) {
-    const state = getProfitState();
-    if (state.stats[statName] !== undefined) {
+export function incrementStat(userId, statName, value = 1, entryId = null, timestamp = null) {
+    const { state, save } = openDay(userId, timestamp);
+    if (state.stats[statName] !== undefined && claimEntry(state, statName, entryId)) {
         state.stats[statName] += value;
-        saveProfitState();
+        save();
         console.log(`🧮 Stat incremented: ${statName} +${value}`);
     }
 }
 
 /**
- * Calculate totals
+ * Calculate a user's totals
+ * @param {string} userId - Discord user ID
  */
-export function calculateTotals() {
-    const state = getProfitState();
+export function calculateTotals(userId) {
+    const state = getProfitState(userId);
 
     const totalIncome = Object.values(state.income).reduce((a, b) => a + b, 0);
     const totalExpense = Object.values(state.expense).reduce((a, b) => a + b, 0);
@@ -187,6 +344,19 @@ export function calculateTotals() {
     };
 }
 
+/**
+ * Remove a user's profit state
+ * @param {string} userId - Discord user ID
+ */
+export function clearProfitState(userId) {
+    if (!dailyStates) {
+        loadProfitState();
+    }
+    delete dailyStates[userId];
+    getStore().delete(userId);
+    getHistoryStore().delete(userId);
+}
+
 /**
  * Initialize profit engine
  */
@@ -196,12 +366,18 @@ export function initProfitEngine() {
 }
 
 export default {
+    getTodayDate,
+    getDateOf,
+    getTodayStart,
+    getDailyHistory,
     loadProfitState,
     saveProfitState,
     getProfitState,
     addIncome,
     addExpense,
     incrementStat,
+    pruneBookedEntries,
     calculateTotals,
+    clearProfitState,
     initProfitEngine
 };
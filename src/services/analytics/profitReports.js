@@ -0,0 +1,129 @@
+/**
+ * Profit Reports
+ * Multi-day P&L from the profit engine's archived days: category totals,
+ * day-over-day changes, best/worst day and the previous period for comparison
+ */
+
+import { getDailyHistory, getTodayDate } from './profitEngineStorage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════
+// DATES (profit days are WIB calendar days, YYYY-MM-DD)
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Check a YYYY-MM-DD date
+ */
+export function isValidDate(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+}
+
+/**
+ * Move a date by a number of days
+ */
+export function shiftDate(date, days) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Days from one date to another, inclusive
+ */
+export function countDays(fromDate, toDate) {
+    return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / DAY_MS) + 1;
+}
+
+/**
+ * Date range of a named period ending today
+ * @param {string} period - 'week' (last 7 days) or 'month' (month to date)
+ * @returns {{from: string, to: string}}
+ */
+export function getPeriodRange(period, today = getTodayDate()) {
+    if (period === 'month') {
+        return { from: `${today.slice(0, 8)}01`, to: today };
+    }
+    return { from: shiftDate(today, -6), to: today };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REPORT
+// ═══════════════════════════════════════════════════════════════════
+
+function sumValues(obj) {
+    return Object.values(obj || {}).reduce((a, b) => a + b, 0);
+}
+
+function addInto(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+        target[key] = (target[key] || 0) + value;
+    }
+}
+
+/**
+ * Totals for a date range
+ * @returns {Object} { income, expense, stats, totalIncome, totalExpense, net, days }
+ */
+function summarize(days) {
+    const totals = { income: {}, expense: {}, stats: {} };
+
+    for (const day of days) {
+        addInto(totals.income, day.income);
+        addInto(totals.expense, day.expense);
+        addInto(totals.stats, day.stats);
+    }
+
+    const totalIncome = sumValues(totals.income);
+    const totalExpense = sumValues(totals.expense);
+
+    return { ...totals, totalIncome, totalExpense, net: totalIncome - totalExpense };
+}
+
+/**
+ * Build a P&L report
+ * @param {string} userId - Discord user ID
+ * @param {string} fromDate - YYYY-MM-DD (inclusive)
+ * @param {string} toDate - YYYY-MM-DD (inclusive)
+ * @returns {Object} { from, to, dayCount, days, income, expense, stats, totalIncome, totalExpense, net,
+ *                     avgNet, bestDay, worstDay, previous }
+ *          days: [{ date, totalIncome, totalExpense, net, change }] where change is vs the
+ *          previous calendar day (null if that day has no record)
+ */
+export function buildProfitReport(userId, fromDate, toDate) {
+    // One extra day so the first day has a day-over-day change
+    const history = getDailyHistory(userId, shiftDate(fromDate, -1), toDate);
+    const byDate = new Map(history.map(day => [day.date, day]));
+    const inRange = history.filter(day => day.date >= fromDate);
+
+    const days = inRange.map(day => {
+        const totalIncome = sumValues(day.income);
+        const totalExpense = sumValues(day.expense);
+        const net = totalIncome - totalExpense;
+
+        const before = byDate.get(shiftDate(day.date, -1));
+        const change = before ? net - (sumValues(before.income) - sumValues(before.expense)) : null;
+
+        return { date: day.date, totalIncome, totalExpense, net, change };
+    });
+
+    const totals = summarize(inRange);
+    const ranked = [...days].sort((a, b) => b.net - a.net);
+
+    // Same-length period right before this one
+    const dayCount = countDays(fromDate, toDate);
+    const previousDays = getDailyHistory(userId, shiftDate(fromDate, -dayCount), shiftDate(fromDate, -1));
+    const previous = previousDays.length > 0 ? { ...summarize(previousDays), dayCount: previousDays.length } : null;
+
+    return {
+        from: fromDate,
+        to: toDate,
+        dayCount,
+        days,
+        ...totals,
+        avgNet: days.length > 0 ? totals.net / days.length : 0,
+        bestDay: ranked[0] || null,
+        worstDay: ranked.length > 1 ? ranked[ranked.length - 1] : null,
+        previous
+    };
+}
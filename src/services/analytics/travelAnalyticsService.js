@@ -3,18 +3,49 @@
  * Manages travel state, trade logs, and daily statistics
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
+import { getCollection } from '../storage/index.js';
+import { getLegacyOwnerId } from '../userStorage.js';
 
-// Data Files
-const TRAVEL_STATE_FILE = './data/travel-state.json';
-const TRADE_LOG_FILE = './data/trade-log.json';
-const DAILY_STATS_FILE = './data/daily-stats.json';
+// Pre-storage data files (imported once)
+const LEGACY_TRAVEL_STATE_FILE = './data/travel-state.json';
+const LEGACY_TRADE_LOG_FILE = './data/trade-log.json';
+const LEGACY_DAILY_STATS_FILE = './data/daily-stats.json';
 
-// In-memory cache
-let travelState = { isTraveling: false, lastCountry: 'Torn', lastReturnTs: 0, todayTrips: 0, capacity: 0 };
-let tradeLog = [];
-let dailyStats = { date: '', totalProfit: 0, trips: 0, bestItem: null, bestCountry: null, profitPerTrip: 0 };
+// Trades kept per user
+const MAX_TRADES_PER_USER = 100;
+
+// In-memory cache (travel state, trades and daily stats keyed by Discord ID)
+let travelStates = {};
+let tradeLogs = {};
+let dailyStatsByUser = {};
+
+function createTravelState() {
+    return { isTraveling: false, lastCountry: 'Torn', lastReturnTs: 0, todayTrips: 0, capacity: 0 };
+}
+
+function createDailyStats(date = '') {
+    return { date, totalProfit: 0, trips: 0, bestItem: null, bestCountry: null, profitPerTrip: 0 };
+}
+
+/**
+ * Get (or create) travel state for a user
+ */
+function getTravelState(userId) {
+    if (!travelStates[userId]) {
+        travelStates[userId] = createTravelState();
+    }
+    return travelStates[userId];
+}
+
+/**
+ * Get (or create) daily stats for a user
+ */
+function getDailyStats(userId) {
+    if (!dailyStatsByUser[userId]) {
+        dailyStatsByUser[userId] = createDailyStats(new Date().toISOString().split('T')[0]);
+    }
+    return dailyStatsByUser[userId];
+}
 
 // Cache control
 let initialized = false;
@@ -26,7 +57,6 @@ let initialized = false;
 export function initAnalytics() {
     if (initialized) return;
 
-    ensureDirectory();
     loadTravelState();
     loadTradeLog();
     loadDailyStats();
@@ -41,62 +71,97 @@ export function initAnalytics() {
     console.log('📊 Travel Analytics initialized');
 }
 
-function ensureDirectory() {
-    const dir = './data';
-    if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
-    }
-}
-
 // ═══════════════════════════════════════════════════════════════════
 // 1. DATA PERSISTENCE
 // ═══════════════════════════════════════════════════════════════════
 
-function loadTravelState() {
-    if (existsSync(TRAVEL_STATE_FILE)) {
-        try {
-            travelState = JSON.parse(readFileSync(TRAVEL_STATE_FILE, 'utf8'));
-        } catch (e) {
-            console.error('❌ Error loading travel state:', e.message);
+/**
+ * Travel state collection (Discord ID -> travel state)
+ */
+function getTravelStore() {
+    return getCollection('travel-states', {
+        legacyFile: LEGACY_TRAVEL_STATE_FILE,
+        // Single-user files hold the state at the top level
+        fromLegacy: data => ('isTraveling' in data ? { [getLegacyOwnerId()]: data } : data)
+    });
+}
+
+/**
+ * Trade collection (Discord ID -> [trades], newest first)
+ */
+function getTradeStore() {
+    return getCollection('travel-trades', {
+        legacyFile: LEGACY_TRADE_LOG_FILE,
+        // One list for every user; entries written before multi-user support belong to the owner
+        fromLegacy: data => {
+            const ownerId = getLegacyOwnerId();
+            const byUser = {};
+            for (const entry of data) {
+                const userId = entry.userId || ownerId;
+                (byUser[userId] ||= []).push({ ...entry, userId });
+            }
+            return byUser;
         }
+    });
+}
+
+/**
+ * Daily stats collection (Discord ID -> daily stats)
+ */
+function getDailyStatsStore() {
+    return getCollection('travel-daily-stats', {
+        legacyFile: LEGACY_DAILY_STATS_FILE,
+        // Single-user files hold the stats at the top level
+        fromLegacy: data => ('date' in data ? { [getLegacyOwnerId()]: data } : data)
+    });
+}
+
+function loadTravelState() {
+    try {
+        travelStates = getTravelStore().all();
+    } catch (e) {
+        console.error('❌ Error loading travel state:', e.message);
     }
 }
 
-function saveTravelState() {
-    writeFileSync(TRAVEL_STATE_FILE, JSON.stringify(travelState, null, 2));
+function saveTravelState(userId) {
+    if (travelStates[userId]) {
+        getTravelStore().set(userId, travelStates[userId]);
+    } else {
+        getTravelStore().delete(userId);
+    }
 }
 
 function loadTradeLog() {
-    if (existsSync(TRADE_LOG_FILE)) {
-        try {
-            tradeLog = JSON.parse(readFileSync(TRADE_LOG_FILE, 'utf8'));
-            // Keep only last 100 trades in memory/file to prevent bloat? 
-            // PRD says "last N trades" for history. Let's keep 100.
-            if (tradeLog.length > 100) {
-                tradeLog = tradeLog.slice(0, 100);
-            }
-        } catch (e) {
-            console.error('❌ Error loading trade log:', e.message);
-        }
+    try {
+        tradeLogs = getTradeStore().all();
+    } catch (e) {
+        console.error('❌ Error loading trade log:', e.message);
     }
 }
 
-function saveTradeLog() {
-    writeFileSync(TRADE_LOG_FILE, JSON.stringify(tradeLog, null, 2));
+function saveTradeLog(userId) {
+    if (tradeLogs[userId]) {
+        getTradeStore().set(userId, tradeLogs[userId]);
+    } else {
+        getTradeStore().delete(userId);
+    }
 }
 
 function loadDailyStats() {
-    if (existsSync(DAILY_STATS_FILE)) {
-        try {
-            dailyStats = JSON.parse(readFileSync(DAILY_STATS_FILE, 'utf8'));
-        } catch (e) {
-            console.error('❌ Error loading daily stats:', e.message);
-        }
+    try {
+        dailyStatsByUser = getDailyStatsStore().all();
+    } catch (e) {
+        console.error('❌ Error loading daily stats:', e.message);
     }
 }
 
-function saveDailyStats() {
-    writeFileSync(DAILY_STATS_FILE, JSON.stringify(dailyStats, null, 2));
+function saveDailyStats(userId) {
+    if (dailyStatsByUser[userId]) {
+        getDailyStatsStore().set(userId, dailyStatsByUser[userId]);
+    } else {
+        getDailyStatsStore().delete(userId);
+    }
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -105,43 +170,30 @@ function saveDailyStats() {
 
 function checkDailyReset() {
     const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD (UTC)
-
-    if (dailyStats.date !== today) {
-        console.log(`🔄 Resetting daily stats for new day: ${today}`);
-
-        // Reset stats
-        dailyStats = {
-            date: today,
-            totalProfit: 0,
-            trips: 0,
-            bestItem: null,
-            bestCountry: null,
-            profitPerTrip: 0
-        };
-        saveDailyStats();
-
-        // Also reset todayTrips in travelState?
-        // PRD says "todayTrips" is in travelState. 
-        // Logic: Sync them.
-        travelState.todayTrips = 0;
-        saveTravelState();
+    const stale = Object.keys(dailyStatsByUser).filter(userId => dailyStatsByUser[userId].date !== today);
+    if (stale.length === 0) return;
+
+    console.log(`🔄 Resetting daily stats for new day: ${today}`);
+    for (const userId of stale) {
+        // Reset stats, and keep todayTrips in travel state in sync
+        dailyStatsByUser[userId] = createDailyStats(today);
+        getTravelState(userId).todayTrips = 0;
+        saveDailyStats(userId);
+        saveTravelState(userId);
     }
 }
 
-export function resetDailyStatsManual() {
+/**
+ * Reset a user's daily stats manually
+ * @param {string} userId - Discord user ID
+ */
+export function resetDailyStatsManual(userId) {
     const today = new Date().toISOString().split('T')[0];
-    dailyStats = {
-        date: today,
-        totalProfit: 0,
-        trips: 0,
-        bestItem: null,
-        bestCountry: null,
-        profitPerTrip: 0
-    };
-    travelState.todayTrips = 0;
-    saveDailyStats();
-    saveTravelState();
-    console.log('🔄 Manual daily stats reset triggered');
+    dailyStatsByUser[userId] = createDailyStats(today);
+    getTravelState(userId).todayTrips = 0;
+    saveDailyStats(userId);
+    saveTravelState(userId);
+    console.log(`🔄 Manual daily stats reset triggered for ${userId}`);
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -150,49 +202,57 @@ export function resetDailyStatsManual() {
 
 /**
  * Update Travel Capacity from API Data
+ * @param {string} userId - Discord user ID
  * @param {number} capacity - Max items (from perks.travel_items)
  */
-export function updateCapacity(capacity) {
+export function updateCapacity(userId, capacity) {
+    const travelState = getTravelState(userId);
     if (travelState.capacity !== capacity) {
         travelState.capacity = capacity;
-        saveTravelState();
-        console.log(`🎒 Travel capacity updated: ${capacity}`);
+        saveTravelState(userId);
+        console.log(`🎒 Travel capacity updated for ${userId}: ${capacity}`);
     }
 }
 
 /**
  * Get current travel capacity
+ * @param {string} userId - Discord user ID
  */
-export function getCapacity() {
-    return travelState.capacity || 0;
+export function getCapacity(userId) {
+    return travelStates[userId]?.capacity || 0;
 }
 
 /**
  * Get last foreign country visited
+ * @param {string} userId - Discord user ID
  */
-export function getLastCountry() {
-    return travelState.lastCountry || 'Unknown';
+export function getLastCountry(userId) {
+    return travelStates[userId]?.lastCountry || 'Unknown';
 }
 
 /**
  * Set last foreign country (called when traveling abroad)
+ * @param {string} userId - Discord user ID
+ * @param {string} country - Country name
  */
-export function setLastCountry(country) {
+export function setLastCountry(userId, country) {
     if (country && country !== 'Torn') {
-        travelState.lastCountry = country;
-        saveTravelState();
+        getTravelState(userId).lastCountry = country;
+        saveTravelState(userId);
     }
 }
 
 /**
  * Log a trade (Buy or Sell)
+ * @param {string} userId - Discord user ID
  * @param {string} type - 'BUY' or 'SELL'
  * @param {string} item - Item name
  * @param {number} qty - Quantity
  * @param {number} price - Unit price
  * @param {string} country - Country name
  */
-export function logTrade(type, item, qty, price, country) {
+export function logTrade(userId, type, item, qty, price, country) {
+    const dailyStats = getDailyStats(userId);
     const total = qty * price;
     const isSell = type.toUpperCase() === 'SELL';
 
@@ -211,7 +271,7 @@ export function logTrade(type, item, qty, price, country) {
         // Let's implement Option B (Estimate based on known foreign price) + Option C (Look for last buy)
 
         // Strategy: Look for last BUY of this item in tradeLog to get cost basis
-        const lastBuy = tradeLog.find(t => t.type === 'BUY' && t.item === item);
+        const lastBuy = (tradeLogs[userId] || []).find(t => t.type === 'BUY' && t.item === item);
         const buyPrice = lastBuy ? lastBuy.price : 0; // fallback to 0 if unknown
 
         if (buyPrice > 0) {
@@ -236,6 +296,7 @@ export function logTrade(type, item, qty, price, country) {
     }
 
     const entry = {
+        userId,
         ts: Math.floor(Date.now() / 1000),
         type: type.toUpperCase(),
         item,
@@ -246,22 +307,24 @@ export function logTrade(type, item, qty, price, country) {
         profit: isSell ? profit : null
     };
 
-    // Add to log (Newest first)
-    tradeLog.unshift(entry);
-    if (tradeLog.length > 100) tradeLog.pop();
-    saveTradeLog();
-    saveDailyStats();
+    // Add to log (Newest first), keeping the last trades of each user
+    tradeLogs[userId] = [entry, ...(tradeLogs[userId] || [])].slice(0, MAX_TRADES_PER_USER);
+    saveTradeLog(userId);
+    saveDailyStats(userId);
 
     return entry;
 }
 
 /**
  * Update Travel State (Called by Monitor)
+ * @param {string} userId - Discord user ID
  * Logic:
  * - If was Traveling and now !Traveling and country == Torn -> RETURNED
  * - If was Traveling and now !Traveling and country != Torn -> LANDED
  */
-export function updateTravelState(isCurrentlyTraveling, currentCountry, timeLeft) {
+export function updateTravelState(userId, isCurrentlyTraveling, currentCountry, timeLeft) {
+    const travelState = getTravelState(userId);
+    const dailyStats = getDailyStats(userId);
     const wasTraveling = travelState.isTraveling;
     const lastCountry = travelState.lastCountry;
 
@@ -290,22 +353,41 @@ export function updateTravelState(isCurrentlyTraveling, currentCountry, timeLeft
             event = 'LANDED';
             travelState.lastCountry = currentCountry;
         }
-        saveTravelState();
-        saveDailyStats();
+        saveTravelState(userId);
+        saveDailyStats(userId);
     }
     // If we just started traveling
     else if (!wasTraveling && isCurrentlyTraveling) {
         // Just mark as traveling
-        saveTravelState();
+        saveTravelState(userId);
     }
 
     return event;
 }
 
-export function getStatus() {
+/**
+ * Remove a user's travel state, daily stats and trades
+ * @param {string} userId - Discord user ID
+ */
+export function clearUserAnalytics(userId) {
+    delete travelStates[userId];
+    delete dailyStatsByUser[userId];
+    delete tradeLogs[userId];
+
+    saveTravelState(userId);
+    saveDailyStats(userId);
+    saveTradeLog(userId);
+}
+
+/**
+ * Get a user's daily stats, recent trades and capacity
+ * @param {string} userId - Discord user ID
+ * @param {number} tradeLimit - Recent trades to include
+ */
+export function getStatus(userId, tradeLimit = 5) {
     return {
-        daily: dailyStats,
-        lastTrades: tradeLog.slice(0, 5),
-        capacity: travelState.capacity || 0
+        daily: getDailyStats(userId),
+        lastTrades: (tradeLogs[userId] || []).slice(0, tradeLimit),
+        capacity: getCapacity(userId)
     };
 }
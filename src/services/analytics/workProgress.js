@@ -0,0 +1,337 @@
+/**
+ * Work Progress
+ * Daily history of working stats (manual labor, intelligence, endurance) and
+ * job points, gains per day, when the next position's stat requirements will
+ * be met, and job points accumulated toward each company type's specials.
+ *
+ * Company positions and specials come from torn/companies. City job rank
+ * requirements aren't in the API, so for city jobs the user sets the target
+ * stats themselves (/jobplan target).
+ */
+
+import { get } from '../tornApi.js';
+import { getCollection } from '../storage/index.js';
+import { getUi } from '../../localization/index.js';
+
+export const WORK_STATS = ['manual_labor', 'intelligence', 'endurance'];
+
+// torn/companies field prefixes per working stat
+const FIELD_PREFIX = { manual_labor: 'man', intelligence: 'int', endurance: 'end' };
+
+const COMPANIES_TTL = 24 * 60 * 60 * 1000;
+const MAX_HISTORY = 365;
+const RATE_DAYS = 14;
+const MAX_PROJECTION_DAYS = 3650;
+
+export class WorkProgressError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkProgressError';
+    }
+}
+
+let companiesCache = null;
+let companiesCacheTime = 0;
+
+/**
+ * Progress collection (Discord ID -> { history: [{ date, manual_labor, intelligence, endurance, jobpoints }], target })
+ * jobpoints = { jobs: { army, ... }, companies: { typeId: points } }
+ */
+function getStore() {
+    return getCollection('work-progress');
+}
+
+function getRecord(userId) {
+    return getStore().get(userId) || { history: [], target: null };
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / 86400000);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// HISTORY
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Store today's working stats and/or job points (one entry per UTC day)
+ * Fields missing from the response keep the values already recorded today
+ * @param {string} userId - Discord ID
+ * @param {Object} data - v1 user response with workstats and/or jobpoints selections
+ * @returns {Array<Object>} History, oldest first
+ */
+export function recordWorkProgress(userId, data, now = Date.now()) {
+    const hasStats = WORK_STATS.some(stat => typeof data?.[stat] === 'number');
+    if (!hasStats && !data?.jobpoints) return getRecord(userId).history;
+
+    const record = getRecord(userId);
+    const date = new Date(now).toISOString().slice(0, 10);
+    const last = record.history[record.history.length - 1];
+    const entry = last?.date === date ? last : { date };
+
+    if (hasStats) {
+        for (const stat of WORK_STATS) entry[stat] = data[stat] || 0;
+    }
+    if (data.jobpoints) {
+        entry.jobpoints = {
+            jobs: { ...(data.jobpoints.jobs || {}) },
+            companies: Object.fromEntries(
+                Object.entries(data.jobpoints.companies || {}).map(([typeId, company]) => [typeId, company.jobpoints || 0])
+            )
+        };
+    }
+
+    if (entry !== last) record.history.push(entry);
+    record.history = record.history.slice(-MAX_HISTORY);
+    getStore().set(userId, record);
+    return record.history;
+}
+
+/**
+ * Recorded days, oldest first
+ * @param {number} days - Only the last N days (all when omitted)
+ */
+export function getWorkHistory(userId, days = null) {
+    const history = getRecord(userId).history;
+    if (!days) return history;
+
+    const since = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+    return history.filter(entry => entry.date >= since);
+}
+
+function totalJobPoints(entry) {
+    const points = entry.jobpoints;
+    if (!points) return null;
+    return Object.values(points.jobs).reduce((sum, value) => sum + value, 0) +
+        Object.values(points.companies).reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * Gains between consecutive recorded days
+ * A gap of several days is spread evenly over them
+ * @returns {Array<Object>} [{ date, days, gains: { stat: perDay }, jobpoints: perDay|null }]
+ */
+export function getDailyGains(history) {
+    const gains = [];
+
+    for (let i = 1; i < history.length; i++) {
+        const before = history[i - 1];
+        const after = history[i];
+        const days = Math.max(daysBetween(before.date, after.date), 1);
+
+        const statGains = {};
+        for (const stat of WORK_STATS) {
+            statGains[stat] = before[stat] !== undefined && after[stat] !== undefined
+                ? Math.max(after[stat] - before[stat], 0) / days
+                : 0;
+        }
+
+        const pointsBefore = totalJobPoints(before);
+        const pointsAfter = totalJobPoints(after);
+        const jobpoints = pointsBefore !== null && pointsAfter !== null
+            ? Math.max(pointsAfter - pointsBefore, 0) / days
+            : null;
+
+        gains.push({ date: after.date, days, gains: statGains, jobpoints });
+    }
+
+    return gains;
+}
+
+/**
+ * Average gains per day over the last RATE_DAYS days of history
+ * @returns {Object} { days, stats: { stat: perDay }, companies: { typeId: perDay } } (days = 0 without enough history)
+ */
+export function getGainRates(history) {
+    const recent = history.slice(-(RATE_DAYS + 1));
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    const days = recent.length > 1 ? daysBetween(first.date, last.date) : 0;
+
+    const stats = {};
+    for (const stat of WORK_STATS) {
+        const from = recent.find(entry => entry[stat] !== undefined);
+        stats[stat] = days > 0 && from && last[stat] !== undefined
+            ? Math.max(last[stat] - from[stat], 0) / Math.max(daysBetween(from.date, last.date), 1)
+            : 0;
+    }
+
+    const companies = {};
+    const fromPoints = recent.find(entry => entry.jobpoints);
+    if (days > 0 && fromPoints && last.jobpoints && fromPoints !== last) {
+        const span = Math.max(daysBetween(fromPoints.date, last.date), 1);
+        for (const [typeId, points] of Object.entries(last.jobpoints.companies)) {
+            companies[typeId] = Math.max(points - (fromPoints.jobpoints.companies[typeId] || 0), 0) / span;
+        }
+    }
+
+    return { days, stats, companies };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// POSITIONS & SPECIALS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Company types with positions and specials (torn/companies, cached)
+ * @returns {Promise<Object>} Type ID -> { id, name, positions: [{ name, required, gains, special }], specials: [{ name, effect, cost, ratingRequired }] }
+ */
+export async function getCompanyTypes(apiKey) {
+    const now = Date.now();
+    if (companiesCache && now - companiesCacheTime < COMPANIES_TTL) return companiesCache;
+
+    const data = await get(apiKey, 'torn', 'companies');
+    const types = {};
+
+    for (const [id, company] of Object.entries(data.companies || {})) {
+        types[id] = {
+            id: Number(id),
+            name: company.name,
+            positions: Object.entries(company.positions || {}).map(([name, position]) => ({
+                name,
+                required: Object.fromEntries(WORK_STATS.map(stat => [stat, position[`${FIELD_PREFIX[stat]}_required`] || 0])),
+                gains: Object.fromEntries(WORK_STATS.map(stat => [stat, position[`${FIELD_PREFIX[stat]}_gain`] || 0])),
+                special: position.special_ability || null
+            })),
+            specials: Object.entries(company.specials || {})
+                .map(([name, special]) => ({
+                    name,
+                    effect: special.effect,
+                    cost: special.cost || 0,
+                    ratingRequired: special.rating_required || 0
+                }))
+                .sort((a, b) => a.ratingRequired - b.ratingRequired || a.cost - b.cost)
+        };
+    }
+
+    companiesCache = types;
+    companiesCacheTime = now;
+    return types;
+}
+
+function requirementTotal(position) {
+    return WORK_STATS.reduce((sum, stat) => sum + position.required[stat], 0);
+}
+
+/**
+ * The next position up in a company: the unmet position with the lowest total
+ * requirement above the current one
+ * @returns {Object|null} { current, next } positions (next null at the top)
+ */
+export function getNextPosition(companyType, currentPosition, stats) {
+    const current = companyType.positions.find(position => position.name === currentPosition) || null;
+    const floor = current ? requirementTotal(current) : 0;
+
+    const next = companyType.positions
+        .filter(position => requirementTotal(position) > floor)
+        .filter(position => WORK_STATS.some(stat => (stats[stat] || 0) < position.required[stat]))
+        .sort((a, b) => requirementTotal(a) - requirementTotal(b))[0] || null;
+
+    return { current, next };
+}
+
+/**
+ * Days until every stat reaches its requirement at the given rates
+ * @param {Object} stats - Current working stats
+ * @param {Object} required - Required stat -> value
+ * @param {Object} rates - Stat -> gain per day
+ * @returns {Object} { met, days, missing: { stat: amount } } (days null when a missing stat doesn't grow)
+ */
+export function projectRequirement(stats, required, rates) {
+    const missing = {};
+    let days = 0;
+
+    for (const stat of WORK_STATS) {
+        const gap = (required[stat] || 0) - (stats[stat] || 0);
+        if (gap <= 0) continue;
+
+        missing[stat] = gap;
+        const rate = rates[stat] || 0;
+        days = rate > 0 && days !== null ? Math.max(days, Math.ceil(gap / rate)) : null;
+    }
+
+    const met = Object.keys(missing).length === 0;
+    return { met, days: days !== null && days <= MAX_PROJECTION_DAYS ? days : null, missing };
+}
+
+/**
+ * Job points per company type against that type's specials
+ * @param {Object} companyTypes - From getCompanyTypes()
+ * @param {Object} jobpoints - jobpoints from the API ({ jobs, companies: { typeId: { name, jobpoints } } })
+ * @param {Object} rates - Type ID -> job points per day (from getGainRates)
+ * @returns {Array<Object>} [{ typeId, name, points, perDay, specials: [{ ...special, affordable }], next, daysToNext }]
+ */
+export function getPerkProgress(companyTypes, jobpoints = {}, rates = {}) {
+    return Object.entries(jobpoints.companies || {})
+        .map(([typeId, company]) => {
+            const points = company.jobpoints || 0;
+            const type = companyTypes[typeId];
+            const specials = (type?.specials || [])
+                .filter(special => special.cost > 0)
+                .map(special => ({ ...special, affordable: points >= special.cost }));
+
+            const next = specials
+                .filter(special => !special.affordable)
+                .sort((a, b) => a.cost - b.cost)[0] || null;
+            const perDay = rates[typeId] || 0;
+
+            return {
+                typeId: Number(typeId),
+                name: type?.name || company.name || `Type ${typeId}`,
+                points,
+                perDay,
+                specials,
+                next,
+                daysToNext: next && perDay > 0 ? Math.ceil((next.cost - points) / perDay) : null
+            };
+        })
+        .sort((a, b) => b.points - a.points);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CITY JOB TARGET
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Target stats for a job whose requirements aren't in the API (city jobs)
+ */
+export function getJobTarget(userId) {
+    return getRecord(userId).target;
+}
+
+/**
+ * Set (or clear with null) the target stats
+ * @param {Object|null} target - { label, manual_labor, intelligence, endurance }
+ */
+export function setJobTarget(userId, target) {
+    if (target && WORK_STATS.every(stat => !target[stat])) {
+        throw new WorkProgressError(getUi('target_needs_stat'));
+    }
+
+    const record = getRecord(userId);
+    record.target = target;
+    getStore().set(userId, record);
+    return target;
+}
+
+/**
+ * Remove a user's history and target (used on /unregister)
+ */
+export function clearWorkProgress(userId) {
+    getStore().delete(userId);
+}
+
+export default {
+    WORK_STATS,
+    recordWorkProgress,
+    getWorkHistory,
+    getDailyGains,
+    getGainRates,
+    getCompanyTypes,
+    getNextPosition,
+    projectRequirement,
+    getPerkProgress,
+    getJobTarget,
+    setJobTarget,
+    clearWorkProgress
+};
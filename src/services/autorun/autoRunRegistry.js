@@ -3,6 +3,8 @@
  * Central registry for all auto-run channels
  */
 
+import { getRunnerSettings } from './runtimeStateManager.js';
+
 // Runner intervals in milliseconds
 export const INTERVALS = {
     REALTIME: 30 * 1000,    // 30 seconds
@@ -14,6 +16,9 @@ export const INTERVALS = {
 /**
  * Auto-Run Channel Definitions
  * Each entry defines a channel that auto-updates on startup
+ * Runners flagged `perUser` run once per registered user, each with its own message
+ * `priority` ('high' | 'normal' | 'low', default normal) orders their Torn API calls in the request queue
+ * Runners flagged `channelless` post nothing and run for every registered user without a channel
  */
 export const AUTO_RUNNERS = {
     // ═══════════════════════════════════════════════════════════════════
@@ -27,6 +32,7 @@ export const AUTO_RUNNERS = {
         interval: INTERVALS.FAST,
         channelEnvKey: 'WALLET_CHANNEL_ID',
         handler: 'walletHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -37,6 +43,7 @@ export const AUTO_RUNNERS = {
         interval: INTERVALS.MEDIUM,
         channelEnvKey: 'PERSONAL_STATS_CHANNEL_ID',
         handler: 'statsHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -47,6 +54,7 @@ export const AUTO_RUNNERS = {
         interval: INTERVALS.FAST,
         channelEnvKey: 'GYM_CHANNEL_ID',
         handler: 'gymHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -57,6 +65,7 @@ export const AUTO_RUNNERS = {
         interval: INTERVALS.SLOW,
         channelEnvKey: 'WORK_CHANNEL_ID',
         handler: 'workHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -206,6 +215,7 @@ export const AUTO_RUNNERS = {
         interval: INTERVALS.REALTIME, // 60s (internal throttle 10m)
         channelEnvKey: 'PROFIT_SUMMARY_CHANNEL_ID',
         handler: 'profitSummaryHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -216,6 +226,7 @@ export const AUTO_RUNNERS = {
         interval: INTERVALS.REALTIME, // 60s
         channelEnvKey: 'COOLDOWN_CHECK_CHANNEL_ID',
         handler: 'cooldownHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -230,6 +241,7 @@ export const AUTO_RUNNERS = {
         interval: INTERVALS.REALTIME, // 60s
         channelEnvKey: 'TRADE_HISTORY_CHANNEL_ID',
         handler: 'tradeHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -268,6 +280,7 @@ export const AUTO_RUNNERS = {
         interval: 5 * 60 * 1000, // 5m
         channelEnvKey: 'PROPERTY_INFO_CHANNEL_ID',
         handler: 'propertyHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -279,6 +292,7 @@ export const AUTO_RUNNERS = {
         interval: 30 * 60 * 1000, // 30m
         channelEnvKey: 'COMPANY_INFO_CHANNEL_ID',
         handler: 'companyHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -289,6 +303,7 @@ export const AUTO_RUNNERS = {
         interval: 15 * 60 * 1000, // 15m
         channelEnvKey: 'JOB_OVERVIEW_CHANNEL_ID',
         handler: 'jobHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -299,6 +314,29 @@ export const AUTO_RUNNERS = {
         interval: 60 * 60 * 1000, // 60m
         channelEnvKey: 'WORK_PERFORMANCE_CHANNEL_ID',
         handler: 'workPerformanceHandler',
+        perUser: true,
+        enabled: true
+    },
+
+    companyDirector: {
+        key: 'companyDirector',
+        name: 'Company Director',
+        emoji: '👔',
+        interval: 60 * 60 * 1000, // 60m
+        channelEnvKey: 'COMPANY_DIRECTOR_CHANNEL_ID',
+        handler: 'companyDirectorHandler',
+        perUser: true,
+        enabled: true
+    },
+
+    companyStock: {
+        key: 'companyStock',
+        name: 'Company Stock',
+        emoji: '📦',
+        interval: 30 * 60 * 1000, // 30m
+        channelEnvKey: 'COMPANY_STOCK_CHANNEL_ID',
+        handler: 'companyStockHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -309,6 +347,7 @@ export const AUTO_RUNNERS = {
         interval: 5 * 60 * 1000, // 5m
         channelEnvKey: 'BAZAAR_CHECK_CHANNEL_ID',
         handler: 'bazaarHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -319,6 +358,7 @@ export const AUTO_RUNNERS = {
         interval: 5 * 60 * 1000, // 5m
         channelEnvKey: 'ITEM_MARKET_CHANNEL_ID',
         handler: 'itemMarketHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -333,6 +373,8 @@ export const AUTO_RUNNERS = {
         interval: 24 * 60 * 60 * 1000, // 24h
         channelEnvKey: 'NETWORTH_TREND_CHANNEL_ID',
         handler: 'networthTrendHandler',
+        perUser: true,
+        priority: 'low',
         enabled: true
     },
 
@@ -343,6 +385,8 @@ export const AUTO_RUNNERS = {
         interval: 24 * 60 * 60 * 1000, // 24h
         channelEnvKey: 'NETWORTH_DELTA_CHANNEL_ID',
         handler: 'networthDeltaHandler',
+        perUser: true,
+        priority: 'low',
         enabled: true
     },
 
@@ -353,6 +397,8 @@ export const AUTO_RUNNERS = {
         interval: 24 * 60 * 60 * 1000, // 24h
         channelEnvKey: 'ASSET_DISTRIBUTION_CHANNEL_ID',
         handler: 'assetDistributionHandler',
+        perUser: true,
+        priority: 'low',
         enabled: true
     },
 
@@ -367,6 +413,7 @@ export const AUTO_RUNNERS = {
         interval: 30 * 1000, // 30s - real-time activity detection
         channelEnvKey: 'ACTIVITY_LOG_CHANNEL_ID',
         handler: 'activityLogHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -377,6 +424,7 @@ export const AUTO_RUNNERS = {
         interval: 5 * 60 * 1000, // 5m - aggregate view
         channelEnvKey: 'PROFIT_ENGINE_CHANNEL_ID',
         handler: 'profitEngineHandler',
+        perUser: true,
         enabled: true
     },
 
@@ -387,6 +435,8 @@ export const AUTO_RUNNERS = {
         interval: 60 * 1000, // 1m - fast polling
         channelEnvKey: null, // No specific channel needed
         handler: 'financialLogHandler',
+        perUser: true,
+        channelless: true,
         enabled: true
     },
 };
@@ -398,6 +448,13 @@ export function getRunner(key) {
     return AUTO_RUNNERS[key] || null;
 }
 
+/**
+ * Get a runner's interval (ms), honoring the /autorun override
+ */
+export function getRunnerInterval(runner) {
+    return getRunnerSettings(runner.key).interval || runner.interval;
+}
+
 /**
  * Get all enabled runners
  */
@@ -415,6 +472,13 @@ export function getConfiguredRunners() {
     });
 }
 
+/**
+ * Check if runner runs once per registered user
+ */
+export function isPerUserRunner(key) {
+    return AUTO_RUNNERS[key]?.perUser === true;
+}
+
 /**
  * Check if runner is a foreign market runner
  */
@@ -1,18 +1,25 @@
 /**
  * Daily Report State Manager
  * Tracks which daily reports have been sent today to prevent duplicates on restart
+ * Persisted through the storage layer (one entry per report)
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
+import { getCollection } from '../storage/index.js';
 
-const STATE_FILE = './data/daily-report-state.json';
+const LEGACY_FILE = './data/daily-report-state.json';
 
-// In-memory cache
-let dailyState = {
-    date: '',        // YYYY-MM-DD format (WIB timezone)
-    reports: {}      // { reportKey: timestamp }
-};
+/**
+ * Sent report collection (reportKey -> { date, sentAt })
+ */
+function getStore() {
+    return getCollection('daily-reports-sent', {
+        legacyFile: LEGACY_FILE,
+        // The old file held one day: { date, reports: { reportKey: timestamp } }
+        fromLegacy: data => Object.fromEntries(
+            Object.entries(data.reports || {}).map(([key, sentAt]) => [key, { date: data.date, sentAt }])
+        )
+    });
+}
 
 /**
  * Get today's date in WIB timezone (YYYY-MM-DD)
@@ -22,45 +29,26 @@ function getTodayWIB() {
 }
 
 /**
- * Initialize state from disk
+ * Reports sent today ({ reportKey: timestamp })
  */
-export function initDailyReportState() {
-    const dir = dirname(STATE_FILE);
-    if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
-    }
-
-    if (existsSync(STATE_FILE)) {
-        try {
-            dailyState = JSON.parse(readFileSync(STATE_FILE, 'utf8'));
-
-            // Check if it's a new day - reset if so
-            const today = getTodayWIB();
-            if (dailyState.date !== today) {
-                console.log(`📅 New day detected (${today}), resetting daily report state`);
-                dailyState = { date: today, reports: {} };
-                saveState();
-            } else {
-                console.log(`📅 Daily report state loaded: ${Object.keys(dailyState.reports).length} reports sent today`);
-            }
-        } catch (e) {
-            console.error('❌ Error loading daily report state:', e.message);
-            dailyState = { date: getTodayWIB(), reports: {} };
-        }
-    } else {
-        dailyState = { date: getTodayWIB(), reports: {} };
-        saveState();
+function getTodayReports() {
+    const today = getTodayWIB();
+    const reports = {};
+    for (const [key, entry] of Object.entries(getStore().all())) {
+        if (entry.date === today) reports[key] = entry.sentAt;
     }
+    return reports;
 }
 
 /**
- * Save state to disk
+ * Initialize state from storage
  */
-function saveState() {
+export function initDailyReportState() {
     try {
-        writeFileSync(STATE_FILE, JSON.stringify(dailyState, null, 2));
+        const count = Object.keys(getTodayReports()).length;
+        console.log(`📅 Daily report state loaded: ${count} reports sent today`);
     } catch (e) {
-        console.error('❌ Error saving daily report state:', e.message);
+        console.error('❌ Error loading daily report state:', e.message);
     }
 }
 
@@ -70,16 +58,12 @@ function saveState() {
  * @returns {boolean} true if already sent today
  */
 export function hasReportedToday(reportKey) {
-    const today = getTodayWIB();
-
-    // Check for day rollover
-    if (dailyState.date !== today) {
-        dailyState = { date: today, reports: {} };
-        saveState();
+    try {
+        return getStore().get(reportKey)?.date === getTodayWIB();
+    } catch (e) {
+        console.error('❌ Error loading daily report state:', e.message);
         return false;
     }
-
-    return !!dailyState.reports[reportKey];
 }
 
 /**
@@ -87,16 +71,12 @@ export function hasReportedToday(reportKey) {
  * @param {string} reportKey - e.g., 'networthTrend', 'assetDistribution'
  */
 export function markReportSent(reportKey) {
-    const today = getTodayWIB();
-
-    // Check for day rollover
-    if (dailyState.date !== today) {
-        dailyState = { date: today, reports: {} };
+    try {
+        getStore().set(reportKey, { date: getTodayWIB(), sentAt: Date.now() });
+        console.log(`📅 Marked daily report as sent: ${reportKey}`);
+    } catch (e) {
+        console.error('❌ Error saving daily report state:', e.message);
     }
-
-    dailyState.reports[reportKey] = Date.now();
-    saveState();
-    console.log(`📅 Marked daily report as sent: ${reportKey}`);
 }
 
 /**
@@ -104,8 +84,8 @@ export function markReportSent(reportKey) {
  */
 export function getDailyReportStatus() {
     return {
-        date: dailyState.date,
-        reports: { ...dailyState.reports }
+        date: getTodayWIB(),
+        reports: getTodayReports()
     };
 }
 
@@ -113,8 +93,11 @@ export function getDailyReportStatus() {
  * Reset all reports (for testing)
  */
 export function resetDailyReports() {
-    dailyState = { date: getTodayWIB(), reports: {} };
-    saveState();
+    try {
+        getStore().replaceAll({});
+    } catch (e) {
+        console.error('❌ Error saving daily report state:', e.message);
+    }
 }
 
 export default {
@@ -6,9 +6,11 @@
 
 import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import { get } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatMoney } from '../../../utils/formatters.js';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { getCollection } from '../../storage/index.js';
+import { getLegacyOwnerId } from '../../userStorage.js';
+import { deliverAlert } from '../../alerts/alertDelivery.js';
+import { SEVERITY } from '../../alerts/alertRegistry.js';
 import {
     applyTemplate,
     getLocation,
@@ -20,7 +22,6 @@ import {
     getTemplate
 } from '../../../localization/index.js';
 
-const STATE_FILE = './data/activity-log-state.json';
 const ITEMS_PER_PAGE = 5;
 
 // Category icons mapping
@@ -93,66 +94,78 @@ const CATEGORY_COLORS = {
     'default': 0x3498DB
 };
 
-// Last processed log timestamp to avoid duplicates - persisted
-let lastProcessedTimestamp = loadLastTimestamp();
+// Last processed log timestamp per user to avoid duplicates - persisted
+const LEGACY_STATE_FILE = './data/activity-log-state.json';
+const LEGACY_CATEGORY_FILE = './data/activity-categories.json';
 
-// Category tracking
-const CATEGORY_STATE_FILE = './data/activity-categories.json';
+/**
+ * Last processed timestamp collection (Discord ID -> timestamp)
+ */
+function getTimestampStore() {
+    return getCollection('activity-log-timestamps', {
+        legacyFile: LEGACY_STATE_FILE,
+        // Single-user state files hold one timestamp for the owner
+        fromLegacy: data => ('lastProcessedTimestamp' in data)
+            ? { [getLegacyOwnerId()]: data.lastProcessedTimestamp || 0 }
+            : data
+    });
+}
 
-function loadLastTimestamp() {
-    if (existsSync(STATE_FILE)) {
-        try {
-            const data = JSON.parse(readFileSync(STATE_FILE, 'utf8'));
-            console.log(`📜 Activity log state loaded: last processed ${new Date(data.lastProcessedTimestamp * 1000).toISOString()}`);
-            return data.lastProcessedTimestamp || 0;
-        } catch (e) {
-            return 0;
-        }
+/**
+ * Known categories collection (category -> { firstSeen, icon, color })
+ */
+function getCategoryStore() {
+    return getCollection('activity-log-categories', {
+        legacyFile: LEGACY_CATEGORY_FILE,
+        fromLegacy: data => data.categories || {}
+    });
+}
+
+function getLastTimestamp(userId) {
+    try {
+        return getTimestampStore().get(userId) || 0;
+    } catch (e) {
+        console.error('❌ Error loading activity log state:', e.message);
+        return 0;
     }
-    return 0;
 }
 
-function saveLastTimestamp(timestamp) {
+function saveLastTimestamp(userId, timestamp) {
     try {
-        writeFileSync(STATE_FILE, JSON.stringify({ lastProcessedTimestamp: timestamp }, null, 2));
+        getTimestampStore().set(userId, timestamp);
     } catch (e) {
         console.error('❌ Error saving activity log state:', e.message);
     }
 }
 
 /**
- * Load known categories from persistent storage
+ * Forget a user's last processed log timestamp
+ * @param {string} userId - Discord user ID
  */
-function loadKnownCategories() {
-    if (existsSync(CATEGORY_STATE_FILE)) {
-        try {
-            const data = JSON.parse(readFileSync(CATEGORY_STATE_FILE, 'utf8'));
-            return data.categories || {};
-        } catch (e) {
-            return {};
-        }
+export function clearActivityLogState(userId) {
+    try {
+        getTimestampStore().delete(userId);
+    } catch (e) {
+        console.error('❌ Error saving activity log state:', e.message);
     }
-    return {};
 }
 
 /**
  * Save a newly discovered category
  */
 function saveKnownCategory(category) {
-    const known = loadKnownCategories();
-    if (!known[category]) {
-        known[category] = {
+    try {
+        const store = getCategoryStore();
+        if (store.has(category)) return;
+
+        store.set(category, {
             firstSeen: Date.now(),
             icon: CATEGORY_ICONS[category] || CATEGORY_ICONS.default,
             color: CATEGORY_COLORS[category] || CATEGORY_COLORS.default
-        };
-
-        try {
-            writeFileSync(CATEGORY_STATE_FILE, JSON.stringify({ categories: known }, null, 2));
-            console.log(`📌 New activity category discovered: "${category}"`);
-        } catch (e) {
-            console.error('❌ Error saving category:', e.message);
-        }
+        });
+        console.log(`📌 New activity category discovered: "${category}"`);
+    } catch (e) {
+        console.error('❌ Error saving category:', e.message);
     }
 }
 
@@ -259,27 +272,26 @@ function formatNumber(num) {
 /**
  * Activity Log Handler
  * @param {Client} client - Discord client
+ * @param {object} user - Registered user this tick runs for
  * @returns {Object|null} - { embeds: [...], components: [...] }
  */
-export async function activityLogHandler(client) {
-    return getActivityLogPage(client, 0);
+export async function activityLogHandler(client, user) {
+    return getActivityLogPage(client, user, 0);
 }
 
 /**
  * Get activity log page with pagination
  * @param {Client} client - Discord client
+ * @param {object} user - Registered user whose log is shown
  * @param {number} page - Page number (0-indexed)
  * @returns {Object|null} - { embeds: [...], components: [...] }
  */
-export async function getActivityLogPage(client, page = 0) {
+export async function getActivityLogPage(client, user, page = 0) {
     try {
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
+        if (!user?.apiKey) return null;
 
-        const userId = userIds[0];
-        const user = users[userId];
-        if (!user.apiKey) return null;
+        const userId = user.discordId;
+        const lastProcessedTimestamp = getLastTimestamp(userId);
 
         // Fetch logs from API
         const data = await get(user.apiKey, 'user', 'log');
@@ -294,7 +306,7 @@ export async function getActivityLogPage(client, page = 0) {
             const embed = new EmbedBuilder()
                 .setColor(0x95A5A6)
                 .setTitle(getUi('activity_log'))
-                .setDescription('```Tidak ada aktivitas terbaru```')
+                .setDescription(`\`\`\`${getUi('no_recent_activity')}\`\`\``)
                 .setFooter({ text: 'Torn Sentinel • API Logs' })
                 .setTimestamp();
             return { embeds: [embed], components: [] };
@@ -302,23 +314,21 @@ export async function getActivityLogPage(client, page = 0) {
 
         // Send notifications for NEW events (since last check) - only on page 0
         if (page === 0) {
-            const channelId = process.env.ALERT_CHANNEL_ID; // Send to alerts channel, not activity log channel
-            if (channelId && lastProcessedTimestamp > 0) {
+            // Sent through the user's alert route, not the activity log channel
+            if (lastProcessedTimestamp > 0) {
                 const newEntries = entries.filter(e => e.timestamp > lastProcessedTimestamp);
 
                 if (newEntries.length > 0 && newEntries.length <= 5) {
                     try {
-                        const channel = await client.channels.fetch(channelId);
-
-                        for (const entry of newEntries.reverse()) { // Send oldest first
+                        const miniEmbeds = newEntries.reverse().map(entry => { // Oldest first
                             const color = CATEGORY_COLORS[entry.category] || CATEGORY_COLORS.default;
-                            const miniEmbed = new EmbedBuilder()
+                            return new EmbedBuilder()
                                 .setColor(color)
                                 .setDescription(formatLogEntry(entry))
                                 .setTimestamp(new Date(entry.timestamp * 1000));
+                        });
 
-                            await channel.send({ embeds: [miniEmbed] });
-                        }
+                        await deliverAlert(client, userId, SEVERITY.INFO, { embeds: miniEmbeds });
                     } catch (e) {
                         console.error('❌ Failed to send activity notification:', e.message);
                     }
@@ -327,8 +337,7 @@ export async function getActivityLogPage(client, page = 0) {
 
             // Update last processed timestamp and persist
             if (entries.length > 0) {
-                lastProcessedTimestamp = entries[0].timestamp;
-                saveLastTimestamp(lastProcessedTimestamp);
+                saveLastTimestamp(userId, entries[0].timestamp);
             }
         }
 
@@ -383,12 +392,12 @@ export async function getActivityLogPage(client, page = 0) {
             const buttons = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId(`activity_log_prev:${currentPage}`)
+                        .setCustomId(`activity_log_prev:${currentPage}:${userId}`)
                         .setLabel('◀ Previous')
                         .setStyle(ButtonStyle.Secondary)
                         .setDisabled(currentPage === 0),
                     new ButtonBuilder()
-                        .setCustomId(`activity_log_next:${currentPage}`)
+                        .setCustomId(`activity_log_next:${currentPage}:${userId}`)
                         .setLabel('Next ▶')
                         .setStyle(ButtonStyle.Secondary)
                         .setDisabled(currentPage >= totalPages - 1)
@@ -5,10 +5,9 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { getCombinedStats } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatMoney, formatTimeShort } from '../../../utils/formatters.js';
 import { getUi } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 
 
 // Category groupings for cleaner display
@@ -56,15 +55,9 @@ const ASSET_GROUPS = {
     }
 };
 
-export async function assetDistributionHandler(client) {
+export async function assetDistributionHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
-
-        const userId = userIds[0];
-        const user = users[userId];
-        if (!user.apiKey) return null;
+        if (!user?.apiKey) return null;
 
         // Fetch current networth data (V1 API)
         const data = await getCombinedStats(user.apiKey, 'networth');
@@ -199,7 +192,7 @@ export async function assetDistributionHandler(client) {
                 inline: true
             }
         )
-            .setFooter({ text: `Torn Sentinel • Updated daily • Every ${formatTimeShort(AUTO_RUNNERS.assetDistribution.interval)}` })
+            .setFooter({ text: `Torn Sentinel • Updated daily • Every ${formatTimeShort(getRunnerInterval(AUTO_RUNNERS.assetDistribution))}` })
             .setTimestamp();
 
 
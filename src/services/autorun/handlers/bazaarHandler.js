@@ -8,18 +8,14 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { getV2, getCombinedStats } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatMoney } from '../../../utils/formatters.js';
 import { getUi } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 import { formatTimeShort } from '../../../utils/formatters.js';
 
 
-// Snapshot storage for delta tracking
-let lastBazaarSnapshot = {
-    value: 0,
-    timestamp: 0
-};
+// Snapshot storage for delta tracking (Discord ID -> { value, timestamp })
+const lastBazaarSnapshots = new Map();
 
 // Popular items for flipping recommendations
 const FLIP_ITEMS = [
@@ -31,15 +27,9 @@ const FLIP_ITEMS = [
     { name: 'Jaguar Plushie', id: 258, category: 'Plushie' },
 ];
 
-export async function bazaarHandler(client) {
+export async function bazaarHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
-
-        const userId = userIds[0];
-        const user = users[userId];
-        if (!user.apiKey) return null;
+        if (!user?.apiKey) return null;
 
         // 1. Get Networth data (includes bazaar value)
         const networthData = await getCombinedStats(user.apiKey, 'networth');
@@ -50,13 +40,14 @@ export async function bazaarHandler(client) {
 
         // 2. Track value changes
         const now = Date.now();
+        const lastBazaarSnapshot = lastBazaarSnapshots.get(user.discordId) || { value: 0, timestamp: 0 };
         const valueDelta = bazaarValue - lastBazaarSnapshot.value;
         const deltaPercent = lastBazaarSnapshot.value > 0
             ? ((valueDelta / lastBazaarSnapshot.value) * 100).toFixed(1)
             : 0;
 
         // Update snapshot
-        lastBazaarSnapshot = { value: bazaarValue, timestamp: now };
+        lastBazaarSnapshots.set(user.discordId, { value: bazaarValue, timestamp: now });
 
         // 3. Build embed based on mode
         if (!hasBazaar) {
@@ -125,7 +116,7 @@ async function buildModeAEmbed(apiKey) {
             { name: `💡 ${getUi('recommended_items')}`, value: recommendations, inline: false },
             { name: '📌 Tip', value: getUi('tip_bazaar'), inline: false }
         )
-    const interval = formatTimeShort(AUTO_RUNNERS.bazaarCheck.interval);
+    const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.bazaarCheck));
     embed.setFooter({ text: `Torn Sentinel • Auto update every ${interval}` })
 
         .setTimestamp();
@@ -192,7 +183,7 @@ function buildModeBEmbed(bazaarValue, valueDelta, deltaPercent, networth) {
 
             { name: `📈 ${getUi('market_signals')}`, value: signalText, inline: false }
         )
-    const interval = formatTimeShort(AUTO_RUNNERS.bazaarCheck.interval);
+    const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.bazaarCheck));
     embed.setFooter({ text: `${getUi('listings_unavailable')} • Updated every ${interval}` })
 
         .setTimestamp();
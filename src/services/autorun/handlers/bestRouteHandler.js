@@ -1,69 +1,20 @@
 /**
  * Best Travel Route Handler for Auto-Run (REFACTORED)
- * Calculates highest profit efficiency globally based on real-time YATA data
- * Uses centralized YATA cache (no direct API calls)
+ * Ranks round trips by expected profit per hour via the travel planner
+ * Uses centralized YATA cache and stock history (one cached torn/items call)
  */
 
 import { EmbedBuilder } from 'discord.js';
 import { formatCompact } from '../../../utils/formatters.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { getAllCountriesData } from '../../yataGlobalCache.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { getRegisteredUsers } from '../../userStorage.js';
+import { planRoutes } from '../../market/travelPlanner.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 import { formatTimeShort } from '../../../utils/formatters.js';
 
-
-// Resolve path to travel-all.json
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const DATA_PATH = path.resolve(__dirname, '../../../../travel-all.json');
-
-// Static flight times (backup/base)
-const FLIGHT_TIMES = {
-    'Argentina': 208, // Airstrip
-    'Canada': 25,
-    'Cayman Islands': 35,
-    'China': 239,
-    'Hawaii': 114,
-    'Japan': 227,
-    'Mexico': 18,
-    'South Africa': 208,
-    'Switzerland': 123,
-    'UAE': 194,
-    'United Kingdom': 111
-};
-
-// YATA Country Code Map
-const COUNTRY_MAP = {
-    'arg': 'Argentina',
-    'can': 'Canada',
-    'cay': 'Cayman Islands',
-    'chi': 'China',
-    'haw': 'Hawaii',
-    'jap': 'Japan',
-    'mex': 'Mexico',
-    'sou': 'South Africa',
-    'swi': 'Switzerland',
-    'uae': 'UAE',
-    'uni': 'United Kingdom'
-};
-
-/**
- * Load static flight times from travel-all.json as fallback/base
- * Used getting market prices (if available statically)
- */
-function loadTravelData() {
-    try {
-        if (fs.existsSync(DATA_PATH)) {
-            const raw = fs.readFileSync(DATA_PATH, 'utf8');
-            return JSON.parse(raw);
-        }
-    } catch (error) {
-        console.error('❌ Failed to load travel-all.json:', error.message);
-    }
-    return { items: [] };
-}
+// Shared channel has no single traveler: plan for a typical airstrip trip
+const DEFAULT_METHOD = 'airstrip';
+const DEFAULT_CAPACITY = 15; // Base 5 + airstrip 10
 
 /**
  * Main Handler
@@ -79,61 +30,25 @@ export async function bestRouteHandler(client) {
             return null; // Don't send empty embed if no data
         }
 
-        // 2. Process all items
-        const allItems = [];
-        const staticData = loadTravelData();
-
-        for (const [countryCode, items] of Object.entries(countries)) {
-            const countryName = COUNTRY_MAP[countryCode] || countryCode;
-            // Default to Airstrip time (can be configurable later)
-            const flightTime = FLIGHT_TIMES[countryName] || 200;
-
-            if (!items || !Array.isArray(items)) continue;
-
-            for (const item of items) {
-                // Skip if no stock
-                if (!item.quantity || item.quantity <= 0) continue;
-
-                // Find matching item in static data for Market Price
-                // Note: cost in YATA data is the "Foreign Cost" (Buy Price)
-                const staticItem = staticData.items.find(i => i.name === item.name);
-                const marketPrice = staticItem ? staticItem.market_price : 0;
-
-                // Calculate Profit: (Market Price - Buy Price)
-                const profit = marketPrice - item.cost;
-
-                // Filter logic: profitable items only
-                if (profit <= 0) continue;
-
-                const profitPerMin = profit / flightTime;
-
-                allItems.push({
-                    name: item.name,
-                    country: countryName,
-                    code: countryCode,
-                    quantity: item.quantity,
-                    cost: item.cost,
-                    profit: profit,
-                    time: flightTime,
-                    efficiency: profitPerMin
-                });
-            }
-        }
-
-        // 3. Sort by Efficiency DESC
-        allItems.sort((a, b) => b.efficiency - a.efficiency);
+        // Item market values come from torn/items, which runs on any registered key
+        const [anyUser] = getRegisteredUsers();
+        if (!anyUser) return null;
 
-        // 4. Take Top 5
-        const topRoutes = allItems.slice(0, 5);
+        // 2. Rank round trips by expected profit per hour (stock projected to landing)
+        const topRoutes = await planRoutes({
+            apiKey: anyUser.apiKey,
+            capacity: DEFAULT_CAPACITY,
+            method: DEFAULT_METHOD,
+            limit: 5
+        });
 
-        // 5. Build Embed
+        // 3. Build Embed
         const embed = new EmbedBuilder()
             .setColor(0x00FF00) // Bright Green
             .setTitle('🗺️ Best Travel Routes (Right Now)')
-            .setDescription('Highest profit efficiency based on current market prices & real-time stock.')
-            .setTimestamp()
+            .setDescription(`Expected profit per hour for an airstrip round trip with ${DEFAULT_CAPACITY} items, using stock projected to landing. Use \`/travel plan\` for your own capacity and location.`)
             .setTimestamp();
-        const interval = formatTimeShort(AUTO_RUNNERS.bestTravelRoute.interval);
+        const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.bestTravelRoute));
         embed.setFooter({ text: isStale ? `⚠️ Cached data (YATA limit) • Updated every ${interval}` : `Auto update every ${interval} • YATA API` });
 
 
@@ -144,13 +59,11 @@ export async function bestRouteHandler(client) {
 
         // Add Fields
         for (const route of topRoutes) {
-            const emoji = getCountryEmoji(route.code);
-            const eff = formatCompact(route.efficiency);
-            const prof = formatCompact(route.profit);
+            const emoji = getCountryEmoji(route.countryCode);
 
             embed.addFields({
                 name: `${emoji} ${route.country} — ${route.name}`,
-                value: `> **Profit:** $${prof}/item\n> **Time:** ${route.time} min\n> **Efficiency:** **$${eff} / min**\n> **Stock:** ${route.quantity}`,
+                value: `> **Profit:** $${formatCompact(route.profitPerItem)}/item\n> **Round trip:** ${route.tripMinutes} min\n> **Efficiency:** **$${formatCompact(route.profitPerHour)} / hour**\n> **Stock:** ${route.stockNow} now → ~${route.stockOnLanding} on landing`,
                 inline: false
             });
         }
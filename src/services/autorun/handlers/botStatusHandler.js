@@ -9,8 +9,9 @@ import { getActiveSchedulers, getSchedulerHealth } from '../schedulerEngine.js';
 import { getAllRunnerStates } from '../runtimeStateManager.js';
 import { getAllUsers } from '../../userStorage.js';
 import { getLogStats } from '../../system/systemLogger.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 import { getRunnerFooter } from '../../../utils/footerHelper.js';
+import { getUi, getIntlLocale } from '../../../localization/index.js';
 
 // Track bot start time
 const BOT_START_TIME = Date.now();
@@ -71,7 +72,7 @@ async function checkAndAlertHealth(client, runnerStates, activeSchedulers) {
         if (!state.lastRun) continue;
 
         // Check if stale (10x the expected interval)
-        const maxAge = runner.interval * 10;
+        const maxAge = getRunnerInterval(runner) * 10;
         const age = now - state.lastRun;
 
         if (age > maxAge) {
@@ -165,11 +166,11 @@ export async function botStatusHandler(client) {
 
         // Format online since date
         const onlineSince = new Date(BOT_START_TIME);
-        const onlineSinceStr = onlineSince.toLocaleDateString('en-GB', {
+        const onlineSinceStr = onlineSince.toLocaleDateString(getIntlLocale(), {
             day: '2-digit',
             month: 'long',
             year: 'numeric'
-        }) + ' ' + onlineSince.toLocaleTimeString('en-GB', {
+        }) + ' ' + onlineSince.toLocaleTimeString(getIntlLocale(), {
             hour: '2-digit',
             minute: '2-digit',
             hour12: false
@@ -206,13 +207,13 @@ export async function botStatusHandler(client) {
         // 1. Bot Status embed
         const botStatusEmbed = new EmbedBuilder()
             .setColor(statusColor)
-            .setTitle('📊｜Status Bot')
+            .setTitle(`📊｜${getUi('bot_status')}`)
             .setDescription(separator)
             .addFields(
-                { name: 'Online Sejak', value: `\`\`\`${onlineSinceStr}\`\`\``, inline: true },
-                { name: 'Uptime', value: `\`\`\`${uptimeStr}\`\`\``, inline: true },
-                { name: 'Versi', value: '```v1.50.0```', inline: true },
-                { name: 'Lingkungan', value: `\`\`\`${process.env.RENDER_SERVICE_NAME || 'Local'}\`\`\``, inline: true },
+                { name: getUi('online_since'), value: `\`\`\`${onlineSinceStr}\`\`\``, inline: true },
+                { name: getUi('uptime'), value: `\`\`\`${uptimeStr}\`\`\``, inline: true },
+                { name: getUi('version'), value: '```v1.50.0```', inline: true },
+                { name: getUi('environment'), value: `\`\`\`${process.env.RENDER_SERVICE_NAME || 'Local'}\`\`\``, inline: true },
                 { name: 'Memory', value: `\`\`\`${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB\`\`\``, inline: true }
             );
         embeds.push(botStatusEmbed);
@@ -251,15 +252,15 @@ export async function botStatusHandler(client) {
 
         const apiHealthEmbed = new EmbedBuilder()
             .setColor(statusColor)
-            .setTitle('📡｜Kesehatan API')
+            .setTitle(`📡｜${getUi('api_health')}`)
             .setDescription(separator)
             .addFields(
                 { name: 'Torn API', value: `\`\`\`${apiHealth}\`\`\``, inline: true },
                 { name: 'Rate/Min', value: `\`\`\`${rateStats.usage} ${rateStatus}\`\`\``, inline: true },
-                { name: '\u200B', value: '\u200B', inline: true }, // spacer
+                { name: getUi('queue'), value: `\`\`\`${rateStats.queue.queued} • ${rateStats.queue.keys.length} keys\`\`\``, inline: true },
                 { name: 'Avg Response', value: `\`\`\`${avgMs}ms\`\`\``, inline: true },
-                { name: 'Requests', value: `\`\`\`${apiStats.requestCount}\`\`\``, inline: true },
-                { name: 'Errors', value: `\`\`\`${apiStats.errorCount}\`\`\``, inline: true }
+                { name: getUi('requests'), value: `\`\`\`${apiStats.requestCount}\`\`\``, inline: true },
+                { name: getUi('errors'), value: `\`\`\`${apiStats.errorCount}\`\`\``, inline: true }
             );
         embeds.push(apiHealthEmbed);
 
@@ -271,7 +272,7 @@ export async function botStatusHandler(client) {
 
         const storageEmbed = new EmbedBuilder()
             .setColor(statusColor)
-            .setTitle('💾｜Penyimpanan')
+            .setTitle(`💾｜${getUi('storage')}`)
             .setDescription(separator)
             .addFields(
                 { name: 'Users', value: `\`\`\`${userCount}\`\`\``, inline: true },
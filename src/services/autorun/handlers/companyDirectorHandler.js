@@ -0,0 +1,155 @@
+/**
+ * Company Director Handler for Auto-Run
+ * Director dashboard: income trend, wage return and every employee with
+ * effectiveness, working stats, wage, tenure and last action
+ * (only posts for users who direct their company)
+ */
+
+import { EmbedBuilder } from 'discord.js';
+import { formatMoney, formatCompact, formatNumber, formatTimeShort } from '../../../utils/formatters.js';
+import { getUi, applyTemplate } from '../../../localization/index.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
+import { FLAGS, TREND_DAYS, getCompanyDashboard, CompanyDashboardError } from '../../analytics/companyDashboard.js';
+
+const DESCRIPTION_LIMIT = 3900;
+
+const FLAG_LABELS = {
+    inactive: 'flag_inactive',
+    lowEffectiveness: 'flag_low_effectiveness',
+    addiction: 'flag_addiction',
+    unprofitable: 'flag_unprofitable'
+};
+
+export async function companyDirectorHandler(client, user) {
+    try {
+        if (!user?.apiKey || !user.tornId) return null;
+
+        const dashboard = await getCompanyDashboard(user);
+        const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.companyDirector));
+
+        return buildCompanyDashboardEmbeds(dashboard, {
+            footer: applyTemplate('update_every_xm', { m: interval })
+        });
+
+    } catch (error) {
+        // Not a director: nothing to post
+        if (error instanceof CompanyDashboardError) return null;
+        console.error('❌ Company Director Handler Error:', error.message);
+        return null;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// EMBEDS (shared with /company)
+// ═══════════════════════════════════════════════════════════════════
+
+function formatChange(change) {
+    if (change === null) return '';
+    const percent = (change * 100).toFixed(1);
+    return change >= 0 ? `📈 +${percent}%` : `📉 ${percent}%`;
+}
+
+function statusIcon(status) {
+    if (status === 'Online') return '🟢';
+    if (status === 'Idle') return '🟡';
+    return '⚫';
+}
+
+function trendLines(trend) {
+    if (trend.days === 0) return [applyTemplate('collecting_history', { n: 0, total: TREND_DAYS * 2 })];
+
+    const average = applyTemplate('daily_average_7d', { amount: formatMoney(Math.round(trend.dailyAverage)) });
+    const lines = [trend.dailyChange !== null
+        ? `${average} (${applyTemplate('vs_previous_week', { change: formatChange(trend.dailyChange) })})`
+        : average];
+
+    if (trend.weeklyChange !== null) {
+        lines.push(`${getUi('weekly_income')}: ${formatMoney(trend.weeklyIncome)} (${formatChange(trend.weeklyChange)})`);
+    }
+    if (trend.days < TREND_DAYS * 2) {
+        lines.push(applyTemplate('collecting_history', { n: trend.days, total: TREND_DAYS * 2 }));
+    }
+    return lines;
+}
+
+/**
+ * Employee lines, cut to fit an embed description
+ */
+function employeeLines(employees) {
+    const lines = [];
+    let length = 0;
+
+    for (const [index, row] of employees.entries()) {
+        const flags = row.flags.length ? ` ${row.flags.map(flag => FLAGS[flag]).join('')}` : '';
+        const wageReturn = row.wageReturn !== null ? ` • ${row.wageReturn.toFixed(1)}×` : '';
+        const line =
+            `${statusIcon(row.lastAction.status)} **${row.name}** • ${row.position} • ${formatNumber(row.daysInCompany)}d${flags}\n` +
+            `└ ${row.effectiveness} eff • ${formatCompact(row.workingStats)} WS • ${formatMoney(row.wage)}${wageReturn} • ${row.lastAction.relative || row.lastAction.status}`;
+
+        if (length + line.length > DESCRIPTION_LIMIT) {
+            lines.push(applyTemplate('and_more', { n: employees.length - index }));
+            break;
+        }
+        lines.push(line);
+        length += line.length + 1;
+    }
+
+    return lines;
+}
+
+/**
+ * Dashboard embeds: company overview and employee list
+ * @param {Object} dashboard - From getCompanyDashboard()
+ * @param {Object} options - { flaggedOnly, footer }
+ * @returns {Array<EmbedBuilder>}
+ */
+export function buildCompanyDashboardEmbeds(dashboard, { flaggedOnly = false, footer = null } = {}) {
+    const { company, employees, trend, totals } = dashboard;
+    const footerText = [footer, `ID: ${company.ID}`].filter(Boolean).join(' • ');
+
+    const wageReturn = totals.wageReturn !== null ? `${totals.wageReturn.toFixed(2)}×` : 'N/A';
+
+    const overview = new EmbedBuilder()
+        .setColor(0x3498DB)
+        .setTitle(`🏢 ${getUi('company_director')} • ${company.name}`)
+        .addFields(
+            { name: getUi('daily_income'), value: `\`\`\`${formatMoney(company.daily_income || 0)}\`\`\``, inline: true },
+            { name: getUi('weekly_income'), value: `\`\`\`${formatMoney(company.weekly_income || 0)}\`\`\``, inline: true },
+            { name: getUi('daily_customers'), value: `\`\`\`${formatNumber(company.daily_customers || 0)}\`\`\``, inline: true },
+
+            { name: getUi('employees'), value: `${company.employees_hired} / ${company.employees_capacity}`, inline: true },
+            { name: getUi('rating'), value: `⭐ ${company.rating || 0}`, inline: true },
+            { name: getUi('total_wages'), value: `${formatMoney(totals.wages)} • ${getUi('wage_return')} ${wageReturn}`, inline: true },
+
+            { name: `📊 ${getUi('income_trend')}`, value: trendLines(trend).join('\n'), inline: false }
+        )
+        .setFooter({ text: footerText })
+        .setTimestamp();
+
+    const flagged = employees.filter(row => row.flags.length > 0);
+    const flagSummary = Object.entries(FLAGS)
+        .map(([flag, icon]) => {
+            const count = flagged.filter(row => row.flags.includes(flag)).length;
+            return count ? `${icon} ${getUi(FLAG_LABELS[flag])}: ${count}` : null;
+        })
+        .filter(Boolean);
+
+    overview.addFields({
+        name: `🚩 ${getUi('staff_flags')}`,
+        value: flagSummary.join('\n') || `✅ ${getUi('no_staff_flagged')}`,
+        inline: false
+    });
+
+    const listed = flaggedOnly ? flagged : employees;
+    if (listed.length === 0) return [overview];
+
+    const legend = Object.entries(FLAGS).map(([flag, icon]) => `${icon} ${getUi(FLAG_LABELS[flag])}`).join(' • ');
+
+    const staff = new EmbedBuilder()
+        .setColor(flagged.length > 0 ? 0xE67E22 : 0x2ECC71)
+        .setTitle(`👥 ${getUi('employees')} (${listed.length})`)
+        .setDescription(employeeLines(listed).join('\n'))
+        .setFooter({ text: `${getUi('effectiveness')} • WS • ${getUi('wage')} • ${getUi('wage_return')} | ${legend}` });
+
+    return [overview, staff];
+}
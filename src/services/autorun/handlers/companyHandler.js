@@ -5,21 +5,14 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { get, getV2 } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatMoney, formatTimeShort } from '../../../utils/formatters.js';
 import { getUi, applyTemplate } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 
 
-export async function companyHandler(client) {
+export async function companyHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
-
-        const userId = userIds[0];
-        const user = users[userId];
-        if (!user.apiKey) return null;
+        if (!user?.apiKey) return null;
 
         // 1. Get User Job to find Company ID (v1 API - profile contains job info)
         const jobData = await get(user.apiKey, 'user', 'profile');
@@ -56,7 +49,7 @@ export async function companyHandler(client) {
             .setColor(0x3498DB)
             .setTitle(`🏢 ${getUi('company_overview')}`)
             .addFields(
-                { name: 'Nama', value: `${c.name}`, inline: true },
+                { name: getUi('name'), value: `${c.name}`, inline: true },
                 { name: getUi('type'), value: `${companyTypeName}`, inline: true },
                 { name: getUi('rating'), value: `⭐ ${c.rating || 0}`, inline: true },
 
@@ -68,7 +61,7 @@ export async function companyHandler(client) {
                 { name: getUi('weekly_income'), value: `\`\`\`${weeklyIncome}\`\`\``, inline: true },
                 { name: getUi('daily_customers'), value: `\`\`\`${c.daily_customers?.toLocaleString() || 'N/A'}\`\`\``, inline: true }
             )
-        const interval = formatTimeShort(AUTO_RUNNERS.companyInfo.interval);
+        const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.companyInfo));
         embed.setFooter({ text: `${applyTemplate('update_every_xm', { m: interval })} • ID: ${companyId}` })
             .setTimestamp();
 
@@ -0,0 +1,76 @@
+/**
+ * Company Stock Handler for Auto-Run
+ * Director's stock board: stock per product, sales per day and how long it
+ * lasts against the next delivery. Feeds the company alerts (stock running
+ * out, trains and advertising budget changes) through the alert engine
+ */
+
+import { EmbedBuilder } from 'discord.js';
+import { formatMoney, formatNumber, formatTimeFull, formatTimeShort } from '../../../utils/formatters.js';
+import { getUi, applyTemplate } from '../../../localization/index.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
+import { getCompanyStock, toAlertState } from '../../analytics/companyStock.js';
+import { processAlerts } from '../../alerts/alertEngine.js';
+import { API_GROUPS } from '../../alerts/alertRegistry.js';
+
+export async function companyStockHandler(client, user) {
+    try {
+        if (!user?.apiKey || !user.tornId) return null;
+
+        const snapshot = await getCompanyStock(user);
+        if (!snapshot) return null; // Not a director
+
+        await processAlerts(user.discordId, toAlertState(snapshot), API_GROUPS.COMPANY);
+
+        return buildStockEmbed(snapshot);
+
+    } catch (error) {
+        console.error('❌ Company Stock Handler Error:', error.message);
+        return null;
+    }
+}
+
+function productLine(product) {
+    const parts = [`${formatNumber(product.inStock)}`];
+    if (product.onOrder > 0) parts.push(applyTemplate('stock_on_order', { amount: formatNumber(product.onOrder) }));
+    parts.push(applyTemplate('sold_per_day', { amount: formatNumber(Math.round(product.soldPerDay)) }));
+
+    let status;
+    if (product.inStock === 0) {
+        status = `🔴 ${getUi('out_of_stock')}`;
+    } else if (product.hoursLeft === null) {
+        status = `⚪ ${getUi('not_selling')}`;
+    } else {
+        const lasts = applyTemplate('stock_lasts', { time: formatTimeFull(product.hoursLeft * 3600) });
+        status = product.runsOutFirst
+            ? `🟠 ${lasts} • ${getUi('runs_out_before_delivery')}`
+            : `🟢 ${lasts}`;
+    }
+
+    return `**${product.name}** • ${parts.join(' • ')}\n└ ${status}`;
+}
+
+function buildStockEmbed(snapshot) {
+    const { company, detailed, products, leadHours, measuredLeadTime } = snapshot;
+    const atRisk = products.some(product => product.runsOutFirst || product.inStock === 0);
+
+    const embed = new EmbedBuilder()
+        .setColor(atRisk ? 0xE67E22 : 0x2ECC71)
+        .setTitle(`📦 ${getUi('company_stock')} • ${company.name}`)
+        .setDescription(products.map(productLine).join('\n').slice(0, 4000) || getUi('no_products'))
+        .addFields(
+            { name: getUi('trains_available'), value: `\`\`\`${formatNumber(detailed.trains_available || 0)}\`\`\``, inline: true },
+            { name: getUi('advertising_budget'), value: `\`\`\`${formatMoney(detailed.advertising_budget || 0)}\`\`\``, inline: true },
+            { name: getUi('company_funds'), value: `\`\`\`${formatMoney(detailed.company_funds || 0)}\`\`\``, inline: true }
+        );
+
+    const lead = applyTemplate('delivery_lead_time', {
+        time: formatTimeFull(leadHours * 3600),
+        source: getUi(measuredLeadTime ? 'lead_time_measured' : 'lead_time_assumed')
+    });
+    const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.companyStock));
+    embed.setFooter({ text: `${lead} • ${applyTemplate('update_every_xm', { m: interval })}` })
+        .setTimestamp();
+
+    return embed;
+}
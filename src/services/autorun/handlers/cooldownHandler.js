@@ -6,21 +6,22 @@
 import { EmbedBuilder } from 'discord.js';
 import { getCombinedStats } from '../../tornApi.js';
 import { formatTime } from '../../../utils/formatters.js'; // Can be removed if fully replaced, but kept for safety if used elsewhere or keep removing
-import { getAllUsers } from '../../userStorage.js';
 import { getCapacity, updateCapacity, getLastCountry, setLastCountry } from '../../analytics/travelAnalyticsService.js';
-import { getLocation, getUi, formatTimeId, getAction } from '../../../localization/index.js';
+import { getLocation, getUi, formatTimeId, getAction, applyTemplate, getIntlLocale } from '../../../localization/index.js';
 
-export async function cooldownHandler(client) {
-    try {
-        // Get the first configured user (usually owner)
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
+/**
+ * Footer with the refresh interval and the current time (WIB)
+ */
+function autoUpdateFooter() {
+    const time = new Date().toLocaleTimeString(getIntlLocale(), { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'Asia/Jakarta' }).replace('.', ':');
+    return { text: applyTemplate('auto_update_today', { interval: '60s', time }) };
+}
 
-        const userId = userIds[0];
-        const user = users[userId];
+export async function cooldownHandler(client, user) {
+    try {
+        if (!user?.apiKey) return null;
 
-        if (!user.apiKey) return null;
+        const userId = user.discordId;
 
         // Fetch FRESH data: travel, cooldowns, perks
         const stats = await getCombinedStats(user.apiKey, 'travel,cooldowns,basic,perks');
@@ -33,7 +34,7 @@ export async function cooldownHandler(client) {
         const status = stats.status || {};
 
         // Extract travel capacity from perks
-        let capacity = getCapacity();
+        let capacity = getCapacity(userId);
         let hasAirstrip = false;
 
         // Check perks for travel items and airstrip
@@ -51,7 +52,7 @@ export async function cooldownHandler(client) {
                 const match = perk.match(/(\d+)\s*travel item capacity/i);
                 if (match) {
                     capacity = 5 + parseInt(match[1]) + (hasAirstrip ? 10 : 0);
-                    updateCapacity(capacity);
+                    updateCapacity(userId, capacity);
                 }
             }
         }
@@ -63,8 +64,8 @@ export async function cooldownHandler(client) {
         // Default state
         let state = 'READY';
         let color = 0x00FF00; // Green
-        let title = `✅ ${getUi('travel_status')} - Siap Berangkat`; // "Ready to Travel"
-        let description = 'Tidak ada cooldown aktif. Kamu di Torn.';
+        let title = `✅ ${getUi('travel_status')} - ${getUi('ready_to_travel')}`;
+        let description = getUi('no_cooldowns_in_torn');
 
         // 1. Check if Traveling
         if (travel.time_left > 0) {
@@ -94,18 +95,18 @@ export async function cooldownHandler(client) {
             let origin, dest;
             if (isReturning) {
                 // Returning to Torn - use lastCountry as origin
-                const lastCountry = getLastCountry();
+                const lastCountry = getLastCountry(userId);
 
                 // Handle case where lastCountry wasn't tracked (legacy trips)
                 if (lastCountry === 'Torn' || lastCountry === 'Unknown') {
-                    origin = { code: 'ABR', flag: '✈️', city: 'Luar Negeri' };
+                    origin = { code: 'ABR', flag: '✈️', city: getUi('abroad') };
                 } else {
                     origin = countryCodes[lastCountry] || { code: 'ABR', flag: '🌍', city: getLocation(lastCountry) };
                 }
                 dest = countryCodes['Torn'];
             } else {
                 // Departing to foreign country - save destination for return trip
-                setLastCountry(destination);
+                setLastCountry(userId, destination);
                 origin = countryCodes['Torn'];
                 const destCity = getLocation(destination); // Localized name
                 dest = countryCodes[destination] || { code: 'UNK', flag: '🌍', city: destCity };
@@ -120,20 +121,20 @@ export async function cooldownHandler(client) {
             const departureDate = travel.departed ? new Date(travel.departed * 1000) : now;
             const arrivalDate = new Date(now.getTime() + travel.time_left * 1000);
 
-            // Format dates (WIB timezone, ID locale)
-            const formatDate = (d) => d.toLocaleDateString('id-ID', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'Asia/Jakarta' });
-            const formatTimeShort = (d) => d.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'Asia/Jakarta' }).replace('.', ':');
+            // Format dates (WIB timezone, user's locale)
+            const formatDate = (d) => d.toLocaleDateString(getIntlLocale(), { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'Asia/Jakarta' });
+            const formatTimeShort = (d) => d.toLocaleTimeString(getIntlLocale(), { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'Asia/Jakarta' }).replace('.', ':');
 
             // Calculate remaining time for footer
             const mins = Math.floor(travel.time_left / 60);
             const timeLeftStr = formatTimeId(travel.time_left);
-            const footerText = `Tiba dalam ${timeLeftStr} (${formatTimeShort(arrivalDate)})`;
+            const footerText = `${applyTemplate('arrives_in', { time: timeLeftStr })} (${formatTimeShort(arrivalDate)})`;
 
             // Build premium embed
             const embed = new EmbedBuilder()
                 .setColor(color)
                 .setAuthor({ name: formatDate(now) })
-                .setTitle(`✈️｜Torn Airways — Penerbangan TCN-${Math.floor(Math.random() * 900 + 100)}`)
+                .setTitle(`✈️｜Torn Airways — ${getUi('flight')} TCN-${Math.floor(Math.random() * 900 + 100)}`)
                 .setDescription('──────────────────────────────────')
                 .addFields(
                     {
@@ -147,7 +148,7 @@ export async function cooldownHandler(client) {
                         inline: true
                     },
                     {
-                        name: 'Tipe',
+                        name: getUi('type'),
                         value: `\`\`\`🎫 ${hasAirstrip ? 'Airstrip' : transportType} • 🎒 ${capacity} Item\`\`\``,
                         inline: false
                     }
@@ -159,16 +160,16 @@ export async function cooldownHandler(client) {
         // 2. Check Hospital/Jail
         else if (status.state === 'Hospital' || status.state === 'Jail') {
             const icon = status.state === 'Hospital' ? '🏥' : '⛓️';
-            const healTime = status.until > 0 ? `<t:${status.until}:R>` : 'segera';
+            const healTime = status.until > 0 ? `<t:${status.until}:R>` : getUi('soon');
 
-            const stateName = status.state === 'Hospital' ? 'Rumah Sakit' : 'Penjara';
-            const actionText = status.state === 'Hospital' ? 'Sembuh' : 'Bebas';
+            const stateName = getUi(status.state === 'Hospital' ? 'hospital' : 'jail');
+            const actionText = getUi(status.state === 'Hospital' ? 'out_of_hospital' : 'out_of_jail');
 
             const embed = new EmbedBuilder()
                 .setColor(0xE74C3C) // Red
-                .setTitle(`${icon}｜Kamu di ${stateName}`)
-                .setDescription(`\`\`\`${status.details || 'Tidak bisa bepergian...'}\`\`\`${actionText} ${healTime}`)
-                .setFooter({ text: `Auto update setiap 60s • Hari ini jam ${new Date().toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'Asia/Jakarta' }).replace('.', ':')}` });
+                .setTitle(`${icon}｜${applyTemplate('you_are_in', { place: stateName })}`)
+                .setDescription(`\`\`\`${status.details || getUi('cannot_travel')}\`\`\`${actionText} ${healTime}`)
+                .setFooter(autoUpdateFooter());
 
             return embed;
         }
@@ -185,9 +186,9 @@ export async function cooldownHandler(client) {
 
             const embed = new EmbedBuilder()
                 .setColor(0xF1C40F) // Yellow
-                .setTitle(`📍｜Kamu di ${locationName} ${flag}`)
-                .setDescription('```Kamu sedang berada di luar negeri.```')
-                .setFooter({ text: `Auto update setiap 60s • Hari ini jam ${new Date().toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'Asia/Jakarta' }).replace('.', ':')}` });
+                .setTitle(`📍｜${applyTemplate('you_are_in', { place: locationName })} ${flag}`)
+                .setDescription(`\`\`\`${getUi('you_are_abroad')}\`\`\``)
+                .setFooter(autoUpdateFooter());
 
             return embed;
         }
@@ -197,7 +198,7 @@ export async function cooldownHandler(client) {
             .setColor(0x2ECC71) // Green
             .setTitle(title)
             .setDescription(`\`\`\`${description}\`\`\``)
-            .setFooter({ text: `Auto update setiap 60s • Hari ini jam ${new Date().toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'Asia/Jakarta' }).replace('.', ':')}` });
+            .setFooter(autoUpdateFooter());
 
         return embed;
 
@@ -1,118 +1,225 @@
 
-import { EmbedBuilder } from 'discord.js';
-import { get } from '../../tornApi.js';
-import { addIncome, addExpense, incrementStat } from '../../analytics/profitEngineStorage.js';
-import { getAllUsers } from '../../userStorage.js';
-
-// Mapping of Log Types to Profit Categories
-// NOTE: Market/Bazaar buy/sell handled by tradeHandler (via inventory delta) - NOT here to avoid double counting
-// Categories match profitEngineStorage: income (travel, crime, job, other), expense (property, xanax, travel_buy, tax, other)
-const LOG_TYPES = {
-    // Trades (P2P trades - only money exchange, not inventory-based)
-    // 3600/3602 skipped - tradeHandler detects trades via inventory delta
-
-    // Properties - landlord income (not detected by tradeHandler)
-    5937: { type: 'income', cat: 'other', desc: 'Property Rental Income' },
-
-    // Company - company pay/bonus (not detected by tradeHandler)
-    6300: { type: 'income', cat: 'job', desc: 'Company Pay' },
-    6301: { type: 'income', cat: 'job', desc: 'Company Bonus' },
+/**
+ * Financial Log Handler
+ * Books income/expense from a user's Torn log into the profit engine.
+ * A persisted cursor (last timestamp + entry IDs seen at it) makes every entry
+ * count once across restarts; the first tick after startup, or a poll with no
+ * overlap, backfills everything since the cursor by paging user/log with from/to
+ * (resumable, a few pages per tick).
+ * Entries from an earlier profit day are booked into that day's archived totals.
+ * Log types are mapped to categories by logClassification (logTypes.json + owner rules)
+ */
 
-    // Faction - faction pay (not detected by tradeHandler)
-    6811: { type: 'income', cat: 'other', desc: 'Faction Pay' },
-
-    // Crime/Missions - rewards (not detected by tradeHandler)
-    7815: { type: 'income', cat: 'crime', desc: 'Mission Reward' },
-    7800: { type: 'income', cat: 'crime', desc: 'Crime Reward' },
-
-    // Casino - wins/losses (not detected by tradeHandler)
-    8300: { type: 'income', cat: 'other', desc: 'Casino Win' },
-    8301: { type: 'expense', cat: 'other', desc: 'Casino Lose' },
-
-    // Bounties - bounty income (not detected by tradeHandler)
-    3101: { type: 'income', cat: 'crime', desc: 'Bounty Collected' },
+import { EmbedBuilder } from 'discord.js';
+import { get, getV2, normalizeLogs } from '../../tornApi.js';
+import { getCollection } from '../../storage/index.js';
+import { addIncome, addExpense, incrementStat, getTodayStart, getDateOf, pruneBookedEntries } from '../../analytics/profitEngineStorage.js';
+import { getRule, getAmount, recordUnclassified } from '../../analytics/logClassification.js';
+
+const POLL_LIMIT = 50;           // Same request as logTradeDetector (shared cache)
+const PAGE_SIZE = 100;           // Torn returns at most 100 entries per request
+const MAX_BACKFILL_PAGES = 10;   // Per tick; a longer backfill carries on next tick
+
+const XANAX_ID = 206;
+const XANAX_PRICE_TTL = 5 * 60 * 1000;
+
+// Users backfilled since startup
+const backfilled = new Set();
+
+// Lowest item market price, booked as the cost of each Xanax used
+let xanaxPrice = { value: 850000, updatedAt: 0 };
+
+/**
+ * Cursor collection (Discord ID -> { timestamp, ids, backfill })
+ * backfill = { to, newest } while a backfill is part way through the gap
+ */
+function getStore() {
+    return getCollection('financial-log-cursor');
+}
 
-    // Mugging - mugging income (not detected by tradeHandler)
-    3401: { type: 'income', cat: 'crime', desc: 'Mugging Success' },
-};
+/**
+ * A user's cursor; without one, start at the beginning of today's profit day
+ */
+function getCursor(userId) {
+    return getStore().get(userId) || { timestamp: getTodayStart(), ids: [] };
+}
 
-const processedLogIds = new Set(); // Runtime cache (reset on restart is OK if we check timestamp/state)
-// Better: Persist last processed Log ID per user?
-// For now, runtime cache + short loop.
+/**
+ * Entries after the cursor
+ */
+function afterCursor(entries, cursor) {
+    return entries.filter(e => e.timestamp > cursor.timestamp ||
+        (e.timestamp === cursor.timestamp && !cursor.ids.includes(e.id)));
+}
 
-export async function financialLogHandler(client) {
-    const users = getAllUsers();
+/**
+ * Cursor moved past the given entries
+ */
+function advanceCursor(cursor, entries) {
+    if (entries.length === 0) return cursor;
+
+    const newest = entries[entries.length - 1].timestamp;
+    const ids = entries.filter(e => e.timestamp === newest).map(e => e.id);
+    return {
+        timestamp: newest,
+        ids: newest === cursor.timestamp ? [...new Set([...cursor.ids, ...ids])] : ids
+    };
+}
 
-    for (const [userId, user] of Object.entries(users)) {
-        if (!user.apiKey) continue;
+/**
+ * Page backwards through user/log toward the cursor, booking each page
+ * Progress is saved after every page (cursor.backfill) and a tick stops after
+ * MAX_BACKFILL_PAGES, so a long gap is worked through over several ticks,
+ * survives restarts and doesn't hold up the other users' ticks
+ * @returns {Promise<object>} Cursor after this tick's pages
+ */
+async function backfill(user, cursor) {
+    const userId = user.discordId;
+    const progress = cursor.backfill || { to: Math.floor(Date.now() / 1000), newest: null };
+    let booked = 0;
+
+    for (let page = 0; page < MAX_BACKFILL_PAGES; page++) {
+        const response = await get(user.apiKey, 'user', 'log', { from: cursor.timestamp, to: progress.to, limit: PAGE_SIZE });
+        const batch = normalizeLogs(response.log);
+        const entries = afterCursor(batch, cursor);
+
+        for (const log of entries) {
+            await bookEntry(user, log);
+        }
+        booked += entries.length;
 
-        try {
-            // Fetch recent logs (last 50 is enough for polling every minute)
-            const response = await get(user.apiKey, 'user', 'log', { limit: 50 });
+        // Where the cursor goes once the gap is closed: the newest entry of the first page
+        if (!progress.newest && entries.length > 0) {
+            progress.newest = advanceCursor(cursor, entries);
+        }
 
-            if (!response.log) continue;
+        const oldest = batch[0]?.timestamp;
+        if (batch.length < PAGE_SIZE || oldest <= cursor.timestamp) {
+            if (booked > 0) console.log(`[Finance] Backfilled ${booked} log entries for ${userId}`);
+            const done = progress.newest || cursor;
+            getStore().set(userId, done);
+            return done;
+        }
 
-            // Torn V1/V2 'log' is a Map (Object) where Key = Log ID.
-            // We iterate values.
-            const logs = Object.values(response.log).sort((a, b) => a.timestamp - b.timestamp);
+        // Pages overlap by one second (booking is idempotent); a full page
+        // within one second can't be split further
+        if (oldest >= progress.to) {
+            console.warn(`[Finance] Over ${PAGE_SIZE} log entries at ${progress.to} for ${userId}, older entries in that second are skipped`);
+            progress.to = oldest - 1;
+        } else {
+            progress.to = oldest;
+        }
+        getStore().set(userId, { ...cursor, backfill: progress });
+    }
 
-            for (const log of logs) {
-                const logId = log.log;
-                const logType = log.type; // Check if 'type' field exists, or we use log category?
-                // V1 Log object: { log: 123, type: 1104, title: "...", data: {...}, timestamp: 123 }
+    console.log(`[Finance] Backfilled ${booked} log entries for ${userId}, continuing from ${progress.to} next tick`);
+    return { ...cursor, backfill: progress };
+}
 
-                // Deduplicate
-                if (processedLogIds.has(logId)) continue;
-                processedLogIds.add(logId);
+/**
+ * Current Xanax price (cached, default until the first fetch)
+ */
+async function getXanaxPrice(apiKey) {
+    if (Date.now() - xanaxPrice.updatedAt < XANAX_PRICE_TTL) return xanaxPrice.value;
+
+    try {
+        const data = await getV2(apiKey, `market/${XANAX_ID}/itemmarket`);
+        const lowest = data?.itemmarket?.[0]?.price;
+        if (lowest) xanaxPrice = { value: lowest, updatedAt: Date.now() };
+    } catch (error) {
+        console.error('❌ Failed to fetch Xanax price:', error.message);
+    }
+    return xanaxPrice.value;
+}
 
-                // Cleanup cache
-                if (processedLogIds.size > 1000) {
-                    const it = processedLogIds.values();
-                    processedLogIds.delete(it.next().value);
+/**
+ * Book one log entry into the profit day it happened on
+ * (safe to repeat: amounts are keyed by entry ID)
+ */
+async function bookEntry(user, log) {
+    const userId = user.discordId;
+    const rule = getRule(log.type);
+
+    if (!rule) {
+        recordUnclassified(log);
+    } else if (rule.direction !== 'ignore') {
+        const money = await getAmount(log, rule, user.apiKey);
+
+        if (money > 0) {
+            if (rule.direction === 'income') {
+                if (addIncome(userId, rule.category, money, log.id, log.timestamp)) {
+                    console.log(`[Finance] Logged Income: ${rule.desc} +$${money}`);
                 }
+            } else if (addExpense(userId, rule.category, money, log.id, log.timestamp)) {
+                console.log(`[Finance] Logged Expense: ${rule.desc} -$${money}`);
+            }
+        }
+    }
 
-                if (LOG_TYPES[logType]) {
-                    const def = LOG_TYPES[logType];
-                    const money = extractMoney(log);
-
-                    if (money > 0) {
-                        if (def.type === 'income') {
-                            addIncome(def.cat, money);
-                            console.log(`[Finance] Logged Income: ${def.desc} +$${money}`);
-                        } else {
-                            addExpense(def.cat, money);
-                            console.log(`[Finance] Logged Expense: ${def.desc} -$${money}`);
-                        }
-                    }
-                }
+    // Increment Stats: Crime Count
+    if (log.category === 'Crimes') {
+        incrementStat(userId, 'crimeCount', 1, log.id, log.timestamp);
+    }
 
-                // Increment Stats: Crime Count
-                if (log.category === 'Crimes') {
-                    incrementStat('crimeCount');
-                }
+    // Increment Stats: Xanax Used
+    // Just checking category 'Drug' and title contains 'Xanax'
+    if (log.category === 'Drug use' && log.title.includes('Xanax')) {
+        incrementStat(userId, 'xanaxUsed', 1, log.id, log.timestamp);
+        addExpense(userId, 'xanax', await getXanaxPrice(user.apiKey), log.id, log.timestamp);
+    }
+}
 
-                // Increment Stats: Xanax Used (Log 2440 = Drug Use, verify type for Xanax?)
-                // Just checking category 'Drug' and title contains 'Xanax'
-                if (log.category === 'Drug use' && log.title.includes('Xanax')) {
-                    incrementStat('xanaxUsed');
-                }
+/**
+ * Financial log handler - books income/expense from a user's logs
+ * @param {Client} client - Discord client
+ * @param {object} user - Registered user this tick runs for
+ */
+export async function financialLogHandler(client, user) {
+    if (!user?.apiKey) return null;
+
+    const userId = user.discordId;
+
+    try {
+        let cursor = getCursor(userId);
+
+        // Recent logs (50 per minute is plenty while polling keeps up)
+        const response = await get(user.apiKey, 'user', 'log', { limit: POLL_LIMIT });
+        if (!response.log) return null;
+
+        const recent = normalizeLogs(response.log);
+        const entries = afterCursor(recent, cursor);
+
+        // After a restart, when every polled entry is new (there may be a gap),
+        // or while an earlier backfill is still under way
+        if (cursor.backfill || !backfilled.has(userId) ||
+            (recent.length >= POLL_LIMIT && entries.length === recent.length)) {
+            backfilled.add(userId);
+            cursor = await backfill(user, cursor);
+        } else {
+            // Cursor saved per entry so a crash never books one twice
+            for (const log of entries) {
+                await bookEntry(user, log);
+                cursor = advanceCursor(cursor, [log]);
+                getStore().set(userId, cursor);
             }
+        }
 
-        } catch (error) {
-            console.error(`Error processing financial logs for ${user.name}:`, error.message);
+        // Closed days before the cursor can't be replayed any more
+        if (!cursor.backfill) {
+            pruneBookedEntries(userId, getDateOf(cursor.timestamp));
         }
+    } catch (error) {
+        console.error(`Error processing financial logs for ${userId}:`, error.message);
     }
+
+    return null;
 }
 
-function extractMoney(log) {
-    // Try to find money in data
-    if (log.data) {
-        if (log.data.money) return Math.abs(log.data.money);
-        if (log.data.cost) return Math.abs(log.data.cost);
-        if (log.data.price) return Math.abs(log.data.price);
-        if (log.data.winnings) return Math.abs(log.data.winnings);
-        if (log.data.bet) return Math.abs(log.data.bet);
-    }
-    // Fallback: Parse description? (Heuristic) -> "Sold ... for $500,000"
-    return 0;
+/**
+ * Forget a user's log cursor (used on unregister)
+ * @param {string} userId - Discord user ID
+ */
+export function clearFinancialLogCursor(userId) {
+    getStore().delete(userId);
+    backfilled.delete(userId);
 }
@@ -5,13 +5,15 @@
  * - Reads from global YATA cache (no API calls)
  * - Returns multiple embeds for clean layout: Header + Category Tables
  * - Precise table formatting inside code blocks
+ * - Projected next restock per item (from foreign stock history)
  */
 
 import { EmbedBuilder } from 'discord.js';
 import { getCountryData } from '../../yataGlobalCache.js';
 import { getUi } from '../../../localization/index.js';
 import { AUTO_RUNNERS } from '../autoRunRegistry.js';
-import { formatTimeShort } from '../../../utils/formatters.js';
+import { formatTimeShort, formatTime, discordTimestamp } from '../../../utils/formatters.js';
+import { getRestockEstimate } from '../../market/foreignStockHistory.js';
 import { getRunnerFooter } from '../../../utils/footerHelper.js';
 
 
@@ -30,6 +32,14 @@ export const COUNTRIES = {
     uae: { code: 'uae', emoji: '🇦🇪', name: 'UAE' },
 };
 
+/**
+ * YATA country code for a Torn country name (e.g. 'Japan' -> 'jap')
+ */
+export function getCountryCodeByName(name) {
+    const country = Object.values(COUNTRIES).find(c => c.name.toLowerCase() === String(name).toLowerCase());
+    return country ? country.code : null;
+}
+
 // Item category keywords
 const CATEGORIES = {
     flower: ['Flower', 'Rose', 'Orchid', 'Violet', 'Dahlia', 'Crocus', 'Heather', 'Edelweiss', 'Cherry Blossom', 'Peony', 'Ceibo', 'Banana Orchid'],
@@ -102,6 +112,27 @@ function formatTableRow(item) {
     return `${name.padEnd(21)} ${stock.padStart(7)} ${price.padStart(11)}`;
 }
 
+/**
+ * Next-restock lines for a category (items with a known restock interval)
+ */
+function formatRestockLines(countryCode, items) {
+    const now = Date.now();
+
+    const estimates = items
+        .map(item => ({ item, estimate: getRestockEstimate(countryCode, item.id, now) }))
+        .filter(e => e.estimate?.nextRestock)
+        .sort((a, b) => a.estimate.nextRestock - b.estimate.nextRestock)
+        .slice(0, 8);
+
+    return estimates.map(({ item, estimate }) => {
+        const when = estimate.overdue
+            ? getUi('restock_overdue')
+            : discordTimestamp(Math.floor(estimate.nextRestock / 1000), 'R');
+        const every = `${getUi('restock_every')} ${formatTime(Math.round(estimate.interval / 1000))}`;
+        return `**${item.name}** — ${when} (${every})`;
+    });
+}
+
 /**
  * Build embeds for a country from CACHE
  */
@@ -163,6 +194,15 @@ function buildCountryEmbeds(countryKey) {
                 inline: false // Force full width for table
             });
 
+        const restockLines = formatRestockLines(country.code, catItems);
+        if (restockLines.length > 0) {
+            embed.addFields({
+                name: `⏳｜${getUi('next_restock')}`,
+                value: restockLines.join('\n'),
+                inline: false
+            });
+        }
+
         embeds.push(embed);
     }
 
@@ -201,6 +241,7 @@ for (const countryKey of Object.keys(COUNTRIES)) {
 
 export default {
     COUNTRIES,
+    getCountryCodeByName,
     createForeignMarketHandler,
     foreignMarketHandlers
 };
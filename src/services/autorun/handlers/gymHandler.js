@@ -5,11 +5,11 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { get } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatNumber, formatTimeShort } from '../../../utils/formatters.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 
 import { getEnergyPerClick, updateFromApiLogs, getLastTrainedStat } from '../../analytics/gymTrainingStorage.js';
+import { recordGymProgress } from '../../analytics/gymPlanner.js';
 import { getUi, getStat, fromDictionary, applyTemplate } from '../../../localization/index.js';
 
 // Gym names by ID (English names are fine as they are proper nouns)
@@ -27,13 +27,9 @@ const GYM_NAMES = {
 /**
  * Gym handler - fetches data and returns embed
  */
-export async function gymHandler(client) {
+export async function gymHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const userId = Object.keys(users)[0];
-        if (!userId) return null;
-
-        const user = users[userId];
+        if (!user?.apiKey) return null;
 
         // Fetch gym data AND logs to learn energy per click
         const data = await get(user.apiKey, 'user', 'gym,battlestats,bars,log');
@@ -43,6 +39,9 @@ export async function gymHandler(client) {
             updateFromApiLogs(data.log);
         }
 
+        // Daily stats for the user's gym plan (no-op without one)
+        recordGymProgress(user.discordId, data, data.active_gym);
+
         return buildGymEmbed(data);
     } catch (error) {
         console.error('❌ Gym handler error:', error.message);
@@ -70,7 +69,7 @@ function buildGymEmbed(data) {
         .setDescription('─────────────────────────────────────────────────')
         .setTimestamp()
         .setTimestamp();
-    const interval = formatTimeShort(AUTO_RUNNERS.gym.interval);
+    const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.gym));
     embed.setFooter({ text: `Torn Sentinel • Auto refresh every ${interval}` });
 
 
@@ -5,10 +5,9 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { get, getV2 } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatMoney, formatTimeShort } from '../../../utils/formatters.js';
 import { getUi } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 
 
 // Cache for items data (24h refresh)
@@ -25,15 +24,9 @@ async function getItemsCache(apiKey) {
     return itemsCache;
 }
 
-export async function itemMarketHandler(client) {
+export async function itemMarketHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
-
-        const userId = userIds[0];
-        const user = users[userId];
-        if (!user.apiKey) return null;
+        if (!user?.apiKey) return null;
 
         // Fetch item market listings
         const data = await getV2(user.apiKey, 'user?selections=itemmarket');
@@ -47,7 +40,7 @@ export async function itemMarketHandler(client) {
                 .setTitle('🏪 Item Market Listings')
                 .setDescription('```No active listings```')
                 .setDescription('```No active listings```')
-                .setFooter({ text: `Torn Sentinel • Auto update every ${formatTimeShort(AUTO_RUNNERS.itemMarketListings.interval)}` })
+                .setFooter({ text: `Torn Sentinel • Auto update every ${formatTimeShort(getRunnerInterval(AUTO_RUNNERS.itemMarketListings))}` })
                 .setTimestamp();
 
             return embed;
@@ -91,7 +84,7 @@ export async function itemMarketHandler(client) {
         const priceWidth = 12;
 
         // Build table header
-        const header = 'Nama Item'.padEnd(nameWidth) + 'Stock'.padStart(qtyWidth) + 'Harga'.padStart(priceWidth);
+        const header = getUi('item_name').padEnd(nameWidth) + getUi('stock').padStart(qtyWidth) + getUi('price').padStart(priceWidth);
         const separator = '─'.repeat(nameWidth + qtyWidth + priceWidth);
 
         // Build table rows
@@ -128,7 +121,7 @@ export async function itemMarketHandler(client) {
                 { name: 'Total Value', value: `\`\`\`${formatMoney(totalValue)}\`\`\``, inline: true },
                 { name: '📦 Items', value: `\`\`\`\n${tableText}\`\`\`${moreItems}`, inline: false }
             )
-            .setFooter({ text: `Torn Sentinel • Auto update every ${formatTimeShort(AUTO_RUNNERS.itemMarketListings.interval)}` })
+            .setFooter({ text: `Torn Sentinel • Auto update every ${formatTimeShort(getRunnerInterval(AUTO_RUNNERS.itemMarketListings))}` })
             .setTimestamp();
 
 
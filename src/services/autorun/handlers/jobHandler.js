@@ -5,30 +5,33 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { getCombinedStats, getV2 } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatNumber, formatTimeShort } from '../../../utils/formatters.js';
 import { getUi } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
+import {
+    recordWorkProgress,
+    getGainRates,
+    getCompanyTypes,
+    getPerkProgress
+} from '../../analytics/workProgress.js';
 
 
-export async function jobHandler(client) {
+export async function jobHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
-
-        const userId = userIds[0];
-        const user = users[userId];
-        if (!user.apiKey) return null;
+        if (!user?.apiKey) return null;
 
         // Fetch in parallel:
         // - v2 for job (rating, days_in_company only available in v2)
-        // - v1 for jobpoints and perks
-        const [v2JobData, v1Data] = await Promise.all([
+        // - v1 for jobpoints, perks and working stats (recorded for /jobplan)
+        // - company types for the specials the job points go toward
+        const [v2JobData, v1Data, companyTypes] = await Promise.all([
             getV2(user.apiKey, 'user?selections=job'),
-            getCombinedStats(user.apiKey, 'jobpoints,perks')
+            getCombinedStats(user.apiKey, 'jobpoints,perks,workstats'),
+            getCompanyTypes(user.apiKey).catch(() => ({}))
         ]);
 
+        const history = recordWorkProgress(user.discordId, v1Data);
+
         const job = v2JobData.job || {};
         const companyPoints = v1Data.jobpoints?.companies || {};
         const jobPerks = v1Data.job_perks || [];
@@ -44,8 +47,14 @@ export async function jobHandler(client) {
             ? jobPerks.slice(0, 8).map(p => `• ${p}`).join('\n')
             : `• ${getUi('none_active')}`;
 
-        // Next Perk (Placeholder)
-        const nextPerkText = `• ${getUi('check_panel')}`;
+        // Next special the company job points go toward (JP/day from history, else the company rating)
+        const rates = getGainRates(history).companies;
+        const perk = getPerkProgress(companyTypes, v1Data.jobpoints, { [job.type_id]: rates[job.type_id] || job.rating || 0 })
+            .find(p => p.typeId === job.type_id);
+        const nextPerkText = perk?.next
+            ? `• **${perk.next.name}** — ${formatNumber(currentCompanyJP)} / ${formatNumber(perk.next.cost)} JP` +
+                (perk.daysToNext ? ` (~${perk.daysToNext} ${getUi('days')})` : '')
+            : `• ${getUi('check_panel')}`;
 
         const embed = new EmbedBuilder()
             .setColor(0xF1C40F)
@@ -63,7 +72,7 @@ export async function jobHandler(client) {
 
                 { name: getUi('next_perk'), value: nextPerkText, inline: false }
             )
-        const interval = formatTimeShort(AUTO_RUNNERS.jobOverview.interval);
+        const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.jobOverview));
         embed.setFooter({ text: `Update every ${interval}` })
 
             .setTimestamp();
@@ -1,20 +1,21 @@
 /**
  * Networth Delta Handler
- * Explains WHY networth changed (breakdown by source)
+ * Explains WHY networth changed (breakdown by source), with a 30-day category chart
  */
 
-import { EmbedBuilder } from 'discord.js';
+import { EmbedBuilder, AttachmentBuilder } from 'discord.js';
 import { getCombinedStats } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatMoney, formatTimeShort } from '../../../utils/formatters.js';
 import { getUi } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 
 import {
     getLatestSnapshot,
     getSnapshotDaysAgo,
+    getSnapshotHoursAgo,
     calculateDelta
 } from '../../analytics/networthSnapshotStorage.js';
+import { buildNetworthChart } from '../../charts/networthChart.js';
 
 // Human-readable labels for breakdown categories
 const CATEGORY_LABELS = {
@@ -35,19 +36,16 @@ const CATEGORY_LABELS = {
     piggybank: '🐷 ' + getUi('piggybank')
 }; // Note: Will use getUi dynamic lookup if not found in map, but explicit here for icons
 
-export async function networthDeltaHandler(client) {
+export async function networthDeltaHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
+        if (!user?.apiKey) return null;
 
-        const userId = userIds[0];
-        const user = users[userId];
-        if (!user.apiKey) return null;
-
-        // Get current and yesterday's snapshot
-        const current = getLatestSnapshot();
-        const yesterday = getSnapshotDaysAgo(1);
+        // Get current and yesterday's snapshot, preferring hourly samples so
+        // the comparison covers exactly the last 24h up to the latest sample
+        const hourly = getLatestSnapshot(user.discordId, 'hourly');
+        const hourlyYesterday = hourly ? getSnapshotHoursAgo(user.discordId, 24) : null;
+        const current = hourlyYesterday ? hourly : getLatestSnapshot(user.discordId);
+        const yesterday = hourlyYesterday || getSnapshotDaysAgo(user.discordId, 1);
 
         if (!current) {
             // No snapshots yet
@@ -120,11 +118,15 @@ export async function networthDeltaHandler(client) {
                 { name: 'Changes by Source', value: breakdownText, inline: false },
                 { name: 'Net Change', value: `\`\`\`${netChangeSign}${formatMoney(delta.total)} ${netChangeIcon}\`\`\``, inline: false }
             )
-            .setFooter({ text: `Torn Sentinel • Updated daily • Every ${formatTimeShort(AUTO_RUNNERS.networthDelta.interval)}` })
+            .setFooter({ text: `Torn Sentinel • Updated daily • Every ${formatTimeShort(getRunnerInterval(AUTO_RUNNERS.networthDelta))}` })
 
             .setTimestamp();
 
-        return embed;
+        const chart = buildNetworthChart(user.discordId, { type: 'stack', days: 30 });
+        if (!chart) return embed;
+
+        embed.setImage(`attachment://${chart.name}`);
+        return { embeds: [embed], files: [new AttachmentBuilder(chart.buffer, { name: chart.name })] };
 
     } catch (error) {
         console.error('❌ Networth Delta Handler Error:', error.message);
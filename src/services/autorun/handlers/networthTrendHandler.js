@@ -1,74 +1,41 @@
 /**
  * Networth Trend Handler
- * Shows networth trend over time (24h, 7d, 30d)
+ * Shows networth trend over time (24h, 7d, 30d) with a 30-day chart
  */
 
-import { EmbedBuilder } from 'discord.js';
+import { EmbedBuilder, AttachmentBuilder } from 'discord.js';
 import { getCombinedStats } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatMoney, formatTimeShort } from '../../../utils/formatters.js';
 import { getUi } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 
 import {
-    saveSnapshot,
-    getLatestSnapshot,
+    createSnapshot,
+    recordSnapshot,
     getSnapshotDaysAgo,
-    calculateDelta,
-    calculateTrend,
-    shouldTakeSnapshot
+    getSnapshotHoursAgo,
+    calculateTrend
 } from '../../analytics/networthSnapshotStorage.js';
+import { buildNetworthChart } from '../../charts/networthChart.js';
 
-export async function networthTrendHandler(client) {
+export async function networthTrendHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
-
-        const userId = userIds[0];
-        const user = users[userId];
-        if (!user.apiKey) return null;
+        if (!user?.apiKey) return null;
 
         // Fetch current networth data (V1 API)
         const data = await getCombinedStats(user.apiKey, 'networth');
         if (!data.networth) return null;
 
         const nw = data.networth;
+        const currentSnapshot = createSnapshot(nw);
 
-        // Build current snapshot with correct field names from API
-        const currentSnapshot = {
-            total: nw.total || 0,
-            breakdown: {
-                wallet: nw.wallet || 0,
-                bank: nw.bank || 0,
-                points: nw.points || 0,
-                items: nw.items || 0,
-                bazaar: nw.bazaar || 0,
-                displaycase: nw.displaycase || 0,
-                properties: nw.properties || 0,
-                stockmarket: nw.stockmarket || 0,
-                itemmarket: nw.itemmarket || 0,
-                auctionhouse: nw.auctionhouse || 0,
-                company: nw.company || 0,
-                bookie: nw.bookie || 0,
-                loan: nw.loan || 0,
-                unpaidfees: nw.unpaidfees || 0,
-                piggybank: nw.piggybank || 0,
-                cayman: nw.cayman || 0,
-                vault: nw.vault || 0,
-                trade: nw.trade || 0
-            }
-        };
-
-        // Save snapshot if needed (once per day)
-        if (shouldTakeSnapshot()) {
-            saveSnapshot(currentSnapshot);
-        }
+        // Save whichever resolutions are due (hourly samples come from the sampler)
+        recordSnapshot(user.discordId, currentSnapshot);
 
-        // Get historical snapshots
-        const snapshot24h = getSnapshotDaysAgo(1);
-        const snapshot7d = getSnapshotDaysAgo(7);
-        const snapshot30d = getSnapshotDaysAgo(30);
+        // Get historical snapshots (24h from hourly samples when there are any)
+        const snapshot24h = getSnapshotHoursAgo(user.discordId, 24) || getSnapshotDaysAgo(user.discordId, 1);
+        const snapshot7d = getSnapshotDaysAgo(user.discordId, 7);
+        const snapshot30d = getSnapshotDaysAgo(user.discordId, 30);
 
         // Calculate deltas
         const delta24h = snapshot24h ? currentSnapshot.total - snapshot24h.total : null;
@@ -96,11 +63,15 @@ export async function networthTrendHandler(client) {
                 { name: '30d', value: formatDelta(delta30d), inline: true },
                 { name: getUi('trend_label'), value: `\`\`\`${trend.icon} ${trend.label}\`\`\``, inline: false }
             )
-            .setFooter({ text: `Torn Sentinel • ${getUi('updated_daily')} • Every ${formatTimeShort(AUTO_RUNNERS.networthTrend.interval)}` })
+            .setFooter({ text: `Torn Sentinel • ${getUi('updated_daily')} • Every ${formatTimeShort(getRunnerInterval(AUTO_RUNNERS.networthTrend))}` })
 
             .setTimestamp();
 
-        return embed;
+        const chart = buildNetworthChart(user.discordId, { type: 'total', days: 30, current: currentSnapshot });
+        if (!chart) return embed;
+
+        embed.setImage(`attachment://${chart.name}`);
+        return { embeds: [embed], files: [new AttachmentBuilder(chart.buffer, { name: chart.name })] };
 
     } catch (error) {
         console.error('❌ Networth Trend Handler Error:', error.message);
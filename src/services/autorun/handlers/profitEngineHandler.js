@@ -6,115 +6,22 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { getCombinedStats, getV2 } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatMoney } from '../../../utils/formatters.js';
 import { getUi } from '../../../localization/index.js';
 import {
     getProfitState,
-    addIncome,
     addExpense,
-    incrementStat,
     calculateTotals,
     initProfitEngine
 } from '../../analytics/profitEngineStorage.js';
-import { getRecentEvents } from '../../analytics/activityDetectionEngine.js';
 
 
 import { AUTO_RUNNERS } from '../autoRunRegistry.js';
 import { formatTimeShort } from '../../../utils/formatters.js';
 import { getRunnerFooter } from '../../../utils/footerHelper.js';
 
-// Track initialization and last update
+// Track initialization
 let initialized = false;
-let lastProcessedEventTs = 0;
-
-// Xanax item ID for drug tracking
-const XANAX_ID = 206;
-
-// Cache for market prices
-let marketPriceCache = {
-    xanax: 850000, // Default fallback
-    lastUpdate: 0
-};
-
-/**
- * Fetch current market price for Xanax
- */
-async function updateXanaxPrice(apiKey) {
-    try {
-        // Only update every 5 minutes
-        if (Date.now() - marketPriceCache.lastUpdate < 5 * 60 * 1000) {
-            return marketPriceCache.xanax;
-        }
-
-        const data = await getV2(apiKey, `market/${XANAX_ID}/itemmarket`);
-        if (data?.itemmarket?.length > 0) {
-            // Get lowest selling price
-            const lowestPrice = data.itemmarket[0].price || marketPriceCache.xanax;
-            marketPriceCache.xanax = lowestPrice;
-            marketPriceCache.lastUpdate = Date.now();
-        }
-    } catch (e) {
-        console.error('❌ Failed to fetch Xanax price:', e.message);
-    }
-    return marketPriceCache.xanax;
-}
-
-/**
- * Process activity events and update profit tracking
- */
-function processActivityEvents() {
-    const events = getRecentEvents(20);
-
-    for (const event of events) {
-        // Skip already processed events
-        if (event.timestamp <= lastProcessedEventTs) continue;
-
-        switch (event.type) {
-            case 'trade_sell':
-                // Travel/Market sell - add income
-                // Note: Full income tracking is handled by tradeHandler via logTrade
-                break;
-
-            case 'trade_buy':
-                // Items bought - check if abroad for travel buy expense
-                // Note: Handled by tradeHandler
-                break;
-
-            case 'wallet_change':
-                // Cash changes are tracked via delta
-                if (event.delta > 0) {
-                    // Positive = income (could be sell, could be crime, could be other)
-                    // Don't double-count with trade detection
-                }
-                break;
-
-            case 'crime_reward':
-                // Crime completed - can add estimated income
-                incrementStat('crimeCount', event.crimesCompleted || 1);
-                break;
-
-            case 'energy_used':
-                // Check if Xanax was used (energy jump of 250+)
-                if (event.source === 'Xanax (inferred)') {
-                    incrementStat('xanaxUsed', 1);
-                    addExpense('xanax', marketPriceCache.xanax);
-                }
-                break;
-
-            case 'travel_arrive':
-                if (event.location === 'Torn') {
-                    incrementStat('tripCount', 1);
-                }
-                break;
-        }
-    }
-
-    // Update last processed timestamp
-    if (events.length > 0) {
-        lastProcessedEventTs = events[0].timestamp;
-    }
-}
 
 /**
  * Calculate property expense from API data (V2 format)
@@ -151,7 +58,7 @@ function calculatePropertyExpense(properties, myTornId) {
 /**
  * Profit Engine Handler
  */
-export async function profitEngineHandler(client) {
+export async function profitEngineHandler(client, user) {
     try {
         // Initialize on first run
         if (!initialized) {
@@ -159,13 +66,9 @@ export async function profitEngineHandler(client) {
             initialized = true;
         }
 
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
+        if (!user?.apiKey) return null;
 
-        const userId = userIds[0];
-        const user = users[userId];
-        if (!user.apiKey) return null;
+        const userId = user.discordId;
 
         // Fetch user data
         const data = await getCombinedStats(user.apiKey, 'money,networth');
@@ -175,23 +78,20 @@ export async function profitEngineHandler(client) {
         const propData = await getV2(user.apiKey, 'user/properties');
         const properties = propData?.properties ? Object.values(propData.properties) : [];
 
-        // Update market prices
-        await updateXanaxPrice(user.apiKey);
-
-        // Process recent activity events
-        processActivityEvents();
+        // Trips, crimes and Xanax are booked per user from logs and trades
+        // (financialLogHandler, tradeHandler)
 
         // Calculate property expense (only active property)
         const propertyDailyExpense = calculatePropertyExpense(properties, user.tornId);
 
         // Get current state and totals
-        const state = getProfitState();
-        const totals = calculateTotals();
+        const state = getProfitState(userId);
+        const totals = calculateTotals(userId);
 
         // Update property expense (set, not add - because it's a daily fixed cost)
         // Only set if not already set today
         if (state.expense.property === 0 && propertyDailyExpense > 0) {
-            addExpense('property', propertyDailyExpense);
+            addExpense(userId, 'property', propertyDailyExpense);
         }
 
         // Build embed
@@ -8,12 +8,13 @@ import { EmbedBuilder } from 'discord.js';
 import { getCombinedStats } from '../../tornApi.js';
 import { getStatus, updateTravelState, updateCapacity } from '../../analytics/travelAnalyticsService.js';
 import { formatMoney } from '../../../utils/formatters.js';
-import { getUi, getLocation, formatTimeId } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { getUi, getLocation, formatTimeId, applyTemplate } from '../../../localization/index.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 import { formatTimeShort } from '../../../utils/formatters.js';
 
 
-let lastEmbedUpdate = 0;
+// Last embed update per user (Discord ID -> timestamp)
+const lastEmbedUpdates = new Map();
 const UPDATE_INTERVAL = 10 * 60 * 1000; // 10 minutes enforced for non-event updates
 
 export async function profitSummaryHandler(client, user) {
@@ -24,7 +25,8 @@ export async function profitSummaryHandler(client, user) {
             return null;
         }
 
-        const status = getStatus();
+        const userId = user.discordId;
+        const status = getStatus(userId);
         let capacity = status.capacity || 0;
 
         // 0. Check/Update Capacity
@@ -88,21 +90,21 @@ export async function profitSummaryHandler(client, user) {
             }
 
             capacity = calculatedCapacity;
-            updateCapacity(capacity);
+            updateCapacity(userId, capacity);
         }
 
         // 2. Update State & Check for Events
-        const event = updateTravelState(isTraveling, currentCountry, travel.time_left);
+        const event = updateTravelState(userId, isTraveling, currentCountry, travel.time_left);
 
         // 3. Decide whether to update Embed
         const now = Date.now();
-        const timeSinceLast = now - lastEmbedUpdate;
+        const timeSinceLast = now - (lastEmbedUpdates.get(userId) || 0);
 
         if (!event && timeSinceLast < UPDATE_INTERVAL) {
             return null; // Skip update
         }
 
-        lastEmbedUpdate = now;
+        lastEmbedUpdates.set(userId, now);
 
         // 4. Build Embed with Personal Stats
         const { daily } = status;
@@ -112,7 +114,7 @@ export async function profitSummaryHandler(client, user) {
             .setTitle(`📊 ${getUi('travel_summary')}`)
             .setTimestamp()
             .setTimestamp();
-        const interval = formatTimeShort(AUTO_RUNNERS.travelProfitSummary.interval);
+        const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.travelProfitSummary));
         embed.setFooter({ text: event ? `Update triggered by: ${event}` : `Auto-update (${interval})` });
 
 
@@ -142,9 +144,9 @@ export async function profitSummaryHandler(client, user) {
         // Optional: Show last action/status
         let statusText = getUi('ready_to_travel');
         if (isTraveling) {
-            statusText = `✈️ Bepergian ke **${getLocation(currentCountry)}** (${formatTimeId(travel.time_left)})`;
+            statusText = `✈️ ${applyTemplate('traveling_to', { place: `**${getLocation(currentCountry)}**` })} (${formatTimeId(travel.time_left)})`;
         } else if (currentCountry !== 'Torn') {
-            statusText = `📍 Sedang di **${getLocation(currentCountry)}**`;
+            statusText = `📍 ${applyTemplate('currently_in', { place: `**${getLocation(currentCountry)}**` })}`;
         }
 
         embed.setDescription(statusText);
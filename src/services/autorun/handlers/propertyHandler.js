@@ -6,20 +6,13 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { getV2 } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatMoney, formatNumber, formatTimeShort } from '../../../utils/formatters.js';
 import { getUi, applyTemplate } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 
-export async function propertyHandler(client) {
+export async function propertyHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
-
-        const userId = userIds[0];
-        const user = users[userId];
-        if (!user.apiKey) return null;
+        if (!user?.apiKey) return null;
 
         // Fetch properties from V2 API
         const data = await getV2(user.apiKey, 'user/properties');
@@ -136,7 +129,7 @@ function buildEmbed(active, owned, rented, myId) {
         .setTitle('🏠｜Property Information')
         .setDescription('─────────────────────────────────────────────────────────────');
 
-    const interval = formatTimeShort(AUTO_RUNNERS.propertyInfo.interval);
+    const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.propertyInfo));
     // Only put footer on the last embed usually, or first? User screenshot shows footer on the main one? 
     // Actually user JSON doesn't show footer. But usually we want footer.
     // I'll put footer on the last embed (Other Properties) if it exists, otherwise on this one.
@@ -5,7 +5,6 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { get } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import {
     formatNumber,
     formatMoney,
@@ -44,13 +43,9 @@ function capitalize(str) {
 /**
  * Stats handler - fetches data and returns embed
  */
-export async function statsHandler(client) {
+export async function statsHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const userId = Object.keys(users)[0];
-        if (!userId) return null;
-
-        const user = users[userId];
+        if (!user?.apiKey) return null;
         const data = await get(user.apiKey, 'user', 'bars,cooldowns,education,profile,money,refills');
 
         return buildStatsEmbed(data);
@@ -189,8 +184,8 @@ function buildStatsEmbed(data) {
     const now = Math.floor(Date.now() / 1000);
     const educationName = getEducationName(data.education_current);
 
-    const activeText = getUi('active'); // "Aktif"
-    const readyText = getUi('ready'); // "Siap" (or "Selesai", but "Siap" is usually "Ready")
+    const activeText = getUi('active');
+    const readyText = getUi('ready');
 
     // Drug cooldown
     if (cooldowns.drug > 0) {
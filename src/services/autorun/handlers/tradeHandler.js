@@ -1,11 +1,14 @@
 /**
  * Trade Handler for Auto-Run
- * Detects trades via inventory/wallet delta and sends Discord notifications
+ * Detects trades from the user's Torn log (exact item, qty, price, country),
+ * falling back to the cash-delta heuristic when the key can't read logs,
+ * and sends Discord notifications
+ *
+ * TRADE_DETECTION_MODE: auto (default, log with heuristic fallback) | log | heuristic
  */
 
 import { EmbedBuilder } from 'discord.js';
 import { get, getV2 } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatMoney } from '../../../utils/formatters.js';
 import {
     getLastSnapshot,
@@ -13,6 +16,7 @@ import {
     buildSnapshot
 } from '../../trade/tradeSnapshotStorage.js';
 import { detectTrades, getCountryFlag } from '../../trade/tradeDetectionEngine.js';
+import { detectTradesFromLogs } from '../../trade/logTradeDetector.js';
 import { logTrade } from '../../analytics/travelAnalyticsService.js';
 import { addIncome, addExpense, incrementStat } from '../../analytics/profitEngineStorage.js';
 import { getUi } from '../../../localization/index.js';
@@ -20,13 +24,20 @@ import { AUTO_RUNNERS } from '../autoRunRegistry.js';
 import { formatTimeShort } from '../../../utils/formatters.js';
 import { getRunnerFooter } from '../../../utils/footerHelper.js';
 
+const DETECTION_MODES = ['auto', 'log', 'heuristic'];
+
+function getDetectionMode() {
+    const mode = (process.env.TRADE_DETECTION_MODE || 'auto').toLowerCase();
+    return DETECTION_MODES.includes(mode) ? mode : 'auto';
+}
 
 /**
  * Trade handler - fetches data, detects trades, sends notifications
  * @param {Client} client - Discord client
+ * @param {object} user - Registered user this tick runs for
  * @returns {EmbedBuilder|null} - Returns null (uses direct channel sends instead)
  */
-export async function tradeHandler(client) {
+export async function tradeHandler(client, user) {
     // Read env inside function to ensure dotenv is loaded
     const tradeChannelId = process.env.TRADE_HISTORY_CHANNEL_ID;
 
@@ -35,17 +46,10 @@ export async function tradeHandler(client) {
         return null;
     }
 
-    try {
-        // Get first registered user's API key
-        const users = getAllUsers();
-        const userId = Object.keys(users)[0];
-
-        if (!userId) {
-            console.warn('⚠️ No users registered for trade handler');
-            return null;
-        }
+    if (!user?.apiKey) return null;
 
-        const user = users[userId];
+    try {
+        const userId = user.discordId;
 
         // Fetch user data with inventory and money (V1 and V2)
         const [v1Data, v2Data] = await Promise.all([
@@ -62,8 +66,20 @@ export async function tradeHandler(client) {
         // Get previous snapshot
         const prevSnapshot = getLastSnapshot(userId);
 
-        // Detect trades (await for async YATA calls)
-        const trades = await detectTrades(userId, prevSnapshot, currentSnapshot);
+        // Detect trades: log entries first, cash-delta heuristic when logs are unavailable
+        const mode = getDetectionMode();
+        let trades = [];
+        let logsAvailable = false;
+
+        if (mode !== 'heuristic') {
+            const result = await detectTradesFromLogs(user, { location: currentSnapshot.location });
+            logsAvailable = result.available;
+            trades = result.trades;
+        }
+
+        if (mode === 'heuristic' || (mode === 'auto' && !logsAvailable)) {
+            trades = await detectTrades(userId, prevSnapshot, currentSnapshot);
+        }
 
         // Send notifications for detected trades
         if (trades.length > 0) {
@@ -81,6 +97,7 @@ export async function tradeHandler(client) {
                     // Log trade to travel analytics for profit tracking
                     try {
                         logTrade(
+                            userId,
                             trade.type,
                             trade.itemName,
                             trade.qty,
@@ -95,12 +112,12 @@ export async function tradeHandler(client) {
                     try {
                         if (trade.type === 'SELL') {
                             const netRevenue = trade.netRevenue || (trade.totalCost * 0.95);
-                            addIncome('travel', netRevenue);
-                            addExpense('tax', trade.tax || (trade.totalCost * 0.05));
-                            incrementStat('tripCount');
+                            addIncome(userId, 'travel', netRevenue);
+                            addExpense(userId, 'tax', trade.tax ?? (trade.totalCost * 0.05));
+                            incrementStat(userId, 'tripCount');
                         } else if (trade.type === 'BUY') {
                             // This catches foreign market purchases (via inventory delta)
-                            addExpense('travel_buy', trade.totalCost || 0);
+                            addExpense(userId, 'travel_buy', trade.totalCost || 0);
                         }
                     } catch (profitErr) {
                         console.error('❌ Error updating profit engine:', profitErr);
@@ -177,7 +194,7 @@ function buildSellEmbed(trade) {
         `@ ${formatMoney(trade.unitPrice)} each`,
         '',
         `**Gross:** ${formatMoney(trade.grossRevenue)}`, // Gross/Net/Tax difficult to localize short. Prefer keeping technical terms or simple translation.
-        `**Tax (5%):** -${formatMoney(trade.tax)}`,
+        `**Tax (${Math.round((trade.taxRate ?? 0.05) * 100)}%):** -${formatMoney(trade.tax)}`,
         `**Net:** ${formatMoney(trade.netRevenue)}`
     ];
 
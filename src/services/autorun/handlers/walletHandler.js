@@ -5,29 +5,21 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { get } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { formatMoney, formatTimeShort } from '../../../utils/formatters.js';
 import { getUi } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 
 
 /**
  * Wallet handler - fetches data and returns embed
  * @param {Client} client - Discord client (not used directly)
+ * @param {object} user - Registered user this tick runs for
  * @returns {EmbedBuilder|null}
  */
-export async function walletHandler(client) {
+export async function walletHandler(client, user) {
     try {
-        // Get first registered user's API key
-        const users = getAllUsers();
-        const userId = Object.keys(users)[0];
+        if (!user?.apiKey) return null;
 
-        if (!userId) {
-            console.warn('⚠️ No users registered for wallet handler');
-            return null;
-        }
-
-        const user = users[userId];
         const data = await get(user.apiKey, 'user', 'money,networth');
 
         return buildWalletEmbed(data);
@@ -51,7 +43,7 @@ function buildWalletEmbed(data) {
         .setDescription('────────────────────────────────────────────────')
         .setTimestamp()
         .setTimestamp();
-    const interval = formatTimeShort(AUTO_RUNNERS.wallet.interval);
+    const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.wallet));
     embed.setFooter({ text: `Torn Sentinel • Auto-Run • Updated every ${interval}` });
 
 
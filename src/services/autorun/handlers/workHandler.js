@@ -5,10 +5,10 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { get } from '../../tornApi.js';
-import { getAllUsers, getUser } from '../../userStorage.js';
 import { formatNumber, formatTimeShort } from '../../../utils/formatters.js';
 import { getUi, getStat, fromDictionary } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
+import { recordWorkProgress } from '../../analytics/workProgress.js';
 
 
 // Company type names by ID (same as /work command)
@@ -46,13 +46,10 @@ function createStarRating(rating) {
 /**
  * Work handler - fetches data and returns embed
  */
-export async function workHandler(client) {
+export async function workHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const discordUserId = Object.keys(users)[0];
-        if (!discordUserId) return null;
+        if (!user?.apiKey) return null;
 
-        const user = users[discordUserId];
         const tornId = user.tornId;
 
         // OPTIMIZED: Reduced from 3 calls to 2
@@ -63,6 +60,8 @@ export async function workHandler(client) {
             get(user.apiKey, 'user', 'workstats,jobpoints')
         ]);
 
+        recordWorkProgress(user.discordId, userData);
+
         // Map v1 response structure to expected format
         // v1 returns workstats fields at root level: manual_labor, intelligence, endurance
         const workstatsData = {
@@ -127,7 +126,7 @@ function buildWorkEmbed(companyData, workstatsData, jobpointsData, tornId) {
         .setDescription('─────────────────────────────────────────────────')
         .setTimestamp()
         .setTimestamp();
-    const interval = formatTimeShort(AUTO_RUNNERS.work.interval);
+    const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.work));
     embed.setFooter({ text: `Torn Sentinel • Auto refresh every ${interval}` });
 
 
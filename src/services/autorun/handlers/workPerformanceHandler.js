@@ -5,21 +5,14 @@
 
 import { EmbedBuilder } from 'discord.js';
 import { getV2 } from '../../tornApi.js';
-import { getAllUsers } from '../../userStorage.js';
 import { getUi } from '../../../localization/index.js';
-import { AUTO_RUNNERS } from '../autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../autoRunRegistry.js';
 import { formatTimeShort } from '../../../utils/formatters.js';
 
 
-export async function workPerformanceHandler(client) {
+export async function workPerformanceHandler(client, user) {
     try {
-        const users = getAllUsers();
-        const userIds = Object.keys(users);
-        if (userIds.length === 0) return null;
-
-        const userId = userIds[0];
-        const user = users[userId];
-        if (!user.apiKey) return null;
+        if (!user?.apiKey) return null;
 
         // v2 for job data (rating, days_in_company only available in v2)
         const jobData = await getV2(user.apiKey, 'user?selections=job');
@@ -63,7 +56,7 @@ export async function workPerformanceHandler(client) {
 
                 { name: getUi('recommendation'), value: `\`\`\`${recommendation}\`\`\``, inline: false }
             )
-        const interval = formatTimeShort(AUTO_RUNNERS.workPerformance.interval);
+        const interval = formatTimeShort(getRunnerInterval(AUTO_RUNNERS.workPerformance));
         embed.setFooter({ text: `Update every ${interval}` })
 
             .setTimestamp();
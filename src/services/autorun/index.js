@@ -2,7 +2,7 @@
  * Auto-Run Module - Main Export
  */
 
-export { startupBootstrap, getBootstrapStatus } from './startupBootstrap.js';
-export { initRuntimeState, forceSaveRuntimeState } from './runtimeStateManager.js';
-export { stopAllSchedulers, getActiveSchedulers, getSchedulerHealth } from './schedulerEngine.js';
-export { AUTO_RUNNERS, INTERVALS } from './autoRunRegistry.js';
+export { startupBootstrap, getBootstrapStatus, getRunnerChannelId } from './startupBootstrap.js';
+export { initRuntimeState, forceSaveRuntimeState, getRunnerSettings, setRunnerSettings, getRunnerState, setRunnerEnabled, setChannelId, setMessageId, setUserChannelId } from './runtimeStateManager.js';
+export { stopAllSchedulers, getActiveSchedulers, getSchedulerHealth, startScheduler, stopScheduler, restartScheduler, triggerTick } from './schedulerEngine.js';
+export { AUTO_RUNNERS, INTERVALS, getRunner, getRunnerInterval } from './autoRunRegistry.js';
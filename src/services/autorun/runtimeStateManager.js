@@ -4,10 +4,7 @@
  * Survives bot restarts
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
-
-const STATE_FILE = './data/runtime-state.json';
+import { getCollection } from '../storage/index.js';
 
 // In-memory cache
 let stateCache = {};
@@ -17,20 +14,8 @@ let stateCache = {};
  */
 export function initRuntimeState() {
     try {
-        const dir = dirname(STATE_FILE);
-        if (!existsSync(dir)) {
-            mkdirSync(dir, { recursive: true });
-        }
-
-        if (existsSync(STATE_FILE)) {
-            const data = readFileSync(STATE_FILE, 'utf8');
-            stateCache = JSON.parse(data);
-            console.log(`📁 Runtime state loaded: ${Object.keys(stateCache).length} runners`);
-        } else {
-            stateCache = {};
-            saveState();
-            console.log('📁 Runtime state initialized (empty)');
-        }
+        stateCache = getCollection('runtime-state').all();
+        console.log(`📁 Runtime state loaded: ${Object.keys(stateCache).length} runners`);
     } catch (error) {
         console.error('❌ Failed to load runtime state:', error.message);
         stateCache = {};
@@ -38,11 +23,11 @@ export function initRuntimeState() {
 }
 
 /**
- * Save state to file
+ * Save state to storage
  */
 function saveState() {
     try {
-        writeFileSync(STATE_FILE, JSON.stringify(stateCache, null, 2));
+        getCollection('runtime-state').replaceAll(stateCache);
     } catch (error) {
         console.error('❌ Failed to save runtime state:', error.message);
     }
@@ -136,6 +121,127 @@ export function setChannelId(key, channelId) {
     saveState();
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// RUNNER SETTINGS (set with /autorun, restored on startup)
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Get a runner's settings
+ * @returns {{channelId: string|null, paused: boolean, interval: number|null}}
+ *          channelId overrides the env channel, interval (ms) the registry interval
+ */
+export function getRunnerSettings(key) {
+    return { channelId: null, paused: false, interval: null, ...stateCache[key]?.settings };
+}
+
+/**
+ * Merge into a runner's settings
+ */
+export function setRunnerSettings(key, settings) {
+    if (!stateCache[key]) {
+        stateCache[key] = { enabled: true };
+    }
+    stateCache[key].settings = { ...getRunnerSettings(key), ...settings };
+    saveState();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PER-USER BINDINGS (perUser runners)
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Get or create the binding entry for a user on a runner
+ */
+function getUserEntry(key, userId) {
+    if (!stateCache[key]) {
+        stateCache[key] = { enabled: true };
+    }
+    if (!stateCache[key].users) {
+        stateCache[key].users = {};
+    }
+    if (!stateCache[key].users[userId]) {
+        stateCache[key].users[userId] = { channelId: null, messageId: null };
+    }
+    return stateCache[key].users[userId];
+}
+
+/**
+ * Get a user's binding for a runner
+ */
+export function getUserBinding(key, userId) {
+    return stateCache[key]?.users?.[userId] || null;
+}
+
+/**
+ * Get stored message ID for a user on a runner
+ */
+export function getUserMessageId(key, userId) {
+    return stateCache[key]?.users?.[userId]?.messageId || null;
+}
+
+/**
+ * Set message ID for a user on a runner
+ */
+export function setUserMessageId(key, userId, messageId) {
+    getUserEntry(key, userId).messageId = messageId;
+    saveState();
+}
+
+/**
+ * Get channel override for a user on a runner
+ */
+export function getUserChannelId(key, userId) {
+    return stateCache[key]?.users?.[userId]?.channelId || null;
+}
+
+/**
+ * Set channel override for a user on a runner
+ * The stored message belongs to the old channel, so it is cleared
+ */
+export function setUserChannelId(key, userId, channelId) {
+    const entry = getUserEntry(key, userId);
+    if (entry.channelId !== channelId) {
+        entry.messageId = null;
+    }
+    entry.channelId = channelId;
+    saveState();
+}
+
+/**
+ * Merge state into a user's binding (lastRun, errors)
+ */
+export function setUserRunnerState(key, userId, state) {
+    Object.assign(getUserEntry(key, userId), state, { updatedAt: Date.now() });
+    saveState();
+}
+
+/**
+ * Move a runner's single-user message ID onto a user's binding
+ * Lets the first user reuse the message created before multi-user support
+ * @returns {string|null} Claimed message ID
+ */
+export function claimLegacyMessageId(key, userId) {
+    const legacyId = stateCache[key]?.messageId;
+    if (!legacyId) return null;
+
+    stateCache[key].messageId = null;
+    getUserEntry(key, userId).messageId = legacyId;
+    saveState();
+    return legacyId;
+}
+
+/**
+ * Remove a user's bindings from every runner
+ */
+export function removeUserBindings(userId) {
+    for (const state of Object.values(stateCache)) {
+        if (state?.users?.[userId]) {
+            delete state.users[userId];
+        }
+    }
+    saveState();
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // UTILITY
 // ═══════════════════════════════════════════════════════════════════
@@ -148,6 +254,7 @@ export function initRunner(key, channelId) {
         enabled: true,
         channelId,
         messageId: null,
+        settings: stateCache[key]?.settings,
         createdAt: Date.now(),
         updatedAt: Date.now()
     };
@@ -8,15 +8,26 @@ import {
     setRunnerState,
     getMessageId,
     setMessageId,
-    isRunnerEnabled
+    isRunnerEnabled,
+    getUserMessageId,
+    setUserMessageId,
+    getUserChannelId,
+    setUserRunnerState,
+    claimLegacyMessageId,
+    getRunnerSettings
 } from './runtimeStateManager.js';
-import { getRunner, INTERVALS } from './autoRunRegistry.js';
-import { getAllUsers } from '../userStorage.js';
+import { getRunner, getRunnerInterval, INTERVALS } from './autoRunRegistry.js';
+import { getRegisteredUsers } from '../userStorage.js';
 import { hasReportedToday, markReportSent } from './dailyReportStateManager.js';
+import { runWithPriority } from '../tornApiQueue.js';
+import { runWithLocale, resolveLocale } from '../../localization/index.js';
 
 // Active schedulers (key -> intervalId)
 const activeSchedulers = new Map();
 
+// Channel each active scheduler posts to (key -> channelId)
+const schedulerChannels = new Map();
+
 // Daily interval threshold (anything >= 12 hours is considered daily)
 const DAILY_INTERVAL_THRESHOLD = 12 * 60 * 60 * 1000;
 
@@ -26,7 +37,7 @@ const handlers = new Map();
 // Discord client reference
 let discordClient = null;
 
-// Error tracking for consecutive failures
+// Error tracking for consecutive failures (runnerKey, or runnerKey:userId for per-user runners)
 const errorCounts = new Map();
 const MAX_CONSECUTIVE_ERRORS = 5;
 
@@ -66,48 +77,122 @@ export async function startScheduler(runnerKey, channelId) {
         return;
     }
 
-    console.log(`▶️ Starting scheduler: ${runner.emoji} ${runner.name} (${runner.interval / 1000}s)`);
+    if (getRunnerSettings(runnerKey).paused) {
+        console.log(`⏸️ Scheduler paused: ${runner.emoji} ${runner.name}`);
+        return;
+    }
+
+    const interval = getRunnerInterval(runner);
+    console.log(`▶️ Starting scheduler: ${runner.emoji} ${runner.name} (${interval / 1000}s)`);
+
+    // Claim the slot before the first tick so a concurrent start is a no-op
+    activeSchedulers.set(runnerKey, null);
+    schedulerChannels.set(runnerKey, channelId);
 
     // Run immediately
     await runTick(runnerKey, runner, handler, channelId);
 
+    // Stopped during the first tick (disabled, channel gone)
+    if (!activeSchedulers.has(runnerKey)) return;
+
     // Then schedule recurring
     const intervalId = setInterval(async () => {
         await runTick(runnerKey, runner, handler, channelId);
-    }, runner.interval);
+    }, interval);
 
     activeSchedulers.set(runnerKey, intervalId);
 }
 
+/**
+ * Restart a scheduler (new channel or interval)
+ */
+export async function restartScheduler(runnerKey, channelId) {
+    stopScheduler(runnerKey);
+    await startScheduler(runnerKey, channelId);
+}
+
+/**
+ * Run one tick of an active scheduler now, outside its interval
+ * @returns {Promise<boolean>} False if the runner is not running
+ */
+export async function triggerTick(runnerKey) {
+    const runner = getRunner(runnerKey);
+    const handler = runner && handlers.get(runner.handler);
+    if (!handler || !activeSchedulers.has(runnerKey)) return false;
+
+    await runTick(runnerKey, runner, handler, schedulerChannels.get(runnerKey));
+    return true;
+}
+
 /**
  * Run a single tick for a runner
+ * Per-user runners tick once for every registered user
  */
 async function runTick(runnerKey, runner, handler, channelId) {
+    // Check if still enabled
+    if (!isRunnerEnabled(runnerKey)) {
+        stopScheduler(runnerKey);
+        return;
+    }
+
+    if (!runner.perUser) {
+        await runTarget(runnerKey, runner, handler, channelId, null);
+        return;
+    }
+
+    for (const user of getRegisteredUsers()) {
+        const userChannelId = getUserChannelId(runnerKey, user.discordId) ||
+            user.channels?.[runnerKey] ||
+            channelId;
+
+        if (!userChannelId && !runner.channelless) continue;
+
+        await runTarget(runnerKey, runner, handler, userChannelId, user);
+    }
+}
+
+/**
+ * Run a runner for one target (the runner itself, or one user of a per-user runner)
+ * @param {object|null} user - Registered user (with discordId) for per-user runners
+ */
+async function runTarget(runnerKey, runner, handler, channelId, user) {
+    const userId = user?.discordId || null;
+    const targetKey = userId ? `${runnerKey}:${userId}` : runnerKey;
+
     try {
-        // Check if still enabled
-        if (!isRunnerEnabled(runnerKey)) {
-            stopScheduler(runnerKey);
+        // Channelless runners only do background work
+        if (runner.channelless) {
+            await runWithPriority(runner.priority || 'normal', () => handler(discordClient, user));
+            markTargetRun(runnerKey, userId);
             return;
         }
 
         // Get channel
         const channel = await discordClient.channels.fetch(channelId).catch(() => null);
         if (!channel) {
-            console.error(`❌ Channel not found for ${runnerKey}: ${channelId}`);
-            setRunnerState(runnerKey, { enabled: false, error: 'Channel not found' });
-            stopScheduler(runnerKey);
+            console.error(`❌ Channel not found for ${targetKey}: ${channelId}`);
+
+            if (userId) {
+                // A user's channel going away shouldn't stop the runner for everyone
+                setUserRunnerState(runnerKey, userId, { lastError: 'Channel not found', lastErrorTime: Date.now() });
+            } else {
+                setRunnerState(runnerKey, { enabled: false, error: 'Channel not found' });
+                stopScheduler(runnerKey);
+            }
             return;
         }
 
         // Check if this is a daily runner that has already reported today
-        const isDailyRunner = runner.interval >= DAILY_INTERVAL_THRESHOLD;
-        if (isDailyRunner && hasReportedToday(runnerKey)) {
+        const isDailyRunner = getRunnerInterval(runner) >= DAILY_INTERVAL_THRESHOLD;
+        if (isDailyRunner && hasReportedToday(targetKey)) {
             // Skip - already reported today
             return;
         }
 
         // Get existing message ID
-        let messageId = getMessageId(runnerKey);
+        let messageId = userId
+            ? getUserMessageId(runnerKey, userId) || claimLegacyMessageId(runnerKey, userId)
+            : getMessageId(runnerKey);
         let message = null;
 
         // Try to fetch existing message
@@ -116,103 +201,116 @@ async function runTick(runnerKey, runner, handler, channelId) {
                 message = await channel.messages.fetch(messageId);
             } catch (fetchError) {
                 // Message deleted or invalid - clear the stored ID
-                console.log(`📝 Message not found for ${runnerKey}, will create new`);
-                setMessageId(runnerKey, null);
+                console.log(`📝 Message not found for ${targetKey}, will create new`);
+                storeMessageId(runnerKey, userId, null);
                 message = null;
             }
         }
 
-        // Fetch primary user (assuming single user for now, or use first registered)
-        // We need to import getUser or getAllUsers from userStorage
-        // But we can't easily import from inside this function without moving imports up.
-        // Let's modify the file to import getAllUsers at top.
-
-        // For now, I will rewrite the whole file to include the import and logic.
-        // ... Wait, I can't just inject here without the import.
-        // I will use `replace_file_content` to add import at top and logic here.
-
-        // This tool call is purely for the logic part. I will assume I add the import in a separate chunk or same call if possible.
-        // `replace_file_content` supports only contiguous block.
-        // I'll make this TWO chunks. One for import, one for logic. 
-        // Oh wait, `replace_file_content` is single block. `multi_replace_file_content` is what I need.
-
-        // Actually, let's just use `multi_replace_file_content` to adding import and modifying runTick.
-        // Get primary user
-        const users = getAllUsers(); // Returns Object { id: user }
-        const userList = Object.values(users);
-        const user = userList.length > 0 ? userList[0] : null;
-
-        // Call handler to get embed content
-        const result = await handler(discordClient, user);
+        // Call handler to get embed content (API calls queued at the runner's priority,
+        // text in the target user's or channel's language)
+        const locale = resolveLocale({ userId, channelId });
+        const result = await runWithLocale(locale, () =>
+            runWithPriority(runner.priority || 'normal', () => handler(discordClient, user)));
 
         if (!result) {
             // Handler returned nothing - it may handle its own messages (e.g., tradeHandler)
             // Still update lastRun to track that it executed successfully
-            setRunnerState(runnerKey, { lastRun: Date.now() });
+            markTargetRun(runnerKey, userId);
             return;
         }
 
         // Handle different return formats:
-        // 1. New format: { embeds: [...], components: [...] }
+        // 1. New format: { embeds: [...], components: [...], files: [...] }
         // 2. Old format: single EmbedBuilder or array of EmbedBuilder
-        let embeds, components = [];
+        let embeds, components = [], files = [];
 
         if (result.embeds && Array.isArray(result.embeds)) {
-            // New format with components
+            // New format with components and attachments (e.g. chart images)
             embeds = result.embeds;
             components = result.components || [];
+            files = result.files || [];
         } else {
             // Old format - single embed or array
             embeds = Array.isArray(result) ? result : [result];
         }
 
         if (message) {
-            // Edit existing message
-            await message.edit({ embeds, components });
+            // Edit existing message (attachments: [] drops the previous files)
+            await message.edit({ embeds, components, files, attachments: [] });
         } else {
             // Create new message
-            const newMessage = await channel.send({ embeds, components });
-            setMessageId(runnerKey, newMessage.id);
-            console.log(`✅ Created new message for ${runnerKey} (${embeds.length} embeds)`);
+            const newMessage = await channel.send({ embeds, components, files });
+            storeMessageId(runnerKey, userId, newMessage.id);
+            console.log(`✅ Created new message for ${targetKey} (${embeds.length} embeds)`);
         }
 
         // Update state
-        setRunnerState(runnerKey, { lastRun: Date.now() });
+        markTargetRun(runnerKey, userId);
 
         // Mark daily reports as sent to prevent duplicates on restart
         if (isDailyRunner) {
-            markReportSent(runnerKey);
+            markReportSent(targetKey);
         }
 
     } catch (error) {
         // Track consecutive errors
-        const errorCount = (errorCounts.get(runnerKey) || 0) + 1;
-        errorCounts.set(runnerKey, errorCount);
+        const errorCount = (errorCounts.get(targetKey) || 0) + 1;
+        errorCounts.set(targetKey, errorCount);
 
-        console.error(`❌ Error in ${runnerKey} tick (${errorCount}/${MAX_CONSECUTIVE_ERRORS}):`, error.message);
+        console.error(`❌ Error in ${targetKey} tick (${errorCount}/${MAX_CONSECUTIVE_ERRORS}):`, error.message);
 
         // Update state with error info
-        setRunnerState(runnerKey, {
+        const errorState = {
             lastError: error.message,
             lastErrorTime: Date.now(),
             errorCount
-        });
+        };
+        if (userId) {
+            setUserRunnerState(runnerKey, userId, errorState);
+        } else {
+            setRunnerState(runnerKey, errorState);
+        }
 
         // If too many consecutive errors, log warning but keep trying
         if (errorCount >= MAX_CONSECUTIVE_ERRORS) {
-            console.warn(`⚠️ ${runnerKey} has failed ${errorCount} times consecutively`);
+            console.warn(`⚠️ ${targetKey} has failed ${errorCount} times consecutively`);
         }
     }
 }
 
+/**
+ * Store the message ID for a runner target
+ */
+function storeMessageId(runnerKey, userId, messageId) {
+    if (userId) {
+        setUserMessageId(runnerKey, userId, messageId);
+    } else {
+        setMessageId(runnerKey, messageId);
+    }
+}
+
+/**
+ * Record a successful run and reset the target's consecutive error count
+ */
+function markTargetRun(runnerKey, userId) {
+    const now = Date.now();
+    errorCounts.delete(userId ? `${runnerKey}:${userId}` : runnerKey);
+
+    setRunnerState(runnerKey, { lastRun: now });
+    if (userId) {
+        setUserRunnerState(runnerKey, userId, { lastRun: now, errorCount: 0 });
+    }
+}
+
 /**
  * Stop a scheduler
  */
 export function stopScheduler(runnerKey) {
-    const intervalId = activeSchedulers.get(runnerKey);
-    if (intervalId) {
-        clearInterval(intervalId);
+    if (activeSchedulers.has(runnerKey)) {
+        clearInterval(activeSchedulers.get(runnerKey));
         activeSchedulers.delete(runnerKey);
+        schedulerChannels.delete(runnerKey);
         console.log(`⏹️ Stopped scheduler: ${runnerKey}`);
     }
 }
@@ -226,6 +324,7 @@ export function stopAllSchedulers() {
         console.log(`⏹️ Stopped scheduler: ${key}`);
     }
     activeSchedulers.clear();
+    schedulerChannels.clear();
 }
 
 /**
@@ -300,7 +399,7 @@ async function checkRunnerHealth(client) {
         if (lastRun === 0) continue;
 
         // Check if dead
-        const expectedNextRun = lastRun + runner.interval;
+        const expectedNextRun = lastRun + getRunnerInterval(runner);
         const deadThreshold = expectedNextRun + TOLERANCE;
 
         if (now > deadThreshold) {
@@ -337,7 +436,7 @@ async function sendDeadRunnerAlert(client, runner, lateSec) {
             description: `**${runner.name}** has stopped updating!`,
             fields: [
                 { name: 'Func ID', value: `\`${runner.key}\``, inline: true },
-                { name: 'Interval', value: `${runner.interval / 1000}s`, inline: true },
+                { name: 'Interval', value: `${getRunnerInterval(runner) / 1000}s`, inline: true },
                 { name: 'Late By', value: `**${lateSec}s**`, inline: true },
                 { name: 'Status', value: '❌ Stalled / Hanging', inline: false }
             ],
@@ -358,10 +457,22 @@ async function sendDeadRunnerAlert(client, runner, lateSec) {
 export function getSchedulerHealth() {
     const health = {};
     for (const key of activeSchedulers.keys()) {
+        // Per-user error counts, keyed by Discord ID
+        const users = {};
+        for (const [targetKey, count] of errorCounts) {
+            if (targetKey.startsWith(`${key}:`)) {
+                users[targetKey.slice(key.length + 1)] = count;
+            }
+        }
+
+        // A per-user runner is as unhealthy as its worst user
+        const errorCount = Math.max(errorCounts.get(key) || 0, ...Object.values(users));
+
         health[key] = {
             running: true,
-            errorCount: errorCounts.get(key) || 0,
-            healthy: (errorCounts.get(key) || 0) < MAX_CONSECUTIVE_ERRORS
+            errorCount,
+            healthy: errorCount < MAX_CONSECUTIVE_ERRORS,
+            users
         };
     }
     // Inject maxActiveRunners info if needed externally?
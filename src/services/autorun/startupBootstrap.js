@@ -3,8 +3,8 @@
  * Initializes and resumes all auto-run channels on bot ready
  */
 
-import { initRuntimeState, setRunnerEnabled, initRunner, isRunnerEnabled } from './runtimeStateManager.js';
-import { getConfiguredRunners, AUTO_RUNNERS, isForeignMarketRunner } from './autoRunRegistry.js';
+import { initRuntimeState, setRunnerEnabled, initRunner, isRunnerEnabled, getUserChannelId, getRunnerSettings } from './runtimeStateManager.js';
+import { getEnabledRunners, getRunnerInterval, AUTO_RUNNERS, isForeignMarketRunner } from './autoRunRegistry.js';
 import { setSchedulerClient, startScheduler, registerHandler, startHealthMonitor } from './schedulerEngine.js';
 
 // Import handlers
@@ -14,6 +14,8 @@ import { gymHandler } from './handlers/gymHandler.js';
 import { workHandler } from './handlers/workHandler.js';
 import { foreignMarketHandlers, createForeignMarketHandler } from './handlers/foreignMarketHandler.js';
 import { companyHandler } from './handlers/companyHandler.js';
+import { companyDirectorHandler } from './handlers/companyDirectorHandler.js';
+import { companyStockHandler } from './handlers/companyStockHandler.js';
 import { bestRouteHandler } from './handlers/bestRouteHandler.js';
 import { profitSummaryHandler } from './handlers/profitSummaryHandler.js';
 import { cooldownHandler } from './handlers/cooldownHandler.js';
@@ -32,7 +34,7 @@ import { financialLogHandler } from './handlers/financialLogHandler.js';
 import { marketAlertHandler } from './handlers/marketAlertHandler.js';
 import { propertyHandler } from './handlers/propertyHandler.js';
 
-import { getAllUsers } from '../userStorage.js';
+import { getRegisteredUsers } from '../userStorage.js';
 import { initLogger, logSystem } from '../system/systemLogger.js';
 import { initAnalytics } from '../analytics/travelAnalyticsService.js';
 import { startGlobalFetchScheduler } from '../yataGlobalCache.js';
@@ -65,6 +67,8 @@ export async function startupBootstrap(client) {
     registerHandler('gymHandler', gymHandler);
     registerHandler('workHandler', workHandler);
     registerHandler('companyHandler', companyHandler);
+    registerHandler('companyDirectorHandler', companyDirectorHandler);
+    registerHandler('companyStockHandler', companyStockHandler);
     registerHandler('bestRouteHandler', bestRouteHandler);
     registerHandler('profitSummaryHandler', profitSummaryHandler);
     registerHandler('cooldownHandler', cooldownHandler);
@@ -93,44 +97,55 @@ export async function startupBootstrap(client) {
         registerHandler(`foreignMarket.${countryKey}`, handler);
     }
 
-    // Get runners that have channel IDs configured
-    const configuredRunners = getConfiguredRunners();
+    // Get runners that have a channel (bound with /autorun or set in env)
+    const configuredRunners = getChannelRunners();
+    const configuredKeys = new Set(configuredRunners.map(r => r.key));
 
-    // === START PERSONAL RUNNERS ===
-    const users = getAllUsers();
+    // Per-user runners may also run only in users' own channels (no env channel)
+    const users = getRegisteredUsers();
+    const userBoundRunners = getEnabledRunners().filter(r =>
+        r.perUser &&
+        !r.channelless &&
+        !configuredKeys.has(r.key) &&
+        users.some(u => u.channels?.[r.key] || getUserChannelId(r.key, u.discordId))
+    );
 
-    for (const user of Object.values(users)) {
-        if (!user.apiKey) continue;
+    // Channelless runners (background work, nothing posted) start without any channel
+    const channellessRunners = getEnabledRunners().filter(r => r.channelless && !configuredKeys.has(r.key));
 
-        if (user.channels?.personalStats) {
-            await startScheduler(
-                `stats:${user.discordId}`,
-                user.channels.personalStats,
-                { user }
-            );
-        }
+    // Start them before the channel check so they run even with no channels set up
+    for (const runner of channellessRunners) {
+        try {
+            if (getRunnerSettings(runner.key).paused) {
+                console.log(`⏸️ ${runner.name} is paused`);
+                continue;
+            }
 
-        if (user.channels?.workStats) {
-            await startScheduler(
-                `work:${user.discordId}`,
-                user.channels.workStats,
-                { user }
-            );
+            setRunnerEnabled(runner.key, true);
+            await startScheduler(runner.key, null);
+        } catch (error) {
+            console.error(`❌ Failed to start ${runner.name}:`, error.message);
         }
     }
 
-    if (configuredRunners.length === 0) {
-        console.log('⚠️ No auto-run channels configured. Set channel IDs in .env');
+    if (configuredRunners.length === 0 && userBoundRunners.length === 0) {
+        console.log('⚠️ No auto-run channels configured. Set channel IDs in .env or use /autorun bind');
         console.log('   Available: WALLET_CHANNEL_ID, FM_JAPAN_CHANNEL_ID, etc.');
         return;
     }
 
-    console.log(`📋 Found ${configuredRunners.length} configured auto-run channels`);
+    console.log(`📋 Found ${configuredRunners.length} configured auto-run channels (${users.length} registered users)`);
 
     // Start each configured runner
     for (const runner of configuredRunners) {
         try {
-            const channelId = process.env[runner.channelEnvKey];
+            const channelId = getRunnerChannelId(runner);
+
+            // Paused with /autorun - stays stopped until resumed
+            if (getRunnerSettings(runner.key).paused) {
+                console.log(`⏸️ ${runner.name} is paused`);
+                continue;
+            }
 
             // Validate channel exists
             const channel = await client.channels.fetch(channelId).catch(() => null);
@@ -153,6 +168,21 @@ export async function startupBootstrap(client) {
         }
     }
 
+    // Start per-user runners that only have user channel bindings
+    for (const runner of userBoundRunners) {
+        try {
+            if (getRunnerSettings(runner.key).paused) {
+                console.log(`⏸️ ${runner.name} is paused`);
+                continue;
+            }
+
+            setRunnerEnabled(runner.key, true);
+            await startScheduler(runner.key, null);
+        } catch (error) {
+            console.error(`❌ Failed to start ${runner.name}:`, error.message);
+        }
+    }
+
 
     // Start Health Monitor (Watch dog)
     startHealthMonitor(client);
@@ -160,11 +190,28 @@ export async function startupBootstrap(client) {
     console.log('✅ Auto-Run Bootstrap complete!\n');
 }
 
+/**
+ * Channel a runner posts to: the /autorun binding, else its env channel
+ * @returns {string|null}
+ */
+export function getRunnerChannelId(runner) {
+    return getRunnerSettings(runner.key).channelId ||
+        (runner.channelEnvKey && process.env[runner.channelEnvKey]) ||
+        null;
+}
+
+/**
+ * Get enabled runners that have a channel
+ */
+function getChannelRunners() {
+    return getEnabledRunners().filter(r => getRunnerChannelId(r));
+}
+
 /**
  * Get bootstrap status for display
  */
 export function getBootstrapStatus() {
-    const configuredRunners = getConfiguredRunners();
+    const configuredRunners = getChannelRunners();
 
     return {
         totalRunners: Object.keys(AUTO_RUNNERS).length,
@@ -172,8 +219,8 @@ export function getBootstrapStatus() {
         runners: configuredRunners.map(r => ({
             key: r.key,
             name: r.name,
-            channelId: process.env[r.channelEnvKey] || 'Not configured',
-            interval: r.interval
+            channelId: getRunnerChannelId(r) || 'Not configured',
+            interval: getRunnerInterval(r)
         }))
     };
 }
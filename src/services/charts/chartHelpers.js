@@ -0,0 +1,33 @@
+/**
+ * Chart Helpers
+ * Axis steps and legend drawing shared by the raster charts
+ */
+
+/**
+ * Round step (1, 2 or 5 x 10^n) giving about `count` ticks
+ * @param {number} range - Value range covered by the axis
+ * @param {number} count - Ticks wanted
+ * @returns {number}
+ */
+export function niceStep(range, count) {
+    const raw = range / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const residual = raw / magnitude;
+    const factor = residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1;
+    return factor * magnitude;
+}
+
+/**
+ * Colour keys in a row, left to right from x = 16
+ * @param {Object} raster - From createRaster()
+ * @param {Array<{label: string, color: number}>} entries
+ * @param {Object} options - { y, textColor }
+ */
+export function drawLegend(raster, entries, { y, textColor }) {
+    let x = 16;
+    for (const { label, color } of entries) {
+        raster.fillRect(x, y, 14, 14, color);
+        raster.text(x + 20, y, label, textColor, { scale: 2 });
+        x += 20 + raster.measureText(label, 2) + 18;
+    }
+}
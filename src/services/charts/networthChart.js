@@ -0,0 +1,247 @@
+/**
+ * Networth Chart
+ * PNG charts of networth snapshots: the total over time, or the total split
+ * into stacked categories (liquid, inventory, market listings, other assets)
+ * with liabilities below zero. Rendered locally by the raster module
+ */
+
+import { createRaster } from './raster.js';
+import { niceStep, drawLegend } from './chartHelpers.js';
+import { getSnapshotsSince } from '../analytics/networthSnapshotStorage.js';
+import { formatCompact } from '../../utils/formatters.js';
+import { getUi } from '../../localization/index.js';
+
+export const CHART_PERIODS = [7, 30, 90];
+export const CHART_TYPES = ['total', 'stack'];
+
+// Networth breakdown keys per stacked category (bottom to top)
+export const CHART_GROUPS = {
+    liquid: { color: 0x2ECC71, keys: ['wallet', 'bank', 'cayman', 'piggybank', 'vault', 'points'] },
+    inventory: { color: 0xE67E22, keys: ['items', 'displaycase'] },
+    market: { color: 0x9B59B6, keys: ['bazaar', 'itemmarket', 'auctionhouse', 'trade'] },
+    other: { color: 0x3498DB, keys: ['properties', 'stockmarket', 'company', 'bookie'] },
+    liabilities: { color: 0xE74C3C, keys: ['loan', 'unpaidfees'], negative: true }
+};
+
+const WIDTH = 800;
+const HEIGHT = 480;
+const PLOT = { left: 112, right: WIDTH - 24, top: 84, bottom: HEIGHT - 70 };
+
+const COLORS = {
+    background: 0x2B2D31,
+    grid: 0x3F4147,
+    axis: 0x80848E,
+    text: 0xDBDEE1,
+    line: 0x58ACFF,
+    area: 0x2C3E57,
+    stackLine: 0xFFFFFF,
+    up: 0x2ECC71,
+    down: 0xE74C3C
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// SERIES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Category values of a snapshot (liabilities negative)
+ */
+function groupValues(snapshot) {
+    const breakdown = snapshot.breakdown || {};
+    const values = {};
+
+    for (const [key, group] of Object.entries(CHART_GROUPS)) {
+        const sum = group.keys.reduce((total, k) => total + (breakdown[k] || 0), 0);
+        values[key] = group.negative ? -Math.abs(sum) : Math.max(0, sum);
+    }
+
+    return values;
+}
+
+/**
+ * Value of each series at a time, interpolated between the surrounding points
+ */
+function interpolate(points, time) {
+    let i = points.findIndex(p => p.timestamp >= time);
+    if (i <= 0) return points[i === 0 ? 0 : points.length - 1];
+
+    const a = points[i - 1];
+    const b = points[i];
+    const f = (time - a.timestamp) / (b.timestamp - a.timestamp);
+    const mix = (x, y) => x + (y - x) * f;
+
+    const groups = {};
+    for (const key of Object.keys(a.groups)) groups[key] = mix(a.groups[key], b.groups[key]);
+    return { timestamp: time, total: mix(a.total, b.total), groups };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// AXES
+// ═══════════════════════════════════════════════════════════════════
+
+function moneyLabel(value) {
+    return value < 0 ? `-$${formatCompact(-value)}` : `$${formatCompact(value)}`;
+}
+
+function dateLabel(timestamp) {
+    return new Date(timestamp).toISOString().slice(5, 10);
+}
+
+function drawAxes(raster, scale, fromTime, toTime) {
+    const { min, max, step } = scale;
+
+    const ticks = Math.round((max - min) / step);
+    for (let i = 0; i <= ticks; i++) {
+        const value = min + i * step;
+        const y = scale.y(value);
+        raster.line(PLOT.left, y, PLOT.right, y, value === 0 ? COLORS.axis : COLORS.grid);
+        raster.text(PLOT.left - 8, y - 7, moneyLabel(value), COLORS.text, { scale: 2, align: 'right' });
+    }
+
+    // Date labels, evenly spread
+    const labels = 6;
+    for (let i = 0; i < labels; i++) {
+        const time = fromTime + ((toTime - fromTime) * i) / (labels - 1);
+        const x = PLOT.left + ((PLOT.right - PLOT.left) * i) / (labels - 1);
+        const align = i === 0 ? 'left' : i === labels - 1 ? 'right' : 'center';
+        raster.line(x, PLOT.bottom, x, PLOT.bottom + 4, COLORS.axis);
+        raster.text(x, PLOT.bottom + 10, dateLabel(time), COLORS.text, { scale: 2, align });
+    }
+
+    raster.line(PLOT.left, PLOT.top, PLOT.left, PLOT.bottom, COLORS.axis);
+}
+
+/**
+ * Y scale with round bounds covering min..max
+ */
+function createScale(min, max) {
+    if (min === max) {
+        const pad = Math.abs(min) * 0.05 || 1;
+        min -= pad;
+        max += pad;
+    }
+
+    const step = niceStep(max - min, 5);
+    const lo = Math.floor(min / step) * step;
+    const hi = Math.ceil(max / step) * step;
+
+    return {
+        min: lo,
+        max: hi,
+        step,
+        y: value => PLOT.bottom - ((value - lo) / (hi - lo)) * (PLOT.bottom - PLOT.top)
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RENDER
+// ═══════════════════════════════════════════════════════════════════
+
+function drawHeader(raster, points, days, type) {
+    const first = points[0].total;
+    const last = points[points.length - 1].total;
+    const change = last - first;
+
+    raster.text(16, 16, `Networth ${type === 'stack' ? 'by category' : ''}`.trim(), COLORS.text, { scale: 3 });
+    raster.text(16, 50, `Last ${days} days`, COLORS.axis, { scale: 2 });
+
+    raster.text(WIDTH - 16, 16, moneyLabel(last), COLORS.text, { scale: 3, align: 'right' });
+    raster.text(WIDTH - 16, 50, `${change >= 0 ? '+' : ''}${moneyLabel(change)}`, change >= 0 ? COLORS.up : COLORS.down, { scale: 2, align: 'right' });
+}
+
+function drawTotalLine(raster, points, scale, timeToX, color) {
+    for (let i = 1; i < points.length; i++) {
+        raster.line(timeToX(points[i - 1].timestamp), scale.y(points[i - 1].total),
+            timeToX(points[i].timestamp), scale.y(points[i].total), color, 3);
+    }
+    if (points.length <= 31) {
+        for (const point of points) {
+            raster.fillRect(timeToX(point.timestamp) - 3, scale.y(point.total) - 3, 7, 7, color);
+        }
+    }
+}
+
+/**
+ * Render a networth chart
+ * @param {Array<Object>} snapshots - Networth snapshots ({ timestamp, total, breakdown }), any order
+ * @param {Object} options - { type: 'total' | 'stack', days }
+ * @returns {Buffer|null} PNG, or null with fewer than two snapshots
+ */
+export function renderNetworthChart(snapshots, { type = 'total', days = 30 } = {}) {
+    const points = [...snapshots]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(s => ({ timestamp: s.timestamp, total: s.total || 0, groups: groupValues(s) }));
+
+    if (points.length < 2) return null;
+
+    const fromTime = points[0].timestamp;
+    const toTime = points[points.length - 1].timestamp;
+    const timeToX = time => PLOT.left + ((time - fromTime) / (toTime - fromTime || 1)) * (PLOT.right - PLOT.left);
+
+    const raster = createRaster(WIDTH, HEIGHT, COLORS.background);
+    const stackKeys = Object.keys(CHART_GROUPS).filter(k => !CHART_GROUPS[k].negative);
+
+    let scale;
+    if (type === 'stack') {
+        const highs = points.map(p => stackKeys.reduce((sum, k) => sum + p.groups[k], 0));
+        const lows = points.map(p => p.groups.liabilities);
+        scale = createScale(Math.min(0, ...lows), Math.max(0, ...highs, ...points.map(p => p.total)));
+    } else {
+        const totals = points.map(p => p.total);
+        scale = createScale(Math.min(...totals), Math.max(...totals));
+    }
+
+    drawAxes(raster, scale, fromTime, toTime);
+    drawHeader(raster, points, days, type);
+
+    // One column per pixel, values interpolated between snapshots
+    for (let x = PLOT.left + 1; x <= PLOT.right; x++) {
+        const time = fromTime + ((x - PLOT.left) / (PLOT.right - PLOT.left)) * (toTime - fromTime);
+        const point = interpolate(points, time);
+
+        if (type === 'stack') {
+            let base = 0;
+            for (const key of stackKeys) {
+                const top = base + point.groups[key];
+                raster.line(x, scale.y(base), x, scale.y(top), CHART_GROUPS[key].color);
+                base = top;
+            }
+            if (point.groups.liabilities < 0) {
+                raster.line(x, scale.y(0), x, scale.y(point.groups.liabilities), CHART_GROUPS.liabilities.color);
+            }
+        } else {
+            raster.line(x, scale.y(point.total), x, PLOT.bottom - 1, COLORS.area);
+        }
+    }
+
+    const lineColor = type === 'stack' ? COLORS.stackLine : COLORS.line;
+    drawTotalLine(raster, points, scale, timeToX, lineColor);
+    drawLegend(raster, [
+        { label: getUi('chart_total'), color: lineColor },
+        ...(type === 'stack' ? Object.entries(CHART_GROUPS).map(([key, group]) => ({ label: getUi(`chart_${key}`), color: group.color })) : [])
+    ], { y: HEIGHT - 26, textColor: COLORS.text });
+
+    return raster.toPng();
+}
+
+/**
+ * Chart of a user's stored snapshots
+ * @param {string} userId - Discord user ID
+ * @param {Object} options - { type, days, current } where `current` is a live snapshot
+ *                            drawn as the newest point
+ * @returns {{buffer: Buffer, name: string, points: number}|null} PNG, attachment file name and points drawn
+ */
+export function buildNetworthChart(userId, { type = 'total', days = 30, current = null } = {}) {
+    // Finest resolution for the period; daily when there are no hourly samples yet
+    let snapshots = getSnapshotsSince(userId, days);
+    if (snapshots.length < 2) snapshots = getSnapshotsSince(userId, days, 'daily');
+
+    const latest = snapshots[snapshots.length - 1];
+
+    if (current && (!latest || Date.now() - latest.timestamp > 60 * 1000)) {
+        snapshots.push({ ...current, timestamp: Date.now() });
+    }
+
+    const buffer = renderNetworthChart(snapshots, { type, days });
+    return buffer ? { buffer, name: `networth-${type}-${days}d.png`, points: snapshots.length } : null;
+}
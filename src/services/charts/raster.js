@@ -0,0 +1,220 @@
+/**
+ * Raster
+ * Minimal RGB drawing surface for charts rendered without native canvas
+ * dependencies: rectangles, thick lines, a 5x7 bitmap font and PNG output
+ * (zlib from Node core does the compression)
+ */
+
+import { deflateSync } from 'zlib';
+
+// ═══════════════════════════════════════════════════════════════════
+// FONT (5x7, one hex value per row, bit 4 = leftmost pixel)
+// ═══════════════════════════════════════════════════════════════════
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+const FONT = {
+    '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+    '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+    '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+    '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+    '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+    '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+    '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+    '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+    'A': [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+    'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+    'D': [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+    'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+    'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+    'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+    'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+    'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+    'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+    'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+    'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+    'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+    'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+    'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+    'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+    'Y': [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+    'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+    ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+    '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+    ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+    '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+    '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+    '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+    ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+    '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+    '$': [0x04, 0x0F, 0x14, 0x0E, 0x05, 0x1E, 0x04],
+    '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+    ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08]
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// PNG
+// ═══════════════════════════════════════════════════════════════════
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode 8-bit RGB pixels as a PNG
+ * @param {number} width
+ * @param {number} height
+ * @param {Buffer} pixels - width * height * 3 bytes
+ * @returns {Buffer}
+ */
+export function encodePng(width, height, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // colour type: RGB
+
+    // Each scanline starts with filter type 0 (none)
+    const stride = width * 3;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// DRAWING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Create a drawing surface
+ * Colours are 0xRRGGBB numbers, like embed colours
+ * @param {number} width
+ * @param {number} height
+ * @param {number} background
+ */
+export function createRaster(width, height, background = 0x000000) {
+    const pixels = Buffer.alloc(width * height * 3);
+
+    function setPixel(x, y, color) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+        const i = (y * width + x) * 3;
+        pixels[i] = (color >> 16) & 0xFF;
+        pixels[i + 1] = (color >> 8) & 0xFF;
+        pixels[i + 2] = color & 0xFF;
+    }
+
+    function fillRect(x, y, w, h, color) {
+        const x0 = Math.max(0, Math.round(x));
+        const y0 = Math.max(0, Math.round(y));
+        const x1 = Math.min(width, Math.round(x + w));
+        const y1 = Math.min(height, Math.round(y + h));
+        for (let py = y0; py < y1; py++) {
+            for (let px = x0; px < x1; px++) setPixel(px, py, color);
+        }
+    }
+
+    /**
+     * Straight line (Bresenham) with a square brush
+     */
+    function line(x0, y0, x1, y1, color, thickness = 1) {
+        x0 = Math.round(x0); y0 = Math.round(y0);
+        x1 = Math.round(x1); y1 = Math.round(y1);
+
+        const dx = Math.abs(x1 - x0), sx = x0 < x1 ? 1 : -1;
+        const dy = -Math.abs(y1 - y0), sy = y0 < y1 ? 1 : -1;
+        const offset = Math.floor((thickness - 1) / 2);
+        let err = dx + dy;
+
+        for (;;) {
+            fillRect(x0 - offset, y0 - offset, thickness, thickness, color);
+            if (x0 === x1 && y0 === y1) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x0 += sx; }
+            if (e2 <= dx) { err += dx; y0 += sy; }
+        }
+    }
+
+    /**
+     * Width of a string in pixels
+     */
+    function measureText(text, scale = 1) {
+        const length = String(text).length;
+        return length > 0 ? (length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+    }
+
+    /**
+     * Draw text (upper case; unknown characters are skipped as spaces)
+     * @param {Object} options - { scale, align: 'left' | 'center' | 'right' }
+     */
+    function text(x, y, str, color, { scale = 1, align = 'left' } = {}) {
+        const value = String(str).toUpperCase();
+        const textWidth = measureText(value, scale);
+        let cursor = align === 'right' ? x - textWidth : align === 'center' ? x - textWidth / 2 : x;
+        cursor = Math.round(cursor);
+
+        for (const char of value) {
+            const glyph = FONT[char] || FONT[' '];
+            for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                for (let col = 0; col < GLYPH_WIDTH; col++) {
+                    if (glyph[row] & (1 << (GLYPH_WIDTH - 1 - col))) {
+                        fillRect(cursor + col * scale, y + row * scale, scale, scale, color);
+                    }
+                }
+            }
+            cursor += (GLYPH_WIDTH + 1) * scale;
+        }
+    }
+
+    fillRect(0, 0, width, height, background);
+
+    return {
+        width,
+        height,
+        setPixel,
+        fillRect,
+        line,
+        text,
+        measureText,
+        textHeight: scale => GLYPH_HEIGHT * scale,
+        toPng: () => encodePng(width, height, pixels)
+    };
+}
@@ -0,0 +1,99 @@
+/**
+ * Working Stats Chart
+ * PNG bar chart of working stat gains per day (manual labor, intelligence and
+ * endurance stacked). Rendered locally by the raster module
+ */
+
+import { createRaster } from './raster.js';
+import { niceStep, drawLegend } from './chartHelpers.js';
+import { WORK_STATS, getWorkHistory, getDailyGains } from '../analytics/workProgress.js';
+import { formatCompact } from '../../utils/formatters.js';
+
+export const CHART_PERIODS = [7, 30, 90];
+
+export const STAT_SERIES = {
+    manual_labor: { label: 'Manual', color: 0xE67E22 },
+    intelligence: { label: 'Intelligence', color: 0x58ACFF },
+    endurance: { label: 'Endurance', color: 0x2ECC71 }
+};
+
+const WIDTH = 800;
+const HEIGHT = 480;
+const PLOT = { left: 88, right: WIDTH - 24, top: 84, bottom: HEIGHT - 70 };
+
+const COLORS = {
+    background: 0x2B2D31,
+    grid: 0x3F4147,
+    axis: 0x80848E,
+    text: 0xDBDEE1
+};
+
+/**
+ * Render daily gains
+ * @param {Array<Object>} gains - From getDailyGains()
+ * @param {Object} options - { days }
+ * @returns {Buffer|null} PNG, or null without any day to draw
+ */
+export function renderWorkStatsChart(gains, { days = 30 } = {}) {
+    if (gains.length === 0) return null;
+
+    const totals = gains.map(day => WORK_STATS.reduce((sum, stat) => sum + day.gains[stat], 0));
+    const step = niceStep(Math.max(...totals, 1), 5);
+    const max = Math.ceil(Math.max(...totals, 1) / step) * step;
+    const y = value => PLOT.bottom - (value / max) * (PLOT.bottom - PLOT.top);
+
+    const raster = createRaster(WIDTH, HEIGHT, COLORS.background);
+
+    for (let value = 0; value <= max; value += step) {
+        raster.line(PLOT.left, y(value), PLOT.right, y(value), value === 0 ? COLORS.axis : COLORS.grid);
+        raster.text(PLOT.left - 8, y(value) - 7, formatCompact(value), COLORS.text, { scale: 2, align: 'right' });
+    }
+    raster.line(PLOT.left, PLOT.top, PLOT.left, PLOT.bottom, COLORS.axis);
+
+    // One bar per recorded day
+    const slot = (PLOT.right - PLOT.left) / gains.length;
+    const barWidth = Math.max(Math.floor(slot * 0.7), 1);
+    gains.forEach((day, i) => {
+        const x = Math.round(PLOT.left + slot * i + (slot - barWidth) / 2);
+        let base = 0;
+        for (const stat of WORK_STATS) {
+            const top = base + day.gains[stat];
+            const height = Math.round(y(base) - y(top));
+            if (height > 0) raster.fillRect(x, Math.round(y(top)), barWidth, height, STAT_SERIES[stat].color);
+            base = top;
+        }
+    });
+
+    // Date labels, evenly spread
+    const labels = Math.min(6, gains.length);
+    for (let i = 0; i < labels; i++) {
+        const index = labels === 1 ? 0 : Math.round(((gains.length - 1) * i) / (labels - 1));
+        const x = PLOT.left + slot * index + slot / 2;
+        raster.text(x, PLOT.bottom + 10, gains[index].date.slice(5), COLORS.text, { scale: 2, align: 'center' });
+    }
+
+    // Bars show per-day averages; a bar after a gap stands for several days
+    const spanned = gains.reduce((sum, day) => sum + day.days, 0);
+    const gained = totals.reduce((sum, value, i) => sum + value * gains[i].days, 0);
+    raster.text(16, 16, 'Working stats gained', COLORS.text, { scale: 3 });
+    raster.text(16, 50, `Last ${days} days`, COLORS.axis, { scale: 2 });
+    raster.text(WIDTH - 16, 16, `+${formatCompact(gained)}`, COLORS.text, { scale: 3, align: 'right' });
+    raster.text(WIDTH - 16, 50, `${formatCompact(gained / spanned)} per day`, COLORS.axis, { scale: 2, align: 'right' });
+
+    drawLegend(raster, Object.values(STAT_SERIES), { y: HEIGHT - 26, textColor: COLORS.text });
+
+    return raster.toPng();
+}
+
+/**
+ * Chart of a user's recorded days
+ * @param {string} userId - Discord user ID
+ * @param {Object} options - { days }
+ * @returns {{buffer: Buffer, name: string, points: number}|null} PNG, attachment file name and days drawn
+ */
+export function buildWorkStatsChart(userId, { days = 30 } = {}) {
+    // One extra day so the first day of the period has a gain
+    const gains = getDailyGains(getWorkHistory(userId, days + 1)).slice(-days);
+    const buffer = renderWorkStatsChart(gains, { days });
+    return buffer ? { buffer, name: `workstats-${days}d.png`, points: gains.length } : null;
+}
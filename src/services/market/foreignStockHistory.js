@@ -0,0 +1,206 @@
+/**
+ * Foreign Stock History - Time Series per (Country, Item)
+ * Every YATA export is appended to a compact series (a sample is only
+ * stored when stock or price changes), stock jumps are recorded as
+ * restocks and the median gap between restocks gives the next-restock
+ * projection shown in the foreign market embeds and market alerts.
+ * Stock drops give the depletion rate used by the travel planner
+ */
+
+import { getCollection } from '../storage/index.js';
+
+const SAMPLE_RETENTION_MS = 14 * 24 * 60 * 60 * 1000;   // 14 days of samples
+const RESTOCK_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;  // Restocks kept longer for intervals
+const MAX_SAMPLES = 2000;                               // Per series
+const MAX_RESTOCKS = 200;                               // Per series
+const RESTOCK_MIN_JUMP = 10;                            // Stock only goes up on a restock
+const MIN_RESTOCK_GAP = 5 * 60 * 1000;                  // Closer jumps are one refill seen twice
+const MIN_RATE_WINDOW_MINUTES = 5;                      // Shortest history for a depletion rate
+
+// Last YATA update recorded per country (skips unchanged exports)
+const lastCountryUpdate = new Map();
+
+/**
+ * History collection ("<country>:<itemId>" -> series)
+ * series = { name, samples: [[ts, quantity, cost]], restocks: [[ts, from, to]] }
+ */
+function getStore() {
+    return getCollection('foreign-stock-history');
+}
+
+function seriesKey(countryCode, itemId) {
+    return `${countryCode}:${itemId}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RECORDING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Append an observation to a series
+ * @returns {object|null} Restock detected by this observation
+ */
+function appendSample(series, item, timestamp) {
+    const last = series.samples[series.samples.length - 1];
+    if (last && timestamp <= last[0]) return null;
+    if (last && last[1] === item.quantity && last[2] === item.cost) return null;
+
+    series.samples.push([timestamp, item.quantity, item.cost]);
+    series.name = item.name;
+
+    if (!last || item.quantity - last[1] < RESTOCK_MIN_JUMP) return null;
+
+    const restock = [timestamp, last[1], item.quantity];
+    const previous = series.restocks[series.restocks.length - 1];
+    if (previous && timestamp - previous[0] < MIN_RESTOCK_GAP) {
+        // Same refill seen across two exports - keep the first time, latest amount
+        previous[2] = item.quantity;
+        return null;
+    }
+
+    series.restocks.push(restock);
+    return restock;
+}
+
+/**
+ * Drop samples and restocks outside retention (always keeps the newest sample)
+ */
+function pruneSeries(series, now) {
+    const cutoff = now - SAMPLE_RETENTION_MS;
+
+    const firstKept = series.samples.findIndex(s => s[0] >= cutoff);
+    const start = firstKept === -1 ? series.samples.length - 1 : firstKept;
+    series.samples = series.samples.slice(Math.max(start, series.samples.length - MAX_SAMPLES, 0));
+    series.restocks = series.restocks
+        .filter(r => r[0] >= now - RESTOCK_RETENTION_MS)
+        .slice(-MAX_RESTOCKS);
+}
+
+/**
+ * Record one YATA export
+ * @param {object} snapshots - { countryCode: { timestamp, items: [{ id, name, cost, quantity }] } }
+ * @returns {Array<object>} Restocks detected ({ country, itemId, name, from, to, timestamp })
+ */
+export function recordStockSnapshots(snapshots) {
+    const store = getStore();
+    const changed = {};
+    const restocks = [];
+    const now = Date.now();
+
+    for (const [countryCode, { timestamp, items }] of Object.entries(snapshots)) {
+        if (lastCountryUpdate.get(countryCode) === timestamp) continue;
+        lastCountryUpdate.set(countryCode, timestamp);
+
+        for (const item of items) {
+            const key = seriesKey(countryCode, item.id);
+            const series = store.get(key) || { name: item.name, samples: [], restocks: [] };
+            const sampleCount = series.samples.length;
+
+            const restock = appendSample(series, item, timestamp);
+            if (series.samples.length === sampleCount) continue;
+
+            if (restock) {
+                restocks.push({ country: countryCode, itemId: item.id, name: item.name, from: restock[1], to: restock[2], timestamp });
+            }
+
+            pruneSeries(series, now);
+            changed[key] = series;
+        }
+    }
+
+    if (Object.keys(changed).length > 0) {
+        store.setMany(changed);
+    }
+
+    return restocks;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// QUERIES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Stock/price samples for an item
+ * @param {string} countryCode - YATA country code (e.g. 'jap')
+ * @param {number} itemId
+ * @param {number} since - Only samples after this time (ms)
+ * @returns {Array<{timestamp: number, quantity: number, cost: number}>}
+ */
+export function getStockHistory(countryCode, itemId, since = 0) {
+    const series = getStore().get(seriesKey(countryCode, itemId));
+    if (!series) return [];
+
+    return series.samples
+        .filter(s => s[0] >= since)
+        .map(([timestamp, quantity, cost]) => ({ timestamp, quantity, cost }));
+}
+
+/**
+ * Restock estimate for an item
+ * @param {string} countryCode - YATA country code (e.g. 'jap')
+ * @param {number} itemId
+ * @param {number} now - Reference time (ms)
+ * @returns {object|null} { lastRestock, lastAmount, interval, nextRestock, overdue, restockCount },
+ *          interval/nextRestock are null until two restocks have been seen
+ */
+export function getRestockEstimate(countryCode, itemId, now = Date.now()) {
+    const series = getStore().get(seriesKey(countryCode, itemId));
+    if (!series || series.restocks.length === 0) return null;
+
+    const times = series.restocks.map(r => r[0]);
+    const gaps = times.slice(1).map((t, i) => t - times[i]);
+    const interval = gaps.length > 0 ? median(gaps) : null;
+
+    const last = series.restocks[series.restocks.length - 1];
+    const nextRestock = interval ? last[0] + interval : null;
+
+    return {
+        lastRestock: last[0],
+        lastAmount: last[2],
+        interval,
+        nextRestock,
+        overdue: nextRestock !== null && nextRestock < now,
+        restockCount: times.length
+    };
+}
+
+/**
+ * How fast an item is being bought (items per minute)
+ * Sums the stock drops over the window; restocks are ignored
+ * @param {string} countryCode - YATA country code (e.g. 'jap')
+ * @param {number} itemId
+ * @param {number} windowMs - Look-back window (default 1 hour)
+ * @param {number} now - Reference time (ms)
+ * @returns {number|null} Null if there is too little history
+ */
+export function getDepletionRate(countryCode, itemId, windowMs = 60 * 60 * 1000, now = Date.now()) {
+    const series = getStore().get(seriesKey(countryCode, itemId));
+    if (!series || series.samples.length === 0) return null;
+
+    const windowStart = now - windowMs;
+
+    // Last sample before the window is the baseline stock at its start
+    let first = series.samples.findIndex(s => s[0] >= windowStart);
+    if (first === -1) first = series.samples.length;
+    const baseline = Math.max(first - 1, 0);
+
+    const elapsedMinutes = (now - Math.max(windowStart, series.samples[baseline][0])) / 60000;
+    if (elapsedMinutes < MIN_RATE_WINDOW_MINUTES) return null;
+
+    let sold = 0;
+    for (let i = baseline + 1; i < series.samples.length; i++) {
+        const drop = series.samples[i - 1][1] - series.samples[i][1];
+        if (drop > 0) sold += drop;
+    }
+
+    return sold / elapsedMinutes;
+}
+
+/**
+ * Median of a list of numbers (gaps that span a missed restock don't skew it)
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
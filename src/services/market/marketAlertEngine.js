@@ -4,8 +4,10 @@ import { getAllAlerts, saveAlertState } from './marketAlertStorage.js';
 import { getAllUsers } from '../userStorage.js';
 import { get } from '../tornApi.js';
 import { getCountryData, getAllCountriesData } from '../yataGlobalCache.js';
-import { formatMoney } from '../../utils/formatters.js';
+import { formatMoney, formatTime } from '../../utils/formatters.js';
 import { getRecentTrades } from '../trade/tradeHistoryStorage.js';
+import { getRestockEstimate } from './foreignStockHistory.js';
+import { getCountryCodeByName } from '../autorun/handlers/foreignMarketHandler.js';
 
 // Travel Cache to avoid spamming API if we have many alerts per user
 const travelCache = {};
@@ -64,7 +66,7 @@ export async function processAlerts(client) {
             if (stock !== null) alert.lastStock = stock.quantity;
         }
 
-        if (dirty) saveAlertState();
+        if (dirty) saveAlertState(userId);
     }
 }
 
@@ -203,16 +205,34 @@ async function checkPurchase(alert, userId) {
 }
 
 function getStock(allData, countryName, itemId) {
-    const countryKey = Object.keys(allData).find(k => k.toLowerCase() === countryName.toLowerCase());
-    if (!countryKey) return null;
+    const countryCode = getCountryCodeByName(countryName);
+    if (!countryCode) return null;
 
-    const countryData = allData[countryKey];
-    if (!countryData || !countryData.stocks) return null;
+    const items = allData.countries?.[countryCode];
+    if (!items) return null;
 
-    const item = countryData.stocks.find(i => i.id === itemId);
+    const item = items.find(i => i.id === itemId);
     return item || { quantity: 0, cost: 0 };
 }
 
+/**
+ * Restock projection fields for an alert embed (empty until intervals are known)
+ */
+function getRestockFields(alert) {
+    const countryCode = getCountryCodeByName(alert.country);
+    const estimate = countryCode ? getRestockEstimate(countryCode, alert.itemId) : null;
+    if (!estimate?.nextRestock) return [];
+
+    const next = estimate.overdue
+        ? `Overdue (expected <t:${Math.floor(estimate.nextRestock / 1000)}:R>)`
+        : `<t:${Math.floor(estimate.nextRestock / 1000)}:R>`;
+
+    return [
+        { name: 'Restocks Every', value: `~${formatTime(Math.round(estimate.interval / 1000))}`, inline: true },
+        { name: 'Next Restock', value: next, inline: true }
+    ];
+}
+
 async function sendAlertNotification(client, userId, alert, type) {
     try {
         const user = getAllUsers()[userId];
@@ -236,7 +256,8 @@ async function sendAlertNotification(client, userId, alert, type) {
                         { name: 'Country', value: alert.country, inline: true },
                         { name: 'Stock', value: `${data.quantity}`, inline: true },
                         { name: 'Price', value: `$${formatMoney(data.cost)}`, inline: true },
-                        { name: 'Detected', value: `<t:${Math.floor(Date.now() / 1000)}:R>`, inline: false }
+                        { name: 'Detected', value: `<t:${Math.floor(Date.now() / 1000)}:R>`, inline: false },
+                        ...getRestockFields(alert)
                     )
                     .setTimestamp();
                 break;
@@ -251,7 +272,8 @@ async function sendAlertNotification(client, userId, alert, type) {
                         { name: 'Item', value: alert.itemName, inline: true },
                         { name: 'Country', value: alert.country, inline: true },
                         { name: 'Stock', value: `**${lowData.quantity}** (< 50!)`, inline: true },
-                        { name: 'Price', value: `$${formatMoney(lowData.cost)}`, inline: true }
+                        { name: 'Price', value: `$${formatMoney(lowData.cost)}`, inline: true },
+                        ...getRestockFields(alert)
                     )
                     .setTimestamp();
                 break;
@@ -1,33 +1,33 @@
+/**
+ * Market Alert Storage
+ * Per-user foreign stock alerts, one storage entry per user
+ */
 
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getCollection } from '../storage/index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ALERTS_FILE = path.join(__dirname, '../../../data/market_alerts.json');
-
-// Ensure data directory exists
-const dataDir = path.dirname(ALERTS_FILE);
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
+const LEGACY_FILE = path.join(__dirname, '../../../data/market_alerts.json');
 
 // In-memory cache
 let alertsCache = null;
 
 /**
- * Load alerts from disk
+ * Alert collection (Discord ID -> { alerts: [] })
+ */
+function getStore() {
+    return getCollection('market-alerts', { legacyFile: LEGACY_FILE });
+}
+
+/**
+ * Load alerts from storage
  */
 function loadAlerts() {
     if (alertsCache) return alertsCache;
 
     try {
-        if (fs.existsSync(ALERTS_FILE)) {
-            const data = fs.readFileSync(ALERTS_FILE, 'utf8');
-            alertsCache = JSON.parse(data);
-        } else {
-            alertsCache = {};
-        }
+        alertsCache = getStore().all();
     } catch (error) {
         console.error('❌ Error loading market alerts:', error);
         alertsCache = {};
@@ -36,12 +36,16 @@ function loadAlerts() {
 }
 
 /**
- * Save alerts to disk
+ * Save one user's alerts
  */
-function saveAlerts() {
+function saveAlerts(userId) {
     if (!alertsCache) return;
     try {
-        fs.writeFileSync(ALERTS_FILE, JSON.stringify(alertsCache, null, 2));
+        if (alertsCache[userId]) {
+            getStore().set(userId, alertsCache[userId]);
+        } else {
+            getStore().delete(userId);
+        }
     } catch (error) {
         console.error('❌ Error saving market alerts:', error);
     }
@@ -65,7 +69,7 @@ export function addAlert(userId, alert) {
     alert.lastLowStockWarning = 0;
 
     data[userId].alerts.push(alert);
-    saveAlerts();
+    saveAlerts(userId);
     return true;
 }
 
@@ -82,7 +86,7 @@ export function removeAlert(userId, itemId, country) {
     );
 
     if (data[userId].alerts.length !== initialLength) {
-        saveAlerts();
+        saveAlerts(userId);
         return true;
     }
     return false;
@@ -96,6 +100,18 @@ export function getUserAlerts(userId) {
     return data[userId]?.alerts || [];
 }
 
+/**
+ * Remove all alerts for a user
+ */
+export function removeUserAlerts(userId) {
+    const data = loadAlerts();
+    if (!data[userId]) return false;
+
+    delete data[userId];
+    saveAlerts(userId);
+    return true;
+}
+
 /**
  * Get ALL alerts (for engine processing)
  */
@@ -105,8 +121,9 @@ export function getAllAlerts() {
 
 /**
  * Update a specific alert's state (by reference or index)
- * Since we return objects by reference from getAllAlerts, we can just save.
+ * Since we return objects by reference from getAllAlerts, we can just save the user's entry.
+ * @param {string} userId - Discord user ID
  */
-export function saveAlertState() {
-    saveAlerts();
+export function saveAlertState(userId) {
+    saveAlerts(userId);
 }
@@ -0,0 +1,194 @@
+/**
+ * Travel Planner - Round Trips Ranked by Expected Profit per Hour
+ * Uses the traveler's capacity, flight method and current location,
+ * projects each item's stock on landing from its depletion rate and
+ * restock estimate, and values it at the Torn item market value
+ */
+
+import { get } from '../tornApi.js';
+import { getAllCountriesData } from '../yataGlobalCache.js';
+import { getDepletionRate, getRestockEstimate } from './foreignStockHistory.js';
+import { COUNTRIES, getCountryCodeByName } from '../autorun/handlers/foreignMarketHandler.js';
+
+// One-way flight times in minutes (YATA country code -> method)
+export const FLIGHT_TIMES = {
+    mex: { standard: 26, airstrip: 18, private: 13, business: 8 },
+    cay: { standard: 35, airstrip: 25, private: 18, business: 11 },
+    can: { standard: 41, airstrip: 29, private: 20, business: 12 },
+    haw: { standard: 134, airstrip: 94, private: 67, business: 40 },
+    uni: { standard: 159, airstrip: 111, private: 80, business: 48 },
+    arg: { standard: 167, airstrip: 117, private: 83, business: 50 },
+    swi: { standard: 175, airstrip: 123, private: 88, business: 53 },
+    jap: { standard: 225, airstrip: 158, private: 113, business: 68 },
+    chi: { standard: 242, airstrip: 169, private: 121, business: 72 },
+    uae: { standard: 271, airstrip: 190, private: 135, business: 81 },
+    sou: { standard: 297, airstrip: 208, private: 149, business: 89 }
+};
+
+export const TRAVEL_METHODS = ['standard', 'airstrip', 'private', 'business'];
+
+const BASE_CAPACITY = 5;
+const MARKET_VALUES_TTL = 60 * 60 * 1000; // Item market values refresh hourly
+
+let marketValues = null;
+let marketValuesTime = 0;
+
+// ═══════════════════════════════════════════════════════════════════
+// INPUTS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Normalize a flight method (API "Airstrip", "Business Class", ...)
+ * @returns {string|null} One of TRAVEL_METHODS
+ */
+export function normalizeMethod(method) {
+    const value = String(method || '').toLowerCase();
+    return TRAVEL_METHODS.find(m => value.startsWith(m)) || null;
+}
+
+function getCountryByCode(code) {
+    return Object.values(COUNTRIES).find(c => c.code === code) || { code, emoji: '🏳️', name: code };
+}
+
+/**
+ * Item market values by item ID (cached; torn/items runs on any pool key)
+ * @param {string} apiKey
+ * @returns {Promise<object>} { itemId: marketValue }
+ */
+async function getMarketValues(apiKey) {
+    const now = Date.now();
+    if (marketValues && now - marketValuesTime < MARKET_VALUES_TTL) return marketValues;
+
+    const data = await get(apiKey, 'torn', 'items');
+    marketValues = {};
+    for (const [id, item] of Object.entries(data.items || {})) {
+        marketValues[id] = item.market_value || 0;
+    }
+    marketValuesTime = now;
+    return marketValues;
+}
+
+/**
+ * Where the traveler is and when they can be back in Torn
+ * @param {object} travel - Torn API travel selection (null = in Torn)
+ * @returns {object} { state, countryCode, timeLeft } state: torn | abroad | outbound | returning
+ */
+export function describeLocation(travel) {
+    if (!travel || !travel.destination || travel.destination === 'Torn') {
+        const timeLeft = travel?.time_left || 0;
+        return { state: timeLeft > 0 ? 'returning' : 'torn', countryCode: null, timeLeft };
+    }
+
+    return {
+        state: travel.time_left > 0 ? 'outbound' : 'abroad',
+        countryCode: getCountryCodeByName(travel.destination),
+        timeLeft: travel.time_left || 0
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PROJECTION
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Project an item's stock at landing time
+ * Stock keeps selling at the recent rate; a restock expected before
+ * landing refills it to the last restock amount first
+ * @param {string} countryCode
+ * @param {object} item - { id, quantity }
+ * @param {number} landingAt - Landing time (ms)
+ * @param {number} now - Reference time (ms)
+ * @returns {{stock: number, rate: number, restocked: boolean}}
+ */
+export function projectStock(countryCode, item, landingAt, now = Date.now()) {
+    const rate = getDepletionRate(countryCode, item.id, undefined, now) || 0;
+    const restock = getRestockEstimate(countryCode, item.id, now);
+
+    if (restock?.nextRestock && restock.nextRestock > now && restock.nextRestock <= landingAt) {
+        const afterRestock = (landingAt - restock.nextRestock) / 60000;
+        return { stock: Math.max(0, Math.round(restock.lastAmount - rate * afterRestock)), rate, restocked: true };
+    }
+
+    const minutes = Math.max(0, landingAt - now) / 60000;
+    return { stock: Math.max(0, Math.round(item.quantity - rate * minutes)), rate, restocked: false };
+}
+
+/**
+ * Rank round trips by expected profit per hour
+ * @param {object} options
+ * @param {string} options.apiKey - Key used for item market values
+ * @param {number} options.capacity - Items carried per trip
+ * @param {string} options.method - standard | airstrip | private | business
+ * @param {object} options.location - From describeLocation()
+ * @param {number} options.limit - Routes to return
+ * @returns {Promise<Array<object>>} Routes, best first
+ */
+export async function planRoutes({ apiKey, capacity, method = 'standard', location = { state: 'torn' }, limit = 5 }) {
+    const { countries } = getAllCountriesData();
+    if (!countries || Object.keys(countries).length === 0) return [];
+
+    const values = await getMarketValues(apiKey);
+    const carry = capacity > 0 ? capacity : BASE_CAPACITY;
+    const now = Date.now();
+    const routes = [];
+
+    for (const [countryCode, items] of Object.entries(countries)) {
+        const flight = FLIGHT_TIMES[countryCode]?.[method];
+        if (!flight || !Array.isArray(items)) continue;
+
+        // Already abroad or on the way: only that country can be bought from
+        const inCountry = location.state === 'abroad' || location.state === 'outbound';
+        if (inCountry && location.countryCode !== countryCode) continue;
+
+        // Minutes until landing, and the trip time the profit is spread over
+        let toLanding, tripMinutes;
+        if (location.state === 'abroad') {
+            toLanding = 0;
+            tripMinutes = flight;
+        } else if (location.state === 'outbound') {
+            toLanding = location.timeLeft / 60;
+            tripMinutes = toLanding + flight;
+        } else {
+            toLanding = (location.state === 'returning' ? location.timeLeft / 60 : 0) + flight;
+            tripMinutes = flight * 2;
+        }
+
+        const landingAt = now + toLanding * 60000;
+
+        for (const item of items) {
+            const marketValue = values[item.id] || 0;
+            const profitPerItem = marketValue - item.cost;
+            if (profitPerItem <= 0) continue;
+
+            const projection = projectStock(countryCode, item, landingAt, now);
+            const buyQty = Math.min(carry, projection.stock);
+            if (buyQty <= 0) continue;
+
+            const tripProfit = buyQty * profitPerItem;
+            const country = getCountryByCode(countryCode);
+
+            routes.push({
+                countryCode,
+                country: country.name,
+                emoji: country.emoji,
+                itemId: item.id,
+                name: item.name,
+                cost: item.cost,
+                marketValue,
+                profitPerItem,
+                stockNow: item.quantity,
+                stockOnLanding: projection.stock,
+                depletionRate: projection.rate,
+                restocked: projection.restocked,
+                buyQty,
+                tripProfit,
+                tripMinutes,
+                landingAt,
+                profitPerHour: tripProfit / (tripMinutes / 60)
+            });
+        }
+    }
+
+    routes.sort((a, b) => b.profitPerHour - a.profitPerHour);
+    return routes.slice(0, limit);
+}
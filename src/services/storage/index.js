@@ -0,0 +1,138 @@
+/**
+ * Storage Layer
+ * Named key/value collections behind a pluggable backend
+ * STORAGE_BACKEND=sqlite (default) keeps every collection in one SQLite database,
+ * STORAGE_BACKEND=json keeps one JSON file per collection in ./data
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { createJsonBackend } from './jsonBackend.js';
+import { createSqliteBackend } from './sqliteBackend.js';
+
+const DATA_DIR = './data';
+const DEFAULT_DB_PATH = `${DATA_DIR}/sentinel.db`;
+
+let backend = null;
+const collections = new Map();
+
+/**
+ * Open the configured backend (once)
+ */
+function getBackend() {
+    if (backend) return backend;
+
+    const requested = (process.env.STORAGE_BACKEND || 'sqlite').toLowerCase();
+
+    if (requested === 'sqlite') {
+        try {
+            backend = createSqliteBackend(process.env.STORAGE_DB_PATH || DEFAULT_DB_PATH);
+        } catch (error) {
+            console.error('❌ SQLite storage unavailable, falling back to JSON files:', error.message);
+        }
+    } else if (requested !== 'json') {
+        console.warn(`⚠️ Unknown STORAGE_BACKEND "${requested}", using JSON files`);
+    }
+
+    if (!backend) {
+        backend = createJsonBackend(DATA_DIR);
+    }
+
+    console.log(`🗄️ Storage backend: ${backend.name} (${backend.location})`);
+    return backend;
+}
+
+/**
+ * Parse a JSON file, or null if it is missing or unreadable
+ */
+function readJsonFile(file) {
+    if (!existsSync(file)) return null;
+
+    try {
+        return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Failed to read ${file}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Read the pre-storage JSON files for a collection's one-time import
+ * @returns {{entries: object, sources: string[]}|null} Null if there is nothing to import
+ */
+function readLegacyEntries(name, options) {
+    // A JSON-backend file for this collection always wins (switching json -> sqlite)
+    const ownFile = `${DATA_DIR}/${name}.json`;
+    const own = readJsonFile(ownFile);
+    if (own) {
+        return { entries: own, sources: [ownFile] };
+    }
+
+    if (options.legacyFile) {
+        const data = readJsonFile(options.legacyFile);
+        if (!data) return null;
+
+        return {
+            entries: options.fromLegacy ? options.fromLegacy(data) : data,
+            sources: [options.legacyFile]
+        };
+    }
+
+    if (options.legacyKeys) {
+        const entries = {};
+        const sources = [];
+        for (const [key, file] of Object.entries(options.legacyKeys)) {
+            const data = readJsonFile(file);
+            if (data === null) continue;
+            entries[key] = data;
+            sources.push(file);
+        }
+        return sources.length > 0 ? { entries, sources } : null;
+    }
+
+    return null;
+}
+
+/**
+ * Get a named collection
+ * @param {string} name - Collection name (also the JSON file name in json mode)
+ * @param {object} options - One-time import of pre-storage files
+ * @param {string} options.legacyFile - JSON file whose top-level keys become entries
+ * @param {Function} options.fromLegacy - (data) => entries, converts old file layouts
+ * @param {object} options.legacyKeys - { key: file } to import whole files as single entries
+ * @returns {object} Collection with get/set/setMany/delete/has/keys/all/replaceAll
+ */
+export function getCollection(name, options = {}) {
+    if (!collections.has(name)) {
+        collections.set(name, getBackend().openCollection(name, () => readLegacyEntries(name, options)));
+    }
+    return collections.get(name);
+}
+
+/**
+ * Get backend info for status output
+ */
+export function getStorageInfo() {
+    const active = getBackend();
+    return {
+        backend: active.name,
+        location: active.location,
+        collections: [...collections.keys()]
+    };
+}
+
+/**
+ * Close the backend (for shutdown)
+ */
+export function closeStorage() {
+    if (!backend) return;
+
+    backend.close();
+    backend = null;
+    collections.clear();
+}
+
+export default {
+    getCollection,
+    getStorageInfo,
+    closeStorage
+};
@@ -0,0 +1,95 @@
+/**
+ * JSON Storage Backend
+ * One JSON file per collection, kept in memory and rewritten atomically
+ * (write to a temp file, then rename) so a crash never leaves half a file
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+
+/**
+ * Create the JSON backend
+ * @param {string} dataDir - Directory holding the collection files
+ */
+export function createJsonBackend(dataDir) {
+    if (!existsSync(dataDir)) {
+        mkdirSync(dataDir, { recursive: true });
+    }
+
+    /**
+     * Open a collection file, importing legacy data if it does not exist yet
+     * @param {string} name - Collection name
+     * @param {Function} loadSeed - () => { entries, sources } | null
+     */
+    function openCollection(name, loadSeed) {
+        const file = `${dataDir}/${name}.json`;
+        let entries = {};
+
+        function persist() {
+            const tmpFile = `${file}.tmp`;
+            writeFileSync(tmpFile, JSON.stringify(entries, null, 2));
+            renameSync(tmpFile, file);
+        }
+
+        if (existsSync(file)) {
+            try {
+                entries = JSON.parse(readFileSync(file, 'utf8'));
+            } catch (error) {
+                // Keep the unreadable file for recovery instead of overwriting it on the next write
+                const corruptFile = `${file}.corrupt-${Date.now()}`;
+                renameSync(file, corruptFile);
+                console.error(`❌ Failed to load ${file} (${error.message}), moved it to ${corruptFile} and starting empty`);
+                entries = {};
+            }
+        } else {
+            const seed = loadSeed();
+            if (seed) {
+                entries = seed.entries;
+                console.log(`📦 Imported ${Object.keys(entries).length} entries into "${name}" from ${seed.sources.join(', ')}`);
+            }
+            persist();
+        }
+
+        return {
+            get(key) {
+                return Object.hasOwn(entries, key) ? structuredClone(entries[key]) : null;
+            },
+            has(key) {
+                return Object.hasOwn(entries, key);
+            },
+            set(key, value) {
+                entries[key] = structuredClone(value);
+                persist();
+            },
+            setMany(values) {
+                for (const [key, value] of Object.entries(values)) {
+                    entries[key] = structuredClone(value);
+                }
+                persist();
+            },
+            delete(key) {
+                if (!Object.hasOwn(entries, key)) return;
+                delete entries[key];
+                persist();
+            },
+            keys() {
+                return Object.keys(entries);
+            },
+            all() {
+                return structuredClone(entries);
+            },
+            replaceAll(next) {
+                entries = structuredClone(next);
+                persist();
+            }
+        };
+    }
+
+    return {
+        name: 'json',
+        location: dataDir,
+        openCollection,
+        close() {}
+    };
+}
+
+export default { createJsonBackend };
@@ -0,0 +1,141 @@
+/**
+ * SQLite Storage Backend
+ * Every collection lives in one database (WAL mode); each entry is one row,
+ * so a write only touches its own row and commits atomically
+ */
+
+import { createRequire } from 'module';
+import { existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+// better-sqlite3 is a native module - loaded lazily so JSON mode works without it
+const require = createRequire(import.meta.url);
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS entries (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (collection, key)
+    );
+    CREATE TABLE IF NOT EXISTS migrations (
+        collection TEXT PRIMARY KEY,
+        sources TEXT,
+        migrated_at INTEGER NOT NULL
+    );
+`;
+
+/**
+ * Create the SQLite backend
+ * @param {string} dbPath - Database file
+ */
+export function createSqliteBackend(dbPath) {
+    const Database = require('better-sqlite3');
+
+    const dir = dirname(dbPath);
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+    }
+
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const stmt = {
+        get: db.prepare('SELECT value FROM entries WHERE collection = ? AND key = ?'),
+        all: db.prepare('SELECT key, value FROM entries WHERE collection = ?'),
+        keys: db.prepare('SELECT key FROM entries WHERE collection = ?').pluck(),
+        upsert: db.prepare(`
+            INSERT INTO entries (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+        `),
+        insertIfMissing: db.prepare('INSERT OR IGNORE INTO entries (collection, key, value, updated_at) VALUES (?, ?, ?, ?)'),
+        delete: db.prepare('DELETE FROM entries WHERE collection = ? AND key = ?'),
+        clear: db.prepare('DELETE FROM entries WHERE collection = ?'),
+        getMigration: db.prepare('SELECT collection FROM migrations WHERE collection = ?'),
+        addMigration: db.prepare('INSERT INTO migrations (collection, sources, migrated_at) VALUES (?, ?, ?)')
+    };
+
+    const replaceAll = db.transaction((name, entries) => {
+        const now = Date.now();
+        stmt.clear.run(name);
+        for (const [key, value] of Object.entries(entries)) {
+            stmt.upsert.run(name, key, JSON.stringify(value), now);
+        }
+    });
+
+    const setMany = db.transaction((name, entries) => {
+        const now = Date.now();
+        for (const [key, value] of Object.entries(entries)) {
+            stmt.upsert.run(name, key, JSON.stringify(value), now);
+        }
+    });
+
+    // One-time import of legacy JSON (never overwrites existing rows)
+    const importSeed = db.transaction((name, seed) => {
+        const now = Date.now();
+        for (const [key, value] of Object.entries(seed?.entries || {})) {
+            stmt.insertIfMissing.run(name, key, JSON.stringify(value), now);
+        }
+        stmt.addMigration.run(name, seed ? seed.sources.join(',') : null, now);
+    });
+
+    /**
+     * Open a collection, importing legacy JSON the first time
+     * @param {string} name - Collection name
+     * @param {Function} loadSeed - () => { entries, sources } | null
+     */
+    function openCollection(name, loadSeed) {
+        if (!stmt.getMigration.get(name)) {
+            const seed = loadSeed();
+            importSeed(name, seed);
+            if (seed) {
+                console.log(`📦 Imported ${Object.keys(seed.entries).length} entries into "${name}" from ${seed.sources.join(', ')}`);
+            }
+        }
+
+        return {
+            get(key) {
+                const row = stmt.get.get(name, String(key));
+                return row ? JSON.parse(row.value) : null;
+            },
+            has(key) {
+                return !!stmt.get.get(name, String(key));
+            },
+            set(key, value) {
+                stmt.upsert.run(name, String(key), JSON.stringify(value), Date.now());
+            },
+            setMany(entries) {
+                setMany(name, entries);
+            },
+            delete(key) {
+                stmt.delete.run(name, String(key));
+            },
+            keys() {
+                return stmt.keys.all(name);
+            },
+            all() {
+                const entries = {};
+                for (const row of stmt.all.all(name)) {
+                    entries[row.key] = JSON.parse(row.value);
+                }
+                return entries;
+            },
+            replaceAll(entries) {
+                replaceAll(name, entries);
+            }
+        };
+    }
+
+    return {
+        name: 'sqlite',
+        location: dbPath,
+        openCollection,
+        close() {
+            db.close();
+        }
+    };
+}
+
+export default { createSqliteBackend };
@@ -1,8 +1,11 @@
 /**
  * Torn API Service
  * Wrapper for Torn City API requests
+ * All requests go through the priority queue in tornApiQueue.js
  */
 
+import { enqueueRequest, isSharedEndpoint, getQueueStats, runWithPriority, getCurrentPriority } from './tornApiQueue.js';
+
 const TORN_API_BASE = 'https://api.torn.com';
 const TORN_API_V2_BASE = 'https://api.torn.com/v2';
 const REQUEST_TIMEOUT = 10000; // 10 seconds
@@ -58,38 +61,18 @@ export function getApiStats() {
         usagePercent: Math.round((recentRequests.length / RATE_LIMIT_MAX) * 100),
         byEndpoint,
         status: recentRequests.length >= RATE_LIMIT_WARNING ? '⚠️ HIGH' :
-            recentRequests.length >= RATE_LIMIT_MAX * 0.5 ? '🟡 MEDIUM' : '🟢 LOW'
+            recentRequests.length >= RATE_LIMIT_MAX * 0.5 ? '🟡 MEDIUM' : '🟢 LOW',
+        queue: getQueueStats(),
+        cache: getCacheStats()
     };
 }
 
-
 /**
- * Make a request to Torn API v1
- * @param {string} apiKey - User's Torn API key
- * @param {string} endpoint - API endpoint (user, torn, market, etc.)
- * @param {string} selections - Comma-separated selections
- * @param {object} options - Additional options
+ * Fetch a Torn API URL and unwrap Torn errors
+ * @param {URL} url - Full request URL (including key)
  * @returns {Promise<object>} API response data
  */
-export async function get(apiKey, endpoint, selections, options = {}) {
-    // Track this request for rate monitoring
-    trackRequest(`v1/${endpoint}/${selections}`);
-
-    const url = new URL(`${TORN_API_BASE}/${endpoint}`);
-    url.searchParams.set('selections', selections);
-    url.searchParams.set('key', apiKey);
-
-    // Add any additional parameters
-    if (options) {
-        Object.keys(options).forEach(key => {
-            if (key === 'id') {
-                url.pathname = `/${endpoint}/${options.id}`;
-            } else {
-                url.searchParams.set(key, options[key]);
-            }
-        });
-    }
-
+async function fetchTorn(url) {
     try {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
@@ -128,55 +111,295 @@ export async function get(apiKey, endpoint, selections, options = {}) {
     }
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// 🗄️ RESPONSE CACHE & REQUEST COALESCING
+// ═══════════════════════════════════════════════════════════════════
+
+const DEFAULT_CACHE_TTL = 20; // seconds
+const BATCH_WINDOW_MS = 50; // Requests for one key + endpoint within this window share a call
+
+// Torn error codes that say nothing about the selections themselves
+const TRANSIENT_ERROR_CODES = [0, 5, 8, 9, 17];
+
+const PRIORITY_ORDER = ['high', 'normal', 'low'];
+
+// baseKey -> [{ selections: Set, data, expiresAt }]
+const responseCache = new Map();
+// baseKey -> [{ selections: Set, promise }]
+const inFlight = new Map();
+// baseKey -> { request, selections: Set, waiters: [], priority }
+const pendingBatches = new Map();
+
+const cacheStats = { hits: 0, misses: 0, coalesced: 0 };
+
 /**
- * Make a request to Torn API v2
- * @param {string} apiKey - User's Torn API key
- * @param {string} endpoint - API v2 endpoint path (e.g., 'user/jobpoints', 'user/workstats')
- * @returns {Promise<object>} API response data
+ * Cache lifetime in ms (TORN_API_CACHE_TTL seconds, 0 disables caching)
  */
-export async function getV2(apiKey, endpoint) {
-    // Track this request for rate monitoring
-    trackRequest(`v2/${endpoint}`);
+function getCacheTtl() {
+    const ttl = parseInt(process.env.TORN_API_CACHE_TTL);
+    return (isNaN(ttl) ? DEFAULT_CACHE_TTL : ttl) * 1000;
+}
 
-    const url = new URL(`${TORN_API_V2_BASE}/${endpoint}`);
-    url.searchParams.set('key', apiKey);
+/**
+ * Cache key for everything but the selections
+ * Public endpoints share one entry across keys
+ */
+function getCacheBaseKey(version, apiKey, endpoint, options = {}) {
+    const owner = isSharedEndpoint(endpoint) ? '*' : apiKey;
+    const params = Object.keys(options || {}).sort().map(k => `${k}=${options[k]}`).join('&');
+    return `${owner}|${version}/${endpoint}|${params}`;
+}
 
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+/**
+ * Find a fresh cached response covering all wanted selections
+ */
+function findCached(baseKey, wanted) {
+    const now = Date.now();
+    const entries = (responseCache.get(baseKey) || []).filter(e => e.expiresAt > now);
 
-        const response = await fetch(url.toString(), {
-            signal: controller.signal,
-            headers: {
-                'User-Agent': 'TornSentinel/1.0'
-            }
-        });
+    if (entries.length === 0) {
+        responseCache.delete(baseKey);
+        return null;
+    }
+    responseCache.set(baseKey, entries);
 
-        clearTimeout(timeoutId);
+    return entries.find(e => wanted.every(s => e.selections.has(s)))?.data || null;
+}
 
-        if (!response.ok) {
-            throw new TornApiError(`HTTP ${response.status}: ${response.statusText}`, response.status);
-        }
+/**
+ * Store a response, replacing entries it fully covers
+ */
+function storeCached(baseKey, selections, data) {
+    const ttl = getCacheTtl();
+    if (ttl <= 0) return;
 
-        const data = await response.json();
+    const now = Date.now();
+    const entries = (responseCache.get(baseKey) || []).filter(e =>
+        e.expiresAt > now && ![...e.selections].every(s => selections.has(s))
+    );
+    entries.push({ selections, data, expiresAt: now + ttl });
+    responseCache.set(baseKey, entries);
+}
 
-        // Check for Torn API errors
-        if (data.error) {
-            throw new TornApiError(data.error.error, data.error.code);
-        }
+/**
+ * Find an in-flight request covering all wanted selections
+ */
+function findInFlight(baseKey, wanted) {
+    return (inFlight.get(baseKey) || []).find(f => wanted.every(s => f.selections.has(s)))?.promise || null;
+}
 
+/**
+ * Track a request while it is in flight
+ */
+async function trackInFlight(baseKey, selections, promise) {
+    const flight = { selections, promise };
+    inFlight.set(baseKey, [...(inFlight.get(baseKey) || []), flight]);
+
+    try {
+        const data = await promise;
+        storeCached(baseKey, selections, data);
         return data;
+    } finally {
+        const remaining = (inFlight.get(baseKey) || []).filter(f => f !== flight);
+        if (remaining.length > 0) {
+            inFlight.set(baseKey, remaining);
+        } else {
+            inFlight.delete(baseKey);
+        }
+    }
+}
+
+/**
+ * Serve a request from cache or an in-flight call
+ * Every consumer gets its own copy so handlers can't mutate each other's data
+ * @returns {Promise<object>|null} Response, or null on a miss
+ */
+function fromCacheOrFlight(baseKey, wanted) {
+    const cached = findCached(baseKey, wanted);
+    if (cached) {
+        cacheStats.hits++;
+        return Promise.resolve(structuredClone(cached));
+    }
+
+    const flight = findInFlight(baseKey, wanted);
+    if (flight) {
+        cacheStats.coalesced++;
+        return flight.then(data => structuredClone(data));
+    }
+
+    return null;
+}
+
+/**
+ * Join (or open) the batch for a key + endpoint
+ */
+function joinBatch(baseKey, request, wanted) {
+    let batch = pendingBatches.get(baseKey);
+
+    if (batch) {
+        cacheStats.coalesced++;
+    } else {
+        cacheStats.misses++;
+        batch = { request, selections: new Set(), waiters: [], priority: 'low' };
+        pendingBatches.set(baseKey, batch);
+        setTimeout(() => flushBatch(baseKey), BATCH_WINDOW_MS);
+    }
+
+    wanted.forEach(s => batch.selections.add(s));
+
+    // The batch runs at the most urgent priority of its callers
+    const priority = getCurrentPriority();
+    if (PRIORITY_ORDER.indexOf(priority) < PRIORITY_ORDER.indexOf(batch.priority)) {
+        batch.priority = priority;
+    }
+
+    return new Promise((resolve, reject) => {
+        batch.waiters.push({ wanted, resolve, reject });
+    });
+}
+
+/**
+ * Send one call with the union of a batch's selections
+ * If Torn rejects the combination, callers are retried with their own selections
+ */
+async function flushBatch(baseKey) {
+    const batch = pendingBatches.get(baseKey);
+    pendingBatches.delete(baseKey);
+
+    const { request, selections, waiters, priority } = batch;
+    const send = sels => trackInFlight(
+        baseKey,
+        new Set(sels),
+        runWithPriority(priority, () => requestV1(request.apiKey, request.endpoint, sels.join(','), request.options))
+    );
+
+    try {
+        const data = await send([...selections]);
+        waiters.forEach(w => w.resolve(structuredClone(data)));
     } catch (error) {
-        if (error.name === 'AbortError') {
-            throw new TornApiError('Request timed out', 0);
+        const merged = waiters.some(w => w.wanted.length !== selections.size);
+        const selectionError = error instanceof TornApiError &&
+            error.code < 100 && !TRANSIENT_ERROR_CODES.includes(error.code);
+
+        if (merged && selectionError) {
+            for (const waiter of waiters) {
+                send(waiter.wanted).then(waiter.resolve, waiter.reject);
+            }
+        } else {
+            waiters.forEach(w => w.reject(error));
         }
+    }
+}
 
-        if (error instanceof TornApiError) {
-            throw error;
+/**
+ * Drop cached responses (all, or one key's)
+ * @param {string} apiKey - Optional key to clear
+ */
+export function clearApiCache(apiKey = null) {
+    if (!apiKey) {
+        responseCache.clear();
+        return;
+    }
+
+    for (const baseKey of responseCache.keys()) {
+        if (baseKey.startsWith(`${apiKey}|`)) {
+            responseCache.delete(baseKey);
         }
+    }
+}
 
-        throw new TornApiError(`Network error: ${error.message}`, 0);
+/**
+ * Get cache hit/miss stats
+ */
+export function getCacheStats() {
+    const total = cacheStats.hits + cacheStats.coalesced + cacheStats.misses;
+    return {
+        ...cacheStats,
+        entries: responseCache.size,
+        hitRate: total > 0 ? Math.round(((cacheStats.hits + cacheStats.coalesced) / total) * 100) : 0
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// 📡 REQUESTS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Send a v1 request through the queue (no caching)
+ */
+function requestV1(apiKey, endpoint, selections, options = {}) {
+    const url = new URL(`${TORN_API_BASE}/${endpoint}`);
+    url.searchParams.set('selections', selections);
+
+    // Add any additional parameters
+    if (options) {
+        Object.keys(options).forEach(key => {
+            if (key === 'id') {
+                url.pathname = `/${endpoint}/${options.id}`;
+            } else {
+                url.searchParams.set(key, options[key]);
+            }
+        });
     }
+
+    return enqueueRequest({
+        apiKey,
+        shared: isSharedEndpoint(endpoint),
+        run: key => {
+            // Track this request for rate monitoring
+            trackRequest(`v1/${endpoint}/${selections}`);
+
+            const keyedUrl = new URL(url);
+            keyedUrl.searchParams.set('key', key);
+            return fetchTorn(keyedUrl);
+        }
+    });
+}
+
+/**
+ * Make a request to Torn API v1
+ * Served from cache when a fresh response covers the selections;
+ * concurrent calls for the same key and endpoint are merged into one request
+ * @param {string} apiKey - User's Torn API key
+ * @param {string} endpoint - API endpoint (user, torn, market, etc.)
+ * @param {string} selections - Comma-separated selections
+ * @param {object} options - Additional options
+ * @returns {Promise<object>} API response data
+ */
+export async function get(apiKey, endpoint, selections, options = {}) {
+    const baseKey = getCacheBaseKey('v1', apiKey, endpoint, options);
+    const wanted = [...new Set(String(selections).split(',').map(s => s.trim()))];
+
+    return fromCacheOrFlight(baseKey, wanted) ||
+        joinBatch(baseKey, { apiKey, endpoint, options }, wanted);
+}
+
+/**
+ * Make a request to Torn API v2
+ * Cached and coalesced per endpoint path
+ * @param {string} apiKey - User's Torn API key
+ * @param {string} endpoint - API v2 endpoint path (e.g., 'user/jobpoints', 'user/workstats')
+ * @returns {Promise<object>} API response data
+ */
+export async function getV2(apiKey, endpoint) {
+    const baseKey = getCacheBaseKey('v2', apiKey, endpoint);
+    const pending = fromCacheOrFlight(baseKey, ['']);
+    if (pending) return pending;
+
+    cacheStats.misses++;
+    const data = await trackInFlight(baseKey, new Set(['']), enqueueRequest({
+        apiKey,
+        shared: isSharedEndpoint(endpoint),
+        run: key => {
+            // Track this request for rate monitoring
+            trackRequest(`v2/${endpoint}`);
+
+            const url = new URL(`${TORN_API_V2_BASE}/${endpoint}`);
+            url.searchParams.set('key', key);
+            return fetchTorn(url);
+        }
+    }));
+    return structuredClone(data);
 }
 
 /**
@@ -229,10 +452,30 @@ export async function getCombinedStats(apiKey, selections) {
     return await get(apiKey, 'user', selections);
 }
 
+/**
+ * Flatten a user/log response (object keyed by log entry ID)
+ * @param {object} log - `log` field of the response
+ * @returns {Array<object>} { id, type, title, category, timestamp, data }, oldest first
+ */
+export function normalizeLogs(log) {
+    return Object.entries(log || {})
+        .map(([id, entry]) => ({
+            id: String(id),
+            type: Number(entry.type ?? entry.log),
+            title: entry.title || '',
+            category: entry.category || '',
+            timestamp: entry.timestamp,
+            data: entry.data || {}
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
 export default {
     get,
     getV2,
+    normalizeLogs,
     verifyApiKey,
     getApiStats,
+    clearApiCache,
     TornApiError
 };
@@ -0,0 +1,298 @@
+/**
+ * Torn API Request Queue
+ * Priority queue in front of every Torn API call
+ * Enforces a per-key budget inside Torn's 100 req/min limit and
+ * spreads public (torn/market) requests over donated faction keys
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const RATE_WINDOW_MS = 60 * 1000; // 1 minute window
+const DEFAULT_KEY_BUDGET = 90; // Headroom under Torn's ~100/minute
+const LOW_PRIORITY_MAX_WAIT = 2 * 60 * 1000; // Low jobs are promoted after 2 minutes
+const MIN_PUMP_DELAY = 250;
+
+// Priority order and the share of a key's budget each priority may use
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
+const PRIORITY_SHARE = { high: 1, normal: 0.9, low: 0.6 };
+
+// Endpoints whose data is the same for every key (safe to rotate)
+const SHARED_ENDPOINTS = ['torn', 'market'];
+
+// Priority of the code currently running (set by scheduler / commands)
+const priorityContext = new AsyncLocalStorage();
+
+// apiKey -> { timestamps: [], cooldownUntil, disabled }
+const keyUsage = new Map();
+
+const queue = [];
+let pumpTimer = null;
+let sequence = 0;
+
+// ═══════════════════════════════════════════════════════════════════
+// PRIORITY CONTEXT
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Run a function with every Torn API call inside it at the given priority
+ * @param {'high'|'normal'|'low'} priority
+ * @param {Function} fn
+ */
+export function runWithPriority(priority, fn) {
+    return priorityContext.run(PRIORITY_RANK[priority] !== undefined ? priority : 'normal', fn);
+}
+
+/**
+ * Get the priority of the current call chain
+ */
+export function getCurrentPriority() {
+    return priorityContext.getStore() || 'normal';
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// KEY BUDGETS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Requests allowed per key per minute
+ */
+function getKeyBudget() {
+    return parseInt(process.env.TORN_API_KEY_BUDGET) || DEFAULT_KEY_BUDGET;
+}
+
+/**
+ * Donated faction keys (TORN_API_KEY_POOL, comma-separated)
+ */
+function getKeyPool() {
+    return (process.env.TORN_API_KEY_POOL || '')
+        .split(',')
+        .map(k => k.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Get usage state for a key, dropping requests outside the window
+ */
+function getUsage(apiKey, now = Date.now()) {
+    if (!keyUsage.has(apiKey)) {
+        keyUsage.set(apiKey, { timestamps: [], cooldownUntil: 0, disabled: false });
+    }
+
+    const state = keyUsage.get(apiKey);
+    while (state.timestamps.length > 0 && state.timestamps[0] <= now - RATE_WINDOW_MS) {
+        state.timestamps.shift();
+    }
+    return state;
+}
+
+/**
+ * Requests per window a priority may use of a key's budget
+ * Below high, at least one slot always stays free for high-priority calls
+ */
+function getPriorityCap(priority) {
+    const budget = getKeyBudget();
+    if (priority === 'high') return budget;
+
+    const reserved = Math.max(1, budget - Math.floor(budget * PRIORITY_SHARE[priority]));
+    return Math.max(budget - reserved, 0);
+}
+
+/**
+ * Requests a key can still take at this priority
+ */
+function getHeadroom(apiKey, priority, now) {
+    const state = getUsage(apiKey, now);
+    if (state.disabled || state.cooldownUntil > now) return 0;
+
+    return getPriorityCap(priority) - state.timestamps.length;
+}
+
+/**
+ * Pick the key with the most headroom for a job
+ * @returns {string|null} Key to use, or null if every candidate is out of budget
+ */
+function pickKey(job, priority, now) {
+    const candidates = job.shared
+        ? [...new Set([job.apiKey, ...getKeyPool()])]
+        : [job.apiKey];
+
+    let bestKey = null;
+    let bestRoom = 0;
+    for (const key of candidates) {
+        const room = getHeadroom(key, priority, now);
+        if (room > bestRoom) {
+            bestKey = key;
+            bestRoom = room;
+        }
+    }
+    return bestKey;
+}
+
+/**
+ * React to Torn errors that say something about the key itself
+ */
+function handleKeyError(job, apiKey, error) {
+    const state = getUsage(apiKey);
+
+    if (error?.code === 5) {
+        // Too many requests - rest the key for a full window
+        state.cooldownUntil = Date.now() + RATE_WINDOW_MS;
+        console.warn(`⚠️ API key ${maskKey(apiKey)} rate limited by Torn, cooling down`);
+    } else if (error?.code === 2 && apiKey !== job.apiKey) {
+        // Broken donated key - stop rotating onto it
+        state.disabled = true;
+        console.warn(`⚠️ Pool API key ${maskKey(apiKey)} is invalid, removed from rotation`);
+    }
+}
+
+/**
+ * Mask a key for logs and status output
+ */
+function maskKey(apiKey) {
+    return apiKey ? `${apiKey.slice(0, 4)}…` : 'none';
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// QUEUE
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Check if a request only reads public data
+ * @param {string} endpoint - v1 endpoint or v2 path
+ */
+export function isSharedEndpoint(endpoint) {
+    return SHARED_ENDPOINTS.includes(String(endpoint).split('/')[0]);
+}
+
+/**
+ * Queue a Torn API request
+ * @param {object} request
+ * @param {string} request.apiKey - Caller's key (used unless the request is shared)
+ * @param {boolean} request.shared - Request may run on any pool key
+ * @param {Function} request.run - (apiKey) => Promise, performs the request
+ * @returns {Promise<object>} Result of run()
+ */
+export function enqueueRequest({ apiKey, shared = false, run }) {
+    return new Promise((resolve, reject) => {
+        queue.push({
+            apiKey,
+            shared,
+            run,
+            resolve,
+            reject,
+            priority: getCurrentPriority(),
+            enqueuedAt: Date.now(),
+            seq: sequence++
+        });
+        pump();
+    });
+}
+
+/**
+ * Priority a job runs at now (old low-priority jobs are promoted)
+ */
+function getEffectivePriority(job, now) {
+    if (job.priority === 'low' && now - job.enqueuedAt >= LOW_PRIORITY_MAX_WAIT) {
+        return 'normal';
+    }
+    return job.priority;
+}
+
+/**
+ * Dispatch every job that has budget, then wait for the next free slot
+ */
+function pump() {
+    if (pumpTimer) {
+        clearTimeout(pumpTimer);
+        pumpTimer = null;
+    }
+
+    const now = Date.now();
+    queue.sort((a, b) =>
+        PRIORITY_RANK[getEffectivePriority(a, now)] - PRIORITY_RANK[getEffectivePriority(b, now)] ||
+        a.seq - b.seq
+    );
+
+    for (let i = 0; i < queue.length;) {
+        const job = queue[i];
+        const key = pickKey(job, getEffectivePriority(job, now), now);
+
+        if (!key) {
+            i++;
+            continue;
+        }
+
+        queue.splice(i, 1);
+        getUsage(key, now).timestamps.push(now);
+
+        job.run(key).then(job.resolve, error => {
+            handleKeyError(job, key, error);
+            job.reject(error);
+        });
+    }
+
+    if (queue.length > 0) {
+        scheduleNextPump(now);
+    }
+}
+
+/**
+ * Wake up when a window slot frees, a cooldown ends or a low job gets promoted
+ */
+function scheduleNextPump(now) {
+    let wait = RATE_WINDOW_MS;
+
+    for (const state of keyUsage.values()) {
+        if (state.timestamps.length > 0) {
+            wait = Math.min(wait, state.timestamps[0] + RATE_WINDOW_MS - now);
+        }
+        if (state.cooldownUntil > now) {
+            wait = Math.min(wait, state.cooldownUntil - now);
+        }
+    }
+
+    for (const job of queue) {
+        if (job.priority === 'low') {
+            wait = Math.min(wait, job.enqueuedAt + LOW_PRIORITY_MAX_WAIT - now);
+        }
+    }
+
+    pumpTimer = setTimeout(pump, Math.max(MIN_PUMP_DELAY, wait));
+}
+
+/**
+ * Get queue and per-key budget stats
+ */
+export function getQueueStats() {
+    const now = Date.now();
+    const byPriority = { high: 0, normal: 0, low: 0 };
+    for (const job of queue) {
+        byPriority[job.priority]++;
+    }
+
+    const keys = [...keyUsage.entries()].map(([apiKey]) => {
+        const state = getUsage(apiKey, now);
+        return {
+            key: maskKey(apiKey),
+            used: state.timestamps.length,
+            budget: getKeyBudget(),
+            coolingDown: state.cooldownUntil > now,
+            disabled: state.disabled
+        };
+    });
+
+    return {
+        queued: queue.length,
+        byPriority,
+        poolSize: getKeyPool().length,
+        keys
+    };
+}
+
+export default {
+    runWithPriority,
+    getCurrentPriority,
+    isSharedEndpoint,
+    enqueueRequest,
+    getQueueStats
+};
@@ -6,3 +6,4 @@
 export * from './tradeDetectionEngine.js';
 export * from './tradeSnapshotStorage.js';
 export * from './tradeHistoryStorage.js';
+export * from './logTradeDetector.js';
@@ -0,0 +1,366 @@
+/**
+ * Log Trade Detector
+ * Reads exact trades from the user's Torn log (the same user/log call
+ * financialLogHandler makes): travel-shop purchases, item market and bazaar
+ * buys/sells, and player trades. Each entry becomes a BUY or SELL with the
+ * real item, quantity, unit price and country.
+ * A persisted cursor makes every log entry count once, across restarts
+ */
+
+import { get, normalizeLogs, TornApiError } from '../tornApi.js';
+import { getCollection } from '../storage/index.js';
+import { getAllCountriesData } from '../yataGlobalCache.js';
+import { recordBuy, recordSell, MARKET_TAX } from './tradeHistoryStorage.js';
+import { getCountryFlag } from './tradeDetectionEngine.js';
+
+const LOG_LIMIT = 50;                          // Same request as financialLogHandler (shared cache)
+const ACCESS_RETRY_MS = 60 * 60 * 1000;        // Re-check a key without log access hourly
+const ITEM_NAMES_TTL = 24 * 60 * 60 * 1000;
+const ACCESS_ERROR_CODES = [7, 16];            // Key can't read logs
+
+/**
+ * Log types that move items for money
+ * side: BUY | SELL from the user's point of view, taxRate for sells
+ */
+export const TRADE_LOG_TYPES = {
+    4201: { side: 'BUY', source: 'abroad', title: 'Item abroad buy' },
+    1112: { side: 'BUY', source: 'market', title: 'Item market buy' },
+    1113: { side: 'SELL', source: 'market', title: 'Item market sell', taxRate: MARKET_TAX },
+    1225: { side: 'BUY', source: 'bazaar', title: 'Bazaar buy' },
+    1221: { side: 'SELL', source: 'bazaar', title: 'Bazaar sell', taxRate: 0 }
+};
+
+// Player trades log items and money as separate entries of the same trade
+const PLAYER_TRADE_TITLES = {
+    'Trade items outgoing': 'itemsOut',
+    'Trade items incoming': 'itemsIn',
+    'Trade money outgoing': 'moneyOut',
+    'Trade money incoming': 'moneyIn'
+};
+
+// Torn travel destination IDs (log `area` field)
+const TRAVEL_AREAS = {
+    2: 'Mexico',
+    3: 'Cayman Islands',
+    4: 'Canada',
+    5: 'Hawaii',
+    6: 'United Kingdom',
+    7: 'Argentina',
+    8: 'Switzerland',
+    9: 'Japan',
+    10: 'China',
+    11: 'UAE',
+    12: 'South Africa'
+};
+
+// Users whose key can't read logs (Discord ID -> retry after, ms)
+const noLogAccess = new Map();
+
+let itemNames = null;
+let itemNamesTime = 0;
+
+/**
+ * Log cursor collection (Discord ID -> { timestamp, ids })
+ * ids are the entries already handled at `timestamp`
+ */
+function getStore() {
+    return getCollection('trade-log-cursor');
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Item names by ID (torn/items, cached; falls back to YATA names)
+ */
+async function getItemNames(apiKey) {
+    const now = Date.now();
+    if (itemNames && now - itemNamesTime < ITEM_NAMES_TTL) return itemNames;
+
+    try {
+        const data = await get(apiKey, 'torn', 'items');
+        itemNames = {};
+        for (const [id, item] of Object.entries(data.items || {})) {
+            itemNames[id] = item.name;
+        }
+        itemNamesTime = now;
+    } catch (error) {
+        console.error('❌ Failed to load item names for log trades:', error.message);
+        itemNames = itemNames || {};
+    }
+
+    return itemNames;
+}
+
+function getYataItemName(itemId) {
+    const { countries } = getAllCountriesData();
+    for (const items of Object.values(countries || {})) {
+        const item = (items || []).find(i => i.id === itemId);
+        if (item) return item.name;
+    }
+    return null;
+}
+
+/**
+ * Items moved by a log entry
+ * Handles both `items: [{ id, qty }]` and single `item` + `quantity` entries
+ * @returns {Array<{itemId: number, qty: number}>}
+ */
+function extractItems(data = {}) {
+    if (Array.isArray(data.items)) {
+        return data.items
+            .map(i => ({ itemId: Number(i.id ?? i.item), qty: Number(i.qty ?? i.quantity ?? i.amount ?? 1) }))
+            .filter(i => i.itemId && i.qty > 0);
+    }
+
+    if (data.item) {
+        return [{ itemId: Number(data.item), qty: Number(data.quantity ?? data.qty ?? data.amount ?? 1) }];
+    }
+
+    return [];
+}
+
+function getTradeType(entry) {
+    return TRADE_LOG_TYPES[entry.type] ||
+        Object.values(TRADE_LOG_TYPES).find(t => t.title.toLowerCase() === entry.title.toLowerCase()) ||
+        null;
+}
+
+/**
+ * Shop, market and bazaar entries -> trades
+ * @param {object} entry - Normalized log entry
+ * @param {object} def - TRADE_LOG_TYPES entry
+ * @param {string} fallbackCountry - Where the user is, for abroad buys without an area
+ */
+function parseMarketEntry(entry, def, fallbackCountry) {
+    const items = extractItems(entry.data);
+    const totalQty = items.reduce((sum, i) => sum + i.qty, 0);
+    if (totalQty === 0) return [];
+
+    const total = Number(entry.data.cost_total ?? entry.data.total ?? 0);
+    const each = Number(entry.data.cost_each ?? entry.data.price ?? 0) || (total ? total / totalQty : 0);
+    if (!each) return [];
+
+    const country = def.source === 'abroad'
+        ? TRAVEL_AREAS[entry.data.area] || fallbackCountry || 'Unknown'
+        : 'Torn';
+
+    return items.map(item => ({
+        side: def.side,
+        source: def.source,
+        itemId: item.itemId,
+        qty: item.qty,
+        unitPrice: Math.round(each),
+        country,
+        taxRate: def.taxRate,
+        timestamp: entry.timestamp,
+        logId: entry.id
+    }));
+}
+
+/**
+ * Player trades -> trades
+ * A trade is priced when one side is a single item type and the other is money
+ * @param {Array<object>} entries - Player trade entries of this batch
+ */
+function parsePlayerTrades(entries) {
+    const byTrade = new Map();
+    for (const entry of entries) {
+        const tradeId = entry.data.trade_id ?? entry.data.trade;
+        if (tradeId === undefined) continue;
+        if (!byTrade.has(tradeId)) byTrade.set(tradeId, {});
+        byTrade.get(tradeId)[PLAYER_TRADE_TITLES[entry.title]] = entry;
+    }
+
+    const trades = [];
+    for (const parts of byTrade.values()) {
+        let side = null, itemsEntry = null, moneyEntry = null;
+        if (parts.itemsOut && parts.moneyIn && !parts.itemsIn) {
+            [side, itemsEntry, moneyEntry] = ['SELL', parts.itemsOut, parts.moneyIn];
+        } else if (parts.itemsIn && parts.moneyOut && !parts.itemsOut) {
+            [side, itemsEntry, moneyEntry] = ['BUY', parts.itemsIn, parts.moneyOut];
+        }
+        if (!side) continue;
+
+        const items = extractItems(itemsEntry.data);
+        const money = Math.abs(Number(moneyEntry.data.money ?? moneyEntry.data.amount ?? 0));
+        if (items.length !== 1 || !money) continue;
+
+        trades.push({
+            side,
+            source: 'trade',
+            itemId: items[0].itemId,
+            qty: items[0].qty,
+            unitPrice: Math.round(money / items[0].qty),
+            country: 'Torn',
+            taxRate: 0,
+            timestamp: Math.max(itemsEntry.timestamp, moneyEntry.timestamp),
+            logId: itemsEntry.id
+        });
+    }
+
+    return trades;
+}
+
+/**
+ * Turn log entries into trades (oldest first)
+ * @param {Array<object>} entries - Normalized log entries
+ * @param {string} fallbackCountry - Country for abroad buys without an area
+ * @returns {Array<object>} { side, source, itemId, qty, unitPrice, country, taxRate, timestamp, logId }
+ */
+export function parseTradeLogs(entries, fallbackCountry = null) {
+    const trades = [];
+    const playerTrades = [];
+
+    for (const entry of entries) {
+        if (PLAYER_TRADE_TITLES[entry.title]) {
+            playerTrades.push(entry);
+            continue;
+        }
+
+        const def = getTradeType(entry);
+        if (def) trades.push(...parseMarketEntry(entry, def, fallbackCountry));
+    }
+
+    return [...trades, ...parsePlayerTrades(playerTrades)].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// DETECTION
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Whether a user's key is known to lack log access
+ */
+export function hasLogAccess(userId) {
+    const retryAt = noLogAccess.get(userId);
+    if (!retryAt) return true;
+    if (Date.now() >= retryAt) {
+        noLogAccess.delete(userId);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Detect and record trades from a user's log
+ * The first run only places the cursor, so older entries aren't imported
+ * @param {object} user - Registered user ({ discordId, apiKey })
+ * @param {object} options
+ * @param {string} options.location - Current location (snapshot), for abroad buys without an area
+ * @returns {Promise<{available: boolean, trades: Array<object>}>} available is false if the key can't read logs;
+ *          trades have the same shape as tradeDetectionEngine.detectTrades()
+ * @throws Other API errors (the tick is retried, the cursor doesn't move)
+ */
+export async function detectTradesFromLogs(user, { location = null } = {}) {
+    const userId = user.discordId;
+    if (!hasLogAccess(userId)) return { available: false, trades: [] };
+
+    let response;
+    try {
+        response = await get(user.apiKey, 'user', 'log', { limit: LOG_LIMIT });
+    } catch (error) {
+        if (error instanceof TornApiError && ACCESS_ERROR_CODES.includes(error.code)) {
+            console.warn(`⚠️ No log access for ${userId}, using cash-delta trade detection`);
+            noLogAccess.set(userId, Date.now() + ACCESS_RETRY_MS);
+            return { available: false, trades: [] };
+        }
+        throw error;
+    }
+
+    const entries = normalizeLogs(response.log);
+    const store = getStore();
+    const cursor = store.get(userId);
+
+    if (entries.length === 0) return { available: true, trades: [] };
+
+    const newest = entries[entries.length - 1].timestamp;
+    const nextCursor = {
+        timestamp: newest,
+        ids: entries.filter(e => e.timestamp === newest).map(e => e.id)
+    };
+
+    if (!cursor) {
+        store.set(userId, nextCursor);
+        console.log(`📜 Log trade detection started for ${userId}`);
+        return { available: true, trades: [] };
+    }
+
+    const fresh = entries.filter(e => e.timestamp > cursor.timestamp ||
+        (e.timestamp === cursor.timestamp && !cursor.ids.includes(e.id)));
+    if (nextCursor.timestamp === cursor.timestamp) {
+        nextCursor.ids = [...new Set([...cursor.ids, ...nextCursor.ids])];
+    }
+
+    const abroad = location && !['Torn', 'Traveling', 'Abroad'].includes(location) ? location : null;
+    const parsed = parseTradeLogs(fresh, abroad);
+    const names = parsed.length > 0 ? await getItemNames(user.apiKey) : {};
+    const trades = parsed.map(trade => recordLogTrade(userId, trade, names));
+
+    store.set(userId, nextCursor);
+    return { available: true, trades };
+}
+
+/**
+ * Record a parsed log trade and shape it like a heuristic detection
+ */
+function recordLogTrade(userId, trade, names) {
+    const itemName = names[trade.itemId] || getYataItemName(trade.itemId) || `Item #${trade.itemId}`;
+    const countryFlag = trade.country === 'Torn' ? '🏠' : getCountryFlag(trade.country);
+
+    if (trade.side === 'BUY') {
+        const detected = {
+            type: 'BUY',
+            source: trade.source,
+            itemId: trade.itemId,
+            itemName,
+            qty: trade.qty,
+            unitPrice: trade.unitPrice,
+            totalCost: trade.unitPrice * trade.qty,
+            country: trade.country,
+            countryFlag,
+            timestamp: trade.timestamp,
+            logId: trade.logId
+        };
+        detected.record = recordBuy(userId, detected);
+        return detected;
+    }
+
+    const record = recordSell(userId, {
+        itemId: trade.itemId,
+        itemName,
+        qty: trade.qty,
+        unitPrice: trade.unitPrice,
+        taxRate: trade.taxRate,
+        timestamp: trade.timestamp,
+        logId: trade.logId
+    });
+
+    return {
+        type: 'SELL',
+        source: trade.source,
+        itemId: trade.itemId,
+        itemName,
+        qty: trade.qty,
+        unitPrice: trade.unitPrice,
+        country: trade.country,
+        countryFlag,
+        grossRevenue: record.grossRevenue,
+        tax: record.tax,
+        taxRate: record.taxRate ?? MARKET_TAX,
+        netRevenue: record.netRevenue,
+        profit: record.profit,
+        isOrphan: record.isOrphan,
+        record
+    };
+}
+
+/**
+ * Forget a user's log cursor (used on unregister)
+ * @param {string} userId - Discord user ID
+ */
+export function clearLogCursor(userId) {
+    getStore().delete(userId);
+    noLogAccess.delete(userId);
+}
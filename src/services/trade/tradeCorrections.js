@@ -0,0 +1,269 @@
+/**
+ * Trade Corrections
+ * Manual fixes for mis-detected trades: edit, split, merge and delete
+ * recorded buys and sells. Every correction re-runs FIFO matching for the
+ * affected items from the corrected trade onwards and is written to the
+ * user's audit trail (who, when, before and after)
+ */
+
+import { getTradeHistory, saveTradeHistory, nextTradeId, releaseSell, rematchFrom } from './tradeHistoryStorage.js';
+import { getUi, applyTemplate } from '../../localization/index.js';
+
+const MAX_AUDIT_ENTRIES = 200;
+
+export class TradeCorrectionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TradeCorrectionError';
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Find a buy or sell by ID
+ * @returns {{record: Object, list: Array}}
+ * @throws {TradeCorrectionError}
+ */
+function findTrade(userHistory, tradeId) {
+    for (const list of [userHistory.buys, userHistory.sells]) {
+        const record = list.find(r => r.id === tradeId);
+        if (record) return { record, list };
+    }
+    throw new TradeCorrectionError(applyTemplate('trade_not_found', { id: tradeId }));
+}
+
+function isBuy(record) {
+    return record.type === 'BUY';
+}
+
+/**
+ * Fields shown in the audit trail
+ */
+function snapshot(record) {
+    return {
+        id: record.id,
+        type: isBuy(record) ? 'BUY' : 'SELL',
+        itemId: record.itemId,
+        itemName: record.itemName,
+        qty: record.qty,
+        unitPrice: record.unitPrice,
+        ...(isBuy(record) ? { country: record.country } : {}),
+        timestamp: record.timestamp
+    };
+}
+
+/**
+ * Validate and apply changes to a record
+ * @param {Object} changes - { itemId, itemName, qty, unitPrice, country }
+ */
+function applyChanges(record, changes) {
+    if (changes.qty !== undefined) {
+        if (!Number.isInteger(changes.qty) || changes.qty <= 0) {
+            throw new TradeCorrectionError(getUi('qty_must_be_positive'));
+        }
+        record.qty = changes.qty;
+    }
+
+    if (changes.unitPrice !== undefined) {
+        if (!Number.isFinite(changes.unitPrice) || changes.unitPrice < 0) {
+            throw new TradeCorrectionError(getUi('price_not_negative'));
+        }
+        record.unitPrice = changes.unitPrice;
+    }
+
+    if (changes.itemId !== undefined) {
+        record.itemId = changes.itemId;
+        record.itemName = changes.itemName || record.itemName;
+    }
+
+    if (changes.country !== undefined) {
+        if (!isBuy(record)) throw new TradeCorrectionError(getUi('only_buys_have_country'));
+        record.country = changes.country;
+    }
+
+    if (isBuy(record)) {
+        record.totalCost = record.qty * record.unitPrice;
+    }
+}
+
+/**
+ * Re-match, append the audit entry and save
+ */
+function commit(userId, userHistory, { action, editorId, reason, before, after, itemIds, from }) {
+    const rematched = rematchFrom(userHistory, [...new Set(itemIds)], from);
+
+    userHistory.corrections = [
+        ...(userHistory.corrections || []),
+        {
+            action,
+            editorId,
+            reason: reason || null,
+            before,
+            after,
+            rematched,
+            timestamp: Math.floor(Date.now() / 1000)
+        }
+    ].slice(-MAX_AUDIT_ENTRIES);
+
+    saveTradeHistory(userId, userHistory);
+    console.log(`✏️ Trade ${action} by ${editorId} for ${userId}: ${before.map(r => r.id).join(', ')} (${rematched} sells re-matched)`);
+
+    return { before, after, rematched };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CORRECTIONS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Edit a trade's item, quantity, price or (buys only) country
+ * @param {string} userId - Discord user ID
+ * @param {string} tradeId - Buy or sell ID
+ * @param {Object} changes - { itemId, itemName, qty, unitPrice, country }
+ * @param {Object} meta - { editorId, reason }
+ * @returns {Object} { before, after, rematched }
+ * @throws {TradeCorrectionError}
+ */
+export function editTrade(userId, tradeId, changes, { editorId, reason } = {}) {
+    const userHistory = getTradeHistory(userId);
+    const { record } = findTrade(userHistory, tradeId);
+
+    const before = snapshot(record);
+    applyChanges(record, changes);
+
+    return commit(userId, userHistory, {
+        action: 'edit',
+        editorId,
+        reason,
+        before: [before],
+        after: [snapshot(record)],
+        itemIds: [before.itemId, record.itemId],
+        from: record.timestamp
+    });
+}
+
+/**
+ * Split part of a trade into a new trade (e.g. two items detected as one)
+ * @param {string} userId - Discord user ID
+ * @param {string} tradeId - Buy or sell ID
+ * @param {number} qty - Quantity moved to the new trade
+ * @param {Object} changes - Changes for the new trade ({ itemId, itemName, unitPrice, country })
+ * @param {Object} meta - { editorId, reason }
+ * @returns {Object} { before, after, rematched }
+ * @throws {TradeCorrectionError}
+ */
+export function splitTrade(userId, tradeId, qty, changes = {}, { editorId, reason } = {}) {
+    const userHistory = getTradeHistory(userId);
+    const { record, list } = findTrade(userHistory, tradeId);
+
+    if (!Number.isInteger(qty) || qty <= 0 || qty >= record.qty) {
+        throw new TradeCorrectionError(applyTemplate('split_qty_range', { max: record.qty - 1 }));
+    }
+
+    const before = snapshot(record);
+
+    const part = { ...record, id: nextTradeId(userHistory, isBuy(record) ? 'buy' : 'sell'), matchedBuys: [] };
+    if (isBuy(record)) Object.assign(part, { matched: false, matchedQty: 0 });
+    applyChanges(part, { ...changes, qty });
+    applyChanges(record, { qty: record.qty - qty });
+
+    list.splice(list.indexOf(record) + 1, 0, part);
+
+    return commit(userId, userHistory, {
+        action: 'split',
+        editorId,
+        reason,
+        before: [before],
+        after: [snapshot(record), snapshot(part)],
+        itemIds: [record.itemId, part.itemId],
+        from: record.timestamp
+    });
+}
+
+/**
+ * Merge trades of the same kind and item into the earliest one
+ * Quantities add up and the price becomes the quantity-weighted average
+ * @param {string} userId - Discord user ID
+ * @param {Array<string>} tradeIds - Two or more buy IDs, or two or more sell IDs
+ * @param {Object} meta - { editorId, reason }
+ * @returns {Object} { before, after, rematched }
+ * @throws {TradeCorrectionError}
+ */
+export function mergeTrades(userId, tradeIds, { editorId, reason } = {}) {
+    const ids = [...new Set(tradeIds)];
+    if (ids.length < 2) throw new TradeCorrectionError(getUi('merge_needs_two'));
+
+    const userHistory = getTradeHistory(userId);
+    const found = ids.map(id => findTrade(userHistory, id));
+    const records = found.map(f => f.record).sort((a, b) => a.timestamp - b.timestamp);
+
+    if (new Set(found.map(f => f.list)).size > 1) {
+        throw new TradeCorrectionError(getUi('merge_mixed_types'));
+    }
+    if (new Set(records.map(r => r.itemId)).size > 1) {
+        throw new TradeCorrectionError(getUi('merge_same_item'));
+    }
+
+    const list = found[0].list;
+    const [target, ...rest] = records;
+    const before = records.map(snapshot);
+
+    const qty = records.reduce((sum, r) => sum + r.qty, 0);
+    const value = records.reduce((sum, r) => sum + r.qty * r.unitPrice, 0);
+
+    for (const record of rest) {
+        if (!isBuy(record)) releaseSell(userHistory, record);
+        list.splice(list.indexOf(record), 1);
+    }
+    applyChanges(target, { qty, unitPrice: Math.round(value / qty) });
+
+    return commit(userId, userHistory, {
+        action: 'merge',
+        editorId,
+        reason,
+        before,
+        after: [snapshot(target)],
+        itemIds: [target.itemId],
+        from: target.timestamp
+    });
+}
+
+/**
+ * Delete a trade (e.g. a buy detected from an unrelated cash drop)
+ * @param {string} userId - Discord user ID
+ * @param {string} tradeId - Buy or sell ID
+ * @param {Object} meta - { editorId, reason }
+ * @returns {Object} { before, after, rematched }
+ * @throws {TradeCorrectionError}
+ */
+export function deleteTrade(userId, tradeId, { editorId, reason } = {}) {
+    const userHistory = getTradeHistory(userId);
+    const { record, list } = findTrade(userHistory, tradeId);
+
+    if (!isBuy(record)) releaseSell(userHistory, record);
+    list.splice(list.indexOf(record), 1);
+
+    return commit(userId, userHistory, {
+        action: 'delete',
+        editorId,
+        reason,
+        before: [snapshot(record)],
+        after: [],
+        itemIds: [record.itemId],
+        from: record.timestamp
+    });
+}
+
+/**
+ * A user's correction history, newest first
+ * @param {string} userId - Discord user ID
+ * @param {number} limit - Max entries
+ * @returns {Array<Object>} { action, editorId, reason, before, after, rematched, timestamp }
+ */
+export function getCorrectionLog(userId, limit = 20) {
+    const corrections = getTradeHistory(userId).corrections || [];
+    return corrections.slice(-limit).reverse();
+}
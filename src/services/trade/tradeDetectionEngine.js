@@ -1,5 +1,6 @@
 /**
  * Trade Detection Engine (Refactored)
+ * Heuristic fallback for keys without log access (see logTradeDetector.js)
  * Detects BUY trades via Cash Delta + YATA Prices (because inventory API is broken)
  * Detects SELL trades via Market/Bazaar Listings (V2 API)
  */
@@ -3,64 +3,51 @@
  * Manages trade records with FIFO matching for profit calculation
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
+import { getCollection } from '../storage/index.js';
 
-const STORAGE_PATH = './data/trade-history.json';
 export const MARKET_TAX = 0.05;
 
 /**
- * Initialize storage file if not exists
+ * Trade history collection (Discord ID -> { buys, sells, completedTrades })
  */
-function initStorage() {
-    const dir = dirname(STORAGE_PATH);
-    if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
-    }
-
-    if (!existsSync(STORAGE_PATH)) {
-        writeFileSync(STORAGE_PATH, JSON.stringify({}, null, 2));
-    }
+function getStore() {
+    return getCollection('trade-history');
 }
 
 /**
- * Load all trade history
- * @returns {Object} All user trade histories
+ * Load a user's trade history
+ * @param {string} userId - Discord user ID
+ * @returns {Object} User trade history
  */
-function loadHistory() {
-    initStorage();
-    try {
-        const data = readFileSync(STORAGE_PATH, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Error loading trade history:', error);
-        return {};
-    }
+function loadUserHistory(userId) {
+    return getStore().get(userId) || { buys: [], sells: [], completedTrades: [] };
 }
 
 /**
- * Save all trade history
- * @param {Object} history - All user trade histories
+ * New trade ID that isn't used yet (several trades can be recorded in the same millisecond)
+ * @param {Object} userHistory - User trade history
+ * @param {string} prefix - 'buy' or 'sell'
+ * @returns {string}
  */
-function saveHistory(history) {
-    writeFileSync(STORAGE_PATH, JSON.stringify(history, null, 2));
+export function nextTradeId(userHistory, prefix) {
+    const used = new Set([...userHistory.buys, ...userHistory.sells].map(r => r.id));
+
+    let stamp = Date.now();
+    while (used.has(`${prefix}_${stamp}`)) stamp++;
+    return `${prefix}_${stamp}`;
 }
 
 /**
  * Record a BUY trade
  * @param {string} userId - Discord user ID
- * @param {Object} trade - Trade details
+ * @param {Object} trade - Trade details (timestamp and logId are set for log-detected trades)
  * @returns {Object} Recorded trade with ID
  */
 export function recordBuy(userId, trade) {
-    const history = loadHistory();
-
-    if (!history[userId]) {
-        history[userId] = { buys: [], sells: [], completedTrades: [] };
-    }
+    const userHistory = loadUserHistory(userId);
 
     const buyRecord = {
-        id: `buy_${Date.now()}`,
+        id: nextTradeId(userHistory, 'buy'),
         type: 'BUY',
         itemId: trade.itemId,
         itemName: trade.itemName,
@@ -68,13 +55,14 @@ export function recordBuy(userId, trade) {
         unitPrice: trade.unitPrice,
         totalCost: trade.totalCost,
         country: trade.country,
-        timestamp: Math.floor(Date.now() / 1000),
+        timestamp: trade.timestamp || Math.floor(Date.now() / 1000),
         matched: false,
-        matchedQty: 0
+        matchedQty: 0,
+        ...(trade.logId ? { logId: trade.logId } : {})
     };
 
-    history[userId].buys.push(buyRecord);
-    saveHistory(history);
+    userHistory.buys.push(buyRecord);
+    getStore().set(userId, userHistory);
 
     return buyRecord;
 }
@@ -82,29 +70,65 @@ export function recordBuy(userId, trade) {
 /**
  * Record a SELL trade and match with previous BUYs (FIFO)
  * @param {string} userId - Discord user ID
- * @param {Object} trade - Trade details
+ * @param {Object} trade - Trade details (taxRate defaults to MARKET_TAX; bazaar and
+ *                         player trades pass 0. timestamp and logId are set for log-detected trades)
  * @returns {Object} Sell record with profit calculation
  */
 export function recordSell(userId, trade) {
-    const history = loadHistory();
+    const userHistory = loadUserHistory(userId);
+
+    const sellRecord = {
+        id: nextTradeId(userHistory, 'sell'),
+        type: 'SELL',
+        itemId: trade.itemId,
+        itemName: trade.itemName,
+        qty: trade.qty,
+        unitPrice: trade.unitPrice,
+        timestamp: trade.timestamp || Math.floor(Date.now() / 1000),
+        ...(trade.taxRate !== undefined ? { taxRate: trade.taxRate } : {}),
+        ...(trade.logId ? { logId: trade.logId } : {})
+    };
 
-    if (!history[userId]) {
-        history[userId] = { buys: [], sells: [], completedTrades: [] };
+    matchSell(userHistory, sellRecord);
+    userHistory.sells.push(sellRecord);
+
+    // If fully matched, add to completed trades
+    if (isCompleted(sellRecord)) {
+        userHistory.completedTrades.push(toCompletedTrade(sellRecord));
     }
 
+    getStore().set(userId, userHistory);
+
+    return sellRecord;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// FIFO MATCHING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Match a sell against open BUYs of the same item, oldest first
+ * Updates the buys' matchedQty and fills in the sell's revenue, cost and profit
+ * @param {Object} userHistory - User trade history (mutated)
+ * @param {Object} sell - Sell record (mutated)
+ */
+function matchSell(userHistory, sell) {
     // Calculate gross and net
-    const grossRevenue = trade.unitPrice * trade.qty;
-    const tax = grossRevenue * MARKET_TAX;
+    const grossRevenue = sell.unitPrice * sell.qty;
+    const tax = grossRevenue * (sell.taxRate ?? MARKET_TAX);
     const netRevenue = grossRevenue - tax;
 
-    // FIFO matching: find unmatched BUYs for this item
-    let remainingQty = trade.qty;
+    // FIFO matching: find unmatched BUYs for this item bought before the sell
+    let remainingQty = sell.qty;
     let totalBuyCost = 0;
     const matchedBuys = [];
 
-    for (const buy of history[userId].buys) {
+    const buys = userHistory.buys
+        .filter(buy => buy.itemId === sell.itemId && buy.timestamp <= sell.timestamp)
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const buy of buys) {
         if (remainingQty <= 0) break;
-        if (buy.itemId !== trade.itemId) continue;
         if (buy.matched && buy.matchedQty >= buy.qty) continue;
 
         const availableQty = buy.qty - (buy.matchedQty || 0);
@@ -133,76 +157,140 @@ export function recordSell(userId, trade) {
     }
 
     // Calculate profit
-    const profit = remainingQty > 0 ? null : netRevenue - totalBuyCost;
-    const isOrphan = matchedBuys.length === 0;
-
-    const sellRecord = {
-        id: `sell_${Date.now()}`,
-        type: 'SELL',
-        itemId: trade.itemId,
-        itemName: trade.itemName,
-        qty: trade.qty,
-        unitPrice: trade.unitPrice,
+    Object.assign(sell, {
         grossRevenue,
         tax,
         netRevenue,
         totalBuyCost,
-        profit,
-        isOrphan,
+        profit: remainingQty > 0 ? null : netRevenue - totalBuyCost,
+        isOrphan: matchedBuys.length === 0,
         orphanQty: remainingQty,
-        matchedBuys,
-        timestamp: Math.floor(Date.now() / 1000)
+        matchedBuys
+    });
+}
+
+function isCompleted(sell) {
+    return !sell.isOrphan && sell.orphanQty === 0;
+}
+
+function toCompletedTrade(sell) {
+    return {
+        sellId: sell.id,
+        itemId: sell.itemId,
+        itemName: sell.itemName,
+        qty: sell.qty,
+        buyCost: sell.totalBuyCost,
+        sellRevenue: sell.netRevenue,
+        profit: sell.profit,
+        timestamp: sell.timestamp
     };
+}
 
-    history[userId].sells.push(sellRecord);
+/**
+ * Give back the lots a sell consumed and drop its completed trade
+ * Call before removing a sell from the history
+ * @param {Object} userHistory - User trade history (mutated)
+ * @param {Object} sell - Sell record
+ */
+export function releaseSell(userHistory, sell) {
+    for (const match of sell.matchedBuys || []) {
+        const buy = userHistory.buys.find(b => b.id === match.buyId);
+        if (!buy) continue;
 
-    // If fully matched, add to completed trades
-    if (!isOrphan && remainingQty === 0) {
-        history[userId].completedTrades.push({
-            itemId: trade.itemId,
-            itemName: trade.itemName,
-            qty: trade.qty,
-            buyCost: totalBuyCost,
-            sellRevenue: netRevenue,
-            profit,
-            timestamp: sellRecord.timestamp
-        });
+        buy.matchedQty = Math.max(0, (buy.matchedQty || 0) - match.matchQty);
+        buy.matched = buy.matchedQty >= buy.qty;
     }
 
-    saveHistory(history);
+    sell.matchedBuys = [];
+    userHistory.completedTrades = userHistory.completedTrades.filter(trade => trade.sellId !== sell.id);
+}
 
-    return sellRecord;
+/**
+ * Re-run FIFO matching for some items from a point in time onwards
+ * Sells at or after `fromTimestamp` give back the lots they consumed and are
+ * matched again in time order, so earlier sells keep their cost basis
+ * @param {Object} userHistory - User trade history (mutated)
+ * @param {Array<number>} itemIds - Items whose sells are re-matched
+ * @param {number} fromTimestamp - Unix seconds
+ * @returns {number} Sells re-matched
+ */
+export function rematchFrom(userHistory, itemIds, fromTimestamp) {
+    const items = new Set(itemIds);
+    const affected = userHistory.sells
+        .filter(sell => items.has(sell.itemId) && sell.timestamp >= fromTimestamp)
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const sell of affected) {
+        releaseSell(userHistory, sell);
+    }
+
+    // Edited buys can hold more matches than their new quantity
+    for (const buy of userHistory.buys) {
+        if (!items.has(buy.itemId)) continue;
+        buy.matchedQty = Math.min(buy.matchedQty || 0, buy.qty);
+        buy.matched = buy.matchedQty >= buy.qty;
+    }
+
+    // Completed trades recorded before they carried a sellId
+    userHistory.completedTrades = userHistory.completedTrades.filter(
+        trade => trade.sellId || !(items.has(trade.itemId) && trade.timestamp >= fromTimestamp)
+    );
+
+    for (const sell of affected) {
+        matchSell(userHistory, sell);
+        if (isCompleted(sell)) userHistory.completedTrades.push(toCompletedTrade(sell));
+    }
+
+    return affected.length;
 }
 
 /**
  * Get unmatched BUYs for an item
  * @param {string} userId - Discord user ID
- * @param {number} itemId - Item ID
+ * @param {number|null} itemId - Item ID (null = every item)
  * @returns {Array} Unmatched buy records
  */
-export function getUnmatchedBuys(userId, itemId) {
-    const history = loadHistory();
-    if (!history[userId]) return [];
+export function getUnmatchedBuys(userId, itemId = null) {
+    const userHistory = getStore().get(userId);
+    if (!userHistory) return [];
 
-    return history[userId].buys.filter(
-        buy => buy.itemId === itemId && !buy.matched
+    return userHistory.buys.filter(
+        buy => (itemId === null || buy.itemId === itemId) && !buy.matched
     );
 }
 
+/**
+ * Get a user's full trade history
+ * @param {string} userId - Discord user ID
+ * @returns {Object} { buys, sells, completedTrades }
+ */
+export function getTradeHistory(userId) {
+    return loadUserHistory(userId);
+}
+
+/**
+ * Replace a user's trade history (used by manual corrections)
+ * @param {string} userId - Discord user ID
+ * @param {Object} userHistory - { buys, sells, completedTrades, corrections }
+ */
+export function saveTradeHistory(userId, userHistory) {
+    getStore().set(userId, userHistory);
+}
+
 /**
  * Get user's trade summary
  * @param {string} userId - Discord user ID
  * @returns {Object} Trade summary stats
  */
 export function getTradeSummary(userId) {
-    const history = loadHistory();
-    if (!history[userId]) {
+    const userHistory = getStore().get(userId);
+    if (!userHistory) {
         return { totalProfit: 0, completedTrades: 0, pendingBuys: 0 };
     }
 
-    const completedTrades = history[userId].completedTrades || [];
+    const completedTrades = userHistory.completedTrades || [];
     const totalProfit = completedTrades.reduce((sum, t) => sum + (t.profit || 0), 0);
-    const pendingBuys = history[userId].buys.filter(b => !b.matched).length;
+    const pendingBuys = userHistory.buys.filter(b => !b.matched).length;
 
     return {
         totalProfit,
@@ -216,9 +304,7 @@ export function getTradeSummary(userId) {
  * @param {string} userId - Discord user ID
  */
 export function clearHistory(userId) {
-    const history = loadHistory();
-    delete history[userId];
-    saveHistory(history);
+    getStore().delete(userId);
 }
 
 /**
@@ -228,17 +314,17 @@ export function clearHistory(userId) {
  * @returns {Array} Recent trades (buys and sells)
  */
 export function getRecentTrades(userId, timeWindowMs = 300000) {
-    const history = loadHistory();
-    if (!history[userId]) return [];
+    const userHistory = getStore().get(userId);
+    if (!userHistory) return [];
 
     const cutoff = Date.now() - timeWindowMs;
     const cutoffSec = Math.floor(cutoff / 1000);
 
-    const recentBuys = (history[userId].buys || [])
+    const recentBuys = (userHistory.buys || [])
         .filter(t => t.timestamp > cutoffSec)
         .map(t => ({ ...t, type: 'BUY' }));
 
-    const recentSells = (history[userId].sells || [])
+    const recentSells = (userHistory.sells || [])
         .filter(t => t.timestamp > cutoffSec)
         .map(t => ({ ...t, type: 'SELL' }));
 
@@ -247,9 +333,14 @@ export function getRecentTrades(userId, timeWindowMs = 300000) {
 }
 
 export default {
+    nextTradeId,
     recordBuy,
     recordSell,
     getUnmatchedBuys,
+    getTradeHistory,
+    saveTradeHistory,
+    releaseSell,
+    rematchFrom,
     getTradeSummary,
     clearHistory,
     getRecentTrades,
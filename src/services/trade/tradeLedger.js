@@ -0,0 +1,211 @@
+/**
+ * Trade Ledger
+ * Flattens a user's recorded buys and sells into one ledger (newest first)
+ * with filters, period totals and CSV export
+ */
+
+import { getTradeHistory, getUnmatchedBuys } from './tradeHistoryStorage.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Convert a stored buy/sell record to a ledger entry
+ * A sell's country is where its matched lots were bought
+ */
+function toLedgerEntry(record) {
+    if (record.type === 'SELL') {
+        return {
+            id: record.id,
+            type: 'SELL',
+            timestamp: record.timestamp,
+            itemId: record.itemId,
+            itemName: record.itemName,
+            qty: record.qty,
+            unitPrice: record.unitPrice,
+            total: record.netRevenue,
+            tax: record.tax,
+            costBasis: record.totalBuyCost,
+            countries: [...new Set((record.matchedBuys || []).map(m => m.country).filter(Boolean))],
+            profit: record.profit,
+            orphanQty: record.orphanQty || 0,
+            openQty: 0
+        };
+    }
+
+    return {
+        id: record.id,
+        type: 'BUY',
+        timestamp: record.timestamp,
+        itemId: record.itemId,
+        itemName: record.itemName,
+        qty: record.qty,
+        unitPrice: record.unitPrice,
+        total: record.totalCost,
+        tax: 0,
+        costBasis: record.totalCost,
+        countries: record.country ? [record.country] : [],
+        profit: null,
+        orphanQty: 0,
+        openQty: record.qty - (record.matchedQty || 0)
+    };
+}
+
+/**
+ * Check an entry against ledger filters
+ * @param {object} filters - { itemId, country, from, to, outcome } (from/to in unix seconds, outcome: profit | loss)
+ */
+function matchesFilters(entry, filters) {
+    if (filters.itemId && entry.itemId !== filters.itemId) return false;
+    if (filters.country && !entry.countries.includes(filters.country)) return false;
+    if (filters.from && entry.timestamp < filters.from) return false;
+    if (filters.to && entry.timestamp >= filters.to) return false;
+
+    if (filters.outcome) {
+        if (entry.type !== 'SELL' || entry.profit === null) return false;
+        if (filters.outcome === 'profit' && entry.profit <= 0) return false;
+        if (filters.outcome === 'loss' && entry.profit >= 0) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Get a user's ledger
+ * @param {string} userId - Discord user ID
+ * @param {object} filters - See matchesFilters()
+ * @returns {Array<object>} Ledger entries, newest first
+ */
+export function getLedger(userId, filters = {}) {
+    const history = getTradeHistory(userId);
+
+    // Reversed first so same-second records keep newest-first order
+    return [...history.buys, ...history.sells.map(s => ({ ...s, type: 'SELL' }))]
+        .reverse()
+        .map(toLedgerEntry)
+        .filter(entry => matchesFilters(entry, filters))
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Totals for a set of ledger entries
+ * @returns {object} { buys, sells, spent, revenue, profit, unmatchedSells }
+ */
+export function summarizeLedger(entries) {
+    const summary = { buys: 0, sells: 0, spent: 0, revenue: 0, profit: 0, unmatchedSells: 0 };
+
+    for (const entry of entries) {
+        if (entry.type === 'BUY') {
+            summary.buys++;
+            summary.spent += entry.total;
+        } else {
+            summary.sells++;
+            summary.revenue += entry.total;
+            if (entry.profit === null) summary.unmatchedSells++;
+            else summary.profit += entry.profit;
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Items that appear in a user's ledger (for autocomplete)
+ * @returns {Array<{itemId: number, itemName: string}>}
+ */
+export function getLedgerItems(userId) {
+    const items = new Map();
+    for (const entry of getLedger(userId)) {
+        if (!items.has(entry.itemId)) items.set(entry.itemId, entry.itemName);
+    }
+    return [...items].map(([itemId, itemName]) => ({ itemId, itemName }));
+}
+
+/**
+ * Open lots (unsold buys) grouped by item, with their FIFO cost basis
+ * @param {string} userId - Discord user ID
+ * @param {number|null} itemId - Only this item
+ * @returns {Array<object>} { itemId, itemName, openQty, costBasis, avgCost, lots: [...] }
+ */
+export function getOpenLots(userId, itemId = null) {
+    const groups = new Map();
+
+    for (const buy of getUnmatchedBuys(userId, itemId)) {
+        const openQty = buy.qty - (buy.matchedQty || 0);
+        if (openQty <= 0) continue;
+
+        if (!groups.has(buy.itemId)) {
+            groups.set(buy.itemId, { itemId: buy.itemId, itemName: buy.itemName, openQty: 0, costBasis: 0, lots: [] });
+        }
+
+        const group = groups.get(buy.itemId);
+        const costBasis = openQty * buy.unitPrice;
+        group.openQty += openQty;
+        group.costBasis += costBasis;
+        group.lots.push({
+            buyId: buy.id,
+            timestamp: buy.timestamp,
+            country: buy.country,
+            openQty,
+            unitPrice: buy.unitPrice,
+            costBasis
+        });
+    }
+
+    return [...groups.values()]
+        .map(group => ({ ...group, avgCost: Math.round(group.costBasis / group.openQty) }))
+        .sort((a, b) => b.costBasis - a.costBasis);
+}
+
+/**
+ * Parse a YYYY-MM-DD date (TCT) into unix seconds
+ * @param {string} value
+ * @param {boolean} endOfDay - Return the start of the next day instead
+ * @returns {number|null} Null if the date is invalid
+ */
+export function parseLedgerDate(value, endOfDay = false) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const ms = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (isNaN(ms) || new Date(ms).toISOString().slice(0, 10) !== match[0]) return null;
+
+    return ms / 1000 + (endOfDay ? DAY_SECONDS : 0);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CSV EXPORT
+// ═══════════════════════════════════════════════════════════════════
+
+const CSV_COLUMNS = [
+    ['id', e => e.id],
+    ['date', e => new Date(e.timestamp * 1000).toISOString()],
+    ['type', e => e.type],
+    ['item_id', e => e.itemId],
+    ['item', e => e.itemName],
+    ['qty', e => e.qty],
+    ['unit_price', e => e.unitPrice],
+    ['total', e => e.total],
+    ['tax', e => e.tax],
+    ['cost_basis', e => e.costBasis],
+    ['profit', e => e.profit ?? ''],
+    ['country', e => e.countries.join('/')],
+    ['open_qty', e => e.openQty],
+    ['unmatched_qty', e => e.orphanQty]
+];
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV of ledger entries (oldest first)
+ * @returns {string}
+ */
+export function ledgerToCsv(entries) {
+    const rows = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    for (const entry of [...entries].reverse()) {
+        rows.push(CSV_COLUMNS.map(([, get]) => csvCell(get(entry))).join(','));
+    }
+    return rows.join('\n') + '\n';
+}
@@ -3,46 +3,13 @@
  * Manages per-user inventory/wallet snapshots for trade detection
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
-
-const STORAGE_PATH = './data/trade-snapshots.json';
-
-/**
- * Initialize storage file if not exists
- */
-function initStorage() {
-    const dir = dirname(STORAGE_PATH);
-    if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
-    }
-
-    if (!existsSync(STORAGE_PATH)) {
-        writeFileSync(STORAGE_PATH, JSON.stringify({}, null, 2));
-    }
-}
+import { getCollection } from '../storage/index.js';
 
 /**
- * Load all snapshots from storage
- * @returns {Object} All user snapshots
+ * Snapshot collection (Discord ID -> { lastSnapshot, currentSnapshot })
  */
-function loadSnapshots() {
-    initStorage();
-    try {
-        const data = readFileSync(STORAGE_PATH, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Error loading trade snapshots:', error);
-        return {};
-    }
-}
-
-/**
- * Save all snapshots to storage
- * @param {Object} snapshots - All user snapshots
- */
-function saveSnapshots(snapshots) {
-    writeFileSync(STORAGE_PATH, JSON.stringify(snapshots, null, 2));
+function getStore() {
+    return getCollection('trade-snapshots');
 }
 
 /**
@@ -51,8 +18,7 @@ function saveSnapshots(snapshots) {
  * @returns {Object|null} Last snapshot or null
  */
 export function getLastSnapshot(userId) {
-    const snapshots = loadSnapshots();
-    return snapshots[userId]?.lastSnapshot || null;
+    return getStore().get(userId)?.lastSnapshot || null;
 }
 
 /**
@@ -61,8 +27,7 @@ export function getLastSnapshot(userId) {
  * @returns {Object|null} Current snapshot or null
  */
 export function getCurrentSnapshot(userId) {
-    const snapshots = loadSnapshots();
-    return snapshots[userId]?.currentSnapshot || null;
+    return getStore().get(userId)?.currentSnapshot || null;
 }
 
 /**
@@ -71,23 +36,19 @@ export function getCurrentSnapshot(userId) {
  * @param {Object} newSnapshot - New snapshot data
  */
 export function updateSnapshot(userId, newSnapshot) {
-    const snapshots = loadSnapshots();
-
-    if (!snapshots[userId]) {
-        snapshots[userId] = {
-            lastSnapshot: null,
-            currentSnapshot: null
-        };
-    }
+    const entry = getStore().get(userId) || {
+        lastSnapshot: null,
+        currentSnapshot: null
+    };
 
     // Rotate: current becomes last
-    snapshots[userId].lastSnapshot = snapshots[userId].currentSnapshot;
-    snapshots[userId].currentSnapshot = {
+    entry.lastSnapshot = entry.currentSnapshot;
+    entry.currentSnapshot = {
         ...newSnapshot,
         timestamp: Math.floor(Date.now() / 1000)
     };
 
-    saveSnapshots(snapshots);
+    getStore().set(userId, entry);
 }
 
 /**
@@ -182,9 +143,7 @@ export function buildSnapshot(apiData) {
  * @param {string} userId - Discord user ID
  */
 export function clearSnapshots(userId) {
-    const snapshots = loadSnapshots();
-    delete snapshots[userId];
-    saveSnapshots(snapshots);
+    getStore().delete(userId);
 }
 
 export default {
@@ -0,0 +1,73 @@
+/**
+ * User Data Purge
+ * Removes everything derived from a user's API key (used by /unregister)
+ */
+
+import { deleteUser, getUser } from './userStorage.js';
+import { clearApiCache } from './tornApi.js';
+import { removeUserBindings } from './autorun/runtimeStateManager.js';
+import { clearHistory } from './trade/tradeHistoryStorage.js';
+import { clearSnapshots } from './trade/tradeSnapshotStorage.js';
+import { clearLogCursor } from './trade/logTradeDetector.js';
+import { getTrackedUsers, removeUser as removeAlertState } from './alerts/alertState.js';
+import { clearAlertPreferences } from './alerts/alertPreferences.js';
+import { clearCustomRules } from './alerts/customRules.js';
+import { removeUserAlerts } from './market/marketAlertStorage.js';
+import { clearUserSnapshots } from './analytics/networthSnapshotStorage.js';
+import { clearProfitState } from './analytics/profitEngineStorage.js';
+import { clearGymPlan } from './analytics/gymPlanner.js';
+import { clearWorkProgress } from './analytics/workProgress.js';
+import { clearUserLocale } from '../localization/index.js';
+import { clearUserAnalytics } from './analytics/travelAnalyticsService.js';
+import { clearActivityLogState } from './autorun/handlers/activityLogHandler.js';
+import { clearFinancialLogCursor } from './autorun/handlers/financialLogHandler.js';
+
+/**
+ * Delete a user and all of their derived data
+ * @param {string} discordId - Discord user ID
+ * @returns {Array<string>} Names of the stores that were purged
+ */
+export function purgeUserData(discordId) {
+    const user = getUser(discordId);
+    const purged = [];
+
+    // Each store is purged independently so one failure doesn't keep the rest
+    const steps = [
+        ['trade history', () => clearHistory(discordId)],
+        ['trade snapshots', () => clearSnapshots(discordId)],
+        ['trade log cursor', () => clearLogCursor(discordId)],
+        ['gym plan', () => clearGymPlan(discordId)],
+        ['work progress', () => clearWorkProgress(discordId)],
+        ['language', () => clearUserLocale(discordId)],
+        ['travel analytics', () => clearUserAnalytics(discordId)],
+        ['market alerts', () => removeUserAlerts(discordId)],
+        ['alert state', () => {
+            if (getTrackedUsers().includes(discordId)) removeAlertState(discordId);
+        }],
+        ['alert preferences', () => clearAlertPreferences(discordId)],
+        ['custom alert rules', () => clearCustomRules(discordId)],
+        ['networth snapshots', () => clearUserSnapshots(discordId)],
+        ['profit engine', () => clearProfitState(discordId)],
+        ['activity log', () => clearActivityLogState(discordId)],
+        ['financial log cursor', () => clearFinancialLogCursor(discordId)],
+        ['auto-run bindings', () => removeUserBindings(discordId)],
+        ['API cache', () => user?.apiKey && clearApiCache(user.apiKey)],
+        ['account', () => deleteUser(discordId)]
+    ];
+
+    for (const [name, purge] of steps) {
+        try {
+            purge();
+            purged.push(name);
+        } catch (error) {
+            console.error(`❌ Failed to purge ${name} for ${discordId}:`, error.message);
+        }
+    }
+
+    console.log(`🗑️ Purged user data for ${discordId} (${purged.length}/${steps.length} stores)`);
+    return purged;
+}
+
+export default {
+    purgeUserData
+};
@@ -1,11 +1,13 @@
 /**
  * User Storage Service
  * JSON-based storage for user data (API keys, preferences)
+ * API keys are encrypted at rest when KEY_ENCRYPTION_SECRET is set
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { encryptSecret, decryptSecret, isEncrypted, hasEncryptionSecret } from '../utils/keyCrypto.js';
 
 // ES Module directory resolution
 const __filename = fileURLToPath(import.meta.url);
@@ -14,6 +16,10 @@ const __dirname = dirname(__filename);
 const DATA_DIR = join(__dirname, '../../data');
 const USERS_FILE = join(DATA_DIR, 'users.json');
 
+// Stored keys that could not be decrypted (kept so saving never drops them)
+const undecryptableKeys = new Map();
+let warnedNoSecret = false;
+
 /**
  * Ensure data directory and file exist
  */
@@ -27,8 +33,70 @@ function ensureDataFile() {
     }
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// KEY ENCRYPTION
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Decrypt a stored API key
+ * @returns {string|null} Plain key, or null if it can't be decrypted
+ */
+function decodeKey(discordId, stored) {
+    if (!isEncrypted(stored)) return stored;
+
+    try {
+        const plain = decryptSecret(stored);
+        undecryptableKeys.delete(discordId);
+        return plain;
+    } catch (error) {
+        if (!undecryptableKeys.has(discordId)) {
+            console.error(`❌ Cannot decrypt API key for ${discordId}: ${error.message}`);
+        }
+        undecryptableKeys.set(discordId, stored);
+        return null;
+    }
+}
+
+/**
+ * Encrypt an API key for storage
+ * Without a master secret /register is refused, so only keys stored before
+ * and the owner's env key stay in plain text (with a warning)
+ */
+function encodeKey(discordId, apiKey) {
+    if (!apiKey) return undecryptableKeys.get(discordId) || apiKey;
+    if (isEncrypted(apiKey)) return apiKey;
+
+    if (!hasEncryptionSecret()) {
+        if (!warnedNoSecret) {
+            console.warn('⚠️ KEY_ENCRYPTION_SECRET not set - API keys are stored in plain text');
+            warnedNoSecret = true;
+        }
+        return apiKey;
+    }
+
+    return encryptSecret(apiKey);
+}
+
+/**
+ * Write users to disk with keys encrypted (temp file + rename, never half a file)
+ */
+function writeUsersFile(users) {
+    const stored = {};
+    for (const [discordId, user] of Object.entries(users)) {
+        stored[discordId] = user ? { ...user, apiKey: encodeKey(discordId, user.apiKey) } : user;
+    }
+    const tmpFile = `${USERS_FILE}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify(stored, null, 2));
+    renameSync(tmpFile, USERS_FILE);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// STORAGE
+// ═══════════════════════════════════════════════════════════════════
+
 /**
  * Load all users from storage
+ * Keys are returned decrypted; plain-text keys are encrypted on first load
  * Automatically injects/updates owner's API key from environment variable if present
  * @returns {object} All user data
  */
@@ -36,13 +104,38 @@ function loadUsers() {
     ensureDataFile();
 
     let users = {};
+    let hasPlainKeys = false;
     try {
         const data = readFileSync(USERS_FILE, 'utf8');
-        users = JSON.parse(data);
+        try {
+            users = JSON.parse(data);
+        } catch (error) {
+            // Keep the unreadable file for recovery instead of overwriting it on the next save
+            const corruptFile = `${USERS_FILE}.corrupt-${Date.now()}`;
+            renameSync(USERS_FILE, corruptFile);
+            ensureDataFile();
+            throw new Error(`${error.message} (moved to ${corruptFile})`);
+        }
+
+        for (const [discordId, user] of Object.entries(users)) {
+            if (!user?.apiKey) continue;
+            if (!isEncrypted(user.apiKey)) hasPlainKeys = true;
+            user.apiKey = decodeKey(discordId, user.apiKey);
+        }
     } catch (error) {
         console.error('❌ Error loading users file:', error);
     }
 
+    // Migrate plain-text keys once a master secret is configured
+    if (hasPlainKeys && hasEncryptionSecret()) {
+        try {
+            writeUsersFile(users);
+            console.log('🔐 Encrypted stored API keys');
+        } catch (e) {
+            console.error('Failed to encrypt stored API keys:', e);
+        }
+    }
+
     // Inject Owner API Key from Env if available
     const ownerId = process.env.OWNER_ID;
     const apiKey = process.env.TORN_API_KEY;
@@ -60,7 +153,7 @@ function loadUsers() {
             // Persist the injection so other parts of app see consistent file state
             // (Optional, but good for consistency)
             try {
-                writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
+                writeUsersFile(users);
             } catch (e) {
                 console.error('Failed to sync env key to storage:', e);
             }
@@ -78,7 +171,7 @@ function saveUsers(users) {
     ensureDataFile();
 
     try {
-        writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
+        writeUsersFile(users);
     } catch (error) {
         console.error('❌ Error saving users file:', error);
         throw error;
@@ -122,6 +215,7 @@ export function deleteUser(discordId) {
 
     if (users[discordId]) {
         delete users[discordId];
+        undecryptableKeys.delete(discordId);
         saveUsers(users);
         return true;
     }
@@ -147,10 +241,34 @@ export function getAllUsers() {
     return loadUsers();
 }
 
+/**
+ * Get registered users that have an API key, as a list
+ * Each entry carries its Discord ID as `discordId`
+ * @returns {Array<object>} Users with API keys
+ */
+export function getRegisteredUsers() {
+    const users = loadUsers();
+
+    return Object.entries(users)
+        .filter(([, user]) => user && user.apiKey)
+        .map(([discordId, user]) => ({ ...user, discordId }));
+}
+
+/**
+ * Get the Discord ID that owns data written before multi-user support
+ * Falls back to the first registered user when OWNER_ID is not set
+ * @returns {string|null} Discord user ID
+ */
+export function getLegacyOwnerId() {
+    return process.env.OWNER_ID || Object.keys(loadUsers())[0] || null;
+}
+
 export default {
     getUser,
     setUser,
     deleteUser,
     hasUser,
-    getAllUsers
+    getAllUsers,
+    getRegisteredUsers,
+    getLegacyOwnerId
 };
@@ -5,6 +5,7 @@
  * Features:
  * - 1 API call per minute (global)
  * - In-memory cache with file backup
+ * - Every export appended to the foreign stock history (restock prediction)
  * - Distribution to all country channels
  * - Graceful degradation on errors
  */
@@ -12,6 +13,7 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { recordStockSnapshots } from './market/foreignStockHistory.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -150,6 +152,8 @@ async function fetchFromYATA() {
 function normalizeAndStore(rawData) {
     if (!rawData?.stocks) return;
 
+    const snapshots = {};
+
     for (const [countryCode, countryData] of Object.entries(rawData.stocks)) {
         const items = countryData.stocks || [];
 
@@ -161,6 +165,21 @@ function normalizeAndStore(rawData) {
             // Pre-calculate for easy access
             // Market sell price will be fetched separately or estimated
         }));
+
+        // YATA "update" is when the country was last observed (unix seconds)
+        snapshots[countryCode] = {
+            timestamp: countryData.update ? countryData.update * 1000 : Date.now(),
+            items: globalCache.countries[countryCode]
+        };
+    }
+
+    try {
+        const restocks = recordStockSnapshots(snapshots);
+        if (restocks.length > 0) {
+            console.log(`📦 Foreign restocks detected: ${restocks.map(r => `${r.name} (${r.country}) ${r.from}→${r.to}`).join(', ')}`);
+        }
+    } catch (e) {
+        console.error('❌ Error recording foreign stock history:', e.message);
     }
 }
 
@@ -4,7 +4,7 @@
  */
 
 import { formatTimeShort } from './formatters.js';
-import { AUTO_RUNNERS } from '../services/autorun/autoRunRegistry.js';
+import { AUTO_RUNNERS, getRunnerInterval } from '../services/autorun/autoRunRegistry.js';
 
 /**
  * Get standard footer object for an embed
@@ -19,7 +19,7 @@ export function getRunnerFooter(runnerKey) {
     let name = 'Torn Sentinel';
 
     if (runner) {
-        intervalText = `Updated every ${formatTimeShort(runner.interval)}`;
+        intervalText = `Updated every ${formatTimeShort(getRunnerInterval(runner))}`;
         // For foreign markets, maybe simplify? No, show configured interval.
     }
 
@@ -3,6 +3,8 @@
  * Number formatting, embed builders, and display helpers
  */
 
+import { getUi, applyTemplate } from '../localization/localizationResolver.js';
+
 /**
  * Format number as currency with $ and commas
  * @param {number} num - Number to format
@@ -172,7 +174,7 @@ export function formatTime(seconds) {
  * @returns {string} Formatted duration string with days
  */
 export function formatTimeFull(seconds) {
-    if (!seconds || seconds <= 0) return 'Siap';
+    if (!seconds || seconds <= 0) return getUi('ready');
 
     const d = Math.floor(seconds / 86400);
     const h = Math.floor((seconds % 86400) / 3600);
@@ -203,6 +205,18 @@ export function formatTimeShort(ms) {
     return `${seconds}s`;
 }
 
+/**
+ * Format a number of days for projections (e.g. "12 days", "4.5 months")
+ * @param {number} days - Whole days
+ * @returns {string} Localized duration
+ */
+export function formatDays(days) {
+    if (days === 1) return applyTemplate('n_day', { n: days });
+    if (days < 60) return applyTemplate('n_days', { n: days });
+    if (days < 730) return applyTemplate('n_months', { n: (days / 30.4).toFixed(1) });
+    return applyTemplate('n_years', { n: (days / 365).toFixed(1) });
+}
+
 export default {
     formatMoney,
     formatNumber,
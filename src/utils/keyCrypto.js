@@ -0,0 +1,81 @@
+/**
+ * Key Encryption Utilities
+ * AES-256-GCM encryption for API keys at rest
+ * Master secret comes from KEY_ENCRYPTION_SECRET
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+
+const PREFIX = 'enc:v1:';
+const SALT = 'torn-sentinel-keys';
+
+// Derived key cache (secret -> key)
+let derived = { secret: null, key: null };
+
+/**
+ * Derive the AES key from the master secret
+ * @returns {Buffer|null} Key, or null if no secret is configured
+ */
+function getCipherKey() {
+    const secret = process.env.KEY_ENCRYPTION_SECRET;
+    if (!secret) return null;
+
+    if (derived.secret !== secret) {
+        derived = { secret, key: scryptSync(secret, SALT, 32) };
+    }
+    return derived.key;
+}
+
+/**
+ * Check if encryption is configured
+ * @returns {boolean}
+ */
+export function hasEncryptionSecret() {
+    return !!process.env.KEY_ENCRYPTION_SECRET;
+}
+
+/**
+ * Check if a stored value is encrypted
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a secret value
+ * @param {string} plain - Value to encrypt
+ * @returns {string} "enc:v1:<iv>:<tag>:<data>" (base64 parts)
+ */
+export function encryptSecret(plain) {
+    const key = getCipherKey();
+    if (!key) {
+        throw new Error('KEY_ENCRYPTION_SECRET is not set');
+    }
+
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return PREFIX + [iv, tag, data].map(b => b.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret()
+ * @param {string} value - Encrypted value
+ * @returns {string} Plain value
+ */
+export function decryptSecret(value) {
+    const key = getCipherKey();
+    if (!key) {
+        throw new Error('KEY_ENCRYPTION_SECRET is not set');
+    }
+
+    const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(p => Buffer.from(p, 'base64'));
+    const decipher = createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}